@@ -0,0 +1,372 @@
+// ===================== BIBLIOGRAPHY =====================
+// Reads BibTeX and RIS into plain publication objects and writes BibTeX back.
+// Publications look like the rows of the publications table, with authors as
+// an array of "First Last" strings:
+//   { title, authors, venue, year, doi, url, type, status, volume, issue, pages, publisher, bibtex_key }
+
+const PUBLICATION_TYPES = ['article', 'conference', 'book', 'chapter', 'thesis', 'report', 'other'];
+const PUBLICATION_STATUSES = ['submitted', 'accepted', 'published'];
+
+const BIBTEX_TYPES = {
+  article: 'article',
+  inproceedings: 'conference',
+  conference: 'conference',
+  proceedings: 'conference',
+  book: 'book',
+  inbook: 'chapter',
+  incollection: 'chapter',
+  phdthesis: 'thesis',
+  mastersthesis: 'thesis',
+  thesis: 'thesis',
+  techreport: 'report',
+  report: 'report'
+};
+
+// Which BibTeX field holds the venue for each publication type on export
+const BIBTEX_EXPORT = {
+  article: { type: 'article', venue: 'journal' },
+  conference: { type: 'inproceedings', venue: 'booktitle' },
+  book: { type: 'book', venue: 'series' },
+  chapter: { type: 'incollection', venue: 'booktitle' },
+  thesis: { type: 'phdthesis', venue: 'school' },
+  report: { type: 'techreport', venue: 'institution' },
+  other: { type: 'misc', venue: 'howpublished' }
+};
+
+const RIS_TYPES = {
+  JOUR: 'article',
+  EJOUR: 'article',
+  MGZN: 'article',
+  CONF: 'conference',
+  CPAPER: 'conference',
+  BOOK: 'book',
+  EBOOK: 'book',
+  CHAP: 'chapter',
+  ECHAP: 'chapter',
+  THES: 'thesis',
+  RPRT: 'report'
+};
+
+// ===================== NORMALISING =====================
+// "https://doi.org/10.1000/XYZ" -> "10.1000/XYZ"; DOIs compare case-insensitively
+function normalizeDoi(value) {
+  return String(value || '')
+    .trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '');
+}
+
+// Titles compare equal when they match ignoring case, accents and punctuation
+function titleKey(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// The existing publication that `pub` duplicates, if any
+function findDuplicate(pub, existing) {
+  const doi = normalizeDoi(pub.doi).toLowerCase();
+  const title = titleKey(pub.title);
+  return existing.find(other =>
+    (doi && normalizeDoi(other.doi).toLowerCase() === doi) || (title && titleKey(other.title) === title)
+  ) || null;
+}
+
+// "Curie, Marie" -> "Marie Curie"
+function displayName(name) {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 2) return `${parts[1]} ${parts[0]}`;
+  if (parts.length === 3) return `${parts[2]} ${parts[0]} ${parts[1]}`;
+  return name.trim();
+}
+
+function parseYear(value) {
+  const match = String(value || '').match(/\b(1[5-9]|2\d)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// ===================== BIBTEX IMPORT =====================
+const LATEX_ACCENTS = {
+  "'": '\u0301',
+  '`': '\u0300',
+  '^': '\u0302',
+  '"': '\u0308',
+  '~': '\u0303',
+  '=': '\u0304',
+  '.': '\u0307',
+  u: '\u0306',
+  v: '\u030c',
+  H: '\u030b',
+  c: '\u0327',
+  k: '\u0328'
+};
+
+const LATEX_SYMBOLS = {
+  ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı'
+};
+
+// Turns LaTeX markup in a field value into plain text
+function latexToText(value) {
+  return value
+    .replace(/\\([`'^"~=.])\s*\{?\s*\\?([A-Za-z])\s*\}?/g, (m, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\([uvHck])\s*\{\s*\\?([A-Za-z])\s*\}/g, (m, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i)\b\s*/g, (m, symbol) => LATEX_SYMBOLS[symbol])
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/\\textemdash\b\s*|---/g, '—')
+    .replace(/\\textendash\b\s*|--/g, '–')
+    .replace(/~/g, ' ')
+    .replace(/\\[a-zA-Z]+\s*/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Reads one field value starting at text[i]: {braced}, "quoted", a number or a
+// @string macro, joined with #. Returns [value, index after the value].
+function readBibtexValue(text, i, macros) {
+  let value = '';
+  for (;;) {
+    while (/\s/.test(text[i])) i++;
+    const open = text[i];
+
+    if (open === '{' || open === '"') {
+      const close = open === '{' ? '}' : '"';
+      let depth = 0;
+      let j = i + 1;
+      for (; j < text.length; j++) {
+        const ch = text[j];
+        if (ch === '\\') { j++; continue; }
+        if (ch === '{') depth++;
+        else if (ch === '}' && depth > 0) depth--;
+        else if (ch === close && depth === 0) break;
+      }
+      value += text.slice(i + 1, j);
+      i = j + 1;
+    } else {
+      const match = text.slice(i).match(/^[^\s,#})]+/);
+      const word = match ? match[0] : '';
+      value += macros[word.toLowerCase()] !== undefined ? macros[word.toLowerCase()] : word;
+      i += word.length;
+    }
+
+    while (/\s/.test(text[i])) i++;
+    if (text[i] !== '#') return [value, i];
+    i++;
+  }
+}
+
+function readBibtexFields(text, i, macros) {
+  const fields = {};
+  for (;;) {
+    while (/[\s,]/.test(text[i])) i++;
+    if (i >= text.length || text[i] === '}' || text[i] === ')') return [fields, i + 1];
+
+    const name = text.slice(i).match(/^[^\s=,{}()]+/);
+    if (!name) return [fields, i + 1];
+    i += name[0].length;
+    while (/\s/.test(text[i])) i++;
+    if (text[i] !== '=') continue;
+
+    const [value, next] = readBibtexValue(text, i + 1, macros);
+    fields[name[0].toLowerCase()] = value;
+    i = next;
+  }
+}
+
+function publicationFromBibtex(type, key, fields) {
+  const clean = name => (fields[name] !== undefined ? latexToText(fields[name]) : '');
+  // URLs and DOIs keep their ~, -- and _ characters
+  const verbatim = name => (fields[name] || '').replace(/\\_/g, '_').replace(/[{}\s]/g, '');
+  const pubstate = clean('pubstate').toLowerCase();
+
+  return {
+    title: clean('title'),
+    authors: fields.author
+      ? fields.author.split(/\s+and\s+/i).map(latexToText).filter(Boolean).map(displayName)
+      : [],
+    venue: clean('journal') || clean('journaltitle') || clean('booktitle') || clean('school')
+      || clean('institution') || clean('series') || clean('howpublished'),
+    year: parseYear(fields.year || fields.date),
+    doi: normalizeDoi(verbatim('doi')),
+    url: verbatim('url'),
+    type: BIBTEX_TYPES[type] || 'other',
+    status: pubstate === 'submitted' ? 'submitted'
+      : ['inpress', 'forthcoming', 'accepted'].includes(pubstate) ? 'accepted'
+        : 'published',
+    volume: clean('volume'),
+    issue: clean('number') || clean('issue'),
+    pages: clean('pages'),
+    publisher: clean('publisher'),
+    bibtex_key: key
+  };
+}
+
+function parseBibtex(text) {
+  const entries = [];
+  const macros = { jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December' };
+  const entryStart = /@\s*([a-zA-Z]+)\s*[{(]/g;
+  let match;
+
+  while ((match = entryStart.exec(text))) {
+    const type = match[1].toLowerCase();
+    let i = entryStart.lastIndex;
+
+    if (type === 'comment' || type === 'preamble') {
+      continue;
+    }
+    if (type === 'string') {
+      const [fields, next] = readBibtexFields(text, i, macros);
+      Object.entries(fields).forEach(([name, value]) => { macros[name] = value; });
+      entryStart.lastIndex = next;
+      continue;
+    }
+
+    const key = text.slice(i).match(/^\s*([^,\s}]*)\s*,/);
+    if (key) i += key[0].length;
+    const [fields, next] = readBibtexFields(text, i, macros);
+    entryStart.lastIndex = next;
+    entries.push(publicationFromBibtex(type, key ? key[1] : '', fields));
+  }
+
+  return entries;
+}
+
+// ===================== RIS IMPORT =====================
+function parseRis(text) {
+  const entries = [];
+  let record = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+    if (!match) continue;
+    const [, tag, rawValue] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      record = { TY: value, AU: [] };
+      continue;
+    }
+    if (!record) continue;
+    if (tag === 'ER') {
+      entries.push(publicationFromRis(record));
+      record = null;
+      continue;
+    }
+    if (tag === 'AU' || tag === 'A1') {
+      record.AU.push(value);
+    } else if (record[tag] === undefined) {
+      record[tag] = value;
+    }
+  }
+
+  if (record) entries.push(publicationFromRis(record));
+  return entries;
+}
+
+function publicationFromRis(record) {
+  const type = RIS_TYPES[record.TY] || 'other';
+  const pages = [record.SP, record.EP].filter(Boolean).join('–');
+
+  return {
+    title: record.TI || record.T1 || record.CT || '',
+    authors: record.AU.filter(Boolean).map(displayName),
+    venue: record.JO || record.JF || record.T2 || record.BT || record.JA || record.J2 || '',
+    year: parseYear(record.PY || record.Y1 || record.DA),
+    doi: normalizeDoi(record.DO),
+    url: record.UR || '',
+    type,
+    status: 'published',
+    volume: record.VL || '',
+    issue: record.IS || '',
+    pages,
+    publisher: record.PB || '',
+    bibtex_key: ''
+  };
+}
+
+// Guesses the format of pasted text: RIS records start with "TY  -"
+function parseBibliography(text, format) {
+  const kind = format || (/^\s*TY  -/m.test(text) ? 'ris' : 'bibtex');
+  return kind === 'ris' ? parseRis(text) : parseBibtex(text);
+}
+
+// ===================== BIBTEX EXPORT =====================
+function escapeBibtex(value) {
+  return String(value)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([&%$#_])/g, '\\$1')
+    .replace(/[{}]/g, '')
+    .replace(/–/g, '--')
+    .replace(/—/g, '---');
+}
+
+function citationKey(pub, used) {
+  const lastName = (pub.authors[0] || 'anon').split(/\s+/).pop();
+  const firstWord = (pub.title.split(/\s+/).find(word => titleKey(word).length > 3) || '');
+  const base = `${titleKey(lastName)}${pub.year || ''}${titleKey(firstWord)}` || 'publication';
+
+  let key = base;
+  for (let n = 0; used.has(key); n++) {
+    key = base + String.fromCharCode(97 + (n % 26)) + (n >= 26 ? Math.floor(n / 26) : '');
+  }
+  used.add(key);
+  return key;
+}
+
+function toBibtex(publications) {
+  const used = new Set();
+
+  return publications.map(pub => {
+    const shape = BIBTEX_EXPORT[pub.type] || BIBTEX_EXPORT.other;
+    const key = pub.bibtex_key && !used.has(pub.bibtex_key)
+      ? (used.add(pub.bibtex_key), pub.bibtex_key)
+      : citationKey(pub, used);
+
+    const fields = [
+      ['title', pub.title],
+      ['author', pub.authors.join(' and ')],
+      [shape.venue, pub.venue],
+      ['year', pub.year],
+      ['volume', pub.volume],
+      ['number', pub.issue],
+      ['pages', pub.pages],
+      ['publisher', pub.publisher],
+      ['doi', pub.doi],
+      ['url', pub.url],
+      ['pubstate', pub.status === 'submitted' ? 'submitted' : pub.status === 'accepted' ? 'inpress' : '']
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    // Double braces keep the title's capitalisation under any bibliography style
+    const body = fields
+      .map(([name, value]) => {
+        if (name === 'url' || name === 'doi') return `  ${name} = {${String(value).replace(/[{}]/g, '')}}`;
+        if (name === 'title') return `  title = {{${escapeBibtex(value)}}}`;
+        return `  ${name} = {${escapeBibtex(value)}}`;
+      })
+      .join(',\n');
+    return `@${shape.type}{${key},\n${body}\n}\n`;
+  }).join('\n');
+}
+
+// ===================== CITATION TEXT =====================
+// "Venue, 12(3), 45–67" for one-line listings such as the resume
+function venueLine(pub) {
+  const volume = pub.volume ? `${pub.volume}${pub.issue ? `(${pub.issue})` : ''}` : '';
+  return [pub.venue, volume, pub.pages].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  PUBLICATION_TYPES,
+  PUBLICATION_STATUSES,
+  normalizeDoi,
+  titleKey,
+  findDuplicate,
+  parseBibtex,
+  parseRis,
+  parseBibliography,
+  toBibtex,
+  venueLine
+};
@@ -0,0 +1,81 @@
+// ===================== GRANTS =====================
+// Budget arithmetic for the grants tracker and the conversion of the free-text
+// grants people used to keep in their profile. Amounts are plain numbers in the
+// grant's currency; sums are done in cents so balances don't drift.
+
+const GRANT_STATUSES = ['pending', 'active', 'completed', 'declined'];
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY' };
+const AMOUNT_SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, mn: 1e6, lakh: 1e5, lakhs: 1e5, lac: 1e5, crore: 1e7, crores: 1e7 };
+
+function cents(value) {
+  return Math.round(Number(value || 0) * 100);
+}
+
+function sumAmounts(rows) {
+  return rows.reduce((total, row) => total + cents(row.amount), 0) / 100;
+}
+
+// "$1.2M", "250k", "INR 5 lakh", "1,20,000" -> number, or null when there's no figure
+function parseAmount(value) {
+  const match = String(value || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([a-z]+)?/i);
+  if (!match) return null;
+  const scale = AMOUNT_SCALES[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(Number(match[1]) * scale * 100) / 100;
+}
+
+function parseCurrency(value) {
+  const text = String(value || '');
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => text.includes(s));
+  if (symbol) return CURRENCY_SYMBOLS[symbol];
+  if (/\b(rs\.?|inr)\b/i.test(text)) return 'INR';
+  const code = text.match(/\b(USD|EUR|GBP|CAD|AUD|JPY|CHF|CNY)\b/i);
+  return code ? code[1].toUpperCase() : null;
+}
+
+// One entry of the old profiles.grants JSON:
+//   { projectTitle, role, agency, amount, duration, status: 'ongoing' | 'completed' }
+// Durations like "2019-2022" only give years, so dates span whole years and the
+// original text is kept in the notes.
+function grantFromProfileEntry(entry) {
+  const years = String(entry.duration || '').match(/\b(19|20)\d{2}\b/g) || [];
+  const notes = [
+    entry.duration ? `Duration: ${entry.duration}` : '',
+    entry.amount ? `Amount: ${entry.amount}` : ''
+  ].filter(Boolean);
+
+  return {
+    title: String(entry.projectTitle || '').trim() || 'Untitled grant',
+    role: entry.role || '',
+    grant_number: '',
+    agency: entry.agency || '',
+    amount: parseAmount(entry.amount),
+    currency: parseCurrency(entry.amount) || 'USD',
+    start_date: years[0] ? `${years[0]}-01-01` : null,
+    end_date: years.length > 1 ? `${years[years.length - 1]}-12-31` : null,
+    status: entry.status === 'completed' ? 'completed' : 'active',
+    notes: notes.length ? `Imported from profile. ${notes.join('; ')}` : ''
+  };
+}
+
+// Spend against the award and against each budget line. Expenses without a
+// line count toward the total only.
+function grantBalance(grant, budgetLines, expenses) {
+  const lines = budgetLines.map(line => {
+    const lineExpenses = expenses.filter(e => e.budget_line_id === line.id);
+    const spent = sumAmounts(lineExpenses);
+    return { ...line, spent, remaining: (cents(line.amount) - cents(spent)) / 100 };
+  });
+  const budgeted = sumAmounts(budgetLines);
+  const spent = sumAmounts(expenses);
+
+  return {
+    budget_lines: lines,
+    budgeted,
+    spent,
+    remaining: (cents(grant.amount) - cents(spent)) / 100,
+    unallocated: (cents(grant.amount) - cents(budgeted)) / 100
+  };
+}
+
+module.exports = { GRANT_STATUSES, parseAmount, parseCurrency, grantFromProfileEntry, grantBalance };
@@ -0,0 +1,106 @@
+// ===================== SAFE HTML =====================
+// Tagged template for HTML built on the server. Every interpolated value is
+// escaped for the place it lands in:
+//   element text and quoted attribute values  -> HTML entities
+//   href / src / action attribute values      -> URL scheme checked first
+//   event handlers, style attributes, <script>/<style> bodies, attribute
+//   names and unquoted values                 -> refused with an error
+// Results of html`` (and arrays of them) nest without being escaped again;
+// trusted() marks constant markup such as a stylesheet as safe to insert.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite'];
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/`/g, '&#96;');
+}
+
+// The URL if it is relative or uses an allowed scheme, otherwise null.
+// Browsers drop whitespace and control characters inside a scheme, so
+// "java\tscript:" is checked as "javascript:".
+function safeUrl(value) {
+  const url = String(value == null ? '' : value).trim();
+  if (!url) return null;
+
+  const scheme = url.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([^/?#]*?):/);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return url;
+}
+
+function trusted(markup) {
+  return new SafeHtml(String(markup));
+}
+
+// Where the next interpolation lands, judged from the markup written so far
+function contextOf(markup) {
+  const lower = markup.toLowerCase();
+  for (const element of ['script', 'style']) {
+    if (lower.lastIndexOf(`<${element}`) > lower.lastIndexOf(`</${element}`)) {
+      return { kind: 'raw', element };
+    }
+  }
+
+  const tagStart = markup.lastIndexOf('<');
+  if (tagStart <= markup.lastIndexOf('>')) {
+    return { kind: 'text' };
+  }
+
+  const attribute = markup.slice(tagStart).match(/([^\s"'=<>`/]+)\s*=\s*(["'])(?:(?!\2)[\s\S])*$/);
+  if (!attribute) {
+    return { kind: 'tag' };
+  }
+  return { kind: 'attribute', name: attribute[1].toLowerCase() };
+}
+
+function renderValue(value, context) {
+  if (value == null || value === false) return '';
+  if (Array.isArray(value)) return value.map(item => renderValue(item, context)).join('');
+
+  switch (context.kind) {
+    case 'text':
+      return value instanceof SafeHtml ? value.value : escapeHtml(value);
+    case 'raw':
+      if (value instanceof SafeHtml) return value.value;
+      throw new Error(`Refusing to interpolate into a <${context.element}> element`);
+    case 'tag':
+      throw new Error('Refusing to interpolate an attribute name or unquoted attribute value');
+    case 'attribute':
+      if (context.name.startsWith('on') || context.name === 'style') {
+        throw new Error(`Refusing to interpolate into the ${context.name} attribute`);
+      }
+      if (URL_ATTRIBUTES.includes(context.name)) {
+        return escapeHtml(safeUrl(String(value)) || '#');
+      }
+      return escapeHtml(value);
+    default:
+      return '';
+  }
+}
+
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += renderValue(value, contextOf(markup)) + strings[i + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+module.exports = { html, trusted, escapeHtml, safeUrl, SafeHtml };
@@ -0,0 +1,462 @@
+const { WEEKDAYS, isDate } = require('./rrule');
+const { timeZoneName, offsetAt, zonedToUtc, utcToZoned } = require('./timezone');
+
+// ===================== ICALENDAR =====================
+// Reads and writes RFC 5545 (.ics) calendars for calendar_events.
+// Export takes event rows and their exception rows; changed occurrences become
+// their own VEVENTs with a RECURRENCE-ID and cancelled ones become EXDATEs.
+// Import gives events in the shape POST /events accepts, plus a uid, the
+// occurrence a VEVENT overrides (recurrenceId) and whether it was cancelled.
+// Timed events are written in their own zone (TZID, with a VTIMEZONE for it).
+// Imported ones keep the zone of their DTSTART: its TZID, 'UTC' for UTC times
+// or null for floating times, which the importer gives the user's zone.
+
+const PRODID = '-//Research Portal//Calendar//EN';
+const UID_DOMAIN = 'research-portal';
+
+// ===================== TEXT VALUES =====================
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// Content lines are folded at 75 octets, never inside a UTF-8 character
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// ===================== DATES =====================
+const DAY_MS = 86400000;
+const basicDate = date => date.replace(/-/g, '');
+const basicDateTime = (date, time) => `${basicDate(date)}T${time.replace(':', '').padEnd(4, '0').slice(0, 4)}00`;
+
+function utcStamp(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+// "20250106" or "20250106T090000(Z)" -> { date: '2025-01-06', time: '09:00' or null, utc }
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  return { date: `${match[1]}-${match[2]}-${match[3]}`, time: match[4] ? `${match[4]}:${match[5]}` : null, utc: Boolean(match[7]) };
+}
+
+// "-PT15M", "P1D", "PT1H30M" -> minutes (negative before the start)
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 + Number(days || 0)) * 1440 + Number(hours || 0) * 60 + Number(minutes || 0);
+  return sign === '-' ? -total : total;
+}
+
+function addMinutes(time, minutes) {
+  const [h, m] = time.split(':').map(Number);
+  const total = Math.min(h * 60 + m + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// ===================== TIME ZONES =====================
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+function localStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+// The instants in `year` when the zone's offset changes, to the minute
+function offsetChanges(zone, year) {
+  const changes = [];
+  let previous = offsetAt(Date.UTC(year, 0, 1), zone);
+  for (let day = Date.UTC(year, 0, 1); day < Date.UTC(year + 1, 0, 1); day += DAY_MS) {
+    const next = offsetAt(day + DAY_MS, zone);
+    if (next === previous) continue;
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetAt(middle, zone) === previous) low = middle;
+      else high = middle;
+    }
+    changes.push({ at: high, from: previous, to: next });
+    previous = next;
+  }
+  return changes;
+}
+
+// Day of the month of the nth weekday (n = -1 for the last)
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDate = new Date(Date.UTC(year, month, 0));
+  return lastDate.getUTCDate() - ((lastDate.getUTCDay() - weekday + 7) % 7);
+}
+
+// VTIMEZONE for a zone as its offsets are in `year`. A zone that changes twice
+// a year gets a yearly rule for each change (the usual "last Sunday in March"),
+// one without daylight saving a single offset, and anything else the changes
+// of that year as they are.
+function timezoneLines(zone, year) {
+  const changes = offsetChanges(zone, year);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+  const observance = (type, start, from, to, rrule) => [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    `END:${type}`
+  ];
+
+  if (changes.length === 0) {
+    const offset = offsetAt(Date.UTC(year, 0, 1), zone);
+    lines.push(...observance('STANDARD', '19700101T000000', offset, offset));
+  } else if (changes.length === 2) {
+    for (const change of changes) {
+      // Local time of the change, on the clock it changes from
+      const local = new Date(change.at + change.from * 60000);
+      const month = local.getUTCMonth() + 1;
+      const weekday = local.getUTCDay();
+      const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month, 0)).getUTCDate();
+      const n = local.getUTCDate() + 7 > daysInMonth ? -1 : Math.ceil(local.getUTCDate() / 7);
+      const start = `1970${String(month).padStart(2, '0')}${String(nthWeekday(1970, month, weekday, n)).padStart(2, '0')}` +
+        localStamp(local.getTime()).slice(8);
+      lines.push(...observance(change.to > change.from ? 'DAYLIGHT' : 'STANDARD', start, change.from, change.to,
+        `FREQ=YEARLY;BYMONTH=${month};BYDAY=${n}${WEEKDAYS[weekday]}`));
+    }
+  } else {
+    for (const change of changes) {
+      lines.push(...observance(change.to > change.from ? 'DAYLIGHT' : 'STANDARD',
+        localStamp(change.at + change.from * 60000), change.from, change.to));
+    }
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// ===================== EXPORT =====================
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function eventUid(row) {
+  return row.uid || `event-${row.id}@${UID_DOMAIN}`;
+}
+
+function isAllDayRow(row) {
+  return Boolean(row.is_all_day) || !row.start_time;
+}
+
+// DTSTART-style property for a date (and the series' time of day) in the
+// event's zone; events without one are written as floating times
+function dateProperty(name, date, time, allDay, zone) {
+  if (allDay) return `${name};VALUE=DATE:${basicDate(date)}`;
+  if (zone === 'UTC') return `${name}:${basicDateTime(date, time)}Z`;
+  return zone ? `${name};TZID=${zone}:${basicDateTime(date, time)}` : `${name}:${basicDateTime(date, time)}`;
+}
+
+function timingLines(date, start, end, allDay, zone) {
+  const lines = [dateProperty('DTSTART', date, start, allDay, zone)];
+  if (allDay) {
+    lines.push(`DTEND;VALUE=DATE:${basicDate(nextDay(date))}`);
+  } else if (end && end > start) {
+    lines.push(dateProperty('DTEND', date, end, false, zone));
+  }
+  return lines;
+}
+
+// UNTIL has to match DTSTART: a date for all-day events, the end of that day
+// in UTC for zoned ones and a local date-time for floating ones
+function exportRrule(rrule, allDay, zone) {
+  if (allDay) return rrule;
+  return rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?!T)/, (_, y, m, d) => (zone
+    ? `UNTIL=${localStamp(zonedToUtc(`${y}-${m}-${d}`, '23:59', zone) + 59000)}Z`
+    : `UNTIL=${y}${m}${d}T235959`));
+}
+
+function detailLines(fields) {
+  const lines = [];
+  if (fields.title) lines.push(`SUMMARY:${escapeText(fields.title)}`);
+  if (fields.description) lines.push(`DESCRIPTION:${escapeText(fields.description)}`);
+  if (fields.location) lines.push(`LOCATION:${escapeText(fields.location)}`);
+  if (fields.category) lines.push(`CATEGORIES:${escapeText(fields.category)}`);
+  return lines;
+}
+
+function eventZone(row) {
+  return timeZoneName(row.time_zone);
+}
+
+function eventLines(row, exceptions, stamp) {
+  const allDay = isAllDayRow(row);
+  const zone = eventZone(row);
+  const uid = eventUid(row);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    ...timingLines(row.event_date, row.start_time, row.end_time, allDay, zone),
+    ...detailLines(row)
+  ];
+
+  if (row.rrule) {
+    lines.push(`RRULE:${exportRrule(row.rrule, allDay, zone)}`);
+    for (const exception of exceptions.filter(e => e.cancelled)) {
+      lines.push(dateProperty('EXDATE', exception.occurrence_date, row.start_time, allDay, zone));
+    }
+  }
+
+  // Attendees are free text; the ones written as email addresses are exported
+  for (const attendee of String(row.attendees || '').split(/[,;]/).map(a => a.trim()).filter(a => EMAIL.test(a))) {
+    lines.push(`ATTENDEE:mailto:${attendee}`);
+  }
+  if (row.show_as === 'free') lines.push('TRANSP:TRANSPARENT');
+  if (row.show_as === 'tentative') lines.push('STATUS:TENTATIVE');
+  if (row.priority === 'high') lines.push('PRIORITY:1');
+  if (row.priority === 'low') lines.push('PRIORITY:9');
+  if (row.meeting_link) lines.push(`URL:${row.meeting_link}`);
+  if (utcStamp(row.created_date)) lines.push(`CREATED:${utcStamp(row.created_date)}`);
+  if (utcStamp(row.modified_date)) lines.push(`LAST-MODIFIED:${utcStamp(row.modified_date)}`);
+
+  const reminder = Number(row.reminder);
+  if (reminder > 0) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(row.title || 'Reminder')}`,
+      `TRIGGER:-PT${reminder}M`, 'END:VALARM');
+  }
+  lines.push('END:VEVENT');
+
+  // Changed occurrences follow their series as overriding VEVENTs
+  if (row.rrule) {
+    for (const exception of exceptions.filter(e => !e.cancelled)) {
+      const fields = {};
+      for (const column of ['title', 'description', 'location', 'category', 'event_date', 'start_time', 'end_time']) {
+        fields[column] = exception[column] !== null ? exception[column] : row[column];
+      }
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        dateProperty('RECURRENCE-ID', exception.occurrence_date, row.start_time, allDay, zone),
+        ...timingLines(exception.event_date || exception.occurrence_date, fields.start_time, fields.end_time, allDay, zone),
+        ...detailLines(fields),
+        'END:VEVENT'
+      );
+    }
+  }
+  return lines;
+}
+
+// rows: calendar_events rows; exceptions: calendar_event_exceptions rows for them
+function toICalendar(rows, exceptions, { name = 'Research Portal', now = new Date() } = {}) {
+  const stamp = utcStamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  const exported = rows.filter(row => isDate(row.event_date));
+
+  // Each zone a timed event uses, described once before the events
+  const zones = new Set(exported.filter(row => !isAllDayRow(row)).map(eventZone).filter(zone => zone && zone !== 'UTC'));
+  for (const zone of zones) {
+    lines.push(...timezoneLines(zone, now.getUTCFullYear()));
+  }
+  for (const row of exported) {
+    lines.push(...eventLines(row, exceptions.filter(e => e.event_id === row.id), stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ===================== IMPORT =====================
+// Splits on `separator` outside double quotes
+function splitUnquoted(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// "DTSTART;TZID=Europe/London:20250106T090000" -> { name, params, value }
+function parseContentLine(line) {
+  let colon = 0;
+  let quoted = false;
+  for (; colon < line.length; colon++) {
+    if (line[colon] === '"') quoted = !quoted;
+    if (line[colon] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = splitUnquoted(line.slice(0, colon), ';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.trim().toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.trim().toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// The calendar's components as { type, props: [...], children: [...] }
+function parseComponents(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const root = { type: 'ROOT', props: [], children: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const prop = parseContentLine(line);
+    const current = stack[stack.length - 1];
+    if (prop.name === 'BEGIN') {
+      const component = { type: prop.value.trim().toUpperCase(), props: [], children: [] };
+      current.children.push(component);
+      stack.push(component);
+    } else if (prop.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.props.push(prop);
+    }
+  }
+  return root;
+}
+
+const PRIORITIES = value => {
+  const n = Number(value);
+  if (n >= 1 && n <= 4) return 'high';
+  if (n >= 6 && n <= 9) return 'low';
+  return 'normal';
+};
+
+// Minutes before the start of the first alarm that goes off before it
+function reminderMinutes(alarms) {
+  for (const alarm of alarms) {
+    const trigger = alarm.props.find(p => p.name === 'TRIGGER');
+    if (!trigger || trigger.params.VALUE === 'DATE-TIME' || trigger.params.RELATED === 'END') continue;
+    const minutes = parseDuration(trigger.value);
+    if (minutes !== null && minutes <= 0) return -minutes;
+  }
+  return 0;
+}
+
+// The zone a date-time property is in: its TZID (null for names that aren't
+// IANA zones, e.g. Windows ones), 'UTC' for UTC times, null for floating ones
+function propertyZone(prop, value) {
+  if (prop.params.TZID) return timeZoneName(prop.params.TZID.replace(/^\/[^/]+\/[^/]+\//, ''));
+  return value.utc ? 'UTC' : null;
+}
+
+function eventFromVevent(component) {
+  const first = name => component.props.find(p => p.name === name);
+  const all = name => component.props.filter(p => p.name === name);
+  const text = name => (first(name) ? unescapeText(first(name).value).trim() : '');
+
+  const start = first('DTSTART') && parseDateValue(first('DTSTART').value);
+  if (!start) return { error: "Event has no start date.", title: text('SUMMARY') };
+
+  const allDay = (first('DTSTART').params.VALUE || '').toUpperCase() === 'DATE' || !start.time;
+  const zone = allDay ? null : propertyZone(first('DTSTART'), start);
+
+  // A date-time given in another zone than DTSTART's, moved onto its clock
+  const inStartZone = (prop, value) => {
+    const from = value && value.time && propertyZone(prop, value);
+    if (!zone || !from || from === zone) return value;
+    const moved = utcToZoned(zonedToUtc(value.date, value.time, from), zone);
+    return { date: moved.date, time: moved.time, utc: false };
+  };
+  const dateOf = prop => prop.value.split(',').map(value => inStartZone(prop, parseDateValue(value))).filter(Boolean);
+
+  let end = null;
+  if (!allDay) {
+    const dtend = first('DTEND') && dateOf(first('DTEND'))[0];
+    const duration = first('DURATION') && parseDuration(first('DURATION').value);
+    if (dtend && dtend.time) {
+      // Events here last within a day, so one ending on a later day ends at midnight
+      end = dtend.date === start.date ? dtend.time : '23:59';
+    } else if (duration) {
+      end = addMinutes(start.time, duration);
+    }
+  }
+
+  const status = text('STATUS').toUpperCase();
+  const link = text('URL') || text('X-GOOGLE-CONFERENCE');
+  const recurrenceId = first('RECURRENCE-ID') && dateOf(first('RECURRENCE-ID'))[0];
+  const exdates = all('EXDATE').flatMap(dateOf).map(value => value.date);
+
+  return {
+    uid: text('UID') || null,
+    recurrenceId: recurrenceId ? recurrenceId.date : null,
+    cancelled: status === 'CANCELLED',
+    title: text('SUMMARY') || '(No title)',
+    description: text('DESCRIPTION'),
+    date: start.date,
+    start: allDay ? '' : start.time,
+    end: end || '',
+    isAllDay: allDay,
+    timeZone: zone,
+    location: text('LOCATION'),
+    category: first('CATEGORIES') ? splitUnquoted(first('CATEGORIES').value, ',').map(unescapeText)[0].trim() : '',
+    attendees: all('ATTENDEE')
+      .map(p => p.value.replace(/^mailto:/i, '').trim() || p.params.CN || '')
+      .filter(Boolean)
+      .join(', '),
+    reminder: reminderMinutes(component.children.filter(child => child.type === 'VALARM')),
+    showAs: text('TRANSP').toUpperCase() === 'TRANSPARENT' ? 'free' : status === 'TENTATIVE' ? 'tentative' : 'busy',
+    priority: PRIORITIES(text('PRIORITY')),
+    isOnline: Boolean(link),
+    meetingLink: link,
+    rrule: first('RRULE') ? first('RRULE').value.trim() : '',
+    exdates
+  };
+}
+
+// Every VEVENT in the file, in order; ones that can't be read come back as { error, title }
+function parseICalendar(text) {
+  const root = parseComponents(text);
+  const calendars = root.children.filter(child => child.type === 'VCALENDAR');
+  return calendars
+    .flatMap(calendar => calendar.children.filter(child => child.type === 'VEVENT'))
+    .map(eventFromVevent);
+}
+
+module.exports = { UID_DOMAIN, toICalendar, parseICalendar };
@@ -0,0 +1,93 @@
+// ===================== LIST QUERIES =====================
+// The query string every list endpoint understands:
+//   limit, offset   page through the rows; without a limit every row is returned
+//   sort, order     one of the endpoint's sort keys, asc or desc
+//   <filter>=a,b    exact match on any of the values (category, priority, status...)
+//   from, to        inclusive YYYY-MM-DD range on the endpoint's date column
+//   q               case-insensitive substring match on the endpoint's text columns
+// An endpoint describes what it allows with a spec:
+//   { filters: { param: column }, date, text: [columns],
+//     sorts: { key: { by: expression or [expressions], order } }, sort, first }
+// `first` is an ordering that always comes before the chosen sort (e.g. pinned).
+
+const MAX_LIST_LIMIT = 200;
+const LIST_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Priority as a number so "priority desc" puts the most urgent first
+const PRIORITY_RANK = "CASE priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END";
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+function wholeNumber(value, name) {
+  if (value === undefined || value === '') return { value: undefined };
+  if (!/^\d+$/.test(String(value))) return { error: `${name} must be a whole number.` };
+  return { value: Number(value) };
+}
+
+// Reads req.query against a spec. Conditions use $n placeholders numbered after
+// the values already in `params`, which the values are pushed onto.
+// Returns { error } or { conditions, orderBy, paging, paged }.
+function listQuery(query, spec, params) {
+  const conditions = [];
+  const add = value => `$${params.push(value)}`;
+
+  for (const [param, column] of Object.entries(spec.filters || {})) {
+    if (query[param] === undefined || query[param] === '' || query[param] === 'all') continue;
+    const values = String(query[param]).split(',').map(v => v.trim()).filter(Boolean);
+    conditions.push(`${column} = ANY(${add(values)}::text[])`);
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (!query[bound]) continue;
+    if (!spec.date) return { error: `This list can't be filtered by date.` };
+    if (!LIST_DATE.test(query[bound])) return { error: `${bound} must be a date (YYYY-MM-DD).` };
+    // Dates may carry a time, so compare the day part for the upper bound
+    conditions.push(bound === 'from'
+      ? `${spec.date} >= ${add(query.from)}`
+      : `SUBSTRING(${spec.date}, 1, 10) <= ${add(query.to)}`);
+  }
+  if (query.from && query.to && query.from > query.to) {
+    return { error: "from must not be after to." };
+  }
+
+  const text = String(query.q || '').trim();
+  if (text && spec.text) {
+    const pattern = add(`%${escapeLike(text)}%`);
+    conditions.push(`(${spec.text.map(column => `${column} ILIKE ${pattern}`).join(' OR ')})`);
+  }
+
+  // Own keys only: ?sort=constructor must not find Object.prototype's
+  const sortKey = query.sort || spec.sort;
+  const sort = Object.hasOwn(spec.sorts, sortKey) ? spec.sorts[sortKey] : null;
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(spec.sorts).join(', ')}.` };
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    return { error: "order must be asc or desc." };
+  }
+  const direction = (query.order || sort.order || 'asc').toUpperCase();
+  const orderBy = [
+    ...(spec.first ? [spec.first] : []),
+    ...[].concat(sort.by).map(expression => `${expression} ${direction} NULLS LAST`),
+    'id DESC'
+  ].join(', ');
+
+  const limit = wholeNumber(query.limit, 'limit');
+  const offset = wholeNumber(query.offset, 'offset');
+  if (limit.error || offset.error) return { error: limit.error || offset.error };
+  if (limit.value === 0 || limit.value > MAX_LIST_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIST_LIMIT}.` };
+  }
+  // Checked to be whole numbers above, so they go in as they are and the
+  // same params serve the count query
+  const paging = [
+    limit.value !== undefined ? ` LIMIT ${limit.value}` : '',
+    offset.value ? ` OFFSET ${offset.value}` : ''
+  ].join('');
+
+  return { conditions, orderBy, paging, paged: limit.value !== undefined || !!offset.value };
+}
+
+module.exports = { PRIORITY_RANK, listQuery, escapeLike };
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// ===================== MAIL TRANSPORT =====================
+// MAIL_TRANSPORT selects where outgoing mail goes:
+//   smtp    - a real SMTP server (or a local stand-in such as MailHog/Mailpit)
+//   file    - one .eml file per message in MAIL_DIR (default: ./mail, which the
+//             server refuses to serve)
+//   console - whole message printed to the server log, for development
+// Mail carries verification and password-reset links, so it is never logged
+// by default: with MAIL_TRANSPORT unset nothing is sent and only the recipient
+// and subject are logged. With NODE_ENV=production the server refuses to start
+// unless MAIL_TRANSPORT is smtp or file.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Research Portal <no-reply@localhost>';
+
+function transportKind() {
+  const kind = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+  if (process.env.NODE_ENV === 'production' && (!kind || kind === 'console')) {
+    throw new Error('Set MAIL_TRANSPORT to smtp or file: in production mail links must not go to the log');
+  }
+  if (!kind) {
+    console.warn('MAIL_TRANSPORT is not set: mail will not be sent (set it to smtp, file or console)');
+  }
+  return kind || 'none';
+}
+
+const KIND = transportKind();
+
+function createTransport(kind) {
+  switch (kind) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+    case 'none':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+  }
+}
+
+const transport = createTransport(KIND);
+
+async function sendMail({ to, subject, text, html }) {
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+  if (KIND === 'file') {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+    fs.mkdirSync(dir, { recursive: true });
+    const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+    fs.writeFileSync(path.join(dir, fileName), info.message);
+  } else if (KIND === 'console') {
+    console.log(`Mail to ${to}: ${subject}\n${text}`);
+  } else if (KIND === 'none') {
+    console.log(`Mail to ${to}: ${subject} (not sent: MAIL_TRANSPORT is not set)`);
+  }
+
+  return info;
+}
+
+module.exports = { sendMail };
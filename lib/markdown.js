@@ -0,0 +1,147 @@
+const { escapeHtml, safeUrl } = require('./html');
+
+// ===================== MARKDOWN =====================
+// Renders the Markdown used in notes to HTML. Raw HTML in the source is never
+// passed through: all text is escaped and link targets go through safeUrl, so
+// the output can be put straight into the page.
+// Supported: # headings, paragraphs (single newlines become <br>), **bold**,
+// *italic*, ~~strike~~, `code`, fenced code blocks, > quotes, - / 1. lists
+// (nested by indenting, "- [ ]" task items), --- rules, [links](url) and bare URLs.
+
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+function link(href, text) {
+  return `<a href="${escapeHtml(safeUrl(href) || '#')}" rel="nofollow noopener noreferrer" target="_blank">${text}</a>`;
+}
+
+function renderInline(source) {
+  // Code spans and links are rendered first and parked behind placeholders so
+  // the emphasis rules below can't reach into them
+  const parked = [];
+  const park = markup => `\u0000${parked.push(markup) - 1}\u0000`;
+
+  let text = source
+    .replace(/`([^`\n]+)`/g, (_, code) => park(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[([^\]\n]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)\s*\)/g, (_, label, href) => park(link(href, renderInline(label))))
+    .replace(/\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/g, url => park(link(url, escapeHtml(url))));
+
+  text = escapeHtml(text)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  return text.replace(PLACEHOLDER, (_, i) => parked[Number(i)]);
+}
+
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// Collects one list starting at lines[i]; items continue with lines indented
+// deeper than the marker, which are rendered as nested Markdown
+function renderList(lines, i) {
+  const first = LIST_ITEM.exec(lines[i]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+
+  while (i < lines.length) {
+    const item = LIST_ITEM.exec(lines[i]);
+    if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+      items.push([item[3]]);
+      i++;
+    } else if (items.length > 0 && lines[i].trim() !== '' && (lines[i].match(/^ */)[0].length > indent)) {
+      items[items.length - 1].push(lines[i].slice(Math.min(indent + 2, lines[i].match(/^ */)[0].length)));
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const start = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+  const body = items.map(([head, ...rest]) => {
+    const task = /^\[([ xX])\]\s+(.*)$/.exec(head);
+    const label = task
+      ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${renderInline(task[2])}`
+      : renderInline(head);
+    return `<li>${label}${rest.length ? renderMarkdown(rest.join('\n')) : ''}</li>`;
+  }).join('');
+
+  return { html: ordered ? `<ol${start}>${body}</ol>` : `<ul>${body}</ul>`, next: i };
+}
+
+function renderMarkdown(source) {
+  const lines = String(source || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const out = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) {
+      out.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = /^\s*(```|~~~)\s*([\w+-]*)/.exec(line);
+
+    if (fence) {
+      flush();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i++]);
+      }
+      i++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      out.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (line.trim() === '') {
+      flush();
+      i++;
+    } else if (/^ {0,3}(#{1,6})\s+/.test(line)) {
+      flush();
+      const [, hashes, text] = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+      out.push(`<h${hashes.length}>${renderInline(text)}</h${hashes.length}>`);
+      i++;
+    } else if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      out.push('<hr>');
+      i++;
+    } else if (/^ {0,3}>/.test(line)) {
+      flush();
+      const quote = [];
+      while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+        quote.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+      }
+      out.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      flush();
+      const list = renderList(lines, i);
+      out.push(list.html);
+      i = list.next;
+    } else {
+      paragraph.push(line.trim());
+      i++;
+    }
+  }
+  flush();
+
+  return out.join('\n');
+}
+
+// Plain text for previews and search snippets: the words without the markup
+function markdownToText(source) {
+  return String(source || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/!?\[([^\]]*)\]\((?:[^()\s]|\([^()\s]*\))*\)/g, '$1')
+    .replace(/^ {0,3}([-*_])(\s*\1){2,}\s*$/gm, ' ')
+    .replace(/^ {0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm, '')
+    .replace(/(\*\*|~~|`|\*)/g, '')
+    .replace(/(^|\W)__?|__?(?=\W|$)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { renderMarkdown, markdownToText };
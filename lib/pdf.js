@@ -0,0 +1,247 @@
+const PDFDocument = require('pdfkit');
+
+// ===================== PDF EXPORT =====================
+// Lays out resumes and project briefs as PDFs with pdfkit's built-in fonts, so
+// rendering needs no network access or headless browser. Pages are buffered
+// until the end so each one can get a running header and "Page x of y".
+
+const MARGIN = 60;
+const COLORS = {
+  heading: '#1a1a1a',
+  text: '#333333',
+  muted: '#666666',
+  accent: '#4f46e5',
+  rule: '#e5e7eb'
+};
+
+// ["Jane Doe", "cv"], "pdf" -> "jane-doe-cv.pdf"
+function downloadFilename(parts, extension) {
+  const slug = parts
+    .filter(Boolean)
+    .join(' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return `${slug || 'document'}.${extension}`;
+}
+
+// Small layout helper on top of pdfkit. end() resolves with the PDF as a Buffer.
+function createPdf({ title, author, header, serif = false }) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: title, Author: author || '' }
+  });
+  const fonts = serif
+    ? { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' }
+    : { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+  const width = doc.page.width - MARGIN * 2;
+  const pageBody = doc.page.height - MARGIN * 2;
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  function use(font, size, color = COLORS.text) {
+    return doc.font(font).fontSize(size).fillColor(color);
+  }
+
+  function heightOf(font, size, text, options = {}) {
+    return use(font, size).heightOfString(String(text), { width, ...options });
+  }
+
+  // Starts a new page unless `height` more points fit on the current one
+  function keep(height) {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + Math.min(height, pageBody) > bottom && doc.y > doc.page.margins.top) {
+      doc.addPage();
+    }
+  }
+
+  function rule(color, thickness) {
+    const y = doc.y + 2;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(thickness).strokeColor(color).stroke();
+    doc.y = y + thickness;
+  }
+
+  function paragraph(text, { font = fonts.regular, size = 10.5, color = COLORS.text } = {}) {
+    use(font, size, color).text(String(text), MARGIN, doc.y, { width, lineGap: 2 });
+  }
+
+  function decorate() {
+    const range = doc.bufferedPageRange();
+    const generated = new Date().toISOString().slice(0, 10);
+
+    for (let i = 0; i < range.count; i++) {
+      doc.switchToPage(range.start + i);
+      // Header and footer sit in the margins; drop the bottom margin while
+      // writing there so pdfkit doesn't break onto a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      use(fonts.regular, 8, COLORS.muted);
+
+      if (i > 0 && header) {
+        doc.text(header, MARGIN, MARGIN / 2, { width, lineBreak: false });
+      }
+      const footerY = doc.page.height - MARGIN / 2 - 8;
+      doc.text(`Generated ${generated}`, MARGIN, footerY, { width, lineBreak: false });
+      doc.text(`Page ${i + 1} of ${range.count}`, MARGIN, footerY, { width, align: 'right', lineBreak: false });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  return {
+    // Centred name block at the top of the first page
+    title(text, lines = [], link) {
+      use(fonts.bold, 22, COLORS.heading).text(text, MARGIN, doc.y, { width, align: 'center' });
+      for (const line of lines.filter(Boolean)) {
+        doc.moveDown(0.2);
+        use(fonts.regular, 10.5, COLORS.muted).text(line, { width, align: 'center' });
+      }
+      if (link) {
+        doc.moveDown(0.2);
+        use(fonts.regular, 10.5, COLORS.accent).text(link, { width, align: 'center', link, underline: true });
+      }
+      doc.moveDown(0.6);
+      rule(COLORS.accent, 2);
+      doc.moveDown(1);
+    },
+
+    // Headings move to the next page rather than sit alone at the bottom
+    section(text) {
+      keep(heightOf(fonts.bold, 13, text) + 60);
+      doc.moveDown(0.4);
+      use(fonts.bold, 13, COLORS.accent).text(text.toUpperCase(), MARGIN, doc.y, { width, characterSpacing: 0.5 });
+      rule(COLORS.rule, 1);
+      doc.moveDown(0.6);
+    },
+
+    // A dated entry (degree, job, grant...) kept on one page when it fits
+    item({ title, date, subtitle, details = [] }) {
+      const lines = details.filter(Boolean);
+      const height = heightOf(fonts.bold, 11, title || ' ')
+        + (subtitle ? heightOf(fonts.italic, 10.5, subtitle) : 0)
+        + lines.reduce((sum, line) => sum + heightOf(fonts.regular, 10.5, line, { lineGap: 2 }), 0)
+        + 12;
+      keep(height);
+
+      const top = doc.y;
+      let dateWidth = 0;
+      if (date) {
+        use(fonts.regular, 9.5, COLORS.muted);
+        dateWidth = doc.widthOfString(String(date)) + 12;
+        doc.text(String(date), MARGIN + width - dateWidth, top + 1, { width: dateWidth, align: 'right' });
+      }
+      use(fonts.bold, 11, COLORS.heading).text(title || '', MARGIN, top, { width: width - dateWidth });
+
+      if (subtitle) {
+        use(fonts.italic, 10.5, COLORS.muted).text(subtitle, MARGIN, doc.y, { width });
+      }
+      for (const line of lines) {
+        paragraph(line);
+      }
+      doc.moveDown(0.8);
+    },
+
+    // A labelled block of free text; the label stays with its first lines
+    field(label, text) {
+      keep(heightOf(fonts.bold, 10, label) + 40);
+      use(fonts.bold, 10, COLORS.muted).text(label, MARGIN, doc.y, { width });
+      doc.moveDown(0.2);
+      paragraph(text);
+      doc.moveDown(0.8);
+    },
+
+    paragraph(text) {
+      paragraph(text);
+      doc.moveDown(0.6);
+    },
+
+    list(items) {
+      use(fonts.regular, 10.5).list(items.map(String), MARGIN, doc.y, { width, lineGap: 2, bulletRadius: 1.5, textIndent: 12 });
+      doc.moveDown(0.6);
+    },
+
+    tags(values) {
+      paragraph(values.join('  ·  '), { color: COLORS.accent });
+      doc.moveDown(0.6);
+    },
+
+    end() {
+      decorate();
+      doc.end();
+      return finished;
+    }
+  };
+}
+
+// ===================== PROJECT BRIEF =====================
+// Mirrors the sections of the brief's view mode in description.html
+const BRIEF_PDF_SECTIONS = [
+  { title: 'Project Overview', text: 'notes' },
+  { title: 'Project Objectives', text: 'objectives' },
+  { title: 'Client Contact', lines: ['colleagueName', 'colleaguePhone', 'colleagueEmail', 'colleagueAddress1', 'colleagueAddress2', 'colleagueAddress3'] },
+  { title: 'Your Contact Information', lines: ['yourName', 'yourPhone', 'yourEmail', 'yourAddress1', 'yourAddress2', 'yourAddress3'] },
+  { title: 'Timeline & Audience', fields: [
+    ['timeline', 'Timeline & Milestones'],
+    ['primaryAudience', 'Primary Audience'],
+    ['secondaryAudience', 'Secondary Audience']
+  ] },
+  { title: 'Call To Action', text: 'callAction' },
+  { title: 'Competitive Analysis', text: 'competition' },
+  { title: 'Visual & Media Requirements', fields: [
+    ['graphics', 'Graphics & Design'],
+    ['photography', 'Photography'],
+    ['multimedia', 'Multimedia & Interactive']
+  ] },
+  { title: 'Additional Information', text: 'otherInfo' }
+];
+
+function renderBriefPdf({ projectName, owner, brief, revision, status }) {
+  const name = brief.projectTitle || projectName || 'Untitled Project';
+  const pdf = createPdf({ title: `Project Brief - ${name}`, author: owner, header: `${name} - Project Brief` });
+
+  pdf.title(name, [
+    name !== projectName ? projectName : '',
+    owner ? `Owner: ${owner}` : '',
+    [revision ? `Revision ${revision}` : '', status ? `Status: ${status}` : ''].filter(Boolean).join('  ·  ')
+  ]);
+
+  for (const section of BRIEF_PDF_SECTIONS) {
+    if (section.text) {
+      if (!brief[section.text]) continue;
+      pdf.section(section.title);
+      pdf.paragraph(brief[section.text]);
+    } else if (section.lines) {
+      const lines = section.lines.map(field => brief[field]).filter(Boolean);
+      if (lines.length === 0) continue;
+      pdf.section(section.title);
+      pdf.paragraph(lines.join('\n'));
+    } else {
+      const fields = section.fields.filter(([field]) => brief[field]);
+      if (fields.length === 0) continue;
+      pdf.section(section.title);
+      fields.forEach(([field, label]) => pdf.field(label, brief[field]));
+    }
+  }
+
+  if (brief.clientName || brief.approvalDate || brief.clientComments || brief.approvalSignature) {
+    pdf.section('Review & Approval');
+    if (brief.clientName) pdf.field('Reviewer', brief.clientName);
+    if (brief.approvalDate) pdf.field('Review Date', String(brief.approvalDate).slice(0, 10));
+    if (brief.clientComments) pdf.field('Review Comments', brief.clientComments);
+    if (brief.approvalSignature) pdf.field('Digital Signature', brief.approvalSignature);
+  }
+
+  return pdf.end();
+}
+
+module.exports = { createPdf, downloadFilename, renderBriefPdf };
@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// ===================== REMINDER CHANNELS =====================
+// How a due reminder reaches its user. Every channel has the same shape, so
+// another (chat, SMS...) can be added as one more entry:
+//   deliver(reminder, settings) - resolves once delivered, throws if it wasn't
+//   inbox   - an in-app notification (the notifications table)
+//   email   - through lib/mailer, so MAIL_TRANSPORT decides where it goes
+//   webhook - a signed JSON POST to the URL in the user's settings
+// REMINDER_CHANNELS (comma separated) limits the ones the server offers.
+//
+// Webhook URLs are typed in by users, so they may only reach public addresses:
+// a host that resolves to a loopback, private, link-local (cloud metadata) or
+// other reserved address is refused when the URL is saved, and again when the
+// connection is made, against the address actually connected to. Hosts listed
+// in WEBHOOK_ALLOWED_HOSTS (comma separated) are trusted wherever they point.
+
+const CHANNELS = ['inbox', 'email', 'webhook'];
+const DEFAULT_CHANNELS = ['inbox'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// Unspecified, loopback, IPv4-mapped and NAT64, documentation, unique local, link-local, multicast
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function enabledChannels() {
+  const names = (process.env.REMINDER_CHANNELS || CHANNELS.join(','))
+    .split(',')
+    .map(name => name.trim().toLowerCase());
+  return CHANNELS.filter(name => names.includes(name));
+}
+
+// Absolute link to the reminder's page, for messages read outside the portal
+function reminderUrl(reminder, baseUrl) {
+  return reminder.link ? `${baseUrl}/${reminder.link}` : baseUrl;
+}
+
+// Receivers check X-Portal-Signature against the body with their secret
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function newWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function allowedWebhookHost(hostname) {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .includes(hostname.toLowerCase());
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for webhook requests: fails rather than hand back an address a
+// webhook may not reach, so a host that changes its answer after the URL was
+// checked still can't point the request inside the network
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to an address webhooks may not reach.`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Why a webhook URL can't be used, or null if it can
+async function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return "webhookUrl must be an http(s) address.";
+  }
+
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (allowedWebhookHost(hostname)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `The webhook host ${hostname} could not be found.`;
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return "webhookUrl must point to a public address.";
+  }
+  return null;
+}
+
+// Resolves with the status code; redirects are not followed
+function postWebhook(value, body, headers) {
+  const url = new URL(value);
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowedWebhookHost(hostname) ? undefined : webhookLookup,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook timed out.')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// notify(reminder) stores the in-app notification; sendMail is lib/mailer's
+function createChannels({ notify, sendMail, baseUrl }) {
+  const all = {
+    inbox: {
+      deliver: reminder => notify(reminder)
+    },
+
+    email: {
+      deliver: reminder => sendMail({
+        to: reminder.user_email,
+        subject: `Reminder: ${reminder.title}`,
+        text: `${reminder.title}\n${reminder.body || ''}\n\nOpen the portal: ${reminderUrl(reminder, baseUrl)}\n`
+      })
+    },
+
+    webhook: {
+      async deliver(reminder, settings) {
+        if (!settings.webhook_url) throw new Error('No webhook URL is set.');
+        const invalid = await checkWebhookUrl(settings.webhook_url);
+        if (invalid) throw new Error(invalid);
+
+        const body = JSON.stringify({
+          type: 'reminder',
+          id: reminder.id,
+          source: { type: reminder.source_type, id: reminder.source_id, occurrence: reminder.occurrence },
+          title: reminder.title,
+          body: reminder.body,
+          url: reminderUrl(reminder, baseUrl),
+          due_at: new Date(reminder.due_at).toISOString(),
+          fire_at: new Date(reminder.fire_at).toISOString()
+        });
+        const status = await postWebhook(settings.webhook_url, body, {
+          'Content-Type': 'application/json',
+          'X-Portal-Signature': signPayload(settings.webhook_secret || '', body)
+        });
+        if (status < 200 || status >= 300) throw new Error(`Webhook answered ${status}.`);
+      }
+    }
+  };
+
+  return Object.fromEntries(enabledChannels().map(name => [name, all[name]]));
+}
+
+module.exports = { DEFAULT_CHANNELS, enabledChannels, createChannels, newWebhookSecret, checkWebhookUrl };
@@ -0,0 +1,691 @@
+const { createPdf } = require('./pdf');
+const { html, trusted } = require('./html');
+const { venueLine } = require('./bibliography');
+
+// ===================== RESUME TEMPLATES =====================
+// Every resume is built from the same profile row. A template decides which
+// sections appear by default, in what order and under which headings; the
+// format (html, pdf, tex, json) decides how the result is written out.
+
+const RESUME_SECTIONS = {
+  research: 'Research Interests',
+  publications: 'Publications',
+  education: 'Education',
+  experience: 'Professional Experience',
+  grants: 'Research Grants & Funding',
+  teaching: 'Teaching',
+  awards: 'Awards & Achievements',
+  activities: 'Professional Activities',
+  skills: 'Skills & Tools',
+  service: 'Outreach & Service'
+};
+
+const RESUME_TEMPLATES = {
+  cv: {
+    name: 'Academic CV',
+    description: 'Full curriculum vitae with every section of your profile.',
+    order: ['research', 'publications', 'education', 'experience', 'grants', 'teaching', 'awards', 'activities', 'skills', 'service'],
+    defaults: ['research', 'publications', 'education', 'experience', 'grants', 'teaching', 'awards', 'activities', 'skills', 'service'],
+    titles: {}
+  },
+  // NSF biographical sketch: one line per degree and appointment, up to ten
+  // products and five synergistic activities, which keeps it within two pages
+  biosketch: {
+    name: 'NSF Biosketch',
+    description: 'Two-page NSF-style biographical sketch.',
+    order: ['education', 'experience', 'publications', 'research', 'grants', 'awards', 'activities', 'teaching', 'skills', 'service'],
+    defaults: ['education', 'experience', 'publications', 'activities'],
+    titles: {
+      education: 'Professional Preparation',
+      experience: 'Appointments and Positions',
+      publications: 'Products',
+      activities: 'Synergistic Activities'
+    },
+    compact: true,
+    limits: { publications: 10, activities: 5 }
+  }
+};
+
+const RESUME_FORMATS = ['html', 'pdf', 'tex', 'json'];
+
+function parseList(value) {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function splitTags(value) {
+  return (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Free-text fields entered one activity per line, bullets optional
+function splitLines(value) {
+  return (value || '').split('\n').map(line => line.replace(/^\s*[-*•]\s*/, '').trim()).filter(Boolean);
+}
+
+// Profile links are typed by hand: bare domains get https:// and anything
+// that still isn't an http(s) URL is shown as text but never linked
+function profileUrl(value) {
+  let url = String(value || '').trim();
+  if (url && !/^[a-z][a-z0-9+.-]*:/i.test(url) && /^[\w-]+(\.[\w-]+)+(\/|$)/.test(url)) {
+    url = 'https://' + url;
+  }
+  return /^https?:\/\/[^\s]+$/i.test(url) ? url : '';
+}
+
+// publications and grants: rows from their tables, newest first.
+// Declined applications never make it onto a resume.
+function resumeData(profile, { publications = [], grants = [] } = {}) {
+  return {
+    profile,
+    publications,
+    grants: grants.filter(grant => grant.status !== 'declined'),
+    degrees: parseList(profile.degrees),
+    employment: parseList(profile.employment),
+    courses: parseList(profile.courses),
+    awards: parseList(profile.awards)
+  };
+}
+
+// "2019 – 2022", "2021 – Present" for a running grant, "Pending" before an award
+function grantPeriod(grant) {
+  if (grant.status === 'pending') return 'Pending';
+  const start = (grant.start_date || '').slice(0, 4);
+  const end = (grant.end_date || '').slice(0, 4) || (grant.status === 'active' ? 'Present' : '');
+  return [start, end].filter(Boolean).filter((year, i, list) => list.indexOf(year) === i).join(' – ');
+}
+
+function formatAmount(amount, currency) {
+  if (amount === null || amount === undefined) return '';
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount}`;
+  }
+}
+
+// Reads ?template=&format=&sections= (comma-separated or repeated).
+// Returns { error } for anything it doesn't recognise.
+function resumeOptions(query) {
+  const templateId = query.template || 'cv';
+  const format = query.format || 'html';
+  const template = RESUME_TEMPLATES[templateId];
+
+  if (!template) {
+    return { error: `Template must be one of: ${Object.keys(RESUME_TEMPLATES).join(', ')}.` };
+  }
+  if (!RESUME_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${RESUME_FORMATS.join(', ')}.` };
+  }
+
+  let sections = template.defaults;
+  if (query.sections !== undefined) {
+    const requested = [].concat(query.sections).join(',').split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = requested.filter(section => !RESUME_SECTIONS[section]);
+    if (unknown.length > 0) {
+      return { error: `Unknown resume sections: ${unknown.join(', ')}.` };
+    }
+    sections = template.order.filter(section => requested.includes(section));
+  }
+
+  return { templateId, template, format, sections };
+}
+
+// ===================== DOCUMENT MODEL =====================
+// Sections come out as { key, title, text?, entries?, items?, tags? } so the
+// html, pdf and tex writers share one idea of what goes where.
+
+function buildSection(key, data, template) {
+  const { profile, degrees, employment, grants, courses, awards } = data;
+  const compact = !!template.compact;
+  const limit = (template.limits || {})[key];
+
+  switch (key) {
+    case 'research':
+      if (!profile.research_description && !profile.research_keywords) return null;
+      return { text: profile.research_description, tags: splitTags(profile.research_keywords) };
+
+    case 'publications': {
+      // Biosketch products must be published or accepted
+      const pubs = data.publications.filter(pub => !compact || pub.status !== 'submitted').slice(0, limit);
+      if (pubs.length === 0) return null;
+      return {
+        entries: pubs.map(pub => ({
+          title: pub.title,
+          date: pub.status === 'published' ? pub.year : `${pub.status === 'accepted' ? 'Accepted' : 'Submitted'}${pub.year ? ', ' + pub.year : ''}`,
+          subtitle: [pub.authors.join(', '), venueLine(pub)].filter(Boolean).join('. '),
+          details: compact || !pub.doi ? [] : [`doi:${pub.doi}`]
+        }))
+      };
+    }
+
+    case 'education':
+      if (degrees.length === 0) return null;
+      return {
+        entries: degrees.map(deg => compact
+          ? {
+            title: deg.institution,
+            subtitle: deg.specialization,
+            date: [deg.degree, deg.year].filter(Boolean).join(', ')
+          }
+          : {
+            title: [deg.degree, deg.specialization ? 'in ' + deg.specialization : ''].filter(Boolean).join(' '),
+            date: deg.year,
+            subtitle: deg.institution,
+            details: [
+              deg.thesis ? `Thesis: ${deg.thesis}` : '',
+              deg.advisor ? `Advisor: ${deg.advisor}` : ''
+            ]
+          })
+      };
+
+    case 'experience':
+      if (employment.length === 0) return null;
+      return {
+        entries: employment.map(emp => compact
+          ? { title: [emp.position, emp.organization].filter(Boolean).join(', '), date: emp.duration }
+          : { title: emp.position, date: emp.duration, subtitle: emp.organization, details: [emp.responsibilities] })
+      };
+
+    case 'grants':
+      if (grants.length === 0) return null;
+      return {
+        entries: grants.map(grant => ({
+          title: grant.title,
+          date: grantPeriod(grant),
+          subtitle: [grant.role, grant.agency, formatAmount(grant.amount, grant.currency)].filter(Boolean).join(' | '),
+          details: compact || !grant.grant_number ? [] : [`Award number: ${grant.grant_number}`]
+        }))
+      };
+
+    case 'teaching':
+      if (courses.length === 0) return null;
+      return {
+        entries: courses.map(course => ({
+          title: [course.courseName, course.courseCode ? `(${course.courseCode})` : ''].filter(Boolean).join(' '),
+          date: course.semester,
+          details: compact ? [] : [course.labDetails]
+        }))
+      };
+
+    case 'awards':
+      if (awards.length === 0) return null;
+      return {
+        entries: awards.map(award => ({
+          title: award.title,
+          date: award.year,
+          subtitle: award.organization,
+          details: compact ? [] : [award.description]
+        }))
+      };
+
+    case 'activities':
+      if (!profile.professional_activities) return null;
+      return compact
+        ? { items: splitLines(profile.professional_activities).slice(0, limit) }
+        : { text: profile.professional_activities };
+
+    case 'skills':
+      return profile.skills ? { tags: splitTags(profile.skills) } : null;
+
+    case 'service':
+      return profile.outreach_service ? { text: profile.outreach_service } : null;
+
+    default:
+      return null;
+  }
+}
+
+function buildResume(data, { template, sections }) {
+  const { profile } = data;
+  return {
+    name: profile.full_name || 'Name Not Provided',
+    role: [profile.designation, profile.department].filter(Boolean).join(' | '),
+    institution: profile.institution || '',
+    email: profile.official_email || '',
+    phone: profile.phone || '',
+    website: (profile.website || '').trim(),
+    websiteUrl: profileUrl(profile.website),
+    scholarUrl: profileUrl(profile.scholar_link),
+    compact: !!template.compact,
+    sections: sections
+      .map(key => {
+        const section = buildSection(key, data, template);
+        return section && { key, title: template.titles[key] || RESUME_SECTIONS[key], ...section };
+      })
+      .filter(Boolean)
+  };
+}
+
+// ===================== HTML =====================
+const RESUME_CSS = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: 'Georgia', serif;
+      line-height: 1.6;
+      color: #333;
+      background: #f5f5f5;
+      padding: 20px;
+    }
+    .container {
+      max-width: 900px;
+      margin: 0 auto;
+      background: white;
+      padding: 50px;
+      box-shadow: 0 0 20px rgba(0,0,0,0.1);
+    }
+    .header {
+      text-align: center;
+      border-bottom: 3px solid #4f46e5;
+      padding-bottom: 20px;
+      margin-bottom: 30px;
+    }
+    .header h1 {
+      font-size: 2.5rem;
+      color: #1a1a1a;
+      margin-bottom: 10px;
+    }
+    .header .designation {
+      font-size: 1.3rem;
+      color: #4f46e5;
+      font-weight: 600;
+      margin-bottom: 15px;
+    }
+    .contact-info {
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      gap: 20px;
+      font-size: 0.95rem;
+      color: #666;
+    }
+    .contact-info span {
+      display: flex;
+      align-items: center;
+      gap: 5px;
+    }
+    .section {
+      margin-bottom: 30px;
+    }
+    .section-title {
+      font-size: 1.5rem;
+      color: #4f46e5;
+      border-bottom: 2px solid #e5e7eb;
+      padding-bottom: 8px;
+      margin-bottom: 15px;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    }
+    .item {
+      margin-bottom: 20px;
+    }
+    .item-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      margin-bottom: 5px;
+    }
+    .item-title {
+      font-weight: 700;
+      font-size: 1.1rem;
+      color: #1a1a1a;
+    }
+    .item-subtitle {
+      font-style: italic;
+      color: #666;
+      margin-bottom: 5px;
+    }
+    .item-date {
+      color: #888;
+      font-size: 0.9rem;
+    }
+    .item-description {
+      color: #555;
+      margin-top: 8px;
+      line-height: 1.7;
+    }
+    .keywords {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px;
+      margin-top: 10px;
+    }
+    .keyword {
+      background: #e0e7ff;
+      color: #4f46e5;
+      padding: 5px 12px;
+      border-radius: 15px;
+      font-size: 0.9rem;
+    }
+    .print-actions {
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      display: flex;
+      gap: 10px;
+    }
+    .print-btn {
+      background: #4f46e5;
+      color: white;
+      border: none;
+      padding: 12px 24px;
+      border-radius: 8px;
+      cursor: pointer;
+      font-size: 1rem;
+      font-weight: 600;
+      text-decoration: none;
+      box-shadow: 0 4px 10px rgba(79,70,229,0.3);
+      transition: all 0.3s;
+    }
+    .print-btn:hover {
+      background: #4338ca;
+      transform: translateY(-2px);
+    }
+    @media print {
+      body { background: white; padding: 0; }
+      .container { box-shadow: none; padding: 0; }
+      .print-actions { display: none; }
+    }
+    ul { margin-left: 20px; margin-top: 8px; }
+    li { margin-bottom: 5px; color: #555; }
+    .institution {
+      font-size: 1.1rem;
+      color: #666;
+      margin-bottom: 15px;
+    }
+    .compact { padding: 40px; font-size: 0.92rem; line-height: 1.45; }
+    .compact .header { padding-bottom: 12px; margin-bottom: 18px; }
+    .compact .header h1 { font-size: 1.8rem; }
+    .compact .section { margin-bottom: 18px; }
+    .compact .section-title { font-size: 1.1rem; margin-bottom: 10px; }
+    .compact .item { margin-bottom: 6px; }`;
+
+function htmlEntry(entry) {
+  return html`
+        <div class="item">
+          <div class="item-header">
+            <div class="item-title">${entry.title}</div>
+            <div class="item-date">${entry.date}</div>
+          </div>
+          ${entry.subtitle && html`<div class="item-subtitle">${entry.subtitle}</div>`}
+          ${(entry.details || []).filter(Boolean).map(line => html`<div class="item-description">${line}</div>`)}
+        </div>`;
+}
+
+function htmlSection(section) {
+  return html`
+    <div class="section">
+      <h2 class="section-title">${section.title}</h2>
+      ${section.text && html`<div class="item-description">${section.text}</div>`}
+      ${(section.entries || []).map(htmlEntry)}
+      ${section.items && html`<ul>${section.items.map(item => html`<li>${item}</li>`)}</ul>`}
+      ${section.tags && section.tags.length > 0 && html`
+      <div class="keywords">
+        ${section.tags.map(tag => html`<span class="keyword">${tag}</span>`)}
+      </div>`}
+    </div>`;
+}
+
+// pdfHref: link for the "Download PDF" button, keeping the chosen template and sections
+function renderResumeHtml(resume, { pdfHref } = {}) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Resume - ${resume.name}</title>
+  <style>
+${trusted(RESUME_CSS)}
+  </style>
+</head>
+<body>
+  <div class="print-actions">
+    ${pdfHref && html`<a class="print-btn" href="${pdfHref}">⬇️ Download PDF</a>`}
+    <button class="print-btn" onclick="window.print()">🖨️ Print Resume</button>
+  </div>
+
+  <div class="container${resume.compact ? ' compact' : ''}">
+    <div class="header">
+      <h1>${resume.name}</h1>
+      <div class="designation">${resume.role}</div>
+      ${resume.institution && html`<div class="institution">${resume.institution}</div>`}
+      <div class="contact-info">
+        ${resume.email && html`<span>✉️ ${resume.email}</span>`}
+        ${resume.phone && html`<span>📱 ${resume.phone}</span>`}
+        ${resume.websiteUrl
+          ? html`<span>🌐 <a href="${resume.websiteUrl}" target="_blank" rel="noopener noreferrer">${resume.website}</a></span>`
+          : resume.website && html`<span>🌐 ${resume.website}</span>`}
+        ${resume.scholarUrl && html`<span>📚 <a href="${resume.scholarUrl}" target="_blank" rel="noopener noreferrer">Google Scholar</a></span>`}
+      </div>
+    </div>
+${resume.sections.map(htmlSection)}
+  </div>
+</body>
+</html>
+`.toString();
+}
+
+// ===================== PDF =====================
+function renderResumePdf(resume) {
+  const pdf = createPdf({ title: `Resume - ${resume.name}`, author: resume.name, header: resume.name, serif: true });
+
+  const contact = [resume.email, resume.phone].filter(Boolean).join('  ·  ');
+  pdf.title(resume.name, [resume.role, resume.institution, contact], resume.websiteUrl || null);
+
+  for (const section of resume.sections) {
+    pdf.section(section.title);
+    if (section.text) pdf.paragraph(section.text);
+    (section.entries || []).forEach(entry => pdf.item(entry));
+    if (section.items) pdf.list(section.items);
+    if (section.tags && section.tags.length > 0) pdf.tags(section.tags);
+  }
+
+  return pdf.end();
+}
+
+// ===================== LATEX =====================
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '%': '\\%',
+  '#': '\\#',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+function escapeLatex(value) {
+  return String(value == null ? '' : value).replace(/[\\{}$&%#_~^]/g, ch => LATEX_SPECIALS[ch]);
+}
+
+// Blank lines start a new paragraph; single line breaks are kept
+function latexText(value) {
+  return String(value).trim().split(/\n\s*\n/)
+    .map(paragraph => paragraph.split('\n').map(escapeLatex).join('\\newline\n'))
+    .join('\n\n');
+}
+
+function latexUrl(value) {
+  return String(value).trim().replace(/[\\{}%#]/g, ch => '\\' + ch);
+}
+
+function latexEntry(entry) {
+  const lines = [`\\noindent\\textbf{${escapeLatex(entry.title)}}${entry.date ? ` \\hfill ${escapeLatex(entry.date)}` : ''}`];
+  if (entry.subtitle) lines.push(`\\textit{${escapeLatex(entry.subtitle)}}`);
+  (entry.details || []).filter(Boolean).forEach(line => lines.push(latexText(line)));
+  return lines.join('\\\\\n') + '\n\\par\\medskip\n';
+}
+
+function renderResumeLatex(resume) {
+  const contact = [resume.email, resume.phone].filter(Boolean).map(escapeLatex).join(' \\textperiodcentered{} ');
+  const links = [
+    resume.websiteUrl ? `\\href{${latexUrl(resume.websiteUrl)}}{${escapeLatex(resume.website)}}` : escapeLatex(resume.website),
+    resume.scholarUrl ? `\\href{${latexUrl(resume.scholarUrl)}}{Google Scholar}` : ''
+  ].filter(Boolean).join(' \\textperiodcentered{} ');
+  const headerLines = [resume.role, resume.institution].filter(Boolean).map(escapeLatex)
+    .concat([contact, links].filter(Boolean));
+
+  const body = resume.sections.map(section => {
+    const parts = [`\\section*{${escapeLatex(section.title)}}`];
+    if (section.text) parts.push(latexText(section.text) + '\n');
+    (section.entries || []).forEach(entry => parts.push(latexEntry(entry)));
+    if (section.items) {
+      parts.push(`\\begin{itemize}[leftmargin=*]\n${section.items.map(item => `  \\item ${escapeLatex(item)}`).join('\n')}\n\\end{itemize}`);
+    }
+    if (section.tags && section.tags.length > 0) {
+      parts.push(`\\noindent ${section.tags.map(escapeLatex).join(', ')}\n`);
+    }
+    return parts.join('\n');
+  }).join('\n');
+
+  return `% Generated by Research Portal
+\\documentclass[11pt]{article}
+\\usepackage[utf8]{inputenc}
+\\usepackage[T1]{fontenc}
+\\usepackage[margin=${resume.compact ? '0.75in' : '1in'}]{geometry}
+\\usepackage{enumitem}
+\\usepackage[hidelinks]{hyperref}
+\\pagestyle{plain}
+\\setlength{\\parindent}{0pt}
+
+\\begin{document}
+
+\\begin{center}
+{\\LARGE\\bfseries ${escapeLatex(resume.name)}}\\\\[6pt]
+${headerLines.join('\\\\\n')}
+\\end{center}
+
+${body}
+\\end{document}
+`;
+}
+
+// ===================== JSON RESUME =====================
+// https://jsonresume.org/schema - dates are free text in the profile, so only
+// the years found in them are carried over
+
+function years(value) {
+  return String(value || '').match(/\b(19|20)\d{2}\b/g) || [];
+}
+
+function dateRange(value) {
+  const [start, end] = years(value);
+  const range = {};
+  if (start) range.startDate = start;
+  if (end) range.endDate = end;
+  return range;
+}
+
+function renderJsonResume(data, { sections }) {
+  const { profile, degrees, employment, grants, courses, awards } = data;
+  const include = key => sections.includes(key);
+
+  const resume = {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+      name: profile.full_name || '',
+      label: [profile.designation, profile.department].filter(Boolean).join(', '),
+      email: profile.official_email || '',
+      phone: profile.phone || '',
+      url: profileUrl(profile.website),
+      summary: include('research') ? profile.research_description || '' : '',
+      profiles: profileUrl(profile.scholar_link) ? [{ network: 'Google Scholar', url: profileUrl(profile.scholar_link) }] : []
+    }
+  };
+
+  if (include('research') && profile.research_keywords) {
+    resume.interests = [{ name: 'Research', keywords: splitTags(profile.research_keywords) }];
+  }
+  if (include('publications')) {
+    resume.publications = data.publications.map(pub => ({
+      name: pub.title,
+      publisher: pub.venue || pub.publisher || '',
+      ...(pub.year ? { releaseDate: String(pub.year) } : {}),
+      url: pub.doi ? `https://doi.org/${pub.doi}` : profileUrl(pub.url),
+      summary: [pub.authors.join(', '), pub.status === 'published' ? '' : pub.status].filter(Boolean).join('; ')
+    }));
+  }
+  if (include('education')) {
+    resume.education = degrees.map(deg => ({
+      institution: deg.institution || '',
+      area: deg.specialization || '',
+      studyType: deg.degree || '',
+      ...(years(deg.year)[0] ? { endDate: years(deg.year)[0] } : {})
+    }));
+  }
+  if (include('experience')) {
+    resume.work = employment.map(emp => ({
+      name: emp.organization || '',
+      position: emp.position || '',
+      summary: emp.responsibilities || '',
+      ...dateRange(emp.duration)
+    }));
+  }
+
+  const projects = [];
+  if (include('grants')) {
+    grants.forEach(grant => projects.push({
+      name: grant.title,
+      type: 'grant',
+      entity: grant.agency || '',
+      roles: grant.role ? [grant.role] : [],
+      description: [formatAmount(grant.amount, grant.currency), grant.status].filter(Boolean).join(', '),
+      ...(grant.start_date ? { startDate: grant.start_date } : {}),
+      ...(grant.end_date ? { endDate: grant.end_date } : {})
+    }));
+  }
+  if (include('teaching')) {
+    courses.forEach(course => projects.push({
+      name: [course.courseName, course.courseCode ? `(${course.courseCode})` : ''].filter(Boolean).join(' '),
+      type: 'course',
+      description: course.labDetails || '',
+      ...dateRange(course.semester)
+    }));
+  }
+  if (projects.length > 0) resume.projects = projects;
+
+  if (include('awards')) {
+    resume.awards = awards.map(award => ({
+      title: award.title || '',
+      awarder: award.organization || '',
+      summary: award.description || '',
+      ...(years(award.year)[0] ? { date: years(award.year)[0] } : {})
+    }));
+  }
+
+  const volunteer = [];
+  if (include('activities') && profile.professional_activities) {
+    volunteer.push({ position: RESUME_SECTIONS.activities, summary: profile.professional_activities });
+  }
+  if (include('service') && profile.outreach_service) {
+    volunteer.push({ position: RESUME_SECTIONS.service, summary: profile.outreach_service });
+  }
+  if (volunteer.length > 0) resume.volunteer = volunteer;
+
+  if (include('skills') && profile.skills) {
+    resume.skills = [{ name: RESUME_SECTIONS.skills, keywords: splitTags(profile.skills) }];
+  }
+
+  resume.meta = { version: 'v1.0.0', lastModified: profile.modified_date || undefined };
+  return resume;
+}
+
+module.exports = {
+  RESUME_SECTIONS,
+  RESUME_TEMPLATES,
+  RESUME_FORMATS,
+  resumeData,
+  resumeOptions,
+  buildResume,
+  renderResumeHtml,
+  renderResumePdf,
+  renderResumeLatex,
+  renderJsonResume
+};
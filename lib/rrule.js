@@ -0,0 +1,263 @@
+// ===================== RECURRENCE RULES =====================
+// RFC 5545 RRULEs for calendar events. Events repeat on dates and keep their
+// time of day, so expansion works a day at a time: FREQ is DAILY, WEEKLY,
+// MONTHLY or YEARLY, with INTERVAL, COUNT or UNTIL, BYDAY (ordinals such as
+// 2TU or -1FR in monthly and yearly rules), BYMONTHDAY, BYMONTH and WKST.
+// Dates are 'YYYY-MM-DD' strings throughout. The event's own date is always
+// its first occurrence and counts toward COUNT.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 86400000;
+// Stops rules whose remaining periods can never match (e.g. BYMONTHDAY=31 in
+// a rule limited to February) from looping forever
+const MAX_PERIODS = 50000;
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isDate(value) {
+  const match = DATE_ONLY.exec(String(value || ''));
+  if (!match) return false;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+// Day numbers (days since 1970-01-01) make date arithmetic plain addition
+function toDayNumber(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function fromDayNumber(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return fromDayNumber(toDayNumber(date) + days);
+}
+
+function weekdayOf(day) {
+  return new Date(day * DAY_MS).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function wholeNumbers(value, min, max, name) {
+  const numbers = value.split(',').map(Number);
+  if (numbers.some(n => !Number.isInteger(n) || n === 0 || n < min || n > max)) {
+    return { error: `${name} values must be whole numbers from ${min} to ${max}.` };
+  }
+  return { numbers };
+}
+
+// "FREQ=WEEKLY;BYDAY=MO,WE" (an "RRULE:" prefix is allowed) -> { rule } or { error }
+function parseRrule(text) {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!source) return { error: "Recurrence rule is empty." };
+
+  const rule = { freq: null, interval: 1, count: null, until: null, byday: [], bymonthday: [], bymonth: [], wkst: 'MO' };
+
+  for (const part of source.split(';').filter(Boolean)) {
+    const [rawName, rawValue = ''] = part.split('=');
+    const name = rawName.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}.` };
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+      case 'COUNT':
+        if (!/^\d+$/.test(value) || Number(value) < 1) {
+          return { error: `${name} must be a positive whole number.` };
+        }
+        rule[name.toLowerCase()] = Number(value);
+        break;
+      case 'UNTIL': {
+        // A date, or a date-time of which only the date is used
+        const match = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/.exec(value);
+        const date = match && `${match[1]}-${match[2]}-${match[3]}`;
+        if (!date || !isDate(date)) return { error: "UNTIL must be a date like 20250630." };
+        rule.until = date;
+        break;
+      }
+      case 'BYDAY':
+        for (const item of value.split(',')) {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          const n = match && match[1] ? Number(match[1]) : null;
+          if (!match || n === 0 || Math.abs(n) > 53) {
+            return { error: `BYDAY value "${item}" isn't a weekday like MO or 2TU.` };
+          }
+          rule.byday.push({ n, day: WEEKDAYS.indexOf(match[2]) });
+        }
+        break;
+      case 'BYMONTHDAY': {
+        const parsed = wholeNumbers(value, -31, 31, 'BYMONTHDAY');
+        if (parsed.error) return parsed;
+        rule.bymonthday = parsed.numbers;
+        break;
+      }
+      case 'BYMONTH': {
+        const parsed = wholeNumbers(value, 1, 12, 'BYMONTH');
+        if (parsed.error) return parsed;
+        rule.bymonth = parsed.numbers;
+        break;
+      }
+      case 'WKST':
+        if (!WEEKDAYS.includes(value)) return { error: "WKST must be a weekday like MO." };
+        rule.wkst = value;
+        break;
+      default:
+        return { error: `${name} isn't supported in recurrence rules.` };
+    }
+  }
+
+  if (!rule.freq) return { error: "Recurrence rule needs a FREQ." };
+  if (rule.count && rule.until) return { error: "A recurrence rule can't have both COUNT and UNTIL." };
+  if (rule.byday.some(b => b.n) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    return { error: "Numbered weekdays like 2TU only apply to monthly and yearly rules." };
+  }
+  return { rule };
+}
+
+function formatRrule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byday.length) parts.push(`BYDAY=${rule.byday.map(b => `${b.n || ''}${WEEKDAYS[b.day]}`).join(',')}`);
+  if (rule.bymonthday.length) parts.push(`BYMONTHDAY=${rule.bymonthday.join(',')}`);
+  if (rule.bymonth.length) parts.push(`BYMONTH=${rule.bymonth.join(',')}`);
+  if (rule.wkst !== 'MO') parts.push(`WKST=${rule.wkst}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+// Whether day `dayOfPeriod` (1-based) of a month or year of `length` days
+// matches BYDAY, where ordinals count within that month or year
+function matchesByday(rule, weekday, dayOfPeriod, length) {
+  const nth = Math.ceil(dayOfPeriod / 7);
+  const fromEnd = -Math.floor((length - dayOfPeriod) / 7) - 1;
+  return rule.byday.some(b => b.day === weekday && (!b.n || b.n === nth || b.n === fromEnd));
+}
+
+// Candidate days of one month, before the series start and end are applied
+function monthDays(rule, year, month, startDate) {
+  const length = daysInMonth(year, month);
+  const first = Date.UTC(year, month, 1) / DAY_MS;
+  let days;
+
+  if (rule.bymonthday.length) {
+    days = rule.bymonthday.map(d => (d > 0 ? d : length + d + 1)).filter(d => d >= 1 && d <= length);
+  } else if (rule.byday.length) {
+    days = Array.from({ length }, (_, i) => i + 1);
+  } else {
+    const day = Number(startDate.slice(8, 10));
+    days = day <= length ? [day] : [];
+  }
+  if (rule.byday.length) {
+    days = days.filter(d => matchesByday(rule, weekdayOf(first + d - 1), d, length));
+  }
+  return [...new Set(days)].sort((a, b) => a - b).map(d => first + d - 1);
+}
+
+// The nth period (day, week, month or year) of the series: where it starts and
+// its candidate days in order
+function periodDays(rule, startDate, n) {
+  const startDay = toDayNumber(startDate);
+  const [startYear, startMonth] = startDate.split('-').map(Number);
+  const inMonths = day => !rule.bymonth.length || rule.bymonth.includes(new Date(day * DAY_MS).getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + n * rule.interval;
+      const date = new Date(day * DAY_MS);
+      const monthLength = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+      const ok = inMonths(day) &&
+        (!rule.bymonthday.length || rule.bymonthday.some(d => (d > 0 ? d : monthLength + d + 1) === date.getUTCDate())) &&
+        (!rule.byday.length || rule.byday.some(b => b.day === date.getUTCDay()));
+      return { start: day, days: ok ? [day] : [] };
+    }
+    case 'WEEKLY': {
+      const offset = (weekdayOf(startDay) - WEEKDAYS.indexOf(rule.wkst) + 7) % 7;
+      const weekStart = startDay - offset + n * 7 * rule.interval;
+      const weekdays = rule.byday.length ? rule.byday.map(b => b.day) : [weekdayOf(startDay)];
+      const days = Array.from({ length: 7 }, (_, i) => weekStart + i)
+        .filter(day => weekdays.includes(weekdayOf(day)) && inMonths(day));
+      return { start: weekStart, days };
+    }
+    case 'MONTHLY': {
+      const index = startMonth - 1 + n * rule.interval;
+      const year = startYear + Math.floor(index / 12);
+      const month = index % 12;
+      const days = !rule.bymonth.length || rule.bymonth.includes(month + 1) ? monthDays(rule, year, month, startDate) : [];
+      return { start: Date.UTC(year, month, 1) / DAY_MS, days };
+    }
+    default: {
+      const year = startYear + n * rule.interval;
+      const yearStart = Date.UTC(year, 0, 1) / DAY_MS;
+
+      // BYDAY on its own picks weekdays across the whole year, ordinals counting within it
+      if (rule.byday.length && !rule.bymonth.length && !rule.bymonthday.length) {
+        const length = Date.UTC(year + 1, 0, 1) / DAY_MS - yearStart;
+        const days = Array.from({ length }, (_, i) => yearStart + i)
+          .filter((day, i) => matchesByday(rule, weekdayOf(day), i + 1, length));
+        return { start: yearStart, days };
+      }
+
+      const months = rule.bymonth.length ? [...rule.bymonth].sort((a, b) => a - b)
+        : rule.bymonthday.length ? Array.from({ length: 12 }, (_, i) => i + 1)
+          : [startMonth];
+      const days = months.flatMap(month => monthDays(rule, year, month - 1, startDate));
+      return { start: yearStart, days };
+    }
+  }
+}
+
+// Occurrence dates of a series starting on startDate, limited to [from, to]
+// (both optional, but a rule without COUNT or UNTIL needs `to`) and to `max` dates
+function occurrences(startDate, rule, { from, to, max = 1000 } = {}) {
+  const startDay = toDayNumber(startDate);
+  const fromDay = from ? toDayNumber(from) : -Infinity;
+  const lastDay = Math.min(to ? toDayNumber(to) : Infinity, rule.until ? toDayNumber(rule.until) : Infinity);
+  if (lastDay === Infinity && !rule.count) {
+    throw new Error('Expanding an endless recurrence rule needs an end date');
+  }
+
+  const dates = [];
+  let generated = 0;
+  const take = day => {
+    generated++;
+    if (day >= fromDay) dates.push(fromDayNumber(day));
+    return dates.length >= max || (rule.count && generated >= rule.count);
+  };
+
+  if (startDay > lastDay || take(startDay)) return dates;
+
+  for (let n = 0; n < MAX_PERIODS; n++) {
+    const period = periodDays(rule, startDate, n);
+    if (period.start > lastDay) break;
+    for (const day of period.days) {
+      if (day <= startDay) continue;
+      if (day > lastDay) return dates;
+      if (take(day)) return dates;
+    }
+  }
+  return dates;
+}
+
+function isOccurrence(startDate, rule, date) {
+  return isDate(date) && occurrences(startDate, rule, { from: date, to: date }).includes(date);
+}
+
+// How many occurrences come before `date`, for splitting a series with COUNT
+function countBefore(startDate, rule, date) {
+  if (date <= startDate) return 0;
+  return occurrences(startDate, rule, { to: addDays(date, -1), max: Infinity }).length;
+}
+
+module.exports = { WEEKDAYS, isDate, addDays, parseRrule, formatRrule, occurrences, isOccurrence, countBefore };
@@ -0,0 +1,127 @@
+const { escapeHtml } = require('./html');
+const { markdownToText } = require('./markdown');
+
+// ===================== SEARCH =====================
+// Full-text search over the portal's content. Every searchable table gets a
+// generated search_vector column (GIN indexed) built from the columns listed
+// here: A for titles, B for the main text, C for supporting fields, so a hit in
+// a title ranks above one in the body.
+// Rows are either the user's own (user_email) or belong to a project, in which
+// case `project` names the column holding the project id.
+
+const SEARCH_CONFIG = 'english';
+
+const SEARCH_SOURCES = {
+  idea: {
+    table: 'ideas',
+    title: "coalesce(title, '')",
+    weights: { A: ['title'], B: ['content'], C: ['category'] },
+    date: 'created_date',
+    url: () => 'ideas.html'
+  },
+  note: {
+    table: 'notes',
+    title: "coalesce(title, '')",
+    weights: { A: ['title'], B: ['content'], C: ['folder', 'tags'] },
+    date: 'modified_date',
+    markdown: true,
+    url: () => 'notes.html'
+  },
+  future_work: {
+    table: 'future_work',
+    title: "coalesce(title, '')",
+    weights: { A: ['title'], B: ['description'], C: ['timeline'] },
+    date: 'created_date',
+    url: () => 'future.html'
+  },
+  deadline: {
+    table: 'deadlines',
+    title: "coalesce(title, '')",
+    weights: { A: ['title'], B: ['description'] },
+    date: 'due_date',
+    url: () => 'deadlines.html'
+  },
+  event: {
+    table: 'calendar_events',
+    title: "coalesce(title, '')",
+    weights: { A: ['title'], B: ['description'], C: ['location', 'attendees'] },
+    date: 'event_date',
+    url: () => 'outlook-calendar.html'
+  },
+  goal: {
+    table: 'career_goals',
+    title: "coalesce(title, '')",
+    weights: { A: ['title'], B: ['description', 'stage_description'], C: ['goal_type'] },
+    date: 'target_date',
+    url: () => 'career.html'
+  },
+  brief: {
+    table: 'projects',
+    project: 'id',
+    title: "coalesce(nullif(project_title, ''), name, '')",
+    weights: {
+      A: ['name', 'project_title'],
+      B: ['objectives', 'idea', 'notes', 'other_info'],
+      C: ['primary_audience', 'secondary_audience', 'call_action', 'competition', 'client_name', 'client_comments']
+    },
+    date: null,
+    url: row => `description.html?id=${row.id}`
+  },
+  meeting: {
+    table: 'meetings',
+    project: 'project_id',
+    title: "coalesce(nullif(title, ''), 'Meeting')",
+    weights: { A: ['title'], B: ['description', 'minutes'], C: ['agenda'] },
+    date: 'start_time',
+    url: () => 'projects.html'
+  }
+};
+
+// Markers ts_headline puts around matches. They can't appear in escaped text,
+// so the snippet is escaped first and the markers turned into <mark> after.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+
+// Column text joined with spaces; coalesce and || keep it immutable, which a
+// generated column requires (concat_ws is only stable)
+function joinedText(columns) {
+  return columns.map(column => `coalesce(${column}, '')`).join(" || ' ' || ");
+}
+
+// Expression for the generated search_vector column
+function searchVectorSql(source) {
+  return Object.entries(source.weights)
+    .map(([weight, columns]) => `setweight(to_tsvector('${SEARCH_CONFIG}', ${joinedText(columns)}), '${weight}')`)
+    .join(' || ');
+}
+
+// The text snippets are cut from: everything but the title columns
+function searchBodySql(source) {
+  return joinedText([...(source.weights.B || []), ...(source.weights.C || [])]);
+}
+
+// A row as the API returns it: the generated column is internal to search
+function withoutSearchVector(row) {
+  const { search_vector, ...rest } = row;
+  return rest;
+}
+
+function highlightSnippet(text, markdown = false) {
+  const plain = markdown ? markdownToText(text) : String(text || '').replace(/\s+/g, ' ').trim();
+  return escapeHtml(plain)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+module.exports = {
+  SEARCH_CONFIG,
+  SEARCH_SOURCES,
+  HEADLINE_OPTIONS,
+  TITLE_OPTIONS,
+  searchVectorSql,
+  searchBodySql,
+  highlightSnippet,
+  withoutSearchVector
+};
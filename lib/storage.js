@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+
+// ===================== FILE STORAGE =====================
+// STORAGE_BACKEND selects where uploaded files (voice recordings) are kept:
+//   disk - one file per key under STORAGE_DIR (default: ./storage, which is
+//          git-ignored and never served)
+// Every backend has the same shape, so a blob store can be added as another case:
+//   put(key, buffer), size(key), createReadStream(key, { start, end }), remove(key)
+
+function diskStore(root) {
+  const base = path.resolve(root);
+
+  // Keys are generated by the server, but never let one escape the storage root
+  function fileFor(key) {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  return {
+    async put(key, data) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    async size(key) {
+      const stats = await fs.promises.stat(fileFor(key));
+      return stats.size;
+    },
+
+    createReadStream(key, range) {
+      return fs.createReadStream(fileFor(key), range);
+    },
+
+    // Removing a file that's already gone is not an error
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+function createStore() {
+  const kind = (process.env.STORAGE_BACKEND || 'disk').toLowerCase();
+
+  switch (kind) {
+    case 'disk':
+      return diskStore(process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage'));
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${kind}"`);
+  }
+}
+
+// Reads a "Range: bytes=..." header against a file of `size` bytes.
+// Returns null to send the whole file (no header, or a multi-range request),
+// { start, end } with inclusive offsets, or { unsatisfiable: true }.
+function byteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // "bytes=-500" is the last 500 bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+module.exports = { createStore, byteRange };
@@ -0,0 +1,124 @@
+// ===================== PROJECT TIMELINE =====================
+// Schedules project milestones from their planned dates and dependencies,
+// then finds the critical path and the milestones that have slipped.
+// Dates are YYYY-MM-DD strings; a milestone's duration counts both end days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDay(date) {
+  return Math.floor(Date.parse(String(date).slice(0, 10) + 'T00:00:00Z') / DAY_MS);
+}
+
+function fromDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// dependencies: [{ milestone_id, depends_on_id }]
+function buildGraph(ids, dependencies) {
+  const preds = new Map(ids.map(id => [id, []]));
+  const succs = new Map(ids.map(id => [id, []]));
+  for (const dep of dependencies) {
+    if (preds.has(dep.milestone_id) && succs.has(dep.depends_on_id)) {
+      preds.get(dep.milestone_id).push(dep.depends_on_id);
+      succs.get(dep.depends_on_id).push(dep.milestone_id);
+    }
+  }
+  return { preds, succs };
+}
+
+// Kahn's algorithm; null when the dependencies contain a cycle
+function topologicalOrder(ids, dependencies) {
+  const { preds, succs } = buildGraph(ids, dependencies);
+  const remaining = new Map(ids.map(id => [id, preds.get(id).length]));
+  const queue = ids.filter(id => remaining.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of succs.get(id)) {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) queue.push(next);
+    }
+  }
+
+  return order.length === ids.length ? order : null;
+}
+
+function hasCycle(ids, dependencies) {
+  return topologicalOrder(ids, dependencies) === null;
+}
+
+// Forward pass: a milestone starts on its planned date or the day after its last
+// dependency finishes, whichever is later. Unfinished work can't end before today,
+// so overdue milestones push everything that depends on them.
+// Backward pass: slack is how far a milestone can move without delaying the
+// projected end; zero-slack milestones form the critical path.
+function buildTimeline(milestones, dependencies, today = new Date().toISOString().slice(0, 10)) {
+  const ids = milestones.map(m => m.id);
+  const byId = new Map(milestones.map(m => [m.id, m]));
+  const { preds, succs } = buildGraph(ids, dependencies);
+  const order = topologicalOrder(ids, dependencies);
+  if (!order) {
+    throw new Error('Milestone dependencies contain a cycle');
+  }
+
+  const todayDay = toDay(today);
+  const schedule = new Map();
+
+  for (const id of order) {
+    const m = byId.get(id);
+    const duration = toDay(m.end_date) - toDay(m.start_date) + 1;
+    const afterDeps = Math.max(-Infinity, ...preds.get(id).map(p => schedule.get(p).finish + 1));
+    const start = Math.max(toDay(m.start_date), afterDeps);
+    let finish = start + duration - 1;
+
+    if (m.completed) {
+      finish = m.completed_date ? toDay(m.completed_date) : toDay(m.end_date);
+    } else if (finish < todayDay) {
+      finish = todayDay;
+    }
+
+    schedule.set(id, { start, finish, duration });
+  }
+
+  const projectEnd = Math.max(...[...schedule.values()].map(s => s.finish));
+
+  for (const id of [...order].reverse()) {
+    const s = schedule.get(id);
+    const latestFinish = Math.min(projectEnd, ...succs.get(id).map(n => schedule.get(n).latestStart - 1));
+    s.latestStart = latestFinish - (s.finish - s.start);
+    s.slack = latestFinish - s.finish;
+  }
+
+  const result = order.map(id => {
+    const m = byId.get(id);
+    const s = schedule.get(id);
+    const plannedEnd = toDay(m.end_date);
+    const overdue = !m.completed && plannedEnd < todayDay;
+
+    return {
+      ...m,
+      depends_on: preds.get(id),
+      duration_days: s.duration,
+      projected_start: fromDay(s.start),
+      projected_end: fromDay(s.finish),
+      slack_days: s.slack,
+      critical: s.slack === 0,
+      slipped: overdue,
+      slip_days: overdue ? todayDay - plannedEnd : 0,
+      at_risk: !m.completed && !overdue && s.finish > plannedEnd
+    };
+  });
+
+  return {
+    today,
+    start: ids.length ? fromDay(Math.min(...milestones.map(m => toDay(m.start_date)))) : null,
+    end: ids.length ? fromDay(projectEnd) : null,
+    critical_path: result.filter(m => m.critical).map(m => m.id),
+    slipped: result.filter(m => m.slipped).map(m => m.id),
+    milestones: result
+  };
+}
+
+module.exports = { buildTimeline, hasCycle };
@@ -0,0 +1,89 @@
+// ===================== TIME ZONES =====================
+// IANA time zone arithmetic on top of Intl. Events keep a wall-clock date and
+// time in their own zone; these turn that into an instant and back, using the
+// runtime's tz data, so daylight saving changes fall where the zone really had
+// them on that date. Instants are milliseconds since the epoch.
+
+const DAY_MS = 86400000;
+
+const formatters = new Map();
+
+// Throws a RangeError for names Intl doesn't know
+function formatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(zone);
+}
+
+// The zone's name as Intl spells it ('europe/berlin' -> 'Europe/Berlin'), or
+// null. Aliases are kept as given: ICU would turn Asia/Kolkata into the older
+// Asia/Calcutta.
+function timeZoneName(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const name = value.trim();
+  try {
+    const resolved = formatter(name).resolvedOptions().timeZone;
+    return resolved.toLowerCase() === name.toLowerCase() ? resolved : name;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isTimeZone(value) {
+  return timeZoneName(value) !== null;
+}
+
+// Used for users who haven't picked a zone and for events saved before zones
+const DEFAULT_TIME_ZONE = timeZoneName(process.env.DEFAULT_TIME_ZONE) || 'UTC';
+
+// The wall clock in `zone` at an instant, as milliseconds on a UTC clock
+function wallClock(ms, zone) {
+  const parts = {};
+  for (const { type, value } of formatter(zone).formatToParts(new Date(ms))) parts[type] = Number(value);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function offsetAt(ms, zone) {
+  return Math.round((wallClock(ms, zone) - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// 'HH:MM' (or 'H:MM', seconds ignored) -> [hours, minutes], or null
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(time || ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return [Number(match[1]), Number(match[2])];
+}
+
+// Instant of a wall-clock date and time in `zone`. A time skipped when the
+// clocks go forward moves on by the gap; one that happens twice when they go
+// back is the first of the two.
+function zonedToUtc(date, time, zone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hours, minutes] = parseTime(time) || [0, 0];
+  const local = Date.UTC(y, m - 1, d, hours, minutes);
+
+  // Offsets a day either side; a DST change in between makes them differ
+  const before = local - offsetAt(local - DAY_MS, zone) * 60000;
+  const after = local - offsetAt(local + DAY_MS, zone) * 60000;
+  const matches = [before, after].filter(ms => wallClock(ms, zone) === local);
+  return matches.length ? Math.min(...matches) : before;
+}
+
+// An instant as { date: 'YYYY-MM-DD', time: 'HH:MM' } on the wall clock in `zone`
+function utcToZoned(ms, zone) {
+  const iso = new Date(wallClock(ms, zone)).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+module.exports = { DEFAULT_TIME_ZONE, timeZoneName, isTimeZone, parseTime, offsetAt, zonedToUtc, utcToZoned };
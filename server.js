@@ -1,13 +1,54 @@
 const express = require("express");
 const bodyParser = require("body-parser");
+const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const { Pool } = require('pg');
+const { sendMail } = require('./lib/mailer');
+const { downloadFilename, renderBriefPdf } = require('./lib/pdf');
+const { html } = require('./lib/html');
+const {
+  PUBLICATION_TYPES, PUBLICATION_STATUSES, normalizeDoi, findDuplicate, parseBibliography, toBibtex
+} = require('./lib/bibliography');
+const {
+  RESUME_SECTIONS, RESUME_TEMPLATES, RESUME_FORMATS, resumeData, resumeOptions,
+  buildResume, renderResumeHtml, renderResumePdf, renderResumeLatex, renderJsonResume
+} = require('./lib/resume');
+const { buildTimeline, hasCycle } = require('./lib/timeline');
+const { GRANT_STATUSES, grantFromProfileEntry, grantBalance } = require('./lib/grants');
+const { createStore, byteRange } = require('./lib/storage');
+const { renderMarkdown, markdownToText } = require('./lib/markdown');
+const { PRIORITY_RANK, listQuery, escapeLike } = require('./lib/listing');
+const { isDate, addDays, parseRrule, formatRrule, occurrences, isOccurrence, countBefore } = require('./lib/rrule');
+const { UID_DOMAIN, toICalendar, parseICalendar } = require('./lib/ical');
+const { DEFAULT_TIME_ZONE, timeZoneName, parseTime, zonedToUtc, utcToZoned } = require('./lib/timezone');
+const { DEFAULT_CHANNELS, enabledChannels, createChannels, newWebhookSecret, checkWebhookUrl } = require('./lib/reminders');
+const {
+  SEARCH_CONFIG, SEARCH_SOURCES, HEADLINE_OPTIONS, TITLE_OPTIONS,
+  searchVectorSql, searchBodySql, highlightSnippet, withoutSearchVector
+} = require('./lib/search');
 
 const app = express();
 const port = process.env.PORT || 10000;
 
+// Sessions expire after SESSION_TTL_HOURS (default: 24 hours)
+const SESSION_COOKIE = "portal_session";
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Email verification links stay valid for 24 hours, password reset links for 1 hour
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Links sent to clients to review a project brief stay valid for 30 days
+const BRIEF_SHARE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Failed logins within LOGIN_FAILURE_WINDOW_MS slow the account down;
+// LOCKOUT_THRESHOLD of them lock it for the rest of the window
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_THRESHOLD = 5;
+
 // PostgreSQL Database Connection
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -26,9 +67,19 @@ pool.connect((err, client, release) => {
   }
 });
 
+// Set TRUST_PROXY (e.g. "1") when running behind a load balancer so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : parseInt(process.env.TRUST_PROXY, 10));
+}
+
 // Middleware
 app.use(bodyParser.json());
+app.use(cookieParser());
 app.use(cors());
+// Uploaded files are only served through their API routes, which check ownership
+app.use('/storage', (req, res) => res.status(404).json({ error: "Not found." }));
+// MAIL_TRANSPORT=file writes mail with verification and reset links here by default
+app.use('/mail', (req, res) => res.status(404).json({ error: "Not found." }));
 app.use(express.static(path.join(__dirname)));
 
 // Database initialization function
@@ -46,6 +97,47 @@ async function initializeDatabase() {
       )
     `);
 
+    // Accounts created before email verification existed stay active
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified INTEGER DEFAULT 1`);
+    await client.query(`ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT 0`);
+
+    // Single-use tokens mailed to users (email verification, etc.), stored hashed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email) ON DELETE CASCADE,
+        purpose TEXT,
+        token_hash TEXT UNIQUE,
+        created_date TEXT,
+        expires_date TEXT,
+        used_date TEXT
+      )
+    `);
+
+    // Every login attempt, successful or not; user_email is whatever was typed,
+    // so it has no foreign key
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        success INTEGER DEFAULT 0,
+        reason TEXT,
+        attempted_date TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE,
+        created_date TEXT,
+        expires_date TEXT
+      )
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS projects (
         id SERIAL PRIMARY KEY,
@@ -97,6 +189,34 @@ async function initializeDatabase() {
       )
     `);
 
+    // Project membership: role is owner, editor or viewer. The project's
+    // owner_email is always an owner even without a row here.
+    await client.query(`ALTER TABLE colleagues ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'editor'`);
+    await client.query(`ALTER TABLE colleagues ADD COLUMN IF NOT EXISTS added_date TEXT`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS colleagues_project_email_idx ON colleagues (project_id, email)`);
+
+    // Move the legacy projects.colleagues JSON lists into the colleagues table
+    const legacyTeams = await client.query(
+      "SELECT id, colleagues FROM projects WHERE colleagues IS NOT NULL AND colleagues NOT IN ('', '[]')"
+    );
+    for (const project of legacyTeams.rows) {
+      let legacyColleagues = [];
+      try {
+        legacyColleagues = JSON.parse(project.colleagues);
+      } catch (e) {
+        console.warn(`Skipping unreadable colleagues JSON on project ${project.id}`);
+      }
+      for (const c of Array.isArray(legacyColleagues) ? legacyColleagues : []) {
+        if (!c || !c.email) continue;
+        await client.query(
+          `INSERT INTO colleagues (project_id, name, email, role, added_date) VALUES ($1, $2, $3, 'editor', $4)
+           ON CONFLICT (project_id, email) DO NOTHING`,
+          [project.id, c.name || '', String(c.email).toLowerCase().trim(), new Date().toISOString()]
+        );
+      }
+      await client.query("UPDATE projects SET colleagues = '[]' WHERE id = $1", [project.id]);
+    }
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS meetings (
         id SERIAL PRIMARY KEY,
@@ -106,6 +226,166 @@ async function initializeDatabase() {
       )
     `);
 
+    // Meetings belong to a project. Older rows never recorded who created them,
+    // only the colleague they were with; the project that colleague was listed on
+    // is the one its owner kept the meeting for. When the colleague is on exactly
+    // one project the meeting goes there. On none, or on several (possibly other
+    // owners' projects), it is left with no project (and shown nowhere) rather
+    // than shared with the wrong team, and counted here for the operator.
+    // This runs once per row: project_migrated is NULL only on rows from before it.
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS project_migrated INTEGER`);
+    await client.query(`ALTER TABLE meetings ALTER COLUMN project_migrated SET DEFAULT 1`);
+    await client.query(`
+      UPDATE meetings SET project_id = sole.project_id
+      FROM (
+        SELECT m.id, MIN(c.project_id) AS project_id
+        FROM meetings m JOIN colleagues c ON LOWER(TRIM(c.email)) = LOWER(TRIM(m.colleague_email))
+        WHERE m.project_id IS NULL AND m.project_migrated IS NULL
+        GROUP BY m.id
+        HAVING COUNT(DISTINCT c.project_id) = 1
+      ) sole
+      WHERE meetings.id = sole.id
+    `);
+    const unattached = await client.query(
+      "SELECT COUNT(*)::int AS count FROM meetings WHERE project_id IS NULL AND project_migrated IS NULL"
+    );
+    if (unattached.rows[0].count > 0) {
+      console.warn(
+        `${unattached.rows[0].count} meeting(s) were left without a project: their colleague is on no project, ` +
+        'or on more than one. Set meetings.project_id to make them visible again.'
+      );
+    }
+    await client.query("UPDATE meetings SET project_migrated = 1 WHERE project_migrated IS NULL");
+
+    // Structured meetings: times, attendees and agenda (JSON arrays), minutes
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS title TEXT`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS start_time TEXT`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS end_time TEXT`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS attendees TEXT DEFAULT '[]'`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS agenda TEXT DEFAULT '[]'`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS minutes TEXT`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS created_by TEXT`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS created_date TEXT`);
+    await client.query(`ALTER TABLE meetings ADD COLUMN IF NOT EXISTS modified_date TEXT`);
+    await client.query(`
+      UPDATE meetings SET start_time = date, attendees = json_build_array(colleague_email)::text
+      WHERE start_time IS NULL AND date IS NOT NULL AND colleague_email IS NOT NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meeting_action_items (
+        id SERIAL PRIMARY KEY,
+        meeting_id INTEGER REFERENCES meetings(id) ON DELETE CASCADE,
+        description TEXT,
+        assignee_email TEXT,
+        due_date TEXT,
+        status TEXT DEFAULT 'open',
+        created_date TEXT,
+        completed_date TEXT
+      )
+    `);
+
+    // Task board; position orders cards within a status column
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        description TEXT,
+        assignee_email TEXT,
+        status TEXT DEFAULT 'todo',
+        priority TEXT DEFAULT 'medium',
+        due_date TEXT,
+        position INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_date TEXT,
+        modified_date TEXT,
+        completed_date TEXT
+      )
+    `);
+
+    // Every save of a project brief is kept as a numbered snapshot (JSON of the brief fields)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS brief_revisions (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        author_email TEXT,
+        created_date TEXT,
+        restored_from INTEGER,
+        UNIQUE (project_id, revision_number)
+      )
+    `);
+
+    // Client approval: the brief's workflow state, and the revisions sent out for review
+    await client.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS brief_status TEXT DEFAULT 'draft'`);
+    await client.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS approved_revision INTEGER`);
+    await client.query(`ALTER TABLE brief_revisions ADD COLUMN IF NOT EXISTS locked INTEGER DEFAULT 0`);
+    await client.query(`ALTER TABLE brief_revisions ADD COLUMN IF NOT EXISTS approved_date TEXT`);
+
+    // A revision the client approved is the record of what they signed: once
+    // locked, the database refuses to change it
+    await client.query(`
+      CREATE OR REPLACE FUNCTION refuse_locked_brief_revision() RETURNS trigger AS $$
+      BEGIN
+        IF OLD.locked = 1 THEN
+          RAISE EXCEPTION 'Brief revision % of project % is locked', OLD.revision_number, OLD.project_id;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`DROP TRIGGER IF EXISTS brief_revisions_locked ON brief_revisions`);
+    await client.query(`
+      CREATE TRIGGER brief_revisions_locked BEFORE UPDATE ON brief_revisions
+      FOR EACH ROW EXECUTE FUNCTION refuse_locked_brief_revision()
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS brief_approvals (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        client_name TEXT,
+        client_email TEXT,
+        message TEXT,
+        sent_by TEXT,
+        created_date TEXT,
+        expires_date TEXT,
+        status TEXT DEFAULT 'pending',
+        responded_date TEXT,
+        response_name TEXT,
+        response_comments TEXT,
+        signature TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS milestones (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        description TEXT,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        completed INTEGER DEFAULT 0,
+        completed_date TEXT,
+        created_date TEXT,
+        modified_date TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS milestone_dependencies (
+        milestone_id INTEGER REFERENCES milestones(id) ON DELETE CASCADE,
+        depends_on_id INTEGER REFERENCES milestones(id) ON DELETE CASCADE,
+        PRIMARY KEY (milestone_id, depends_on_id)
+      )
+    `);
+
     // ===================== ADDITIONAL TABLES =====================
     await client.query(`
       CREATE TABLE IF NOT EXISTS ideas (
@@ -127,6 +407,13 @@ async function initializeDatabase() {
         created_date TEXT
       )
     `);
+    // Markdown notes: folder is a "/"-separated path, tags a JSON list
+    await client.query(`ALTER TABLE notes ADD COLUMN IF NOT EXISTS modified_date TEXT`);
+    await client.query(`ALTER TABLE notes ADD COLUMN IF NOT EXISTS folder TEXT DEFAULT ''`);
+    await client.query(`ALTER TABLE notes ADD COLUMN IF NOT EXISTS tags TEXT DEFAULT '[]'`);
+    await client.query(`ALTER TABLE notes ADD COLUMN IF NOT EXISTS pinned INTEGER DEFAULT 0`);
+    await client.query(`ALTER TABLE notes ADD COLUMN IF NOT EXISTS archived INTEGER DEFAULT 0`);
+    await client.query(`UPDATE notes SET modified_date = created_date WHERE modified_date IS NULL`);
 
     await client.query(`
       CREATE TABLE IF NOT EXISTS career_goals (
@@ -145,6 +432,23 @@ async function initializeDatabase() {
       )
     `);
 
+    // ===================== VOICE RECORDINGS TABLE =====================
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS voice_recordings (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email),
+        note_id INTEGER REFERENCES notes(id) ON DELETE SET NULL,
+        title TEXT,
+        mime_type TEXT,
+        size_bytes INTEGER,
+        duration_seconds REAL,
+        storage_key TEXT NOT NULL,
+        legacy_id TEXT,
+        created_date TEXT
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS voice_recordings_user_idx ON voice_recordings (user_email)`);
+
     // ===================== STAGE HISTORY TABLE =====================
     await client.query(`
       CREATE TABLE IF NOT EXISTS career_stage_history (
@@ -181,6 +485,10 @@ async function initializeDatabase() {
       )
     `);
 
+    // Deadlines generated by other features (e.g. meeting action items) point back at their source
+    await client.query(`ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS source_type TEXT`);
+    await client.query(`ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS source_id INTEGER`);
+
     // ===================== ENHANCED CALENDAR EVENTS TABLE =====================
     await client.query(`
       CREATE TABLE IF NOT EXISTS calendar_events (
@@ -209,6 +517,120 @@ async function initializeDatabase() {
       )
     `);
 
+    // Repeating events keep an RFC 5545 RRULE (lib/rrule.js). Older rows only
+    // have recurrence, recurrence_end and repeat_weekly, so those become one.
+    await client.query(`ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS rrule TEXT`);
+    await migrateEventRecurrence(client);
+
+    // A changed or cancelled occurrence of a repeating event, keyed by the date
+    // the rule gave it. Override columns left NULL follow the series.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS calendar_event_exceptions (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES calendar_events(id) ON DELETE CASCADE,
+        occurrence_date TEXT NOT NULL,
+        cancelled INTEGER DEFAULT 0,
+        title TEXT,
+        description TEXT,
+        event_date TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        location TEXT,
+        category TEXT,
+        modified_date TEXT,
+        UNIQUE (event_id, occurrence_date)
+      )
+    `);
+
+    // iCalendar UID, so re-importing a file updates the events it created
+    await client.query(`ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS uid TEXT`);
+    await client.query(
+      `UPDATE calendar_events SET uid = 'event-' || CAST(id AS TEXT) || '@${UID_DOMAIN}' WHERE uid IS NULL`
+    );
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS calendar_events_uid_idx ON calendar_events (user_email, uid)`);
+
+    // Secret ICS feed address per user; only the token's hash is kept
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        user_email TEXT PRIMARY KEY REFERENCES users(email),
+        token_hash TEXT UNIQUE NOT NULL,
+        created_date TEXT
+      )
+    `);
+
+    // Events keep their wall-clock date and times in their own IANA zone, with
+    // the instants they start and end at alongside (lib/timezone.js)
+    await client.query(`ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS time_zone TEXT`);
+    await client.query(`ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ`);
+    await client.query(`ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ`);
+
+    // ===================== NOTIFICATIONS TABLE =====================
+    // The in-app inbox; source_type/source_id point at what it's about
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email),
+        type TEXT NOT NULL,
+        title TEXT,
+        body TEXT,
+        link TEXT,
+        source_type TEXT,
+        source_id INTEGER,
+        read_date TEXT,
+        created_date TEXT
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS notifications_user_idx ON notifications (user_email, created_date)`);
+
+    // ===================== REMINDERS TABLES =====================
+    // One row per reminder of an event occurrence, deadline or goal; occurrence
+    // tells a source's reminders apart. fire_at is when it (next) goes out.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reminders (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email),
+        source_type TEXT NOT NULL,
+        source_id INTEGER NOT NULL,
+        occurrence TEXT NOT NULL,
+        title TEXT,
+        body TEXT,
+        link TEXT,
+        due_at TIMESTAMPTZ NOT NULL,
+        fire_at TIMESTAMPTZ NOT NULL,
+        status TEXT DEFAULT 'scheduled',
+        snoozed INTEGER DEFAULT 0,
+        deliveries INTEGER DEFAULT 0,
+        sent_date TEXT,
+        created_date TEXT,
+        UNIQUE (source_type, source_id, occurrence)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS reminders_due_idx ON reminders (status, fire_at)`);
+
+    // Each channel gets one row per delivery of a reminder, written before it's tried
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reminder_deliveries (
+        id SERIAL PRIMARY KEY,
+        reminder_id INTEGER REFERENCES reminders(id) ON DELETE CASCADE,
+        delivery INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        status TEXT,
+        error TEXT,
+        created_date TEXT,
+        UNIQUE (reminder_id, delivery, channel)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reminder_settings (
+        user_email TEXT PRIMARY KEY REFERENCES users(email),
+        channels TEXT,
+        webhook_url TEXT,
+        webhook_secret TEXT,
+        modified_date TEXT
+      )
+    `);
+
     // ===================== PROFILE TABLE =====================
     await client.query(`
       CREATE TABLE IF NOT EXISTS profiles (
@@ -239,6 +661,114 @@ async function initializeDatabase() {
       )
     `);
 
+    // Preferred time zone: events are shown in it and new ones are made in it
+    await client.query(`ALTER TABLE profiles ADD COLUMN IF NOT EXISTS time_zone TEXT`);
+    // Needs the profile zones, so it runs here rather than with the events table
+    await migrateEventTimeZones(client);
+
+    // ===================== PUBLICATIONS TABLE =====================
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS publications (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email),
+        title TEXT NOT NULL,
+        authors TEXT,
+        venue TEXT,
+        year INTEGER,
+        doi TEXT,
+        url TEXT,
+        type TEXT DEFAULT 'article',
+        status TEXT DEFAULT 'published',
+        volume TEXT,
+        issue TEXT,
+        pages TEXT,
+        publisher TEXT,
+        bibtex_key TEXT,
+        created_date TEXT,
+        modified_date TEXT
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS publications_user_idx ON publications (user_email)`);
+
+    // ===================== GRANTS TABLES =====================
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS grants (
+        id SERIAL PRIMARY KEY,
+        user_email TEXT REFERENCES users(email),
+        title TEXT NOT NULL,
+        agency TEXT,
+        role TEXT,
+        grant_number TEXT,
+        amount NUMERIC(14, 2),
+        currency TEXT DEFAULT 'USD',
+        start_date TEXT,
+        end_date TEXT,
+        status TEXT DEFAULT 'active',
+        notes TEXT,
+        created_date TEXT,
+        modified_date TEXT
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS grants_user_idx ON grants (user_email)`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS grant_budget_lines (
+        id SERIAL PRIMARY KEY,
+        grant_id INTEGER REFERENCES grants(id) ON DELETE CASCADE,
+        category TEXT NOT NULL,
+        description TEXT,
+        amount NUMERIC(14, 2) DEFAULT 0
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS grant_expenses (
+        id SERIAL PRIMARY KEY,
+        grant_id INTEGER REFERENCES grants(id) ON DELETE CASCADE,
+        budget_line_id INTEGER REFERENCES grant_budget_lines(id) ON DELETE SET NULL,
+        description TEXT,
+        amount NUMERIC(14, 2) NOT NULL,
+        spent_date TEXT,
+        created_date TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS grant_projects (
+        grant_id INTEGER REFERENCES grants(id) ON DELETE CASCADE,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        PRIMARY KEY (grant_id, project_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS grant_reports (
+        id SERIAL PRIMARY KEY,
+        grant_id INTEGER REFERENCES grants(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        due_date TEXT NOT NULL,
+        submitted INTEGER DEFAULT 0,
+        submitted_date TEXT,
+        created_date TEXT
+      )
+    `);
+
+    // Grants used to be a JSON list on the profile; move each profile's list
+    // into the grants table once
+    await client.query(`ALTER TABLE profiles ADD COLUMN IF NOT EXISTS grants_migrated INTEGER DEFAULT 0`);
+    await migrateProfileGrants(client);
+
+    // ===================== SEARCH INDEXES =====================
+    // Generated tsvector columns keep themselves up to date on every write.
+    // They stay in the database: rows are sent through withoutSearchVector.
+    for (const source of Object.values(SEARCH_SOURCES)) {
+      await client.query(
+        `ALTER TABLE ${source.table} ADD COLUMN IF NOT EXISTS search_vector tsvector
+         GENERATED ALWAYS AS (${searchVectorSql(source)}) STORED`
+      );
+      await client.query(`CREATE INDEX IF NOT EXISTS ${source.table}_search_idx ON ${source.table} USING GIN (search_vector)`);
+    }
+
     await client.query('COMMIT');
     console.log('Database tables initialized successfully');
   } catch (error) {
@@ -249,98 +779,376 @@ async function initializeDatabase() {
   }
 }
 
-// Initialize database on startup
-initializeDatabase();
+// Initialize database on startup; reminders run against it once it's ready
+const ready = initializeDatabase().then(startReminderScheduler);
 
-// ===================== AUTH API WITH PASSWORD HASHING =====================
+// ===================== SESSIONS =====================
 
-// REGISTER endpoint
-app.post("/register", async (req, res) => {
-  const { name, email, password } = req.body;
- 
-  if (!email || !password) {
-    return res.status(400).json({ success: false, message: "Email and password are required." });
-  }
- 
-  if (password.length < 6) {
-    return res.status(400).json({ success: false, message: "Password must be at least 6 characters long." });
-  }
+// Session tokens are random and only their SHA-256 hash is stored,
+// so a leaked sessions table cannot be replayed as cookies.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-  try {
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-   
-    const result = await pool.query(
-      "INSERT INTO users (email, password) VALUES ($1, $2) RETURNING id, email",
-      [email.toLowerCase().trim(), hashedPassword]
-    );
-    
-    res.json({
-      success: true,
-      id: result.rows[0].id,
-      email: result.rows[0].email,
-      message: "Account created successfully!"
-    });
-  } catch (error) {
-    console.error('Signup error:', error);
-    if (error.code === '23505') { // Unique constraint violation
-      return res.status(400).json({ success: false, message: "User already exists." });
-    }
-    res.status(500).json({ success: false, message: "Server error during signup." });
-  }
-});
+async function createSession(email) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresDate = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
 
-// SIGNUP endpoint (backward compatibility)
-app.post("/signup", async (req, res) => {
-  const { email, password } = req.body;
- 
-  if (!email || !password) {
-    return res.status(400).json({ success: false, message: "Email and password are required." });
-  }
- 
-  if (password.length < 6) {
-    return res.status(400).json({ success: false, message: "Password must be at least 6 characters long." });
+  // Opportunistically clear out expired sessions
+  await pool.query("DELETE FROM sessions WHERE expires_date <= $1", [now.toISOString()]);
+  await pool.query(
+    "INSERT INTO sessions (user_email, token_hash, created_date, expires_date) VALUES ($1, $2, $3, $4)",
+    [email, hashToken(token), now.toISOString(), expiresDate]
+  );
+
+  return { token, expiresDate };
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production'
+  });
+}
+
+// Resolves the logged-in user from the session cookie into req.user
+async function requireAuth(req, res, next) {
+  const token = req.cookies && req.cookies[SESSION_COOKIE];
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required." });
   }
 
   try {
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-   
     const result = await pool.query(
-      "INSERT INTO users (email, password) VALUES ($1, $2) RETURNING id, email",
-      [email.toLowerCase().trim(), hashedPassword]
+      `SELECT s.id AS session_id, u.id, u.email
+       FROM sessions s JOIN users u ON u.email = s.user_email
+       WHERE s.token_hash = $1 AND s.expires_date > $2`,
+      [hashToken(token), new Date().toISOString()]
     );
-    
-    res.json({
-      success: true,
-      id: result.rows[0].id,
-      email: result.rows[0].email,
-      message: "Account created successfully!"
-    });
-  } catch (error) {
-    console.error('Signup error:', error);
-    if (error.code === '23505') {
-      return res.status(400).json({ success: false, message: "User already exists." });
+
+    if (result.rows.length === 0) {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: "Session expired. Please log in again." });
     }
-    res.status(500).json({ success: false, message: "Server error during signup." });
+
+    const row = result.rows[0];
+    req.user = { id: row.id, email: row.email };
+    req.sessionId = row.session_id;
+    next();
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    res.status(500).json({ error: "Error checking session." });
   }
-});
+}
 
-// LOGIN endpoint
-app.post("/login", async (req, res) => {
+// ===================== RATE LIMITING =====================
+
+// Fixed-window request counter per client IP. Counters live in memory,
+// which is enough for the single server instance this portal runs as.
+function rateLimit({ windowMs, max, message }) {
+  const hits = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, message });
+    }
+    next();
+  };
+}
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: "Too many login attempts from this network. Please try again later."
+});
+
+const signupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: "Too many sign-ups from this network. Please try again later."
+});
+
+const accountEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: "Too many requests from this network. Please try again later."
+});
+
+const briefReviewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: "Too many requests from this network. Please try again later."
+});
+
+const calendarFeedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 120,
+  message: "Too many requests from this network. Please try again later."
+});
+
+async function recordLoginAttempt(req, email, success, reason) {
+  await pool.query(
+    "INSERT INTO login_attempts (user_email, ip_address, user_agent, success, reason, attempted_date) VALUES ($1, $2, $3, $4, $5, $6)",
+    [email, req.ip, req.get('user-agent') || '', success ? 1 : 0, reason, new Date().toISOString()]
+  );
+}
+
+// Seconds the account must wait before its next login attempt (0 = allowed now).
+// Each failure since the last success doubles the wait (1s, 2s, 4s...);
+// at LOCKOUT_THRESHOLD failures the account is locked for the whole window.
+async function getLoginWaitSeconds(email) {
+  const now = Date.now();
+  const lastSuccess = await pool.query(
+    "SELECT MAX(attempted_date) AS last_success FROM login_attempts WHERE user_email = $1 AND success = 1",
+    [email]
+  );
+  const windowStart = new Date(now - LOGIN_FAILURE_WINDOW_MS).toISOString();
+  const since = lastSuccess.rows[0].last_success && lastSuccess.rows[0].last_success > windowStart
+    ? lastSuccess.rows[0].last_success
+    : windowStart;
+
+  // Attempts refused while throttled don't count, so an attacker can't keep the owner locked out
+  const failures = await pool.query(
+    `SELECT attempted_date FROM login_attempts
+     WHERE user_email = $1 AND success = 0 AND reason IN ('bad_password', 'unknown_user') AND attempted_date > $2
+     ORDER BY attempted_date DESC`,
+    [email, since]
+  );
+
+  const count = failures.rows.length;
+  if (count < 2) return 0;
+
+  const waitMs = count >= LOCKOUT_THRESHOLD ? LOGIN_FAILURE_WINDOW_MS : 1000 * 2 ** (count - 2);
+  const lastFailure = new Date(failures.rows[0].attempted_date).getTime();
+  return Math.max(0, Math.ceil((lastFailure + waitMs - now) / 1000));
+}
+
+// ===================== ACCOUNT TOKENS =====================
+
+// Issues a single-use token for `purpose`, replacing any unused one the user already has
+async function issueUserToken(email, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await pool.query(
+    "DELETE FROM user_tokens WHERE user_email = $1 AND purpose = $2 AND used_date IS NULL",
+    [email, purpose]
+  );
+  await pool.query(
+    "INSERT INTO user_tokens (user_email, purpose, token_hash, created_date, expires_date) VALUES ($1, $2, $3, $4, $5)",
+    [email, purpose, hashToken(token), now.toISOString(), new Date(now.getTime() + ttlMs).toISOString()]
+  );
+
+  return token;
+}
+
+// Marks a token as used and returns its owner's email, or null if it is unknown, used or expired
+async function consumeUserToken(token, purpose) {
+  const result = await pool.query(
+    `UPDATE user_tokens SET used_date = $1
+     WHERE token_hash = $2 AND purpose = $3 AND used_date IS NULL AND expires_date > $1
+     RETURNING user_email`,
+    [new Date().toISOString(), hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_email : null;
+}
+
+function appUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+async function sendVerificationEmail(req, email) {
+  const token = await issueUserToken(email, 'verify', VERIFY_TOKEN_TTL_MS);
+  const link = `${appUrl(req)}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: "Verify your Research Portal account",
+    text: `Welcome to the Research Portal!\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours. If you did not sign up, you can ignore this email.`,
+    html: `<p>Welcome to the Research Portal!</p>
+      <p><a href="${link}">Confirm your email address</a></p>
+      <p>The link expires in 24 hours. If you did not sign up, you can ignore this email.</p>`
+  });
+}
+
+async function sendPasswordResetEmail(req, email) {
+  const token = await issueUserToken(email, 'reset', RESET_TOKEN_TTL_MS);
+  const link = `${appUrl(req)}/reset-password.html?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: "Reset your Research Portal password",
+    text: `Someone asked to reset the password for this Research Portal account.\n\nChoose a new password here:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Someone asked to reset the password for this Research Portal account.</p>
+      <p><a href="${link}">Choose a new password</a></p>
+      <p>The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.</p>`
+  });
+}
+
+// ===================== AUTH API WITH PASSWORD HASHING =====================
+
+// Every auth route checks its fields with this first: a JSON body can carry
+// numbers, arrays or objects, which would otherwise reach toLowerCase() or bcrypt
+function hasAuthFields(body, fields) {
+  return fields.every(field => typeof body[field] === 'string' && body[field] !== '');
+}
+
+// REGISTER endpoint: accounts start unverified until the emailed link is opened
+async function handleRegister(req, res) {
   const { email, password } = req.body;
  
-  if (!email || !password) {
+  if (!hasAuthFields(req.body, ['email', 'password'])) {
     return res.status(400).json({ success: false, message: "Email and password are required." });
   }
+ 
+  if (password.length < 6) {
+    return res.status(400).json({ success: false, message: "Password must be at least 6 characters long." });
+  }
 
   try {
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+   
     const result = await pool.query(
-      "SELECT * FROM users WHERE email = $1",
+      "INSERT INTO users (email, password, email_verified) VALUES ($1, $2, 0) RETURNING id, email",
+      [email.toLowerCase().trim(), hashedPassword]
+    );
+
+    try {
+      await sendVerificationEmail(req, result.rows[0].email);
+    } catch (mailError) {
+      // The account exists either way; the user can ask for a new link
+      console.error('Verification email error:', mailError);
+    }
+    
+    res.json({
+      success: true,
+      id: result.rows[0].id,
+      email: result.rows[0].email,
+      message: "Account created! Please check your email to verify your account."
+    });
+  } catch (error) {
+    console.error('Signup error:', error);
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ success: false, message: "User already exists." });
+    }
+    res.status(500).json({ success: false, message: "Server error during signup." });
+  }
+}
+
+app.post("/register", signupLimiter, handleRegister);
+
+// SIGNUP endpoint (backward compatibility)
+app.post("/signup", signupLimiter, handleRegister);
+
+// VERIFY EMAIL link target
+app.get("/verify-email", async (req, res) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.redirect('/?verified=invalid');
+  }
+
+  try {
+    const email = await consumeUserToken(String(token), 'verify');
+    if (!email) {
+      return res.redirect('/?verified=invalid');
+    }
+
+    await pool.query("UPDATE users SET email_verified = 1 WHERE email = $1", [email]);
+    await syncActionItemsForAssignee(email);
+    res.redirect('/?verified=true');
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.redirect('/?verified=invalid');
+  }
+});
+
+// RESEND VERIFICATION endpoint
+app.post("/resend-verification", accountEmailLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!hasAuthFields(req.body, ['email'])) {
+    return res.status(400).json({ success: false, message: "Email is required." });
+  }
+
+  try {
+    const result = await pool.query(
+      "SELECT email, email_verified FROM users WHERE email = $1",
       [email.toLowerCase().trim()]
     );
+
+    // Same answer whether or not the account exists, so addresses cannot be probed
+    if (result.rows.length > 0 && !result.rows[0].email_verified) {
+      await sendVerificationEmail(req, result.rows[0].email);
+    }
+
+    res.json({ success: true, message: "If that account is awaiting verification, a new link has been sent." });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: "Could not send verification email." });
+  }
+});
+
+// LOGIN endpoint
+app.post("/login", loginLimiter, async (req, res) => {
+  const { email, password } = req.body;
+ 
+  if (!hasAuthFields(req.body, ['email', 'password'])) {
+    return res.status(400).json({ success: false, message: "Email and password are required." });
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  try {
+    const waitSeconds = await getLoginWaitSeconds(normalizedEmail);
+    if (waitSeconds > 0) {
+      await recordLoginAttempt(req, normalizedEmail, false, 'throttled');
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        retryAfter: waitSeconds,
+        message: waitSeconds > 60
+          ? `Too many failed attempts. This account is locked for ${Math.ceil(waitSeconds / 60)} more minute(s).`
+          : `Too many failed attempts. Please wait ${waitSeconds} second(s) and try again.`
+      });
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM users WHERE email = $1",
+      [normalizedEmail]
+    );
    
     if (result.rows.length === 0) {
+      await recordLoginAttempt(req, normalizedEmail, false, 'unknown_user');
       return res.status(400).json({ success: false, message: "Invalid credentials." });
     }
 
@@ -348,12 +1156,27 @@ app.post("/login", async (req, res) => {
     const passwordMatch = await bcrypt.compare(password, user.password);
    
     if (!passwordMatch) {
+      await recordLoginAttempt(req, normalizedEmail, false, 'bad_password');
       return res.status(400).json({ success: false, message: "Invalid credentials." });
     }
+
+    if (!user.email_verified) {
+      await recordLoginAttempt(req, normalizedEmail, false, 'unverified');
+      return res.status(403).json({
+        success: false,
+        needsVerification: true,
+        message: "Please verify your email before logging in."
+      });
+    }
+
+    const session = await createSession(user.email);
+    setSessionCookie(res, session.token);
+    await recordLoginAttempt(req, normalizedEmail, true, 'ok');
    
     res.json({
       success: true,
       email: user.email,
+      expiresAt: session.expiresDate,
       message: "Login successful!"
     });
   } catch (error) {
@@ -362,1198 +1185,5077 @@ app.post("/login", async (req, res) => {
   }
 });
 
-// ===================== PROJECTS API WITH PROGRESS =====================
-app.post("/projects", async (req, res) => {
-  const { name, owner_email, colleagues, progress } = req.body;
- 
-  if (!name || !owner_email) {
-    return res.status(400).json({ error: "Project name and owner email are required." });
-  }
- 
+// LOGOUT endpoint
+app.post("/logout", async (req, res) => {
+  const token = req.cookies && req.cookies[SESSION_COOKIE];
+
   try {
-    const result = await pool.query(
-      "INSERT INTO projects (name, owner_email, colleagues, progress) VALUES ($1, $2, $3, $4) RETURNING *",
-      [name, owner_email, colleagues || "[]", progress || 0]
-    );
-    res.json(result.rows[0]);
+    if (token) {
+      await pool.query("DELETE FROM sessions WHERE token_hash = $1", [hashToken(token)]);
+    }
+    clearSessionCookie(res);
+    res.json({ success: true, message: "Logged out." });
   } catch (error) {
-    console.error('Project creation error:', error);
-    res.status(500).json({ error: "Error creating project." });
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: "Logout failed." });
   }
 });
 
-app.get("/projects/:email", async (req, res) => {
+// Current session user
+app.get("/session", requireAuth, (req, res) => {
+  res.json({ email: req.user.email });
+});
+
+// Recent login attempts against the current account
+app.get("/login-activity", requireAuth, async (req, res) => {
   try {
     const result = await pool.query(
-      "SELECT * FROM projects WHERE owner_email = $1",
-      [req.params.email]
+      `SELECT attempted_date, ip_address, user_agent, success, reason
+       FROM login_attempts WHERE user_email = $1
+       ORDER BY attempted_date DESC LIMIT 20`,
+      [req.user.email]
     );
-    res.json(result.rows);
+    res.json(result.rows.map(row => ({ ...row, success: Boolean(row.success) })));
   } catch (error) {
-    console.error('Error fetching projects:', error);
-    res.status(500).json({ error: "Error fetching projects." });
+    console.error('Error fetching login activity:', error);
+    res.status(500).json({ error: "Error fetching login activity." });
   }
 });
 
-app.put("/projects/:id", async (req, res) => {
-  const { name, colleagues, progress } = req.body;
+// ===================== PASSWORD MANAGEMENT =====================
+
+// FORGOT PASSWORD: mails a single-use reset link
+app.post("/password/forgot", accountEmailLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!hasAuthFields(req.body, ['email'])) {
+    return res.status(400).json({ success: false, message: "Email is required." });
+  }
+
   try {
     const result = await pool.query(
-      "UPDATE projects SET name = $1, colleagues = $2, progress = $3 WHERE id = $4",
-      [name, colleagues, progress !== undefined ? progress : 0, req.params.id]
+      "SELECT email FROM users WHERE email = $1",
+      [email.toLowerCase().trim()]
     );
-    res.json({ updated: result.rowCount });
+
+    // Same answer whether or not the account exists, so addresses cannot be probed
+    if (result.rows.length > 0) {
+      await sendPasswordResetEmail(req, result.rows[0].email);
+    }
+
+    res.json({ success: true, message: "If that account exists, a password reset link has been sent." });
   } catch (error) {
-    console.error('Error updating project:', error);
-    res.status(500).json({ error: "Error updating project." });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: "Could not send password reset email." });
   }
 });
 
-app.delete("/projects/:id", async (req, res) => {
-  try {
-    const result = await pool.query("DELETE FROM projects WHERE id = $1", [req.params.id]);
-    res.json({ deleted: result.rowCount });
-  } catch (error) {
-    console.error('Error deleting project:', error);
-    res.status(500).json({ error: "Error deleting project." });
+// RESET PASSWORD: consumes the mailed token and signs out every session
+app.post("/password/reset", accountEmailLimiter, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!hasAuthFields(req.body, ['token', 'password'])) {
+    return res.status(400).json({ success: false, message: "Token and new password are required." });
+  }
+
+  if (password.length < 6) {
+    return res.status(400).json({ success: false, message: "Password must be at least 6 characters long." });
   }
-});
 
-// ===================== MEETINGS API =====================
-app.post("/meetings", async (req, res) => {
-  const { colleague_email, date, description } = req.body;
   try {
-    const result = await pool.query(
-      "INSERT INTO meetings (colleague_email, date, description) VALUES ($1, $2, $3) RETURNING *",
-      [colleague_email, date, description]
+    const email = await consumeUserToken(String(token), 'reset');
+    if (!email) {
+      return res.status(400).json({ success: false, message: "This reset link is invalid or has expired." });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // Opening the mailed link also proves the address belongs to the user
+    await pool.query(
+      "UPDATE users SET password = $1, email_verified = 1 WHERE email = $2",
+      [hashedPassword, email]
     );
-    res.json(result.rows[0]);
+    await pool.query("DELETE FROM sessions WHERE user_email = $1", [email]);
+
+    res.json({ success: true, message: "Password updated. Please log in with your new password." });
   } catch (error) {
-    console.error('Error creating meeting:', error);
-    res.status(500).json({ error: "Error creating meeting." });
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: "Could not reset password." });
   }
 });
 
-app.get("/meetings/:email", async (req, res) => {
+// CHANGE PASSWORD: requires the current password; other sessions are signed out
+app.post("/password/change", requireAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!hasAuthFields(req.body, ['currentPassword', 'newPassword'])) {
+    return res.status(400).json({ success: false, message: "Current and new password are required." });
+  }
+
+  if (newPassword.length < 6) {
+    return res.status(400).json({ success: false, message: "Password must be at least 6 characters long." });
+  }
+
   try {
-    const result = await pool.query(
-      "SELECT * FROM meetings WHERE colleague_email = $1",
-      [req.params.email]
+    const result = await pool.query("SELECT password FROM users WHERE email = $1", [req.user.email]);
+    const passwordMatch = await bcrypt.compare(currentPassword, result.rows[0].password);
+
+    if (!passwordMatch) {
+      return res.status(400).json({ success: false, message: "Current password is incorrect." });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await pool.query("UPDATE users SET password = $1 WHERE email = $2", [hashedPassword, req.user.email]);
+    await pool.query(
+      "DELETE FROM sessions WHERE user_email = $1 AND id <> $2",
+      [req.user.email, req.sessionId]
     );
-    res.json(result.rows);
+
+    res.json({ success: true, message: "Password changed successfully." });
   } catch (error) {
-    console.error('Error fetching meetings:', error);
-    res.status(500).json({ error: "Error fetching meetings." });
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: "Could not change password." });
   }
 });
 
-// ===================== PROJECT DESCRIPTION API (FIXED) =====================
-app.get("/projects/:id/description", async (req, res) => {
+// ===================== PROJECT MEMBERSHIP =====================
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+// The caller's role on a project, or null when they are not on its team
+async function getProjectRole(projectId, email) {
+  if (!/^\d+$/.test(String(projectId))) return null;
+
+  const result = await pool.query(
+    `SELECT p.owner_email, c.role
+     FROM projects p LEFT JOIN colleagues c ON c.project_id = p.id AND c.email = $2
+     WHERE p.id = $1`,
+    [projectId, email]
+  );
+
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return row.owner_email === email ? 'owner' : row.role || null;
+}
+
+// Route guard: 404 when the caller cannot see the project, 403 when their role is too low.
+// The project id is read from req.params[param], falling back to the request body.
+function requireProjectRole(minRole, param = 'id') {
+  return async (req, res, next) => {
+    try {
+      const projectId = req.params[param] !== undefined ? req.params[param] : req.body[param];
+      const role = await getProjectRole(projectId, req.user.email);
+
+      if (!role) {
+        return res.status(404).json({ error: "Project not found." });
+      }
+      if (PROJECT_ROLES.indexOf(role) < PROJECT_ROLES.indexOf(minRole)) {
+        return res.status(403).json({ error: `This action needs ${minRole} access to the project.` });
+      }
+
+      req.projectRole = role;
+      next();
+    } catch (error) {
+      console.error('Project permission error:', error);
+      res.status(500).json({ error: "Error checking project access." });
+    }
+  };
+}
+
+async function getProjectMembers(projectIds) {
+  const result = await pool.query(
+    "SELECT id, project_id, name, email, role, added_date FROM colleagues WHERE project_id = ANY($1::int[]) ORDER BY id ASC",
+    [projectIds]
+  );
+  return result.rows;
+}
+
+async function sendProjectInviteEmail(req, project, member) {
+  await sendMail({
+    to: member.email,
+    subject: `You've been added to "${project.name}" on the Research Portal`,
+    text: `${req.user.email} added you to the project "${project.name}" as ${member.role}.\n\nLog in (or sign up with this email address) to see it:\n${appUrl(req)}/projects.html`
+  });
+}
+
+// ===================== PROJECTS API WITH PROGRESS =====================
+app.post("/projects", requireAuth, async (req, res) => {
+  const { name, members } = req.body;
+ 
+  if (!name) {
+    return res.status(400).json({ error: "Project name is required." });
+  }
+
+  const invited = (Array.isArray(members) ? members : [])
+    .filter(m => m && m.email)
+    .map(m => ({
+      name: m.name || '',
+      email: String(m.email).toLowerCase().trim(),
+      role: PROJECT_ROLES.includes(m.role) ? m.role : 'editor'
+    }))
+    .filter(m => m.email !== req.user.email);
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      "SELECT * FROM projects WHERE id = $1",
-      [req.params.id]
+    await client.query('BEGIN');
+    const result = await client.query(
+      "INSERT INTO projects (name, owner_email, colleagues, progress) VALUES ($1, $2, '[]', 0) RETURNING *",
+      [name, req.user.email]
     );
-    
-    if (result.rows.length === 0) {
-      return res.json({});
+    const project = result.rows[0];
+
+    for (const member of invited) {
+      await client.query(
+        `INSERT INTO colleagues (project_id, name, email, role, added_date) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (project_id, email) DO NOTHING`,
+        [project.id, member.name, member.email, member.role, new Date().toISOString()]
+      );
     }
-    
-    const row = result.rows[0];
-    
-    // Convert snake_case to camelCase for frontend
-    const description = {
-      projectTitle: row.project_title,
-      notes: row.notes,
-      colleagueName: row.colleague_name,
-      colleaguePhone: row.colleague_phone,
-      colleagueEmail: row.colleague_email,
-      colleagueAddress1: row.colleague_address1,
-      colleagueAddress2: row.colleague_address2,
-      colleagueAddress3: row.colleague_address3,
-      yourName: row.your_name,
-      yourPhone: row.your_phone,
-      yourEmail: row.your_email,
-      yourAddress1: row.your_address1,
-      yourAddress2: row.your_address2,
-      yourAddress3: row.your_address3,
-      objectives: row.objectives,
-      timeline: row.timeline,
-      primaryAudience: row.primary_audience,
-      secondaryAudience: row.secondary_audience,
-      callAction: row.call_action,
-      competition: row.competition,
-      graphics: row.graphics,
-      photography: row.photography,
-      multimedia: row.multimedia,
-      otherInfo: row.other_info,
-      clientName: row.client_name,
-      clientComments: row.client_comments,
-      approvalDate: row.approval_date,
-      approvalSignature: row.approval_signature
-    };
-    
-    res.json(description);
+    await client.query('COMMIT');
+
+    for (const member of invited) {
+      sendProjectInviteEmail(req, project, member).catch(error => console.error('Invite email error:', error));
+      notifyProjectMember(req, project, member).catch(error => console.error('Invite notification error:', error));
+    }
+
+    res.json({
+      ...withoutSearchVector(project), role: 'owner', members: await getProjectMembers([project.id]), task_total: 0, task_done: 0
+    });
   } catch (error) {
-    console.error('Error fetching description:', error);
-    res.status(500).json({ error: "Error fetching description." });
+    await client.query('ROLLBACK');
+    console.error('Project creation error:', error);
+    res.status(500).json({ error: "Error creating project." });
+  } finally {
+    client.release();
   }
 });
 
-app.put("/projects/:id/description", async (req, res) => {
-  const { 
-    projectTitle, notes, colleagueName, colleaguePhone, colleagueEmail, 
-    colleagueAddress1, colleagueAddress2, colleagueAddress3, yourName, 
-    yourPhone, yourEmail, yourAddress1, yourAddress2, yourAddress3, 
-    objectives, timeline, primaryAudience, secondaryAudience, callAction, 
-    competition, graphics, photography, multimedia, otherInfo, clientName, 
-    clientComments, approvalDate, approvalSignature 
-  } = req.body;
-  
-  console.log('Received update request for project:', req.params.id);
-  console.log('Data received:', req.body);
- 
+// Projects the user owns or has been added to, with their role and the team
+app.get("/projects", requireAuth, async (req, res) => {
   try {
     const result = await pool.query(
-      `UPDATE projects SET
-        project_title = $1, notes = $2, colleague_name = $3, colleague_phone = $4, colleague_email = $5,
-        colleague_address1 = $6, colleague_address2 = $7, colleague_address3 = $8,
-        your_name = $9, your_phone = $10, your_email = $11, your_address1 = $12, your_address2 = $13, your_address3 = $14,
-        objectives = $15, timeline = $16, primary_audience = $17, secondary_audience = $18, call_action = $19,
-        competition = $20, graphics = $21, photography = $22, multimedia = $23, other_info = $24,
-        client_name = $25, client_comments = $26, approval_date = $27, approval_signature = $28
-        WHERE id = $29
-        RETURNING *`,
-      [
-        projectTitle, notes, colleagueName, colleaguePhone, colleagueEmail, 
-        colleagueAddress1, colleagueAddress2, colleagueAddress3, yourName, 
-        yourPhone, yourEmail, yourAddress1, yourAddress2, yourAddress3, 
-        objectives, timeline, primaryAudience, secondaryAudience, callAction, 
-        competition, graphics, photography, multimedia, otherInfo, clientName, 
-        clientComments, approvalDate, approvalSignature, req.params.id
-      ]
+      `SELECT p.*, CASE WHEN p.owner_email = $1 THEN 'owner' ELSE c.role END AS role
+       FROM projects p LEFT JOIN colleagues c ON c.project_id = p.id AND c.email = $1
+       WHERE p.owner_email = $1 OR c.id IS NOT NULL
+       ORDER BY p.id ASC`,
+      [req.user.email]
     );
-    
-    console.log('Update successful, rows affected:', result.rowCount);
-    
-    // Return the updated data in camelCase format
-    const row = result.rows[0];
-    const updatedDescription = {
-      projectTitle: row.project_title,
-      notes: row.notes,
-      colleagueName: row.colleague_name,
-      colleaguePhone: row.colleague_phone,
-      colleagueEmail: row.colleague_email,
-      colleagueAddress1: row.colleague_address1,
-      colleagueAddress2: row.colleague_address2,
-      colleagueAddress3: row.colleague_address3,
-      yourName: row.your_name,
-      yourPhone: row.your_phone,
-      yourEmail: row.your_email,
-      yourAddress1: row.your_address1,
-      yourAddress2: row.your_address2,
-      yourAddress3: row.your_address3,
-      objectives: row.objectives,
-      timeline: row.timeline,
-      primaryAudience: row.primary_audience,
-      secondaryAudience: row.secondary_audience,
-      callAction: row.call_action,
-      competition: row.competition,
-      graphics: row.graphics,
-      photography: row.photography,
-      multimedia: row.multimedia,
-      otherInfo: row.other_info,
-      clientName: row.client_name,
-      clientComments: row.client_comments,
-      approvalDate: row.approval_date,
-      approvalSignature: row.approval_signature
-    };
-    
-    res.json({ updated: result.rowCount, data: updatedDescription });
+
+    const projectIds = result.rows.map(p => p.id);
+    const members = await getProjectMembers(projectIds);
+    const taskCounts = await getTaskCounts(projectIds);
+    res.json(result.rows.map(project => {
+      const counts = taskCounts.find(c => c.project_id === project.id);
+      return {
+        ...withoutSearchVector(project),
+        members: members.filter(m => m.project_id === project.id),
+        task_total: counts ? counts.total : 0,
+        task_done: counts ? counts.done : 0
+      };
+    }));
   } catch (error) {
-    console.error('Update error:', error);
-    res.status(500).json({ error: "Error updating description.", details: error.message });
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: "Error fetching projects." });
   }
 });
 
-// ===================== IDEAS API =====================
-app.get("/ideas/:email", async (req, res) => {
+app.put("/projects/:id", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: "Project name is required." });
+  }
+
   try {
+    // progress is derived from the task board and can't be set here
     const result = await pool.query(
-      "SELECT * FROM ideas WHERE user_email = $1 ORDER BY created_date DESC", 
-      [req.params.email]
+      "UPDATE projects SET name = $1 WHERE id = $2",
+      [name, req.params.id]
     );
-    res.json(result.rows);
+    res.json({ updated: result.rowCount });
   } catch (error) {
-    console.error('Error fetching ideas:', error);
-    res.status(500).json({ error: "Error fetching ideas." });
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: "Error updating project." });
   }
 });
 
-app.post("/ideas", async (req, res) => {
-  const { user_email, title, content, category, created_date } = req.body;
-  const date = created_date || new Date().toISOString();
+// All or nothing: the mirrored deadlines and members go with the project (the
+// rest cascades), or nothing is deleted
+app.delete("/projects/:id", requireAuth, requireProjectRole('owner'), async (req, res) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      "INSERT INTO ideas (user_email, title, content, category, created_date) VALUES ($1, $2, $3, $4, $5) RETURNING *",
-      [user_email, title, content, category || 'general', date]
+    await client.query('BEGIN');
+    await client.query(
+      `DELETE FROM deadlines WHERE source_type = 'action_item' AND source_id IN (
+         SELECT a.id FROM meeting_action_items a JOIN meetings m ON m.id = a.meeting_id WHERE m.project_id = $1
+       )`,
+      [req.params.id]
     );
-    res.json(result.rows[0]);
+    await client.query("DELETE FROM colleagues WHERE project_id = $1", [req.params.id]);
+    const result = await client.query("DELETE FROM projects WHERE id = $1", [req.params.id]);
+    await client.query('COMMIT');
+    res.json({ deleted: result.rowCount });
   } catch (error) {
-    console.error('Error creating idea:', error);
-    res.status(500).json({ error: "Error creating idea." });
+    await client.query('ROLLBACK');
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: "Error deleting project." });
+  } finally {
+    client.release();
   }
 });
 
-app.put("/ideas/:id", async (req, res) => {
-  const { title, content, category } = req.body;
+// ===================== PROJECT MEMBERS API =====================
+app.get("/projects/:id/members", requireAuth, requireProjectRole('viewer'), async (req, res) => {
   try {
-    const result = await pool.query(
-      "UPDATE ideas SET title = $1, content = $2, category = $3 WHERE id = $4",
-      [title, content, category, req.params.id]
-    );
-    res.json({ updated: result.rowCount });
+    const project = await pool.query("SELECT owner_email FROM projects WHERE id = $1", [req.params.id]);
+    res.json({
+      owner: project.rows[0].owner_email,
+      members: await getProjectMembers([parseInt(req.params.id, 10)])
+    });
   } catch (error) {
-    console.error('Error updating idea:', error);
-    res.status(500).json({ error: "Error updating idea." });
+    console.error('Error fetching members:', error);
+    res.status(500).json({ error: "Error fetching members." });
   }
 });
 
-app.delete("/ideas/:id", async (req, res) => {
-  try {
-    const result = await pool.query("DELETE FROM ideas WHERE id = $1", [req.params.id]);
-    res.json({ deleted: result.rowCount });
-  } catch (error) {
-    console.error('Error deleting idea:', error);
-    res.status(500).json({ error: "Error deleting idea." });
+// Invite a colleague by email; they see the project once they log in with that address
+app.post("/projects/:id/members", requireAuth, requireProjectRole('owner'), async (req, res) => {
+  const { name, email, role } = req.body;
+
+  if (!email || !String(email).includes('@')) {
+    return res.status(400).json({ error: "A valid email is required." });
+  }
+  if (role && !PROJECT_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Role must be owner, editor or viewer." });
   }
-});
 
-// ===================== NOTES API =====================
-app.get("/notes/:email", async (req, res) => {
+  const memberEmail = String(email).toLowerCase().trim();
+
   try {
+    const project = (await pool.query("SELECT * FROM projects WHERE id = $1", [req.params.id])).rows[0];
+    if (memberEmail === project.owner_email) {
+      return res.status(400).json({ error: "That user already owns this project." });
+    }
+
     const result = await pool.query(
-      "SELECT * FROM notes WHERE user_email = $1 ORDER BY created_date DESC", 
-      [req.params.email]
+      "INSERT INTO colleagues (project_id, name, email, role, added_date) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+      [req.params.id, name || '', memberEmail, role || 'editor', new Date().toISOString()]
     );
-    res.json(result.rows);
+    const member = result.rows[0];
+
+    sendProjectInviteEmail(req, project, member).catch(error => console.error('Invite email error:', error));
+    notifyProjectMember(req, project, member).catch(error => console.error('Invite notification error:', error));
+    res.json(member);
   } catch (error) {
-    console.error('Error fetching notes:', error);
-    res.status(500).json({ error: "Error fetching notes." });
+    if (error.code === '23505') {
+      return res.status(400).json({ error: "That colleague is already on the team." });
+    }
+    console.error('Error adding member:', error);
+    res.status(500).json({ error: "Error adding member." });
   }
 });
 
-app.post("/notes", async (req, res) => {
-  const { user_email, title, content, created_date } = req.body;
-  const date = created_date || new Date().toISOString();
+app.put("/projects/:id/members/:memberId", requireAuth, requireProjectRole('owner'), async (req, res) => {
+  const { name, role } = req.body;
+
+  if (role && !PROJECT_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Role must be owner, editor or viewer." });
+  }
+
   try {
     const result = await pool.query(
-      "INSERT INTO notes (user_email, title, content, created_date) VALUES ($1, $2, $3, $4) RETURNING *",
-      [user_email, title, content, date]
+      "UPDATE colleagues SET name = COALESCE($1, name), role = COALESCE($2, role) WHERE id = $3 AND project_id = $4 RETURNING *",
+      [name, role, req.params.memberId, req.params.id]
     );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Member not found." });
+    }
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error creating note:', error);
-    res.status(500).json({ error: "Error creating note." });
+    console.error('Error updating member:', error);
+    res.status(500).json({ error: "Error updating member." });
   }
 });
 
-app.put("/notes/:id", async (req, res) => {
-  const { title, content } = req.body;
+// Owners can remove anyone; other members can only remove themselves
+app.delete("/projects/:id/members/:memberId", requireAuth, requireProjectRole('viewer'), async (req, res) => {
   try {
     const result = await pool.query(
-      "UPDATE notes SET title = $1, content = $2 WHERE id = $3",
-      [title, content, req.params.id]
+      "DELETE FROM colleagues WHERE id = $1 AND project_id = $2 AND ($3 = 'owner' OR email = $4)",
+      [req.params.memberId, req.params.id, req.projectRole, req.user.email]
     );
-    res.json({ updated: result.rowCount });
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+    res.json({ deleted: result.rowCount });
   } catch (error) {
-    console.error('Error updating note:', error);
-    res.status(500).json({ error: "Error updating note." });
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: "Error removing member." });
   }
 });
 
-app.delete("/notes/:id", async (req, res) => {
-  try {
-    const result = await pool.query("DELETE FROM notes WHERE id = $1", [req.params.id]);
-    res.json({ deleted: result.rowCount });
-  } catch (error) {
-    console.error('Error deleting note:', error);
-    res.status(500).json({ error: "Error deleting note." });
+// ===================== LINKED DEADLINES =====================
+// Dated work from other features shows up in a user's deadlines list as a
+// deadlines row tagged with source_type/source_id, kept in sync from the source.
+
+async function removeLinkedDeadline(sourceType, sourceId) {
+  await pool.query(
+    "DELETE FROM deadlines WHERE source_type = $1 AND source_id = $2",
+    [sourceType, sourceId]
+  );
+}
+
+// Creates or updates the deadline mirroring a source record. Deadlines belong to
+// registered users, so nothing is mirrored for someone without an account yet.
+async function upsertLinkedDeadline(sourceType, sourceId, deadline) {
+  const user = await pool.query("SELECT id FROM users WHERE email = $1", [deadline.user_email]);
+  if (user.rows.length === 0) {
+    return removeLinkedDeadline(sourceType, sourceId);
   }
-});
 
-// ===================== CAREER GOALS API WITH STAGE HISTORY =====================
-app.get("/career_goals/:email", async (req, res) => {
-  try {
-    const result = await pool.query(
-      "SELECT * FROM career_goals WHERE user_email = $1 ORDER BY created_date DESC", 
-      [req.params.email]
+  const updated = await pool.query(
+    `UPDATE deadlines SET user_email = $1, title = $2, description = $3, due_date = $4, priority = $5
+     WHERE source_type = $6 AND source_id = $7`,
+    [deadline.user_email, deadline.title, deadline.description, deadline.due_date, deadline.priority || 'medium', sourceType, sourceId]
+  );
+
+  if (updated.rowCount === 0) {
+    await pool.query(
+      `INSERT INTO deadlines (user_email, title, description, due_date, priority, status, created_date, source_type, source_id)
+       VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8)`,
+      [deadline.user_email, deadline.title, deadline.description, deadline.due_date, deadline.priority || 'medium',
+        new Date().toISOString(), sourceType, sourceId]
     );
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error fetching career goals:', error);
-    res.status(500).json({ error: "Error fetching career goals." });
   }
-});
+}
+
+// Open, assigned action items with a due date appear in the assignee's deadlines
+async function syncActionItemDeadline(itemId) {
+  const result = await pool.query(
+    `SELECT a.*, m.title AS meeting_title, p.name AS project_name
+     FROM meeting_action_items a
+     JOIN meetings m ON m.id = a.meeting_id
+     JOIN projects p ON p.id = m.project_id
+     WHERE a.id = $1`,
+    [itemId]
+  );
+  const item = result.rows[0];
+
+  if (!item || item.status !== 'open' || !item.assignee_email || !item.due_date) {
+    return removeLinkedDeadline('action_item', itemId);
+  }
+
+  await upsertLinkedDeadline('action_item', itemId, {
+    user_email: item.assignee_email,
+    title: item.description,
+    description: `Action item from "${item.meeting_title || 'Meeting'}" in ${item.project_name}`,
+    due_date: item.due_date
+  });
+}
 
-app.get("/career/:email", async (req, res) => {
+// Picks up action items assigned to an address before it had an account
+async function syncActionItemsForAssignee(email) {
+  const result = await pool.query(
+    "SELECT id FROM meeting_action_items WHERE assignee_email = $1 AND status = 'open'",
+    [email]
+  );
+  for (const row of result.rows) {
+    await syncActionItemDeadline(row.id);
+  }
+}
+
+// ===================== MEETINGS API =====================
+function parseJsonList(value) {
   try {
-    const result = await pool.query(
-      "SELECT * FROM career_goals WHERE user_email = $1 ORDER BY created_date DESC", 
-      [req.params.email]
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function formatMeeting(row, actionItems) {
+  return {
+    ...withoutSearchVector(row),
+    attendees: parseJsonList(row.attendees),
+    agenda: parseJsonList(row.agenda),
+    action_items: actionItems.filter(a => a.meeting_id === row.id)
+  };
+}
+
+function cleanEmailList(list) {
+  return (Array.isArray(list) ? list : [])
+    .map(e => String(e).toLowerCase().trim())
+    .filter(e => e.includes('@'));
+}
+
+function cleanAgenda(list) {
+  return (Array.isArray(list) ? list : []).map(a => String(a).trim()).filter(Boolean);
+}
+
+// Start (required) and end as date-time strings; returns an error message or null
+function meetingTimesError(startTime, endTime) {
+  if (!startTime) {
+    return "Meeting start time is required.";
+  }
+  if (typeof startTime !== 'string' || Number.isNaN(Date.parse(startTime))) {
+    return "Meeting start time must be a date and time.";
+  }
+  if (endTime && (typeof endTime !== 'string' || Number.isNaN(Date.parse(endTime)))) {
+    return "Meeting end time must be a date and time.";
+  }
+  if (endTime && endTime < startTime) {
+    return "Meeting cannot end before it starts.";
+  }
+  return null;
+}
+
+async function findProjectMeeting(projectId, meetingId) {
+  const result = await pool.query(
+    "SELECT * FROM meetings WHERE id = $1 AND project_id = $2",
+    [meetingId, projectId]
+  );
+  return result.rows[0] || null;
+}
+
+// Action items land in the assignee's deadlines, so only the project's own
+// members can be given one (as with tasks)
+async function validateActionItemAssignee(projectId, assigneeEmail) {
+  if (assigneeEmail && !(await getProjectRole(projectId, String(assigneeEmail).toLowerCase().trim()))) {
+    return "Action items can only be assigned to members of the project.";
+  }
+  return null;
+}
+
+async function insertActionItem(meetingId, item) {
+  const result = await pool.query(
+    `INSERT INTO meeting_action_items (meeting_id, description, assignee_email, due_date, status, created_date)
+     VALUES ($1, $2, $3, $4, 'open', $5) RETURNING *`,
+    [meetingId, item.description, item.assignee_email ? String(item.assignee_email).toLowerCase().trim() : null,
+      item.due_date || null, new Date().toISOString()]
+  );
+  await syncActionItemDeadline(result.rows[0].id);
+  return result.rows[0];
+}
+
+// A project's meetings in time order, optionally only those a given colleague attends
+app.get("/projects/:id/meetings", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const meetings = await pool.query(
+      "SELECT * FROM meetings WHERE project_id = $1 ORDER BY start_time ASC, id ASC",
+      [req.params.id]
     );
-    res.json(result.rows);
+    const actionItems = await pool.query(
+      `SELECT a.* FROM meeting_action_items a JOIN meetings m ON m.id = a.meeting_id
+       WHERE m.project_id = $1 ORDER BY a.due_date ASC, a.id ASC`,
+      [req.params.id]
+    );
+
+    let result = meetings.rows.map(row => formatMeeting(row, actionItems.rows));
+    if (req.query.attendee) {
+      const attendee = String(req.query.attendee).toLowerCase();
+      result = result.filter(m => m.attendees.includes(attendee));
+    }
+    res.json(result);
   } catch (error) {
-    console.error('Error fetching career goals:', error);
-    res.status(500).json({ error: "Error fetching career goals." });
+    console.error('Error fetching meetings:', error);
+    res.status(500).json({ error: "Error fetching meetings." });
   }
 });
 
-app.post("/career_goals", async (req, res) => {
-  const { 
-    user_email, title, description, progress, goal_type, target_date, 
-    total_stages, current_stage, start_date, stage_description, created_date 
-  } = req.body;
-  const date = created_date || new Date().toISOString();
-  
+app.post("/projects/:id/meetings", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { title, start_time, end_time, attendees, agenda, minutes, description, action_items } = req.body;
+
+  const invalidTimes = meetingTimesError(start_time, end_time);
+  if (invalidTimes) {
+    return res.status(400).json({ error: invalidTimes });
+  }
+
+  const newItems = (Array.isArray(action_items) ? action_items : []).filter(item => item && item.description);
+
   try {
+    for (const item of newItems) {
+      const invalid = await validateActionItemAssignee(req.params.id, item.assignee_email);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    const now = new Date().toISOString();
     const result = await pool.query(
-      `INSERT INTO career_goals (
-        user_email, title, description, progress, goal_type, target_date, 
-        total_stages, current_stage, start_date, stage_description, created_date
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      `INSERT INTO meetings (project_id, title, start_time, end_time, date, attendees, agenda, minutes, description, created_by, created_date, modified_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11) RETURNING *`,
       [
-        user_email, title, description, progress || 0, goal_type || 'general', 
-        target_date, total_stages || 5, current_stage || 0, start_date, 
-        stage_description, date
+        req.params.id, title, start_time, end_time || null, start_time.slice(0, 10),
+        JSON.stringify(cleanEmailList(attendees)), JSON.stringify(cleanAgenda(agenda)),
+        minutes, description, req.user.email, now
       ]
     );
-    res.json(result.rows[0]);
+    const meeting = result.rows[0];
+
+    const items = [];
+    for (const item of newItems) {
+      items.push(await insertActionItem(meeting.id, item));
+    }
+
+    res.json(formatMeeting(meeting, items));
   } catch (error) {
-    console.error('Error creating career goal:', error);
-    res.status(500).json({ error: "Error creating career goal." });
+    console.error('Error creating meeting:', error);
+    res.status(500).json({ error: "Error creating meeting." });
   }
 });
 
-app.put("/career_goals/:id", async (req, res) => {
-  const { 
-    title, description, progress, goal_type, target_date, 
-    total_stages, current_stage, start_date, stage_description 
-  } = req.body;
-  
+app.put("/projects/:id/meetings/:meetingId", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { title, start_time, end_time, attendees, agenda, minutes, description } = req.body;
+
+  const invalidTimes = meetingTimesError(start_time, end_time);
+  if (invalidTimes) {
+    return res.status(400).json({ error: invalidTimes });
+  }
+
   try {
     const result = await pool.query(
-      `UPDATE career_goals SET 
-        title = $1, description = $2, progress = $3, goal_type = $4, 
-        target_date = $5, total_stages = $6, current_stage = $7, 
-        start_date = $8, stage_description = $9 
-      WHERE id = $10`,
+      `UPDATE meetings SET title = $1, start_time = $2, end_time = $3, date = $4, attendees = $5,
+        agenda = $6, minutes = $7, description = $8, modified_date = $9
+       WHERE id = $10 AND project_id = $11 RETURNING *`,
       [
-        title, description, progress, goal_type, target_date, 
-        total_stages, current_stage, start_date, stage_description, 
-        req.params.id
+        title, start_time, end_time || null, start_time.slice(0, 10),
+        JSON.stringify(cleanEmailList(attendees)), JSON.stringify(cleanAgenda(agenda)),
+        minutes, description, new Date().toISOString(), req.params.meetingId, req.params.id
       ]
     );
-    res.json({ updated: result.rowCount });
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Meeting not found." });
+    }
+
+    // Meeting title feeds the mirrored deadline text
+    const items = await pool.query("SELECT * FROM meeting_action_items WHERE meeting_id = $1", [req.params.meetingId]);
+    for (const item of items.rows) {
+      await syncActionItemDeadline(item.id);
+    }
+
+    res.json(formatMeeting(result.rows[0], items.rows));
   } catch (error) {
-    console.error('Error updating career goal:', error);
-    res.status(500).json({ error: "Error updating career goal." });
+    console.error('Error updating meeting:', error);
+    res.status(500).json({ error: "Error updating meeting." });
   }
 });
 
-app.delete("/career_goals/:id", async (req, res) => {
+app.delete("/projects/:id/meetings/:meetingId", requireAuth, requireProjectRole('editor'), async (req, res) => {
   try {
-    // Delete history entries first (CASCADE should handle this, but being explicit)
-    await pool.query("DELETE FROM career_stage_history WHERE goal_id = $1", [req.params.id]);
-    
-    // Delete the goal
-    const result = await pool.query("DELETE FROM career_goals WHERE id = $1", [req.params.id]);
+    await pool.query(
+      `DELETE FROM deadlines WHERE source_type = 'action_item'
+       AND source_id IN (SELECT id FROM meeting_action_items WHERE meeting_id = $1)`,
+      [req.params.meetingId]
+    );
+    const result = await pool.query(
+      "DELETE FROM meetings WHERE id = $1 AND project_id = $2",
+      [req.params.meetingId, req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Meeting not found." });
+    }
     res.json({ deleted: result.rowCount });
   } catch (error) {
-    console.error('Error deleting career goal:', error);
-    res.status(500).json({ error: "Error deleting career goal." });
+    console.error('Error deleting meeting:', error);
+    res.status(500).json({ error: "Error deleting meeting." });
   }
 });
 
-// ===================== STAGE HISTORY API =====================
-app.get("/career_goals/:id/history", async (req, res) => {
+// ===================== MEETING ACTION ITEMS API =====================
+app.post("/projects/:id/meetings/:meetingId/action_items", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { description } = req.body;
+
+  if (!description) {
+    return res.status(400).json({ error: "Action item description is required." });
+  }
+
   try {
-    const result = await pool.query(
-      "SELECT * FROM career_stage_history WHERE goal_id = $1 ORDER BY stage ASC, updated_date DESC",
-      [req.params.id]
-    );
-    res.json(result.rows);
+    if (!(await findProjectMeeting(req.params.id, req.params.meetingId))) {
+      return res.status(404).json({ error: "Meeting not found." });
+    }
+    const invalid = await validateActionItemAssignee(req.params.id, req.body.assignee_email);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    res.json(await insertActionItem(req.params.meetingId, req.body));
   } catch (error) {
-    console.error('Error fetching stage history:', error);
-    res.status(500).json({ error: "Error fetching stage history." });
+    console.error('Error creating action item:', error);
+    res.status(500).json({ error: "Error creating action item." });
   }
 });
 
-app.post("/career_goals/:id/history", async (req, res) => {
-  const { stage, description } = req.body;
-  const updated_date = new Date().toISOString();
-  
+// Editors can change anything; the assignee (at any role) can update the status
+app.put("/projects/:id/meetings/:meetingId/action_items/:itemId", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  const { description, assignee_email, due_date, status } = req.body;
+
+  if (status && !['open', 'done'].includes(status)) {
+    return res.status(400).json({ error: "Status must be open or done." });
+  }
+
   try {
+    const existing = await pool.query(
+      `SELECT a.* FROM meeting_action_items a JOIN meetings m ON m.id = a.meeting_id
+       WHERE a.id = $1 AND a.meeting_id = $2 AND m.project_id = $3`,
+      [req.params.itemId, req.params.meetingId, req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Action item not found." });
+    }
+
+    const item = existing.rows[0];
+    const isEditor = req.projectRole !== 'viewer';
+    if (!isEditor && item.assignee_email !== req.user.email) {
+      return res.status(403).json({ error: "This action needs editor access to the project." });
+    }
+    if (isEditor) {
+      const invalid = await validateActionItemAssignee(req.params.id, assignee_email);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    const nextStatus = status || item.status;
     const result = await pool.query(
-      "INSERT INTO career_stage_history (goal_id, stage, description, updated_date) VALUES ($1, $2, $3, $4) RETURNING *",
-      [req.params.id, stage, description, updated_date]
+      `UPDATE meeting_action_items SET description = $1, assignee_email = $2, due_date = $3, status = $4, completed_date = $5
+       WHERE id = $6 RETURNING *`,
+      [
+        isEditor && description !== undefined ? description : item.description,
+        isEditor && assignee_email !== undefined ? (assignee_email ? String(assignee_email).toLowerCase().trim() : null) : item.assignee_email,
+        isEditor && due_date !== undefined ? due_date : item.due_date,
+        nextStatus,
+        nextStatus === 'done' ? (item.completed_date || new Date().toISOString()) : null,
+        item.id
+      ]
     );
+
+    await syncActionItemDeadline(item.id);
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error adding stage history:', error);
-    res.status(500).json({ error: "Error adding stage history." });
+    console.error('Error updating action item:', error);
+    res.status(500).json({ error: "Error updating action item." });
   }
 });
 
-app.delete("/career_goals/:goalId/history/:historyId", async (req, res) => {
+app.delete("/projects/:id/meetings/:meetingId/action_items/:itemId", requireAuth, requireProjectRole('editor'), async (req, res) => {
   try {
     const result = await pool.query(
-      "DELETE FROM career_stage_history WHERE id = $1 AND goal_id = $2",
-      [req.params.historyId, req.params.goalId]
+      `DELETE FROM meeting_action_items WHERE id = $1 AND meeting_id IN (
+         SELECT id FROM meetings WHERE id = $2 AND project_id = $3
+       )`,
+      [req.params.itemId, req.params.meetingId, req.params.id]
     );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Action item not found." });
+    }
+    await removeLinkedDeadline('action_item', parseInt(req.params.itemId, 10));
     res.json({ deleted: result.rowCount });
   } catch (error) {
-    console.error('Error deleting history entry:', error);
-    res.status(500).json({ error: "Error deleting history entry." });
+    console.error('Error deleting action item:', error);
+    res.status(500).json({ error: "Error deleting action item." });
   }
 });
 
-// ===================== FUTURE WORK API =====================
-app.get("/future_work/:email", async (req, res) => {
+// ===================== TASK BOARD API =====================
+const TASK_STATUSES = ['todo', 'in-progress', 'review', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+async function getTaskCounts(projectIds) {
+  const result = await pool.query(
+    `SELECT project_id, COUNT(*) AS total, SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) AS done
+     FROM tasks WHERE project_id = ANY($1::int[]) GROUP BY project_id`,
+    [projectIds]
+  );
+  return result.rows.map(row => ({
+    project_id: row.project_id,
+    total: parseInt(row.total, 10),
+    done: parseInt(row.done, 10) || 0
+  }));
+}
+
+// Project progress is the share of its tasks that are done
+async function refreshProjectProgress(projectId) {
+  const [counts] = await getTaskCounts([parseInt(projectId, 10)]);
+  const progress = counts ? Math.round((counts.done / counts.total) * 100) : 0;
+  await pool.query("UPDATE projects SET progress = $1 WHERE id = $2", [progress, projectId]);
+  return progress;
+}
+
+// Checks the parts of a task body that have fixed vocabularies; returns an error message or null
+async function validateTaskFields(projectId, { status, priority, assignee_email }) {
+  if (status !== undefined && !TASK_STATUSES.includes(status)) {
+    return `Status must be one of: ${TASK_STATUSES.join(', ')}.`;
+  }
+  if (priority !== undefined && !TASK_PRIORITIES.includes(priority)) {
+    return `Priority must be one of: ${TASK_PRIORITIES.join(', ')}.`;
+  }
+  if (assignee_email && !(await getProjectRole(projectId, String(assignee_email).toLowerCase().trim()))) {
+    return "Tasks can only be assigned to members of the project.";
+  }
+  return null;
+}
+
+async function nextTaskPosition(projectId, status) {
+  const result = await pool.query(
+    "SELECT COALESCE(MAX(position), -1) + 1 AS next FROM tasks WHERE project_id = $1 AND status = $2",
+    [projectId, status]
+  );
+  return parseInt(result.rows[0].next, 10);
+}
+
+app.get("/projects/:id/tasks", requireAuth, requireProjectRole('viewer'), async (req, res) => {
   try {
+    const params = [req.params.id];
+    let where = "project_id = $1";
+    if (req.query.status) {
+      params.push(req.query.status);
+      where += ` AND status = $${params.length}`;
+    }
+    if (req.query.assignee) {
+      params.push(String(req.query.assignee).toLowerCase());
+      where += ` AND assignee_email = $${params.length}`;
+    }
+
     const result = await pool.query(
-      "SELECT * FROM future_work WHERE user_email = $1 ORDER BY created_date DESC", 
-      [req.params.email]
+      `SELECT * FROM tasks WHERE ${where} ORDER BY position ASC, id ASC`,
+      params
     );
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching future work:', error);
-    res.status(500).json({ error: "Error fetching future work." });
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: "Error fetching tasks." });
   }
 });
 
-app.get("/future/:email", async (req, res) => {
+app.post("/projects/:id/tasks", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { title, description, assignee_email, due_date } = req.body;
+  const status = req.body.status || 'todo';
+  const priority = req.body.priority || 'medium';
+
+  if (!title) {
+    return res.status(400).json({ error: "Task title is required." });
+  }
+
   try {
+    const invalid = await validateTaskFields(req.params.id, { status, priority, assignee_email });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const now = new Date().toISOString();
     const result = await pool.query(
-      "SELECT * FROM future_work WHERE user_email = $1 ORDER BY created_date DESC", 
-      [req.params.email]
+      `INSERT INTO tasks (project_id, title, description, assignee_email, status, priority, due_date, position,
+        created_by, created_date, modified_date, completed_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10, $11) RETURNING *`,
+      [
+        req.params.id, title, description || '', assignee_email ? String(assignee_email).toLowerCase().trim() : null,
+        status, priority, due_date || null, await nextTaskPosition(req.params.id, status),
+        req.user.email, now, status === 'done' ? now : null
+      ]
     );
-    res.json(result.rows);
+
+    const progress = await refreshProjectProgress(req.params.id);
+    res.json({ ...result.rows[0], project_progress: progress });
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: "Error creating task." });
+  }
+});
+
+// Drag-and-drop: the full, ordered list of task ids for one column after the drop
+app.put("/projects/:id/tasks/order", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { status, task_ids } = req.body;
+
+  if (!TASK_STATUSES.includes(status) || !Array.isArray(task_ids)) {
+    return res.status(400).json({ error: "A valid status and a list of task ids are required." });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const now = new Date().toISOString();
+    const completedDate = status === 'done' ? 'COALESCE(completed_date, $2)' : 'NULL';
+    for (let position = 0; position < task_ids.length; position++) {
+      const moved = await client.query(
+        `UPDATE tasks SET position = $1, modified_date = $2, completed_date = ${completedDate}, status = $3
+         WHERE id = $4 AND project_id = $5`,
+        [position, now, status, task_ids[position], req.params.id]
+      );
+      if (moved.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: `Task ${task_ids[position]} not found in this project.` });
+      }
+    }
+    await client.query('COMMIT');
+
+    const progress = await refreshProjectProgress(req.params.id);
+    res.json({ updated: task_ids.length, project_progress: progress });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error reordering tasks:', error);
+    res.status(500).json({ error: "Error reordering tasks." });
+  } finally {
+    client.release();
+  }
+});
+
+app.put("/projects/:id/tasks/:taskId", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const existing = await pool.query(
+      "SELECT * FROM tasks WHERE id = $1 AND project_id = $2",
+      [req.params.taskId, req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    const task = { ...existing.rows[0] };
+    for (const field of ['title', 'description', 'assignee_email', 'status', 'priority', 'due_date']) {
+      if (req.body[field] !== undefined) task[field] = req.body[field];
+    }
+
+    if (!task.title) {
+      return res.status(400).json({ error: "Task title is required." });
+    }
+    const invalid = await validateTaskFields(req.params.id, task);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // A task moved to another column goes to the bottom of it
+    const before = existing.rows[0];
+    const position = task.status !== before.status ? await nextTaskPosition(req.params.id, task.status) : before.position;
+    const now = new Date().toISOString();
+
+    const result = await pool.query(
+      `UPDATE tasks SET title = $1, description = $2, assignee_email = $3, status = $4, priority = $5, due_date = $6,
+        position = $7, modified_date = $8, completed_date = $9
+       WHERE id = $10 RETURNING *`,
+      [
+        task.title, task.description, task.assignee_email ? String(task.assignee_email).toLowerCase().trim() : null,
+        task.status, task.priority, task.due_date || null, position, now,
+        task.status === 'done' ? (before.completed_date || now) : null, before.id
+      ]
+    );
+
+    const progress = await refreshProjectProgress(req.params.id);
+    res.json({ ...result.rows[0], project_progress: progress });
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: "Error updating task." });
+  }
+});
+
+app.delete("/projects/:id/tasks/:taskId", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM tasks WHERE id = $1 AND project_id = $2",
+      [req.params.taskId, req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    const progress = await refreshProjectProgress(req.params.id);
+    res.json({ deleted: result.rowCount, project_progress: progress });
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ error: "Error deleting task." });
+  }
+});
+
+// ===================== PROJECT MILESTONES API =====================
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function getProjectMilestones(projectId) {
+  const milestones = await pool.query(
+    "SELECT * FROM milestones WHERE project_id = $1 ORDER BY start_date ASC, id ASC",
+    [projectId]
+  );
+  const dependencies = await pool.query(
+    `SELECT d.milestone_id, d.depends_on_id FROM milestone_dependencies d
+     JOIN milestones m ON m.id = d.milestone_id WHERE m.project_id = $1`,
+    [projectId]
+  );
+  return { milestones: milestones.rows, dependencies: dependencies.rows };
+}
+
+// Returns an error message, or null when the milestone and its dependency list are valid.
+// milestoneId is null for a milestone that doesn't exist yet.
+async function validateMilestone(projectId, milestoneId, { title, start_date, end_date, depends_on }) {
+  if (!title) return "Milestone title is required.";
+  if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '')) {
+    return "Start and end dates are required (YYYY-MM-DD).";
+  }
+  if (end_date < start_date) return "A milestone cannot end before it starts.";
+  if (depends_on !== undefined && !Array.isArray(depends_on)) return "depends_on must be a list of milestone ids.";
+
+  const dependsOn = (depends_on || []).map(Number);
+  if (milestoneId && dependsOn.includes(Number(milestoneId))) return "A milestone cannot depend on itself.";
+
+  const { milestones, dependencies } = await getProjectMilestones(projectId);
+  const ids = milestones.map(m => m.id);
+  if (dependsOn.some(id => !ids.includes(id))) return "Dependencies must be milestones of the same project.";
+  if (depends_on === undefined) return null;
+
+  // Check the graph as it would look after this change (0 stands in for a new milestone)
+  const id = milestoneId ? Number(milestoneId) : 0;
+  const proposed = dependencies
+    .filter(d => d.milestone_id !== id)
+    .concat(dependsOn.map(dep => ({ milestone_id: id, depends_on_id: dep })));
+  if (hasCycle(milestoneId ? ids : ids.concat(id), proposed)) {
+    return "These dependencies would create a cycle.";
+  }
+  return null;
+}
+
+async function saveMilestoneDependencies(client, milestoneId, dependsOn) {
+  await client.query("DELETE FROM milestone_dependencies WHERE milestone_id = $1", [milestoneId]);
+  for (const id of dependsOn) {
+    await client.query(
+      "INSERT INTO milestone_dependencies (milestone_id, depends_on_id) VALUES ($1, $2)",
+      [milestoneId, id]
+    );
+  }
+}
+
+app.get("/projects/:id/milestones", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { milestones, dependencies } = await getProjectMilestones(req.params.id);
+    res.json(milestones.map(m => ({
+      ...m,
+      depends_on: dependencies.filter(d => d.milestone_id === m.id).map(d => d.depends_on_id)
+    })));
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    res.status(500).json({ error: "Error fetching milestones." });
+  }
+});
+
+app.post("/projects/:id/milestones", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { title, description, start_date, end_date, depends_on } = req.body;
+
+  let client;
+  try {
+    const invalid = await validateMilestone(req.params.id, null, req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const now = new Date().toISOString();
+    const result = await client.query(
+      `INSERT INTO milestones (project_id, title, description, start_date, end_date, completed, created_date, modified_date)
+       VALUES ($1, $2, $3, $4, $5, 0, $6, $6) RETURNING *`,
+      [req.params.id, title, description || '', start_date, end_date, now]
+    );
+    const milestone = result.rows[0];
+    const dependsOn = (depends_on || []).map(Number);
+    await saveMilestoneDependencies(client, milestone.id, dependsOn);
+    await client.query('COMMIT');
+
+    res.json({ ...milestone, depends_on: dependsOn });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error creating milestone:', error);
+    res.status(500).json({ error: "Error creating milestone." });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+app.put("/projects/:id/milestones/:milestoneId", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const { title, description, start_date, end_date, depends_on, completed } = req.body;
+
+  let client;
+  try {
+    const existing = await pool.query(
+      "SELECT * FROM milestones WHERE id = $1 AND project_id = $2",
+      [req.params.milestoneId, req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Milestone not found." });
+    }
+
+    const invalid = await validateMilestone(req.params.id, req.params.milestoneId, req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const before = existing.rows[0];
+    const isCompleted = completed !== undefined ? (completed ? 1 : 0) : before.completed;
+    const now = new Date().toISOString();
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE milestones SET title = $1, description = $2, start_date = $3, end_date = $4, completed = $5,
+        completed_date = $6, modified_date = $7
+       WHERE id = $8 RETURNING *`,
+      [
+        title, description || '', start_date, end_date, isCompleted,
+        isCompleted ? (before.completed_date || now.slice(0, 10)) : null, now, before.id
+      ]
+    );
+    if (depends_on !== undefined) {
+      await saveMilestoneDependencies(client, before.id, depends_on.map(Number));
+    }
+    const deps = await client.query("SELECT depends_on_id FROM milestone_dependencies WHERE milestone_id = $1", [before.id]);
+    await client.query('COMMIT');
+
+    res.json({ ...result.rows[0], depends_on: deps.rows.map(d => d.depends_on_id) });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error updating milestone:', error);
+    res.status(500).json({ error: "Error updating milestone." });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+app.delete("/projects/:id/milestones/:milestoneId", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM milestones WHERE id = $1 AND project_id = $2",
+      [req.params.milestoneId, req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Milestone not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting milestone:', error);
+    res.status(500).json({ error: "Error deleting milestone." });
+  }
+});
+
+// Gantt data: projected dates, slack, the critical path and milestones slipped as of today
+app.get("/projects/:id/timeline", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { milestones, dependencies } = await getProjectMilestones(req.params.id);
+    res.json(buildTimeline(milestones, dependencies));
+  } catch (error) {
+    console.error('Error building timeline:', error);
+    res.status(500).json({ error: "Error building timeline." });
+  }
+});
+
+// ===================== PROJECT DESCRIPTION API (FIXED) =====================
+// Brief fields as the frontend names them (camelCase) and their projects columns
+const BRIEF_FIELDS = {
+  projectTitle: 'project_title',
+  notes: 'notes',
+  colleagueName: 'colleague_name',
+  colleaguePhone: 'colleague_phone',
+  colleagueEmail: 'colleague_email',
+  colleagueAddress1: 'colleague_address1',
+  colleagueAddress2: 'colleague_address2',
+  colleagueAddress3: 'colleague_address3',
+  yourName: 'your_name',
+  yourPhone: 'your_phone',
+  yourEmail: 'your_email',
+  yourAddress1: 'your_address1',
+  yourAddress2: 'your_address2',
+  yourAddress3: 'your_address3',
+  objectives: 'objectives',
+  timeline: 'timeline',
+  primaryAudience: 'primary_audience',
+  secondaryAudience: 'secondary_audience',
+  callAction: 'call_action',
+  competition: 'competition',
+  graphics: 'graphics',
+  photography: 'photography',
+  multimedia: 'multimedia',
+  otherInfo: 'other_info',
+  clientName: 'client_name',
+  clientComments: 'client_comments',
+  approvalDate: 'approval_date',
+  approvalSignature: 'approval_signature'
+};
+
+function briefFromRow(row) {
+  const brief = {};
+  for (const [field, column] of Object.entries(BRIEF_FIELDS)) {
+    brief[field] = row[column];
+  }
+  return brief;
+}
+
+// Field-by-field comparison of two briefs; empty and missing values count as equal
+function diffBriefs(before, after) {
+  const changes = [];
+  for (const field of Object.keys(BRIEF_FIELDS)) {
+    const from = before[field] || '';
+    const to = after[field] || '';
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// Writes the brief onto the project and records it as the next revision.
+// The first versioned save also snapshots whatever the brief held before, so it can be restored.
+async function saveBriefRevision(client, projectId, brief, authorEmail, restoredFrom = null) {
+  const current = await client.query("SELECT * FROM projects WHERE id = $1", [projectId]);
+  if (current.rows.length === 0) return null;
+
+  const latest = await client.query(
+    "SELECT MAX(revision_number) AS latest FROM brief_revisions WHERE project_id = $1",
+    [projectId]
+  );
+  let revisionNumber = parseInt(latest.rows[0].latest, 10) || 0;
+  const now = new Date().toISOString();
+
+  const previous = briefFromRow(current.rows[0]);
+  if (revisionNumber === 0 && Object.values(previous).some(value => value)) {
+    revisionNumber = 1;
+    await client.query(
+      `INSERT INTO brief_revisions (project_id, revision_number, data, author_email, created_date)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [projectId, revisionNumber, JSON.stringify(previous), now]
+    );
+  }
+
+  const fields = Object.keys(BRIEF_FIELDS);
+  const assignments = fields.map((field, i) => `${BRIEF_FIELDS[field]} = $${i + 1}`).join(', ');
+  const result = await client.query(
+    `UPDATE projects SET ${assignments} WHERE id = $${fields.length + 1} RETURNING *`,
+    [...fields.map(field => (brief[field] === undefined ? null : brief[field])), projectId]
+  );
+  const saved = briefFromRow(result.rows[0]);
+  await client.query("UPDATE projects SET brief_status = 'draft' WHERE id = $1", [projectId]);
+
+  const revision = await client.query(
+    `INSERT INTO brief_revisions (project_id, revision_number, data, author_email, created_date, restored_from)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, revision_number, author_email, created_date, restored_from, locked`,
+    [projectId, revisionNumber + 1, JSON.stringify(saved), authorEmail, now, restoredFrom]
+  );
+
+  return { data: saved, revision: revision.rows[0] };
+}
+
+// While the client is reviewing a brief it can't change under them, and an
+// approved brief stays as approved until the owner reopens it; responds 409 and returns true.
+// Call it inside the transaction that saves: the project row stays locked until
+// COMMIT, so an approval can't land between the check and the write.
+async function rejectIfBriefLocked(client, projectId, res) {
+  const result = await client.query("SELECT brief_status FROM projects WHERE id = $1 FOR UPDATE", [projectId]);
+  const status = result.rows.length > 0 ? result.rows[0].brief_status : null;
+  if (status === 'submitted') {
+    res.status(409).json({ error: "The brief is waiting for client approval. Withdraw it before editing." });
+    return true;
+  }
+  if (status === 'approved') {
+    res.status(409).json({ error: "The brief has been approved. Reopen it before editing." });
+    return true;
+  }
+  return false;
+}
+
+async function getBriefRevision(projectId, revisionNumber) {
+  if (!/^\d+$/.test(String(revisionNumber))) return null;
+
+  const result = await pool.query(
+    "SELECT * FROM brief_revisions WHERE project_id = $1 AND revision_number = $2",
+    [projectId, revisionNumber]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return { ...row, data: JSON.parse(row.data) };
+}
+
+app.get("/projects/:id/description", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM projects WHERE id = $1",
+      [req.params.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+    
+    res.json(briefFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error fetching description:', error);
+    res.status(500).json({ error: "Error fetching description." });
+  }
+});
+
+app.get("/projects/:id/description/pdf", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM projects WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    const latest = await pool.query(
+      "SELECT MAX(revision_number) AS revision FROM brief_revisions WHERE project_id = $1",
+      [req.params.id]
+    );
+
+    const project = result.rows[0];
+    const pdf = await renderBriefPdf({
+      projectName: project.name,
+      owner: project.owner_email,
+      brief: briefFromRow(project),
+      revision: latest.rows[0].revision,
+      status: project.brief_status
+    });
+    sendDownload(res, pdf, downloadFilename([project.name, 'brief'], 'pdf'), 'application/pdf');
+  } catch (error) {
+    console.error('Error generating brief PDF:', error);
+    res.status(500).json({ error: "Error generating brief PDF." });
+  }
+});
+
+app.put("/projects/:id/description", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (await rejectIfBriefLocked(client, req.params.id, res)) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const saved = await saveBriefRevision(client, req.params.id, req.body, req.user.email);
+    if (!saved) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Project not found." });
+    }
+    await client.query('COMMIT');
+
+    res.json({ updated: 1, data: saved.data, revision: saved.revision });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update error:', error);
+    res.status(500).json({ error: "Error updating description." });
+  } finally {
+    client.release();
+  }
+});
+
+// ===================== BRIEF REVISIONS API =====================
+// Newest first, each with the fields it changed relative to the revision before it
+app.get("/projects/:id/description/revisions", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM brief_revisions WHERE project_id = $1 ORDER BY revision_number ASC",
+      [req.params.id]
+    );
+
+    let previous = {};
+    const revisions = result.rows.map(row => {
+      const data = JSON.parse(row.data);
+      const changedFields = diffBriefs(previous, data).map(change => change.field);
+      previous = data;
+      return {
+        id: row.id,
+        revision_number: row.revision_number,
+        author_email: row.author_email,
+        created_date: row.created_date,
+        restored_from: row.restored_from,
+        locked: row.locked,
+        approved_date: row.approved_date,
+        changed_fields: changedFields
+      };
+    });
+
+    res.json(revisions.reverse());
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ error: "Error fetching revisions." });
+  }
+});
+
+app.get("/projects/:id/description/revisions/:revision", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const revision = await getBriefRevision(req.params.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found." });
+    }
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: "Error fetching revision." });
+  }
+});
+
+// ?from=<revision>&to=<revision>; without "to" the comparison is against the current brief
+app.get("/projects/:id/description/diff", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  const { from, to } = req.query;
+
+  if (!from) {
+    return res.status(400).json({ error: "A revision to compare from is required." });
+  }
+
+  try {
+    const before = await getBriefRevision(req.params.id, from);
+    if (!before) {
+      return res.status(404).json({ error: "Revision not found." });
+    }
+
+    let after;
+    if (to) {
+      const revision = await getBriefRevision(req.params.id, to);
+      if (!revision) {
+        return res.status(404).json({ error: "Revision not found." });
+      }
+      after = revision.data;
+    } else {
+      const project = await pool.query("SELECT * FROM projects WHERE id = $1", [req.params.id]);
+      after = briefFromRow(project.rows[0]);
+    }
+
+    res.json({
+      from: before.revision_number,
+      to: to ? parseInt(to, 10) : 'current',
+      changes: diffBriefs(before.data, after)
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({ error: "Error comparing revisions." });
+  }
+});
+
+// Restoring saves the old content as a new revision, so nothing in the history is lost
+app.post("/projects/:id/description/revisions/:revision/restore", requireAuth, requireProjectRole('editor'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const revision = await getBriefRevision(req.params.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found." });
+    }
+    await client.query('BEGIN');
+    if (await rejectIfBriefLocked(client, req.params.id, res)) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const saved = await saveBriefRevision(client, req.params.id, revision.data, req.user.email, revision.revision_number);
+    await client.query('COMMIT');
+
+    res.json({ restored: revision.revision_number, data: saved.data, revision: saved.revision });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ error: "Error restoring revision." });
+  } finally {
+    client.release();
+  }
+});
+
+// ===================== BRIEF APPROVAL API =====================
+// A brief moves draft -> submitted -> approved | changes-requested. Submitting
+// snapshots the latest revision and sends the client a tokenized, read-only link;
+// approving locks that revision. The client's response (name, comments,
+// signature) is written into the brief as a new revision. An approved brief
+// can't be edited until the owner reopens it, which starts a new draft; the
+// approved revision stays locked.
+
+async function findApprovalRequest(token) {
+  const result = await pool.query(
+    `SELECT a.*, p.name AS project_name, p.owner_email, p.brief_status
+     FROM brief_approvals a JOIN projects p ON p.id = a.project_id
+     WHERE a.token_hash = $1`,
+    [hashToken(String(token))]
+  );
+  return result.rows[0] || null;
+}
+
+app.get("/projects/:id/description/approval", requireAuth, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = await pool.query(
+      "SELECT brief_status, approved_revision FROM projects WHERE id = $1",
+      [req.params.id]
+    );
+    const requests = await pool.query(
+      `SELECT id, revision_number, client_name, client_email, sent_by, created_date, expires_date,
+        status, responded_date, response_name, response_comments, signature
+       FROM brief_approvals WHERE project_id = $1 ORDER BY created_date DESC`,
+      [req.params.id]
+    );
+    res.json({
+      status: project.rows[0].brief_status || 'draft',
+      approved_revision: project.rows[0].approved_revision,
+      requests: requests.rows
+    });
+  } catch (error) {
+    console.error('Error fetching approval status:', error);
+    res.status(500).json({ error: "Error fetching approval status." });
+  }
+});
+
+app.post("/projects/:id/description/submit", requireAuth, requireProjectRole('owner'), async (req, res) => {
+  const { client_name, client_email, message } = req.body;
+
+  if (client_email && !String(client_email).includes('@')) {
+    return res.status(400).json({ error: "Client email is not valid." });
+  }
+
+  const client = await pool.connect();
+  try {
+    // The project row is locked first so no save slips in after the latest revision is read
+    await client.query('BEGIN');
+    const project = (await client.query("SELECT * FROM projects WHERE id = $1 FOR UPDATE", [req.params.id])).rows[0];
+    if (project.brief_status === 'approved') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "The brief is already approved. Reopen it before sending it again." });
+    }
+
+    const latest = await client.query(
+      "SELECT MAX(revision_number) AS latest FROM brief_revisions WHERE project_id = $1",
+      [req.params.id]
+    );
+    const revisionNumber = parseInt(latest.rows[0].latest, 10);
+    if (!revisionNumber) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Save the brief before sending it for approval." });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    // Only the newest link is live
+    await client.query(
+      "UPDATE brief_approvals SET status = 'revoked' WHERE project_id = $1 AND status = 'pending'",
+      [req.params.id]
+    );
+    const result = await client.query(
+      `INSERT INTO brief_approvals (project_id, revision_number, token_hash, client_name, client_email, message,
+        sent_by, created_date, expires_date, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
+       RETURNING id, revision_number, client_name, client_email, created_date, expires_date, status`,
+      [
+        req.params.id, revisionNumber, hashToken(token), client_name || '',
+        client_email ? String(client_email).toLowerCase().trim() : null, message || '',
+        req.user.email, now.toISOString(), new Date(now.getTime() + BRIEF_SHARE_TTL_MS).toISOString()
+      ]
+    );
+    await client.query("UPDATE projects SET brief_status = 'submitted' WHERE id = $1", [req.params.id]);
+    await client.query('COMMIT');
+
+    const link = `${appUrl(req)}/brief-review.html?token=${token}`;
+    if (client_email) {
+      sendMail({
+        to: client_email,
+        subject: `Please review the brief for "${project.name}"`,
+        text: `${req.user.email} has sent you the project brief for "${project.name}" to review.\n\n${message ? message + '\n\n' : ''}Open the brief to approve it or request changes:\n${link}\n\nThe link expires in 30 days.`
+      }).catch(error => console.error('Approval email error:', error));
+    }
+
+    res.json({ ...result.rows[0], link });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error submitting brief:', error);
+    res.status(500).json({ error: "Error submitting brief for approval." });
+  } finally {
+    client.release();
+  }
+});
+
+// Takes a submitted brief back to draft and disables its share link
+app.post("/projects/:id/description/withdraw", requireAuth, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE projects SET brief_status = 'draft' WHERE id = $1 AND brief_status = 'submitted'",
+      [req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: "The brief is not waiting for approval." });
+    }
+    await pool.query(
+      "UPDATE brief_approvals SET status = 'revoked' WHERE project_id = $1 AND status = 'pending'",
+      [req.params.id]
+    );
+    res.json({ status: 'draft' });
+  } catch (error) {
+    console.error('Error withdrawing brief:', error);
+    res.status(500).json({ error: "Error withdrawing brief." });
+  }
+});
+
+// Back to draft so an approved brief can be edited again; the approved revision is kept as it was
+app.post("/projects/:id/description/reopen", requireAuth, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE projects SET brief_status = 'draft' WHERE id = $1 AND brief_status = 'approved'",
+      [req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: "The brief is not approved." });
+    }
+    res.json({ status: 'draft' });
+  } catch (error) {
+    console.error('Error reopening brief:', error);
+    res.status(500).json({ error: "Error reopening brief." });
+  }
+});
+
+// Public, read-only view of the submitted revision for whoever holds the link
+app.get("/brief-review/:token", briefReviewLimiter, async (req, res) => {
+  try {
+    const request = await findApprovalRequest(req.params.token);
+    if (!request || request.status === 'revoked') {
+      return res.status(404).json({ error: "This review link is not valid." });
+    }
+
+    const revision = await getBriefRevision(request.project_id, request.revision_number);
+    res.json({
+      project_name: request.project_name,
+      revision_number: request.revision_number,
+      sent_by: request.sent_by,
+      client_name: request.client_name,
+      message: request.message,
+      status: request.status,
+      expired: request.status === 'pending' && request.expires_date <= new Date().toISOString(),
+      responded_date: request.responded_date,
+      response_comments: request.response_comments,
+      brief: revision ? revision.data : {}
+    });
+  } catch (error) {
+    console.error('Error loading brief for review:', error);
+    res.status(500).json({ error: "Error loading brief." });
+  }
+});
+
+app.post("/brief-review/:token", briefReviewLimiter, async (req, res) => {
+  const { decision, name, comments, signature } = req.body;
+
+  if (!['approve', 'request-changes'].includes(decision)) {
+    return res.status(400).json({ error: "Decision must be approve or request-changes." });
+  }
+  if (!name) {
+    return res.status(400).json({ error: "Please enter your name." });
+  }
+  if (decision === 'approve' && !signature) {
+    return res.status(400).json({ error: "A signature is required to approve." });
+  }
+  if (decision === 'request-changes' && !comments) {
+    return res.status(400).json({ error: "Please describe the changes you need." });
+  }
+
+  const client = await pool.connect();
+  try {
+    const request = await findApprovalRequest(req.params.token);
+    if (!request || request.status === 'revoked') {
+      return res.status(404).json({ error: "This review link is not valid." });
+    }
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: "A response has already been recorded for this brief." });
+    }
+    if (request.expires_date <= new Date().toISOString()) {
+      return res.status(410).json({ error: "This review link has expired. Please ask for a new one." });
+    }
+
+    const now = new Date().toISOString();
+    const status = decision === 'approve' ? 'approved' : 'changes-requested';
+
+    // Locked against saves, withdrawals and a second response until COMMIT
+    await client.query('BEGIN');
+    const project = (await client.query(
+      "SELECT * FROM projects WHERE id = $1 FOR UPDATE", [request.project_id]
+    )).rows[0];
+    const pending = await client.query(
+      "SELECT id FROM brief_approvals WHERE id = $1 AND status = 'pending'", [request.id]
+    );
+    if (project.brief_status !== 'submitted' || pending.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "This brief is no longer waiting for your response." });
+    }
+
+    await client.query(
+      `UPDATE brief_approvals SET status = $1, responded_date = $2, response_name = $3, response_comments = $4, signature = $5
+       WHERE id = $6`,
+      [status, now, name, comments || '', decision === 'approve' ? signature : null, request.id]
+    );
+
+    // The brief's own review fields now come from the client's response, saved
+    // as a revision of its own (the one sent for review stays as it was)
+    const response = decision === 'approve'
+      ? { clientName: name, clientComments: comments || '', approvalDate: now.slice(0, 10), approvalSignature: signature }
+      : { clientName: name, clientComments: comments };
+    await saveBriefRevision(
+      client, request.project_id, { ...briefFromRow(project), ...response }, request.client_email || name
+    );
+
+    if (decision === 'approve') {
+      await client.query(
+        "UPDATE brief_revisions SET locked = 1, approved_date = $1 WHERE project_id = $2 AND revision_number = $3 AND locked = 0",
+        [now, request.project_id, request.revision_number]
+      );
+      await client.query(
+        "UPDATE projects SET brief_status = 'approved', approved_revision = $1 WHERE id = $2",
+        [request.revision_number, request.project_id]
+      );
+    } else {
+      await client.query("UPDATE projects SET brief_status = 'changes-requested' WHERE id = $1", [request.project_id]);
+    }
+    await client.query('COMMIT');
+
+    notifyBriefResponse(request, status, name, comments).catch(error => console.error('Brief notification error:', error));
+    res.json({ status, responded_date: now });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error recording brief response:', error);
+    res.status(500).json({ error: "Error recording your response." });
+  } finally {
+    client.release();
+  }
+});
+
+// ===================== LIST QUERIES =====================
+// Sends one page of a list endpoint (query contract in lib/listing.js), with the
+// number of rows matching the filters in X-Total-Count. Rows are the caller's
+// own unless the route passes its own conditions and params.
+async function sendList(req, res, table, spec, options = {}) {
+  const {
+    columns = '*',
+    params = [req.user.email],
+    conditions = ['user_email = $1'],
+    mapRow = row => row
+  } = options;
+
+  const list = listQuery(req.query, spec, params);
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
+  const where = [...conditions, ...list.conditions].join(' AND ');
+  const result = await pool.query(
+    `SELECT ${columns} FROM ${table} WHERE ${where} ORDER BY ${list.orderBy}${list.paging}`,
+    params
+  );
+
+  let total = result.rows.length;
+  if (list.paged) {
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM ${table} WHERE ${where}`, params);
+    total = count.rows[0].total;
+  }
+
+  res.set('X-Total-Count', String(total));
+  res.json(result.rows.map(row => mapRow(withoutSearchVector(row))));
+}
+
+// ===================== IDEAS API =====================
+const IDEA_LIST = {
+  filters: { category: 'category' },
+  date: 'created_date',
+  text: ['title', 'content'],
+  sorts: {
+    created: { by: 'created_date', order: 'desc' },
+    title: { by: 'LOWER(title)' },
+    category: { by: 'category' }
+  },
+  sort: 'created'
+};
+
+app.get("/ideas", requireAuth, async (req, res) => {
+  try {
+    await sendList(req, res, 'ideas', IDEA_LIST);
+  } catch (error) {
+    console.error('Error fetching ideas:', error);
+    res.status(500).json({ error: "Error fetching ideas." });
+  }
+});
+
+app.post("/ideas", requireAuth, async (req, res) => {
+  const { title, content, category, created_date } = req.body;
+  const date = created_date || new Date().toISOString();
+  try {
+    const result = await pool.query(
+      "INSERT INTO ideas (user_email, title, content, category, created_date) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+      [req.user.email, title, content, category || 'general', date]
+    );
+    res.json(withoutSearchVector(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating idea:', error);
+    res.status(500).json({ error: "Error creating idea." });
+  }
+});
+
+app.put("/ideas/:id", requireAuth, async (req, res) => {
+  const { title, content, category } = req.body;
+  try {
+    const result = await pool.query(
+      "UPDATE ideas SET title = $1, content = $2, category = $3 WHERE id = $4 AND user_email = $5",
+      [title, content, category, req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Idea not found." });
+    }
+    res.json({ updated: result.rowCount });
+  } catch (error) {
+    console.error('Error updating idea:', error);
+    res.status(500).json({ error: "Error updating idea." });
+  }
+});
+
+app.delete("/ideas/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM ideas WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Idea not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting idea:', error);
+    res.status(500).json({ error: "Error deleting idea." });
+  }
+});
+
+// ===================== NOTES API =====================
+// Notes are Markdown. Responses carry the stored source plus content_html
+// (rendered by lib/markdown.js, safe to insert) and a plain-text preview.
+const NOTE_LIST = {
+  date: 'created_date',
+  text: ['title', 'content'],
+  sorts: {
+    modified: { by: 'modified_date', order: 'desc' },
+    created: { by: 'created_date', order: 'desc' },
+    title: { by: 'LOWER(title)' }
+  },
+  sort: 'modified',
+  first: 'pinned DESC'
+};
+
+// " Research / Papers/ " -> "Research/Papers"; '' means no folder
+function normalizeFolder(value) {
+  return String(value || '').split('/').map(part => part.trim()).filter(Boolean).join('/');
+}
+
+// Tags are kept lower-case without a leading #, as a JSON list
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+}
+
+function noteFromRow(row) {
+  return {
+    ...withoutSearchVector(row),
+    tags: parseJsonList(row.tags),
+    content_html: renderMarkdown(row.content),
+    preview: markdownToText(row.content).slice(0, 280)
+  };
+}
+
+// Besides the list parameters: ?tag=&folder=&archived=1|all&pinned=1
+// A folder includes its subfolders. Pinned notes always come first.
+app.get("/notes", requireAuth, async (req, res) => {
+  const { tag, folder, archived, pinned } = req.query;
+  const params = [req.user.email];
+  const where = ["user_email = $1"];
+  if (archived !== 'all') {
+    where.push(archived === '1' ? "archived = 1" : "(archived = 0 OR archived IS NULL)");
+  }
+  if (pinned === '1') {
+    where.push("pinned = 1");
+  }
+  if (tag) {
+    params.push(`%${escapeLike(JSON.stringify(normalizeTags(tag)[0] || ''))}%`);
+    where.push(`tags LIKE $${params.length}`);
+  }
+  if (folder) {
+    const path = normalizeFolder(folder);
+    params.push(path, `${escapeLike(path)}/%`);
+    where.push(`(folder = $${params.length - 1} OR folder LIKE $${params.length})`);
+  }
+
+  try {
+    await sendList(req, res, 'notes', NOTE_LIST, { params, conditions: where, mapRow: noteFromRow });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({ error: "Error fetching notes." });
+  }
+});
+
+// Tag and folder counts over the notes that aren't archived, for the sidebar
+app.get("/notes/facets", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT tags, folder, archived FROM notes WHERE user_email = $1",
+      [req.user.email]
+    );
+    const tags = {};
+    const folders = {};
+    let archived = 0;
+
+    for (const row of result.rows) {
+      if (row.archived) {
+        archived++;
+        continue;
+      }
+      parseJsonList(row.tags).forEach(tag => { tags[tag] = (tags[tag] || 0) + 1; });
+      if (row.folder) folders[row.folder] = (folders[row.folder] || 0) + 1;
+    }
+
+    res.json({
+      tags: Object.entries(tags).map(([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name)),
+      folders: Object.entries(folders).map(([path, count]) => ({ path, count })).sort((a, b) => a.path.localeCompare(b.path)),
+      archived
+    });
+  } catch (error) {
+    console.error('Error fetching note facets:', error);
+    res.status(500).json({ error: "Error fetching note facets." });
+  }
+});
+
+// Preview for the editor, rendered exactly as the saved note will be
+app.post("/notes/render", requireAuth, (req, res) => {
+  res.json({ html: renderMarkdown(req.body.content) });
+});
+
+app.get("/notes/:id", requireAuth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: "Note not found." });
+  }
+  try {
+    const result = await pool.query(
+      "SELECT * FROM notes WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Note not found." });
+    }
+    res.json(noteFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error fetching note:', error);
+    res.status(500).json({ error: "Error fetching note." });
+  }
+});
+
+app.post("/notes", requireAuth, async (req, res) => {
+  const { title, content, created_date, tags, folder, pinned } = req.body;
+  const date = created_date || new Date().toISOString();
+  try {
+    const result = await pool.query(
+      `INSERT INTO notes (user_email, title, content, created_date, modified_date, tags, folder, pinned, archived)
+       VALUES ($1, $2, $3, $4, $4, $5, $6, $7, 0) RETURNING *`,
+      [req.user.email, title, content, date, JSON.stringify(normalizeTags(tags)), normalizeFolder(folder), pinned ? 1 : 0]
+    );
+    res.json(noteFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating note:', error);
+    res.status(500).json({ error: "Error creating note." });
+  }
+});
+
+// Only the fields sent are changed. Pinning or archiving a note doesn't
+// count as modifying it.
+app.put("/notes/:id", requireAuth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: "Note not found." });
+  }
+  try {
+    const existing = await pool.query(
+      "SELECT * FROM notes WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Note not found." });
+    }
+
+    const before = existing.rows[0];
+    const body = req.body;
+    const note = {
+      title: body.title !== undefined ? body.title : before.title,
+      content: body.content !== undefined ? body.content : before.content,
+      tags: body.tags !== undefined ? JSON.stringify(normalizeTags(body.tags)) : before.tags,
+      folder: body.folder !== undefined ? normalizeFolder(body.folder) : before.folder,
+      pinned: body.pinned !== undefined ? (body.pinned ? 1 : 0) : before.pinned,
+      archived: body.archived !== undefined ? (body.archived ? 1 : 0) : before.archived
+    };
+    const edited = ['title', 'content', 'tags', 'folder'].some(field => note[field] !== before[field]);
+
+    const result = await pool.query(
+      `UPDATE notes SET title = $1, content = $2, tags = $3, folder = $4, pinned = $5, archived = $6, modified_date = $7
+       WHERE id = $8 RETURNING *`,
+      [
+        note.title, note.content, note.tags, note.folder, note.pinned, note.archived,
+        edited ? new Date().toISOString() : before.modified_date, before.id
+      ]
+    );
+    res.json({ updated: result.rowCount, note: noteFromRow(result.rows[0]) });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    res.status(500).json({ error: "Error updating note." });
+  }
+});
+
+app.delete("/notes/:id", requireAuth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: "Note not found." });
+  }
+  try {
+    const result = await pool.query(
+      "DELETE FROM notes WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Note not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: "Error deleting note." });
+  }
+});
+
+// ===================== VOICE RECORDINGS API =====================
+// Audio is kept in the file store (lib/storage.js); the voice_recordings row
+// holds its metadata and storage key.
+const recordingStore = createStore();
+const RECORDING_MAX_BYTES = (parseInt(process.env.RECORDING_MAX_MB, 10) || 50) * 1024 * 1024;
+
+function recordingFromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    note_id: row.note_id,
+    mime_type: row.mime_type,
+    size_bytes: row.size_bytes,
+    duration_seconds: row.duration_seconds,
+    created_date: row.created_date,
+    audio_url: `/recordings/${row.id}/audio`
+  };
+}
+
+// A note to attach the recording to must be one of the caller's own
+async function validateRecordingNote(noteId, email) {
+  if (noteId === null) return null;
+  const note = await pool.query("SELECT id FROM notes WHERE id = $1 AND user_email = $2", [noteId, email]);
+  return note.rows.length === 0 ? "Note not found." : null;
+}
+
+// note_id from a query string or body: { value } (null for none) or { error }
+function noteIdFrom(value) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const text = typeof value === 'number' || typeof value === 'string' ? String(value) : '';
+  if (!/^[1-9]\d{0,9}$/.test(text) || Number(text) > 2147483647) {
+    return { error: "note_id must be a note's id." };
+  }
+  return { value: Number(text) };
+}
+
+app.get("/recordings", requireAuth, async (req, res) => {
+  try {
+    const noteId = noteIdFrom(req.query.note_id);
+    if (noteId.error) {
+      return res.status(400).json({ error: noteId.error });
+    }
+    const params = [req.user.email];
+    let sql = "SELECT * FROM voice_recordings WHERE user_email = $1";
+    if (noteId.value !== null) {
+      params.push(noteId.value);
+      sql += " AND note_id = $2";
+    }
+    const result = await pool.query(sql + " ORDER BY created_date DESC, id DESC", params);
+    res.json(result.rows.map(recordingFromRow));
+  } catch (error) {
+    console.error('Error fetching recordings:', error);
+    res.status(500).json({ error: "Error fetching recordings." });
+  }
+});
+
+// The body is the audio itself, sent with its audio/* Content-Type. Metadata
+// comes in the query string: ?title=&note_id=&duration=&created_date=&legacy_id=
+// legacy_id is the id a recording had in the browser's localStorage; uploading
+// the same one twice returns the first upload, so an interrupted migration can
+// simply be run again.
+app.post("/recordings", requireAuth, bodyParser.raw({ type: 'audio/*', limit: RECORDING_MAX_BYTES }), async (req, res) => {
+  if (!req.is('audio/*')) {
+    return res.status(415).json({ error: "Upload the recording with an audio/* Content-Type." });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "The recording is empty." });
+  }
+
+  const { title, duration, created_date, legacy_id } = req.query;
+  const noteId = noteIdFrom(req.query.note_id);
+  if (noteId.error) {
+    return res.status(400).json({ error: noteId.error });
+  }
+  const durationSeconds = duration === undefined || duration === '' ? null : Number(duration);
+  if (durationSeconds !== null && !(Number.isFinite(durationSeconds) && durationSeconds >= 0)) {
+    return res.status(400).json({ error: "Duration must be a number of seconds." });
+  }
+
+  const key = `recordings/${crypto.randomUUID()}`;
+  try {
+    if (legacy_id) {
+      const existing = await pool.query(
+        "SELECT * FROM voice_recordings WHERE user_email = $1 AND legacy_id = $2",
+        [req.user.email, String(legacy_id)]
+      );
+      if (existing.rows.length > 0) {
+        return res.json(recordingFromRow(existing.rows[0]));
+      }
+    }
+
+    const invalidNote = await validateRecordingNote(noteId.value, req.user.email);
+    if (invalidNote) {
+      return res.status(404).json({ error: invalidNote });
+    }
+
+    await recordingStore.put(key, req.body);
+    const createdDate = created_date && !isNaN(Date.parse(created_date))
+      ? new Date(created_date).toISOString()
+      : new Date().toISOString();
+    const result = await pool.query(
+      `INSERT INTO voice_recordings (user_email, note_id, title, mime_type, size_bytes, duration_seconds, storage_key, legacy_id, created_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [
+        req.user.email, noteId.value, String(title || '').trim() || `Recording ${createdDate.slice(0, 10)}`,
+        req.get('Content-Type').split(';')[0].trim().toLowerCase(), req.body.length, durationSeconds,
+        key, legacy_id ? String(legacy_id) : null, createdDate
+      ]
+    );
+    res.json(recordingFromRow(result.rows[0]));
+  } catch (error) {
+    await recordingStore.remove(key).catch(() => {});
+    console.error('Error saving recording:', error);
+    res.status(500).json({ error: "Error saving recording." });
+  }
+});
+
+// Streams the audio, honouring Range requests so players can seek
+app.get("/recordings/:id/audio", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM voice_recordings WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Recording not found." });
+    }
+    const recording = result.rows[0];
+    const size = await recordingStore.size(recording.storage_key);
+    const range = byteRange(req.get('Range'), size);
+
+    res.set({
+      'Content-Type': recording.mime_type || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    if (range && range.unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.set('Content-Length', String(end - start + 1));
+
+    const stream = recordingStore.createReadStream(recording.storage_key, { start, end });
+    stream.on('error', (error) => {
+      console.error('Error streaming recording:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error streaming recording:', error);
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({
+      error: error.code === 'ENOENT' ? "Recording audio is missing." : "Error streaming recording."
+    });
+  }
+});
+
+// Changes the title and/or the note; note_id: null detaches it, leaving the key out keeps it
+app.put("/recordings/:id", requireAuth, async (req, res) => {
+  const { title } = req.body;
+  const moveNote = Object.hasOwn(req.body, 'note_id');
+  const noteId = moveNote ? noteIdFrom(req.body.note_id) : { value: null };
+  if (noteId.error) {
+    return res.status(400).json({ error: noteId.error });
+  }
+  try {
+    const invalidNote = await validateRecordingNote(noteId.value, req.user.email);
+    if (invalidNote) {
+      return res.status(404).json({ error: invalidNote });
+    }
+    const result = await pool.query(
+      `UPDATE voice_recordings SET title = COALESCE($1, title), note_id = CASE WHEN $5 THEN $2::integer ELSE note_id END
+       WHERE id = $3 AND user_email = $4 RETURNING *`,
+      [title ? String(title).trim() : null, noteId.value, req.params.id, req.user.email, moveNote]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Recording not found." });
+    }
+    res.json(recordingFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating recording:', error);
+    res.status(500).json({ error: "Error updating recording." });
+  }
+});
+
+app.delete("/recordings/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM voice_recordings WHERE id = $1 AND user_email = $2 RETURNING storage_key",
+      [req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Recording not found." });
+    }
+    await recordingStore.remove(result.rows[0].storage_key);
+    res.json({ deleted: result.rows.length });
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    res.status(500).json({ error: "Error deleting recording." });
+  }
+});
+
+// ===================== CAREER GOALS API WITH STAGE HISTORY =====================
+const GOAL_LIST = {
+  filters: { goal_type: 'goal_type' },
+  date: 'target_date',
+  text: ['title', 'description'],
+  sorts: {
+    created: { by: 'created_date', order: 'desc' },
+    target: { by: 'target_date' },
+    progress: { by: 'progress', order: 'desc' },
+    title: { by: 'LOWER(title)' }
+  },
+  sort: 'created'
+};
+
+app.get("/career_goals", requireAuth, async (req, res) => {
+  try {
+    await sendList(req, res, 'career_goals', GOAL_LIST);
+  } catch (error) {
+    console.error('Error fetching career goals:', error);
+    res.status(500).json({ error: "Error fetching career goals." });
+  }
+});
+
+app.get("/career", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM career_goals WHERE user_email = $1 ORDER BY created_date DESC", 
+      [req.user.email]
+    );
+    res.json(result.rows.map(withoutSearchVector));
+  } catch (error) {
+    console.error('Error fetching career goals:', error);
+    res.status(500).json({ error: "Error fetching career goals." });
+  }
+});
+
+app.post("/career_goals", requireAuth, async (req, res) => {
+  const { 
+    title, description, progress, goal_type, target_date, 
+    total_stages, current_stage, start_date, stage_description, created_date 
+  } = req.body;
+  const date = created_date || new Date().toISOString();
+  
+  try {
+    const result = await pool.query(
+      `INSERT INTO career_goals (
+        user_email, title, description, progress, goal_type, target_date, 
+        total_stages, current_stage, start_date, stage_description, created_date
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [
+        req.user.email, title, description, progress || 0, goal_type || 'general', 
+        target_date, total_stages || 5, current_stage || 0, start_date, 
+        stage_description, date
+      ]
+    );
+    res.json(withoutSearchVector(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating career goal:', error);
+    res.status(500).json({ error: "Error creating career goal." });
+  }
+});
+
+app.put("/career_goals/:id", requireAuth, async (req, res) => {
+  const { 
+    title, description, progress, goal_type, target_date, 
+    total_stages, current_stage, start_date, stage_description 
+  } = req.body;
+  
+  try {
+    const result = await pool.query(
+      `UPDATE career_goals SET 
+        title = $1, description = $2, progress = $3, goal_type = $4, 
+        target_date = $5, total_stages = $6, current_stage = $7, 
+        start_date = $8, stage_description = $9 
+      WHERE id = $10 AND user_email = $11`,
+      [
+        title, description, progress, goal_type, target_date, 
+        total_stages, current_stage, start_date, stage_description, 
+        req.params.id, req.user.email
+      ]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Career goal not found." });
+    }
+    res.json({ updated: result.rowCount });
+  } catch (error) {
+    console.error('Error updating career goal:', error);
+    res.status(500).json({ error: "Error updating career goal." });
+  }
+});
+
+app.delete("/career_goals/:id", requireAuth, async (req, res) => {
+  try {
+    if (!(await findOwnedGoal(req.params.id, req.user.email))) {
+      return res.status(404).json({ error: "Career goal not found." });
+    }
+
+    // Delete history entries first (CASCADE should handle this, but being explicit)
+    await pool.query("DELETE FROM career_stage_history WHERE goal_id = $1", [req.params.id]);
+    
+    // Delete the goal
+    const result = await pool.query("DELETE FROM career_goals WHERE id = $1", [req.params.id]);
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting career goal:', error);
+    res.status(500).json({ error: "Error deleting career goal." });
+  }
+});
+
+// ===================== STAGE HISTORY API =====================
+
+// Stage history rows have no owner of their own; access goes through the parent goal
+async function findOwnedGoal(goalId, email) {
+  const result = await pool.query(
+    "SELECT id FROM career_goals WHERE id = $1 AND user_email = $2",
+    [goalId, email]
+  );
+  return result.rows[0] || null;
+}
+
+app.get("/career_goals/:id/history", requireAuth, async (req, res) => {
+  try {
+    if (!(await findOwnedGoal(req.params.id, req.user.email))) {
+      return res.status(404).json({ error: "Career goal not found." });
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM career_stage_history WHERE goal_id = $1 ORDER BY stage ASC, updated_date DESC",
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching stage history:', error);
+    res.status(500).json({ error: "Error fetching stage history." });
+  }
+});
+
+app.post("/career_goals/:id/history", requireAuth, async (req, res) => {
+  const { stage, description } = req.body;
+  const updated_date = new Date().toISOString();
+  
+  try {
+    if (!(await findOwnedGoal(req.params.id, req.user.email))) {
+      return res.status(404).json({ error: "Career goal not found." });
+    }
+
+    const result = await pool.query(
+      "INSERT INTO career_stage_history (goal_id, stage, description, updated_date) VALUES ($1, $2, $3, $4) RETURNING *",
+      [req.params.id, stage, description, updated_date]
+    );
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error adding stage history:', error);
+    res.status(500).json({ error: "Error adding stage history." });
+  }
+});
+
+app.delete("/career_goals/:goalId/history/:historyId", requireAuth, async (req, res) => {
+  try {
+    if (!(await findOwnedGoal(req.params.goalId, req.user.email))) {
+      return res.status(404).json({ error: "Career goal not found." });
+    }
+
+    const result = await pool.query(
+      "DELETE FROM career_stage_history WHERE id = $1 AND goal_id = $2",
+      [req.params.historyId, req.params.goalId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "History entry not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting history entry:', error);
+    res.status(500).json({ error: "Error deleting history entry." });
+  }
+});
+
+// ===================== FUTURE WORK API =====================
+const FUTURE_WORK_LIST = {
+  filters: { priority: 'priority' },
+  date: 'created_date',
+  text: ['title', 'description', 'timeline'],
+  sorts: {
+    created: { by: 'created_date', order: 'desc' },
+    priority: { by: PRIORITY_RANK, order: 'desc' },
+    title: { by: 'LOWER(title)' }
+  },
+  sort: 'created'
+};
+
+app.get("/future_work", requireAuth, async (req, res) => {
+  try {
+    await sendList(req, res, 'future_work', FUTURE_WORK_LIST);
+  } catch (error) {
+    console.error('Error fetching future work:', error);
+    res.status(500).json({ error: "Error fetching future work." });
+  }
+});
+
+app.get("/future", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM future_work WHERE user_email = $1 ORDER BY created_date DESC", 
+      [req.user.email]
+    );
+    res.json(result.rows.map(withoutSearchVector));
+  } catch (error) {
+    console.error('Error fetching future work:', error);
+    res.status(500).json({ error: "Error fetching future work." });
+  }
+});
+
+app.post("/future_work", requireAuth, async (req, res) => {
+  const { title, description, priority, timeline, created_date } = req.body;
+  const date = created_date || new Date().toISOString();
+  
+  try {
+    const result = await pool.query(
+      "INSERT INTO future_work (user_email, title, description, priority, timeline, created_date) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+      [req.user.email, title, description, priority || 'medium', timeline, date]
+    );
+    res.json(withoutSearchVector(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating future work:', error);
+    res.status(500).json({ error: "Error creating future work." });
+  }
+});
+
+app.put("/future_work/:id", requireAuth, async (req, res) => {
+  const { title, description, priority, timeline } = req.body;
+  try {
+    const result = await pool.query(
+      "UPDATE future_work SET title = $1, description = $2, priority = $3, timeline = $4 WHERE id = $5 AND user_email = $6",
+      [title, description, priority, timeline, req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Future work item not found." });
+    }
+    res.json({ updated: result.rowCount });
+  } catch (error) {
+    console.error('Error updating future work:', error);
+    res.status(500).json({ error: "Error updating future work." });
+  }
+});
+
+app.delete("/future_work/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM future_work WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Future work item not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting future work:', error);
+    res.status(500).json({ error: "Error deleting future work." });
+  }
+});
+
+// ===================== DEADLINES API =====================
+// sort=status puts open deadlines before completed ones, each by due date
+const DEADLINE_LIST = {
+  filters: { status: 'status', priority: 'priority', source_type: 'source_type' },
+  date: 'due_date',
+  text: ['title', 'description'],
+  sorts: {
+    due: { by: 'due_date' },
+    status: { by: ["CASE WHEN status = 'completed' THEN 1 ELSE 0 END", 'due_date'] },
+    priority: { by: PRIORITY_RANK, order: 'desc' },
+    created: { by: 'created_date', order: 'desc' },
+    title: { by: 'LOWER(title)' }
+  },
+  sort: 'due'
+};
+
+app.get("/deadlines", requireAuth, async (req, res) => {
+  try {
+    await sendList(req, res, 'deadlines', DEADLINE_LIST);
+  } catch (error) {
+    console.error('Error fetching deadlines:', error);
+    res.status(500).json({ error: "Error fetching deadlines." });
+  }
+});
+
+app.post("/deadlines", requireAuth, async (req, res) => {
+  const { title, description, due_date, priority, status, created_date } = req.body;
+  const date = created_date || new Date().toISOString();
+  
+  try {
+    const result = await pool.query(
+      "INSERT INTO deadlines (user_email, title, description, due_date, priority, status, created_date) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
+      [req.user.email, title, description, due_date, priority || 'medium', status || 'pending', date]
+    );
+    res.json(withoutSearchVector(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating deadline:', error);
+    res.status(500).json({ error: "Error creating deadline." });
+  }
+});
+
+app.put("/deadlines/:id", requireAuth, async (req, res) => {
+  const { title, description, due_date, priority, status } = req.body;
+  try {
+    const result = await pool.query(
+      "UPDATE deadlines SET title = $1, description = $2, due_date = $3, priority = $4, status = $5 WHERE id = $6 AND user_email = $7 RETURNING *",
+      [title, description, due_date, priority, status, req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Deadline not found." });
+    }
+
+    // Completing a mirrored action item closes the item itself
+    const deadline = result.rows[0];
+    if (deadline.source_type === 'action_item' && status === 'completed') {
+      await pool.query(
+        "UPDATE meeting_action_items SET status = 'done', completed_date = $1 WHERE id = $2 AND status = 'open'",
+        [new Date().toISOString(), deadline.source_id]
+      );
+      await syncActionItemDeadline(deadline.source_id);
+    }
+    // ...and completing a grant report's deadline marks the report submitted
+    if (deadline.source_type === 'grant_report' && status === 'completed') {
+      await pool.query(
+        "UPDATE grant_reports SET submitted = 1, submitted_date = $1 WHERE id = $2 AND submitted = 0",
+        [new Date().toISOString().slice(0, 10), deadline.source_id]
+      );
+      await syncGrantReportDeadline(deadline.source_id);
+    }
+    res.json({ updated: result.rowCount });
+  } catch (error) {
+    console.error('Error updating deadline:', error);
+    res.status(500).json({ error: "Error updating deadline." });
+  }
+});
+
+app.delete("/deadlines/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM deadlines WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Deadline not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting deadline:', error);
+    res.status(500).json({ error: "Error deleting deadline." });
+  }
+});
+
+// ===================== ENHANCED CALENDAR EVENTS API =====================
+const EVENT_LIST = {
+  filters: { category: 'category', priority: 'priority', show_as: 'show_as' },
+  date: 'event_date',
+  text: ['title', 'description', 'location'],
+  sorts: {
+    date: { by: ['event_date', 'start_time'] },
+    created: { by: 'created_date', order: 'desc' },
+    title: { by: 'LOWER(title)' }
+  },
+  sort: 'date'
+};
+
+// Repeating events keep an RRULE (lib/rrule.js) and one exception row per
+// changed or cancelled occurrence. GET /events with both from and to returns
+// each occurrence in that range, with occurrenceDate naming the date the rule
+// gave it; PUT and DELETE take ?scope=this|following|all&occurrence=<date>.
+//
+// Each event has an IANA time zone, and its date, start and end are wall-clock
+// times there; rules repeat on that clock, so a 09:00 meeting stays at 09:00
+// across daylight saving changes. GET shows events in the viewer's zone (?tz=
+// or the profile's) and keeps the event's own times in `zoned`; POST and PUT
+// take times in `timeZone`, by default the event's or the user's zone.
+const EVENT_SCOPES = ['this', 'following', 'all'];
+const MAX_OCCURRENCE_RANGE_DAYS = 731;
+const LEGACY_RECURRENCES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Exception columns and the event fields they override
+const EXCEPTION_FIELDS = {
+  title: 'title',
+  description: 'description',
+  event_date: 'date',
+  start_time: 'start',
+  end_time: 'end',
+  location: 'location',
+  category: 'category'
+};
+
+function eventFromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    date: row.event_date,
+    start: row.start_time,
+    end: row.end_time,
+    location: row.location,
+    category: row.category,
+    attendees: row.attendees,
+    reminder: row.reminder,
+    isAllDay: Boolean(row.is_all_day),
+    timeZone: row.time_zone || DEFAULT_TIME_ZONE,
+    recurrence: row.recurrence,
+    recurrenceEnd: row.recurrence_end,
+    rrule: row.rrule || null,
+    showAs: row.show_as,
+    priority: row.priority,
+    isOnline: Boolean(row.is_online),
+    meetingLink: row.meeting_link,
+    attachments: row.attachments,
+    repeatWeekly: Boolean(row.repeat_weekly),
+    createdDate: row.created_date,
+    modifiedDate: row.modified_date
+  };
+}
+
+// A zone the client sent (`name` for the error), or `fallback` when there's none.
+// Returns { error } or { zone }.
+function chosenTimeZone(value, name, fallback = null) {
+  if (value === undefined || value === null || value === '') return { zone: fallback };
+  const zone = timeZoneName(value);
+  return zone ? { zone } : { error: `${name} must be an IANA time zone such as Europe/Berlin.` };
+}
+
+async function userTimeZone(email, client = pool) {
+  const result = await client.query("SELECT time_zone FROM profiles WHERE user_email = $1", [email]);
+  return (result.rows.length > 0 && timeZoneName(result.rows[0].time_zone)) || DEFAULT_TIME_ZONE;
+}
+
+// The zone a request sees events in: ?tz=, otherwise the user's own
+async function viewerTimeZone(req) {
+  const chosen = chosenTimeZone(req.query.tz, 'tz');
+  if (chosen.error || chosen.zone) return chosen;
+  return { zone: await userTimeZone(req.user.email) };
+}
+
+// When an occurrence starts and ends, from its wall-clock date and times in the
+// event's zone, as ISO strings. All-day events (and ones without a start time)
+// run from midnight to midnight there.
+function eventInstants(timeZone, date, start, end, allDay) {
+  const day = String(date || '').slice(0, 10);
+  if (!isDate(day)) return { startsAt: null, endsAt: null };
+  const zone = timeZoneName(timeZone) || DEFAULT_TIME_ZONE;
+  const iso = ms => new Date(ms).toISOString();
+  if (allDay || !parseTime(start)) {
+    return { startsAt: iso(zonedToUtc(day, '00:00', zone)), endsAt: iso(zonedToUtc(addDays(day, 1), '00:00', zone)) };
+  }
+  const startsAt = zonedToUtc(day, start, zone);
+  return { startsAt: iso(startsAt), endsAt: iso(parseTime(end) && end > start ? zonedToUtc(day, end, zone) : startsAt) };
+}
+
+// An event or occurrence as seen from `zone`: date, start and end on that clock,
+// `zoned` with them as the event's own zone has them, and the instants it
+// starts and ends at. All-day events keep their date wherever they're seen.
+function showInZone(event, zone) {
+  const { startsAt, endsAt } = eventInstants(event.timeZone, event.date, event.start, event.end, event.isAllDay);
+  const shown = { ...event, zoned: { date: event.date, start: event.start, end: event.end }, startsAt, endsAt };
+  if (event.isAllDay || !parseTime(event.start) || !startsAt) return shown;
+
+  const start = utcToZoned(Date.parse(startsAt), zone);
+  const end = utcToZoned(Date.parse(endsAt), zone);
+  // A day in the calendar doesn't run past midnight, so a later end shows as 23:59
+  return { ...shown, date: start.date, start: start.time, end: event.end ? (end.date === start.date ? end.time : '23:59') : event.end };
+}
+
+// Wall-clock date and times given in one zone, moved onto another's clock
+function moveToZone(body, from, to) {
+  if (from === to || !isDate(body.date) || !parseTime(body.start)) return body;
+  const start = utcToZoned(zonedToUtc(body.date, body.start, from), to);
+  const moved = { ...body, date: start.date, start: start.time };
+  if (parseTime(body.end)) moved.end = utcToZoned(zonedToUtc(body.date, body.end, from), to).time;
+  return moved;
+}
+
+// Events saved before time zones are taken to be in their owner's zone
+async function migrateEventTimeZones(client) {
+  const events = await client.query(
+    `SELECT e.id, e.event_date, e.start_time, e.end_time, e.is_all_day, p.time_zone AS owner_zone
+     FROM calendar_events e LEFT JOIN profiles p ON p.user_email = e.user_email
+     WHERE e.time_zone IS NULL`
+  );
+
+  for (const event of events.rows) {
+    const zone = timeZoneName(event.owner_zone) || DEFAULT_TIME_ZONE;
+    const { startsAt, endsAt } = eventInstants(zone, event.event_date, event.start_time, event.end_time, event.is_all_day);
+    await client.query(
+      "UPDATE calendar_events SET time_zone = $1, starts_at = $2, ends_at = $3 WHERE id = $4",
+      [zone, startsAt, endsAt, event.id]
+    );
+  }
+}
+
+// The series rule a request asks for: `rrule` when it's sent (empty for none),
+// otherwise the older recurrence/recurrenceEnd/repeatWeekly fields.
+// Returns { error } or { rule } (null for a one-off event) with the columns to store.
+function eventRecurrence(body) {
+  let text = body.rrule;
+  if (text === undefined) {
+    const freq = LEGACY_RECURRENCES.includes(body.recurrence) ? body.recurrence : body.repeatWeekly ? 'weekly' : null;
+    const until = isDate(String(body.recurrenceEnd || '').slice(0, 10)) ? String(body.recurrenceEnd).slice(0, 10) : null;
+    text = freq ? `FREQ=${freq.toUpperCase()}${until ? `;UNTIL=${until.replace(/-/g, '')}` : ''}` : '';
+  }
+  if (!text) {
+    return { rule: null, columns: { rrule: null, recurrence: 'none', recurrence_end: null, repeat_weekly: 0 } };
+  }
+
+  const parsed = parseRrule(text);
+  if (parsed.error) return { error: parsed.error };
+  if (!isDate(body.date)) return { error: "A repeating event needs a date (YYYY-MM-DD)." };
+  return recurrenceColumns(parsed.rule);
+}
+
+function recurrenceColumns(rule) {
+  return {
+    rule,
+    columns: {
+      rrule: formatRrule(rule),
+      recurrence: rule.freq.toLowerCase(),
+      recurrence_end: rule.until,
+      repeat_weekly: rule.freq === 'WEEKLY' ? 1 : 0
+    }
+  };
+}
+
+// Gives repeating events saved before RRULE support their rule
+async function migrateEventRecurrence(client) {
+  const events = await client.query(
+    `SELECT id, event_date, recurrence, recurrence_end, repeat_weekly FROM calendar_events
+     WHERE rrule IS NULL AND (recurrence IN ('daily', 'weekly', 'monthly', 'yearly') OR repeat_weekly = 1)`
+  );
+
+  for (const event of events.rows) {
+    const recurrence = eventRecurrence({
+      date: event.event_date,
+      recurrence: event.recurrence,
+      recurrenceEnd: event.recurrence_end,
+      repeatWeekly: event.repeat_weekly
+    });
+    if (recurrence.rule) {
+      await client.query("UPDATE calendar_events SET rrule = $1 WHERE id = $2", [recurrence.columns.rrule, event.id]);
+    }
+  }
+}
+
+function seriesRule(row) {
+  if (!row.rrule || !isDate(row.event_date)) return null;
+  return parseRrule(row.rrule).rule || null;
+}
+
+function newEventUid() {
+  return `${crypto.randomUUID()}@${UID_DOMAIN}`;
+}
+
+// `uid` is only given by the iCalendar import; new events get their own.
+// body.timeZone is the zone its times are in, already checked.
+async function insertEvent(client, email, body, recurrence, uid = newEventUid()) {
+  const now = new Date().toISOString();
+  const { rrule, recurrence: label, recurrence_end, repeat_weekly } = recurrence.columns;
+  const { startsAt, endsAt } = eventInstants(body.timeZone, body.date, body.start, body.end, body.isAllDay);
+  const result = await client.query(
+    `INSERT INTO calendar_events (
+      user_email, title, description, event_date, start_time, end_time, location, category, 
+      attendees, reminder, is_all_day, recurrence, recurrence_end, show_as, priority, 
+      is_online, meeting_link, attachments, repeat_weekly, rrule, uid, time_zone, starts_at, ends_at,
+      created_date, modified_date
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $25) RETURNING *`,
+    [
+      email, body.title, body.description, body.date, body.start, body.end, body.location, body.category || 'Work',
+      body.attendees, body.reminder === undefined || body.reminder === '' ? 15 : body.reminder, body.isAllDay ? 1 : 0, label, recurrence_end,
+      body.showAs || 'busy', body.priority || 'normal', body.isOnline ? 1 : 0, body.meetingLink,
+      body.attachments, repeat_weekly, rrule, uid, body.timeZone, startsAt, endsAt, now
+    ]
+  );
+  return withoutSearchVector(result.rows[0]);
+}
+
+async function updateEvent(client, id, body, recurrence) {
+  const { rrule, recurrence: label, recurrence_end, repeat_weekly } = recurrence.columns;
+  const { startsAt, endsAt } = eventInstants(body.timeZone, body.date, body.start, body.end, body.isAllDay);
+  const result = await client.query(
+    `UPDATE calendar_events SET 
+      title = $1, description = $2, event_date = $3, start_time = $4, end_time = $5, 
+      location = $6, category = $7, attendees = $8, reminder = $9, is_all_day = $10, 
+      recurrence = $11, recurrence_end = $12, show_as = $13, priority = $14, 
+      is_online = $15, meeting_link = $16, attachments = $17, repeat_weekly = $18, 
+      rrule = $19, time_zone = $20, starts_at = $21, ends_at = $22, modified_date = $23
+    WHERE id = $24 RETURNING *`,
+    [
+      body.title, body.description, body.date, body.start, body.end, body.location, body.category, body.attendees,
+      body.reminder, body.isAllDay ? 1 : 0, label, recurrence_end, body.showAs, body.priority,
+      body.isOnline ? 1 : 0, body.meetingLink, body.attachments, repeat_weekly,
+      rrule, body.timeZone, startsAt, endsAt, new Date().toISOString(), id
+    ]
+  );
+  return result.rows[0];
+}
+
+// One occurrence: the series fields with the exception's overrides on top,
+// and seriesDate for the date the series starts. Cancelled occurrences give null.
+function occurrenceFromSeries(event, date, exception) {
+  if (exception && exception.cancelled) return null;
+  const occurrence = {
+    ...event, date, seriesDate: event.date, occurrenceDate: date, recurring: true, isException: Boolean(exception)
+  };
+  if (exception) {
+    for (const [column, field] of Object.entries(EXCEPTION_FIELDS)) {
+      if (exception[column] !== null) occurrence[field] = exception[column];
+    }
+  }
+  return occurrence;
+}
+
+// Occurrences of one event that fall in [from, to]. An occurrence moved into
+// the range from a date outside it is found through its exception.
+function expandEvent(row, exceptions, from, to) {
+  const event = eventFromRow(row);
+  const rule = seriesRule(row);
+  if (!rule) {
+    return [{ ...event, occurrenceDate: event.date, recurring: false, isException: false }];
+  }
+
+  const byDate = new Map(exceptions.map(exception => [exception.occurrence_date, exception]));
+  const dates = occurrences(row.event_date, rule, { from, to });
+  for (const exception of exceptions) {
+    const moved = exception.event_date;
+    if (!exception.cancelled && moved && moved >= from && moved <= to &&
+        !dates.includes(exception.occurrence_date) && isOccurrence(row.event_date, rule, exception.occurrence_date)) {
+      dates.push(exception.occurrence_date);
+    }
+  }
+
+  return dates
+    .map(date => occurrenceFromSeries(event, date, byDate.get(date)))
+    .filter(occurrence => occurrence && occurrence.date >= from && occurrence.date <= to);
+}
+
+async function sendOccurrences(req, res, zone) {
+  const { from, to } = req.query;
+  if (!isDate(from) || !isDate(to)) {
+    return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)." });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from must not be after to." });
+  }
+  if (addDays(from, MAX_OCCURRENCE_RANGE_DAYS) < to) {
+    return res.status(400).json({ error: `Occurrences can be listed for up to ${MAX_OCCURRENCE_RANGE_DAYS} days at a time.` });
+  }
+
+  // The other list filters (category, q...) still apply; the range is checked
+  // here. Dates in the event's zone can be up to a day either side of the
+  // viewer's, so events are expanded over a wider range and then trimmed.
+  const params = [req.user.email, addDays(from, -2), addDays(to, 2)];
+  const list = listQuery({ ...req.query, from: undefined, to: undefined, limit: undefined, offset: undefined }, EVENT_LIST, params);
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM calendar_events
+     WHERE user_email = $1
+       AND CASE WHEN rrule IS NULL THEN SUBSTRING(event_date, 1, 10) BETWEEN $2 AND $3 ELSE event_date <= $3 END
+       ${list.conditions.map(condition => `AND ${condition}`).join(' ')}`,
+    params
+  );
+  const exceptions = await pool.query(
+    "SELECT * FROM calendar_event_exceptions WHERE event_id = ANY($1::int[])",
+    [result.rows.filter(row => row.rrule).map(row => row.id)]
+  );
+
+  const items = result.rows
+    .flatMap(row => expandEvent(row, exceptions.rows.filter(e => e.event_id === row.id), params[1], params[2]))
+    .map(occurrence => showInZone(occurrence, zone))
+    .filter(occurrence => occurrence.date >= from && occurrence.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.start || '').localeCompare(String(b.start || '')) || a.id - b.id);
+
+  res.set('X-Total-Count', String(items.length));
+  res.json(items);
+}
+
+// Works out which occurrence a scoped change is about. Changing the first
+// occurrence "and following" is the same as changing them all.
+// Returns { error } or { scope, date }.
+function eventScope(row, query) {
+  const scope = query.scope || 'all';
+  if (!EVENT_SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${EVENT_SCOPES.join(', ')}.` };
+  }
+  if (scope === 'all') return { scope };
+
+  const rule = seriesRule(row);
+  if (!rule) return { error: "Only repeating events have occurrences to change." };
+  if (!isDate(query.occurrence) || !isOccurrence(row.event_date, rule, query.occurrence)) {
+    return { error: "occurrence must be a date this event repeats on (YYYY-MM-DD)." };
+  }
+  if (scope === 'following' && query.occurrence === row.event_date) return { scope: 'all' };
+  return { scope, date: query.occurrence, rule };
+}
+
+// Ends a series the day before `date` (for "this and following") and drops the
+// exceptions from then on. Returns how many occurrences a COUNT rule has left.
+async function endSeriesBefore(client, row, rule, date) {
+  const before = countBefore(row.event_date, rule, date);
+  const ended = rule.count ? { ...rule, count: before } : { ...rule, until: addDays(date, -1) };
+  await client.query(
+    "UPDATE calendar_events SET rrule = $1, recurrence_end = $2, modified_date = $3 WHERE id = $4",
+    [formatRrule(ended), ended.until, new Date().toISOString(), row.id]
+  );
+  await client.query(
+    "DELETE FROM calendar_event_exceptions WHERE event_id = $1 AND occurrence_date >= $2",
+    [row.id, date]
+  );
+  return rule.count ? rule.count - before : null;
+}
+
+// Exception columns for an edited occurrence. Only what differs from the series
+// is stored, so later edits to the whole series still reach the other fields.
+function exceptionValues(row, occurrenceDate, body) {
+  const values = {};
+  for (const [column, field] of Object.entries(EXCEPTION_FIELDS)) {
+    const seriesValue = column === 'event_date' ? occurrenceDate : row[column];
+    values[column] = body[field] === undefined || body[field] === seriesValue ? null : body[field];
+  }
+  return values;
+}
+
+async function saveException(client, eventId, date, values) {
+  const result = await client.query(
+    `INSERT INTO calendar_event_exceptions (
+      event_id, occurrence_date, cancelled, title, description, event_date, start_time, end_time, location, category, modified_date
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (event_id, occurrence_date) DO UPDATE SET
+      cancelled = EXCLUDED.cancelled, title = EXCLUDED.title, description = EXCLUDED.description,
+      event_date = EXCLUDED.event_date, start_time = EXCLUDED.start_time, end_time = EXCLUDED.end_time,
+      location = EXCLUDED.location, category = EXCLUDED.category, modified_date = EXCLUDED.modified_date
+    RETURNING *`,
+    [
+      eventId, date, values.cancelled ? 1 : 0, values.title, values.description, values.event_date,
+      values.start_time, values.end_time, values.location, values.category, new Date().toISOString()
+    ]
+  );
+  return result.rows[0];
+}
+
+app.get("/events", requireAuth, async (req, res) => {
+  try {
+    const viewer = await viewerTimeZone(req);
+    if (viewer.error) {
+      return res.status(400).json({ error: viewer.error });
+    }
+    if (req.query.from && req.query.to) {
+      return await sendOccurrences(req, res, viewer.zone);
+    }
+    await sendList(req, res, 'calendar_events', EVENT_LIST, { mapRow: row => showInZone(eventFromRow(row), viewer.zone) });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ error: "Error fetching events." });
+  }
+});
+
+app.get("/events/:id", requireAuth, async (req, res) => {
+  try {
+    const viewer = await viewerTimeZone(req);
+    if (viewer.error) {
+      return res.status(400).json({ error: viewer.error });
+    }
+    const result = await pool.query(
+      "SELECT * FROM calendar_events WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Event not found." });
+    }
+    const exceptions = await pool.query(
+      "SELECT * FROM calendar_event_exceptions WHERE event_id = $1 ORDER BY occurrence_date",
+      [req.params.id]
+    );
+    res.json({
+      ...showInZone(eventFromRow(result.rows[0]), viewer.zone),
+      exceptions: exceptions.rows.map(exception => ({
+        occurrenceDate: exception.occurrence_date,
+        cancelled: Boolean(exception.cancelled),
+        ...Object.fromEntries(Object.entries(EXCEPTION_FIELDS)
+          .filter(([column]) => exception[column] !== null)
+          .map(([column, field]) => [field, exception[column]]))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    res.status(500).json({ error: "Error fetching event." });
+  }
+});
+
+// exdates lists occurrences of a repeating event that are left out (EXDATE)
+app.post("/events", requireAuth, async (req, res) => {
+  const recurrence = eventRecurrence(req.body);
+  if (recurrence.error) {
+    return res.status(400).json({ error: recurrence.error });
+  }
+  const timeZone = chosenTimeZone(req.body.timeZone, 'timeZone');
+  if (timeZone.error) {
+    return res.status(400).json({ error: timeZone.error });
+  }
+  const exdates = req.body.exdates || [];
+  if (!Array.isArray(exdates) || exdates.some(date => !isDate(date))) {
+    return res.status(400).json({ error: "exdates must be a list of dates (YYYY-MM-DD)." });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const zone = timeZone.zone || await userTimeZone(req.user.email, client);
+    const event = await insertEvent(client, req.user.email, { ...req.body, timeZone: zone }, recurrence);
+    if (recurrence.rule) {
+      for (const date of new Set(exdates)) {
+        await saveException(client, event.id, date, { cancelled: true });
+      }
+    }
+    await client.query('COMMIT');
+    res.json(event);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating event:', error);
+    res.status(500).json({ error: "Error creating event." });
+  } finally {
+    client.release();
+  }
+});
+
+app.put("/events/:id", requireAuth, async (req, res) => {
+  const timeZone = chosenTimeZone(req.body.timeZone, 'timeZone');
+  if (timeZone.error) {
+    return res.status(400).json({ error: timeZone.error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM calendar_events WHERE id = $1 AND user_email = $2 FOR UPDATE",
+      [req.params.id, req.user.email]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Event not found." });
+    }
+    const row = existing.rows[0];
+    const seriesZone = row.time_zone || DEFAULT_TIME_ZONE;
+    const body = { ...req.body, timeZone: timeZone.zone || seriesZone };
+    const { date } = body;
+
+    const target = eventScope(row, req.query);
+    if (target.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: target.error });
+    }
+
+    if (target.scope === 'this') {
+      if (date !== undefined && !isDate(date)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: "date must be a date (YYYY-MM-DD)." });
+      }
+      // One occurrence can't have a zone of its own, so its times move onto the series'
+      const values = exceptionValues(row, target.date, moveToZone(body, body.timeZone, seriesZone));
+      const exception = await saveException(client, row.id, target.date, values);
+      await client.query('COMMIT');
+      return res.json({ updated: 1, exception });
+    }
+
+    const recurrence = eventRecurrence(body);
+    if (recurrence.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: recurrence.error });
+    }
+
+    if (target.scope === 'following') {
+      // The rest of the series becomes a new event; a COUNT carries over
+      // what's left of it when the rule itself is unchanged
+      const remaining = await endSeriesBefore(client, row, target.rule, target.date);
+      let next = recurrence;
+      if (remaining && recurrence.rule && recurrence.columns.rrule === row.rrule) {
+        next = recurrenceColumns({ ...recurrence.rule, count: remaining });
+      }
+      const event = await insertEvent(client, req.user.email, { ...body, date: date || target.date }, next);
+      await client.query('COMMIT');
+      return res.json({ updated: 1, event });
+    }
+
+    await updateEvent(client, row.id, body, recurrence);
+    await client.query('COMMIT');
+    res.json({ updated: 1 });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating event:', error);
+    res.status(500).json({ error: "Error updating event." });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/events/:id", requireAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM calendar_events WHERE id = $1 AND user_email = $2 FOR UPDATE",
+      [req.params.id, req.user.email]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Event not found." });
+    }
+    const row = existing.rows[0];
+
+    const target = eventScope(row, req.query);
+    if (target.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: target.error });
+    }
+
+    if (target.scope === 'this') {
+      await saveException(client, row.id, target.date, { cancelled: true });
+    } else if (target.scope === 'following') {
+      await endSeriesBefore(client, row, target.rule, target.date);
+    } else {
+      await client.query("DELETE FROM calendar_events WHERE id = $1", [row.id]);
+    }
+    await client.query('COMMIT');
+    res.json({ deleted: 1 });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting event:', error);
+    res.status(500).json({ error: "Error deleting event." });
+  } finally {
+    client.release();
+  }
+});
+
+// ===================== CALENDAR IMPORT / EXPORT (iCalendar) =====================
+// A .ics download of the user's events, a secret feed address other calendar
+// apps can subscribe to, and an .ics importer. Imported events keep their UID,
+// so importing the same file again updates them instead of adding copies.
+
+async function userCalendar(email) {
+  const events = await pool.query(
+    "SELECT * FROM calendar_events WHERE user_email = $1 ORDER BY event_date, start_time, id",
+    [email]
+  );
+  const exceptions = await pool.query(
+    `SELECT x.* FROM calendar_event_exceptions x JOIN calendar_events e ON e.id = x.event_id
+     WHERE e.user_email = $1 ORDER BY x.occurrence_date`,
+    [email]
+  );
+  return toICalendar(events.rows, exceptions.rows);
+}
+
+app.get("/calendar/export.ics", requireAuth, async (req, res) => {
+  try {
+    sendDownload(res, await userCalendar(req.user.email), 'calendar.ics', 'text/calendar; charset=utf-8');
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({ error: "Error exporting calendar." });
+  }
+});
+
+// An imported event keeps the zone it was written in; floating times are in
+// the user's zone. So are UTC times of one-off events, moved onto the user's
+// clock, since many calendar apps write every event in UTC.
+function importedEvent(entry, userZone) {
+  const body = { ...entry, category: entry.category || 'Work', timeZone: entry.timeZone || userZone };
+  if (entry.timeZone === 'UTC' && !entry.rrule) {
+    return { ...moveToZone(body, 'UTC', userZone), timeZone: userZone };
+  }
+  return body;
+}
+
+// Body is the raw .ics file. Series come first so that changed occurrences
+// (VEVENTs with a RECURRENCE-ID) find them, whatever order the file uses.
+app.post("/calendar/import", requireAuth, bodyParser.text({ type: '*/*', limit: '5mb' }), async (req, res) => {
+  if (typeof req.body !== 'string' || !/BEGIN:VCALENDAR/i.test(req.body)) {
+    return res.status(400).json({ error: "Upload an iCalendar (.ics) file to import." });
+  }
+  const entries = parseICalendar(req.body);
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "No events were found in the file." });
+  }
+
+  const client = await pool.connect();
+  try {
+    const imported = [];
+    const updated = [];
+    const skipped = [];
+    const warnings = [];
+    const series = new Map();
+
+    await client.query('BEGIN');
+    const userZone = await userTimeZone(req.user.email, client);
+    for (const entry of entries.filter(e => !e.recurrenceId)) {
+      if (entry.error || entry.cancelled) {
+        skipped.push({ title: entry.title, error: entry.error || "The event is cancelled." });
+        continue;
+      }
+
+      const body = importedEvent(entry, userZone);
+      let recurrence = eventRecurrence(body);
+      if (recurrence.error) {
+        warnings.push({ title: entry.title, warning: `Imported as a single event: ${recurrence.error}` });
+        recurrence = eventRecurrence({ ...body, rrule: '' });
+      }
+
+      const uid = entry.uid || newEventUid();
+      const existing = await client.query(
+        "SELECT id FROM calendar_events WHERE user_email = $1 AND uid = $2",
+        [req.user.email, uid]
+      );
+      let row;
+      if (existing.rows.length > 0) {
+        row = await updateEvent(client, existing.rows[0].id, body, recurrence);
+        // The file describes the series again, changed occurrences included
+        await client.query("DELETE FROM calendar_event_exceptions WHERE event_id = $1", [row.id]);
+        updated.push(eventFromRow(row));
+      } else {
+        row = await insertEvent(client, req.user.email, body, recurrence, uid);
+        imported.push(eventFromRow(row));
+      }
+      if (recurrence.rule) {
+        for (const date of new Set(entry.exdates)) {
+          await saveException(client, row.id, date, { cancelled: true });
+        }
+      }
+      series.set(uid, row);
+    }
+
+    for (const entry of entries.filter(e => e.recurrenceId)) {
+      let row = series.get(entry.uid);
+      if (!row && entry.uid) {
+        const existing = await client.query(
+          "SELECT * FROM calendar_events WHERE user_email = $1 AND uid = $2",
+          [req.user.email, entry.uid]
+        );
+        row = existing.rows[0];
+      }
+      const rule = row && seriesRule(row);
+      if (!rule || !isOccurrence(row.event_date, rule, entry.recurrenceId)) {
+        skipped.push({ title: entry.title, error: "It changes one occurrence of a repeating event that wasn't found." });
+        continue;
+      }
+      const seriesZone = row.time_zone || userZone;
+      await saveException(client, row.id, entry.recurrenceId, entry.cancelled
+        ? { cancelled: true }
+        : exceptionValues(row, entry.recurrenceId, moveToZone(entry, entry.timeZone || seriesZone, seriesZone)));
+    }
+    await client.query('COMMIT');
+
+    res.json({ imported, updated, skipped, warnings });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error importing calendar:', error);
+    res.status(500).json({ error: "Error importing calendar." });
+  } finally {
+    client.release();
+  }
+});
+
+// The feed address is shown once when it's created; creating it again
+// replaces it, which also cuts off anyone who had the old one
+function calendarFeedUrls(req, token) {
+  const url = `${appUrl(req)}/calendar/feed/${token}.ics`;
+  return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+}
+
+app.get("/calendar/feed", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT created_date FROM calendar_feeds WHERE user_email = $1",
+      [req.user.email]
+    );
+    res.json({ active: result.rows.length > 0, created_date: result.rows.length > 0 ? result.rows[0].created_date : null });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: "Error fetching calendar feed." });
+  }
+});
+
+app.post("/calendar/feed", requireAuth, async (req, res) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const created_date = new Date().toISOString();
+  try {
+    await pool.query(
+      `INSERT INTO calendar_feeds (user_email, token_hash, created_date) VALUES ($1, $2, $3)
+       ON CONFLICT (user_email) DO UPDATE SET token_hash = EXCLUDED.token_hash, created_date = EXCLUDED.created_date`,
+      [req.user.email, hashToken(token), created_date]
+    );
+    res.json({ ...calendarFeedUrls(req, token), created_date });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: "Error creating calendar feed." });
+  }
+});
+
+app.delete("/calendar/feed", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM calendar_feeds WHERE user_email = $1", [req.user.email]);
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error removing calendar feed:', error);
+    res.status(500).json({ error: "Error removing calendar feed." });
+  }
+});
+
+// Public: calendar apps fetch this without a session, the token is the key
+app.get("/calendar/feed/:token.ics", calendarFeedLimiter, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT user_email FROM calendar_feeds WHERE token_hash = $1",
+      [hashToken(req.params.token)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).type('text/plain').send('Calendar feed not found.');
+    }
+    res.set({ 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'private, max-age=300' });
+    res.send(await userCalendar(result.rows[0].user_email));
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).type('text/plain').send('Error loading calendar feed.');
+  }
+});
+
+// ===================== LEGACY CALENDAR EVENTS API (backward compatibility) =====================
+app.get("/calendar_events", requireAuth, async (req, res) => {
+  try {
+    await sendList(req, res, 'calendar_events', EVENT_LIST);
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ error: "Error fetching events." });
+  }
+});
+
+app.post("/calendar_events", requireAuth, async (req, res) => {
+  const { title, description, event_date, start_time, end_time, repeat_weekly, created_date } = req.body;
+  const date = created_date || new Date().toISOString();
+  
+  try {
+    // These carry no zone, so the times are taken to be in the user's
+    const timeZone = await userTimeZone(req.user.email);
+    const { startsAt, endsAt } = eventInstants(timeZone, event_date, start_time, end_time, false);
+    const result = await pool.query(
+      `INSERT INTO calendar_events (user_email, title, description, event_date, start_time, end_time, repeat_weekly, rrule, uid,
+        time_zone, starts_at, ends_at, created_date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [
+        req.user.email, title, description, event_date, start_time, end_time, repeat_weekly, repeat_weekly ? 'FREQ=WEEKLY' : null,
+        newEventUid(), timeZone, startsAt, endsAt, date
+      ]
+    );
+    res.json(withoutSearchVector(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({ error: "Error creating event." });
+  }
+});
+
+app.put("/calendar_events/:id", requireAuth, async (req, res) => {
+  const { title, description, event_date, start_time, end_time, repeat_weekly } = req.body;
+  try {
+    const existing = await pool.query(
+      "SELECT time_zone, is_all_day FROM calendar_events WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Event not found." });
+    }
+    // The times stay in the zone the event already has
+    const { time_zone, is_all_day } = existing.rows[0];
+    const timeZone = time_zone || await userTimeZone(req.user.email);
+    const { startsAt, endsAt } = eventInstants(timeZone, event_date, start_time, end_time, is_all_day);
+    const result = await pool.query(
+      // A rule set through /events is kept while the event still repeats
+      `UPDATE calendar_events SET title = $1, description = $2, event_date = $3, start_time = $4, end_time = $5, repeat_weekly = $6,
+        rrule = CASE WHEN $7 THEN COALESCE(rrule, 'FREQ=WEEKLY') END, time_zone = $8, starts_at = $9, ends_at = $10
+       WHERE id = $11 AND user_email = $12`,
+      [
+        title, description, event_date, start_time, end_time, repeat_weekly, Boolean(repeat_weekly),
+        timeZone, startsAt, endsAt, req.params.id, req.user.email
+      ]
+    );
+    res.json({ updated: result.rowCount });
+  } catch (error) {
+    console.error('Error updating event:', error);
+    res.status(500).json({ error: "Error updating event." });
+  }
+});
+
+app.delete("/calendar_events/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM calendar_events WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Event not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting event:', error);
+    res.status(500).json({ error: "Error deleting event." });
+  }
+});
+
+// ===================== NOTIFICATIONS =====================
+// The in-app inbox. Notifications are written by createNotification, which also
+// pushes them to the user's open streams (GET /notifications/stream, Server-Sent
+// Events): a `notification` event with the new one and an `unread` event with
+// the count, sent again whenever it changes. Streams are kept in memory, which
+// is enough for the single server instance this portal runs as; a page that
+// reconnects gets the current count first.
+
+const NOTIFICATION_HEARTBEAT_MS = 25000;
+const NOTIFICATION_STATUSES = ['read', 'unread'];
+
+const NOTIFICATION_LIST = {
+  filters: { type: 'type' },
+  sorts: {
+    created: { by: ['created_date', 'id'], order: 'desc' }
+  },
+  sort: 'created'
+};
+
+// user email -> the responses of their open streams
+const notificationStreams = new Map();
+
+function notificationFromRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    link: row.link,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    read: Boolean(row.read_date),
+    readDate: row.read_date,
+    createdDate: row.created_date
+  };
+}
+
+function pushToStreams(email, event, data) {
+  const streams = notificationStreams.get(email);
+  if (!streams) return;
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of streams) res.write(message);
+}
+
+async function pushUnreadCount(email) {
+  if (!notificationStreams.has(email)) return;
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM notifications WHERE user_email = $1 AND read_date IS NULL",
+    [email]
+  );
+  pushToStreams(email, 'unread', { count: result.rows[0].count });
+}
+
+// Colleagues may be invited before they sign up; they get no notification
+// until they have an account. Returns the notification or null.
+async function createNotification(email, { type, title, body = null, link = null, sourceType = null, sourceId = null }) {
+  const result = await pool.query(
+    `INSERT INTO notifications (user_email, type, title, body, link, source_type, source_id, created_date)
+     SELECT $1, $2, $3, $4, $5, $6, $7::int, $8 WHERE EXISTS (SELECT 1 FROM users WHERE email = $1)
+     RETURNING *`,
+    [email, type, title, body, link, sourceType, sourceId, new Date().toISOString()]
+  );
+  if (result.rows.length === 0) return null;
+
+  const notification = notificationFromRow(result.rows[0]);
+  pushToStreams(email, 'notification', notification);
+  await pushUnreadCount(email);
+  return notification;
+}
+
+async function notifyProjectMember(req, project, member) {
+  await createNotification(member.email, {
+    type: 'project-member',
+    title: `Added to "${project.name}"`,
+    body: `${req.user.email} added you to the project as ${member.role}.`,
+    link: 'projects.html',
+    sourceType: 'project',
+    sourceId: project.id
+  });
+}
+
+// The owner and whoever sent the brief out hear how the client answered
+async function notifyBriefResponse(request, status, name, comments) {
+  const approved = status === 'approved';
+  const recipients = new Set([request.owner_email, request.sent_by].filter(Boolean));
+  for (const email of recipients) {
+    await createNotification(email, {
+      type: approved ? 'brief-approved' : 'brief-changes-requested',
+      title: `${approved ? 'Brief approved' : 'Changes requested'}: ${request.project_name}`,
+      body: approved
+        ? `${name} approved revision ${request.revision_number}.`
+        : `${name} asked for changes to revision ${request.revision_number}: ${comments}`,
+      link: `description.html?id=${request.project_id}`,
+      sourceType: 'project',
+      sourceId: request.project_id
+    });
+  }
+}
+
+// status=unread|read on top of the usual list parameters
+app.get("/notifications", requireAuth, async (req, res) => {
+  const { status } = req.query;
+  if (status && status !== 'all' && !NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "status must be read or unread." });
+  }
+
+  const conditions = ['user_email = $1'];
+  if (status === 'unread') conditions.push('read_date IS NULL');
+  if (status === 'read') conditions.push('read_date IS NOT NULL');
+
+  try {
+    await sendList(req, res, 'notifications', NOTIFICATION_LIST, { conditions, mapRow: notificationFromRow });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: "Error fetching notifications." });
+  }
+});
+
+app.get("/notifications/stream", requireAuth, async (req, res) => {
+  const email = req.user.email;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keeps proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!notificationStreams.has(email)) notificationStreams.set(email, new Set());
+  notificationStreams.get(email).add(res);
+
+  // A comment now and then stops idle connections from being closed
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), NOTIFICATION_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = notificationStreams.get(email);
+    streams.delete(res);
+    if (streams.size === 0) notificationStreams.delete(email);
+  });
+
+  try {
+    await pushUnreadCount(email);
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+  }
+});
+
+app.post("/notifications/read-all", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE notifications SET read_date = $1 WHERE user_email = $2 AND read_date IS NULL",
+      [new Date().toISOString(), req.user.email]
+    );
+    await pushUnreadCount(req.user.email);
+    res.json({ updated: result.rowCount });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: "Error marking notifications read." });
+  }
+});
+
+app.post("/notifications/:id/read", requireAuth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: "Notification not found." });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET read_date = COALESCE(read_date, $1)
+       WHERE id = $2 AND user_email = $3 RETURNING *`,
+      [new Date().toISOString(), req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Notification not found." });
+    }
+    await pushUnreadCount(req.user.email);
+    res.json(notificationFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ error: "Error marking notification read." });
+  }
+});
+
+// ===================== REMINDERS =====================
+// A scheduler that sends reminders for calendar events (each occurrence, the
+// event's `reminder` minutes before it starts), deadlines (the day before and
+// on the day) and career goal target dates (a week before and on the day), the
+// last two at 09:00 in the user's time zone, through the channels the user
+// picked (lib/reminders.js).
+//
+// Each run writes the reminders firing within the next day to the reminders
+// table, so they can be listed and dismissed before they go out, and drops the
+// ones whose source has changed. A due reminder is claimed by switching it from
+// scheduled to sent in a single UPDATE before any channel is tried, so it is
+// delivered at most once, across restarts and servers alike: a delivery cut off
+// by a crash is lost rather than repeated. Snoozing schedules it again.
+// REMINDER_INTERVAL_SECONDS sets how often it runs (default 60; 0 turns it off).
+
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_SECONDS || '60', 10) * 1000;
+const REMINDER_LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+// After downtime, reminders this late are dropped rather than sent
+const REMINDER_MAX_LATE_MS = 6 * 60 * 60 * 1000;
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+const DEFAULT_SNOOZE_MINUTES = 10;
+const REMINDER_TIME = '09:00';
+const REMINDER_BASE_URL = process.env.APP_URL || `http://localhost:${port}`;
+
+// Items due on a date: the owner's rows still open in a date range ($1-$2),
+// and which days before the date they're reminded
+const DATED_REMINDERS = {
+  deadline: {
+    query: `SELECT d.id, d.user_email, d.title, SUBSTRING(d.due_date, 1, 10) AS date, p.time_zone
+            FROM deadlines d LEFT JOIN profiles p ON p.user_email = d.user_email
+            WHERE COALESCE(d.status, '') <> 'completed' AND SUBSTRING(d.due_date, 1, 10) BETWEEN $1 AND $2`,
+    link: 'deadlines.html',
+    reminders: [{ key: 'day-before', days: 1, body: 'Due tomorrow.' }, { key: 'due', days: 0, body: 'Due today.' }]
+  },
+  goal: {
+    query: `SELECT g.id, g.user_email, g.title, SUBSTRING(g.target_date, 1, 10) AS date, p.time_zone
+            FROM career_goals g LEFT JOIN profiles p ON p.user_email = g.user_email
+            WHERE COALESCE(g.progress, 0) < 100 AND SUBSTRING(g.target_date, 1, 10) BETWEEN $1 AND $2`,
+    link: 'career.html',
+    reminders: [{ key: 'week-before', days: 7, body: 'Target date is a week away.' }, { key: 'due', days: 0, body: 'Target date is today.' }]
+  }
+};
+
+const REMINDER_LIST = {
+  filters: { status: 'status', source_type: 'source_type' },
+  sorts: {
+    fire: { by: 'fire_at', order: 'desc' },
+    due: { by: 'due_at' }
+  },
+  sort: 'fire'
+};
+
+const reminderChannels = createChannels({ notify: notifyReminder, sendMail, baseUrl: REMINDER_BASE_URL });
+
+function reminderFromRow(row) {
+  return {
+    id: row.id,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    occurrence: row.occurrence,
+    title: row.title,
+    body: row.body,
+    link: row.link,
+    dueAt: new Date(row.due_at).toISOString(),
+    fireAt: new Date(row.fire_at).toISOString(),
+    status: row.status,
+    snoozed: Boolean(row.snoozed),
+    deliveries: row.deliveries,
+    sentDate: row.sent_date,
+    createdDate: row.created_date
+  };
+}
+
+const utcDate = ms => new Date(ms).toISOString().slice(0, 10);
+
+// Event occurrences whose reminder fires in [from, to] and that haven't started by `now`
+async function eventReminders(from, to, now) {
+  const horizon = to + MAX_REMINDER_MINUTES * 60000;
+  const events = await pool.query(
+    `SELECT e.*, p.time_zone AS owner_zone FROM calendar_events e LEFT JOIN profiles p ON p.user_email = e.user_email
+     WHERE e.reminder > 0 AND e.starts_at IS NOT NULL
+       AND CASE WHEN e.rrule IS NULL THEN e.starts_at > $1 AND e.starts_at <= $2 ELSE e.event_date <= $3 END`,
+    [new Date(now).toISOString(), new Date(horizon).toISOString(), addDays(utcDate(horizon), 1)]
+  );
+  const exceptions = await pool.query(
+    "SELECT * FROM calendar_event_exceptions WHERE event_id = ANY($1::int[])",
+    [events.rows.filter(row => row.rrule).map(row => row.id)]
+  );
+
+  const reminders = [];
+  for (const row of events.rows) {
+    const minutes = Math.min(row.reminder, MAX_REMINDER_MINUTES);
+    const zone = timeZoneName(row.owner_zone) || DEFAULT_TIME_ZONE;
+    // Dates on the event's clock, a day either side of the UTC ones
+    const occurrences = expandEvent(row, exceptions.rows.filter(e => e.event_id === row.id),
+      addDays(utcDate(now), -1), addDays(utcDate(horizon), 1));
+
+    for (const occurrence of occurrences) {
+      const shown = showInZone(occurrence, zone);
+      const startsAt = Date.parse(shown.startsAt);
+      const fireAt = startsAt - minutes * 60000;
+      if (startsAt <= now || fireAt < from || fireAt > to) continue;
+      reminders.push({
+        user_email: row.user_email,
+        source_type: 'event',
+        source_id: row.id,
+        occurrence: occurrence.occurrenceDate,
+        title: shown.title || 'Event',
+        body: shown.isAllDay || !shown.start
+          ? `All day on ${shown.date}.`
+          : `Starts ${shown.date} at ${shown.start} (${zone}).`,
+        link: 'outlook-calendar.html',
+        due_at: shown.startsAt,
+        fire_at: new Date(fireAt).toISOString()
+      });
+    }
+  }
+  return reminders;
+}
+
+// Reminders of deadlines or goals firing in [from, to] for dates not yet past
+async function datedReminders(sourceType, from, to, now) {
+  const source = DATED_REMINDERS[sourceType];
+  const furthest = Math.max(...source.reminders.map(reminder => reminder.days));
+  const rows = await pool.query(source.query, [addDays(utcDate(from), -1), addDays(utcDate(to), furthest + 1)]);
+
+  const reminders = [];
+  for (const row of rows.rows) {
+    if (!isDate(row.date)) continue;
+    const zone = timeZoneName(row.time_zone) || DEFAULT_TIME_ZONE;
+    // Due until the end of the day, on the owner's clock
+    const dueAt = zonedToUtc(addDays(row.date, 1), '00:00', zone);
+    for (const reminder of source.reminders) {
+      const fireAt = zonedToUtc(addDays(row.date, -reminder.days), REMINDER_TIME, zone);
+      if (dueAt <= now || fireAt < from || fireAt > to) continue;
+      reminders.push({
+        user_email: row.user_email,
+        source_type: sourceType,
+        source_id: row.id,
+        occurrence: `${row.date}:${reminder.key}`,
+        title: row.title || (sourceType === 'goal' ? 'Career goal' : 'Deadline'),
+        body: reminder.body,
+        link: source.link,
+        due_at: new Date(dueAt).toISOString(),
+        fire_at: new Date(fireAt).toISOString()
+      });
+    }
+  }
+  return reminders;
+}
+
+// Brings the scheduled reminders in [now - max late, now + lookahead] in line
+// with their sources. Snoozed ones keep the time they were snoozed to.
+async function scheduleReminders(now) {
+  const from = now - REMINDER_MAX_LATE_MS;
+  const to = now + REMINDER_LOOKAHEAD_MS;
+  const expected = [
+    ...await eventReminders(from, to, now),
+    ...await datedReminders('deadline', from, to, now),
+    ...await datedReminders('goal', from, to, now)
+  ];
+
+  const kept = [];
+  for (const reminder of expected) {
+    const result = await pool.query(
+      `INSERT INTO reminders (user_email, source_type, source_id, occurrence, title, body, link, due_at, fire_at, status, created_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'scheduled', $10)
+       ON CONFLICT (source_type, source_id, occurrence) DO UPDATE SET
+         title = EXCLUDED.title, body = EXCLUDED.body, link = EXCLUDED.link, due_at = EXCLUDED.due_at, fire_at = EXCLUDED.fire_at
+       WHERE reminders.status = 'scheduled' AND reminders.snoozed = 0
+       RETURNING id`,
+      [
+        reminder.user_email, reminder.source_type, reminder.source_id, reminder.occurrence, reminder.title,
+        reminder.body, reminder.link, reminder.due_at, reminder.fire_at, new Date(now).toISOString()
+      ]
+    );
+    kept.push(...result.rows.map(row => row.id));
+  }
+
+  // Scheduled reminders the sources no longer call for (deleted, completed, moved, turned off)
+  await pool.query(
+    `DELETE FROM reminders WHERE status = 'scheduled' AND snoozed = 0
+     AND fire_at BETWEEN $1 AND $2 AND NOT (id = ANY($3::int[]))`,
+    [new Date(from).toISOString(), new Date(to).toISOString(), kept]
+  );
+  await pool.query(
+    "UPDATE reminders SET status = 'expired' WHERE status = 'scheduled' AND fire_at < $1",
+    [new Date(from).toISOString()]
+  );
+}
+
+async function reminderSettings(email) {
+  const result = await pool.query("SELECT * FROM reminder_settings WHERE user_email = $1", [email]);
+  const row = result.rows[0];
+  return {
+    channels: row && row.channels ? JSON.parse(row.channels) : DEFAULT_CHANNELS,
+    webhook_url: row ? row.webhook_url : null,
+    webhook_secret: row ? row.webhook_secret : null
+  };
+}
+
+// The inbox channel
+async function notifyReminder(reminder) {
+  await createNotification(reminder.user_email, {
+    type: 'reminder',
+    title: reminder.title,
+    body: reminder.body,
+    link: reminder.link,
+    sourceType: 'reminder',
+    sourceId: reminder.id
+  });
+}
+
+// Each channel claims its delivery row first, so none of them sends twice
+async function deliverReminder(reminder) {
+  const settings = await reminderSettings(reminder.user_email);
+  for (const name of settings.channels) {
+    const channel = reminderChannels[name];
+    if (!channel) continue;
+
+    const claim = await pool.query(
+      `INSERT INTO reminder_deliveries (reminder_id, delivery, channel, status, created_date)
+       VALUES ($1, $2, $3, 'sending', $4) ON CONFLICT (reminder_id, delivery, channel) DO NOTHING RETURNING id`,
+      [reminder.id, reminder.deliveries, name, new Date().toISOString()]
+    );
+    if (claim.rows.length === 0) continue;
+
+    let status = 'delivered';
+    let error = null;
+    try {
+      await channel.deliver(reminder, settings);
+    } catch (deliveryError) {
+      status = 'failed';
+      error = deliveryError.message;
+      console.error(`Error delivering reminder ${reminder.id} by ${name}:`, deliveryError.message);
+    }
+    await pool.query(
+      "UPDATE reminder_deliveries SET status = $1, error = $2 WHERE id = $3",
+      [status, error, claim.rows[0].id]
+    );
+  }
+}
+
+async function sendDueReminders(now) {
+  const claimed = await pool.query(
+    `UPDATE reminders SET status = 'sent', snoozed = 0, deliveries = deliveries + 1, sent_date = $1
+     WHERE status = 'scheduled' AND fire_at <= $2 RETURNING *`,
+    [new Date(now).toISOString(), new Date(now).toISOString()]
+  );
+  for (const reminder of claimed.rows) {
+    await deliverReminder(reminder);
+  }
+}
+
+let reminderRun = null;
+
+async function runReminders(now = Date.now()) {
+  await scheduleReminders(now);
+  await sendDueReminders(now);
+}
+
+function startReminderScheduler() {
+  if (!REMINDER_INTERVAL_MS) return;
+  const tick = () => {
+    // A slow run isn't overlapped by the next one
+    if (reminderRun) return;
+    reminderRun = runReminders()
+      .catch(error => console.error('Error running reminders:', error))
+      .finally(() => { reminderRun = null; });
+  };
+  tick();
+  setInterval(tick, REMINDER_INTERVAL_MS).unref();
+}
+
+app.get("/reminders", requireAuth, async (req, res) => {
+  try {
+    await sendList(req, res, 'reminders', REMINDER_LIST, { mapRow: reminderFromRow });
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({ error: "Error fetching reminders." });
+  }
+});
+
+function reminderSettingsResponse(settings) {
+  return {
+    channels: settings.channels,
+    available: enabledChannels(),
+    webhookUrl: settings.webhook_url,
+    webhookSecret: settings.webhook_secret
+  };
+}
+
+app.get("/reminders/settings", requireAuth, async (req, res) => {
+  try {
+    res.json(reminderSettingsResponse(await reminderSettings(req.user.email)));
+  } catch (error) {
+    console.error('Error fetching reminder settings:', error);
+    res.status(500).json({ error: "Error fetching reminder settings." });
+  }
+});
+
+// The webhook secret is made with the first webhook URL and kept after that
+app.put("/reminders/settings", requireAuth, async (req, res) => {
+  const { channels } = req.body;
+  const available = enabledChannels();
+  if (!Array.isArray(channels) || channels.some(channel => !available.includes(channel))) {
+    return res.status(400).json({ error: `channels must be a list of: ${available.join(', ')}.` });
+  }
+
+  // Private and internal addresses are refused (lib/reminders.js)
+  const webhookUrl = String(req.body.webhookUrl || '').trim() || null;
+  const invalidUrl = webhookUrl && await checkWebhookUrl(webhookUrl);
+  if (invalidUrl) {
+    return res.status(400).json({ error: invalidUrl });
+  }
+  if (channels.includes('webhook') && !webhookUrl) {
+    return res.status(400).json({ error: "Reminders by webhook need a webhookUrl." });
+  }
+
+  try {
+    const current = await reminderSettings(req.user.email);
+    const secret = current.webhook_secret || (webhookUrl ? newWebhookSecret() : null);
+    await pool.query(
+      `INSERT INTO reminder_settings (user_email, channels, webhook_url, webhook_secret, modified_date)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_email) DO UPDATE SET channels = EXCLUDED.channels, webhook_url = EXCLUDED.webhook_url,
+         webhook_secret = EXCLUDED.webhook_secret, modified_date = EXCLUDED.modified_date`,
+      [req.user.email, JSON.stringify([...new Set(channels)]), webhookUrl, secret, new Date().toISOString()]
+    );
+    res.json(reminderSettingsResponse(await reminderSettings(req.user.email)));
+  } catch (error) {
+    console.error('Error saving reminder settings:', error);
+    res.status(500).json({ error: "Error saving reminder settings." });
+  }
+});
+
+// Sends the reminder again after `minutes` (default 10, at most a week)
+app.post("/reminders/:id/snooze", requireAuth, async (req, res) => {
+  const minutes = req.body.minutes === undefined ? DEFAULT_SNOOZE_MINUTES : Number(req.body.minutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_REMINDER_MINUTES) {
+    return res.status(400).json({ error: `minutes must be a whole number from 1 to ${MAX_REMINDER_MINUTES}.` });
+  }
+
+  try {
+    const existing = await pool.query(
+      "SELECT status FROM reminders WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Reminder not found." });
+    }
+    if (existing.rows[0].status === 'dismissed') {
+      return res.status(400).json({ error: "A dismissed reminder can't be snoozed." });
+    }
+
+    const result = await pool.query(
+      "UPDATE reminders SET status = 'scheduled', snoozed = 1, fire_at = $1 WHERE id = $2 RETURNING *",
+      [new Date(Date.now() + minutes * 60000).toISOString(), req.params.id]
+    );
+    res.json(reminderFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    res.status(500).json({ error: "Error snoozing reminder." });
+  }
+});
+
+// A dismissed reminder isn't sent (again), whether or not it has gone out yet
+app.post("/reminders/:id/dismiss", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE reminders SET status = 'dismissed', snoozed = 0 WHERE id = $1 AND user_email = $2 RETURNING *",
+      [req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Reminder not found." });
+    }
+    res.json(reminderFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error dismissing reminder:', error);
+    res.status(500).json({ error: "Error dismissing reminder." });
+  }
+});
+
+// ===================== PROFILE API ENDPOINTS =====================
+app.get("/profile", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM profiles WHERE user_email = $1",
+      [req.user.email]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.json(null);
+    }
+    
+    const row = result.rows[0];
+    
+    // Convert snake_case to camelCase for frontend
+    const profile = {
+      userEmail: row.user_email,
+      fullName: row.full_name,
+      designation: row.designation,
+      department: row.department,
+      institution: row.institution,
+      officeAddress: row.office_address,
+      officialEmail: row.official_email,
+      alternateEmail: row.alternate_email,
+      phone: row.phone,
+      website: row.website,
+      degrees: row.degrees ? JSON.parse(row.degrees) : [],
+      employment: row.employment ? JSON.parse(row.employment) : [],
+      researchKeywords: row.research_keywords,
+      researchDescription: row.research_description,
+      scholarLink: row.scholar_link,
+      courses: row.courses ? JSON.parse(row.courses) : [],
+      professionalActivities: row.professional_activities,
+      awards: row.awards ? JSON.parse(row.awards) : [],
+      skills: row.skills,
+      outreachService: row.outreach_service,
+      timeZone: row.time_zone
+    };
+    
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: "Error fetching profile." });
+  }
+});
+
+app.post("/profile", requireAuth, async (req, res) => {
+  const userEmail = req.user.email;
+  const {
+    fullName, designation, department, institution,
+    officeAddress, officialEmail, alternateEmail, phone, website,
+    degrees, employment, researchKeywords, researchDescription,
+    scholarLink, courses, professionalActivities,
+    awards, skills, outreachService
+  } = req.body;
+
+  const timeZone = chosenTimeZone(req.body.timeZone, 'timeZone');
+  if (timeZone.error) {
+    return res.status(400).json({ error: timeZone.error });
+  }
+
+  const modifiedDate = new Date().toISOString();
+  const degreesJson = JSON.stringify(degrees || []);
+  const employmentJson = JSON.stringify(employment || []);
+  const coursesJson = JSON.stringify(courses || []);
+  const awardsJson = JSON.stringify(awards || []);
+
+  try {
+    // Check if profile exists
+    const checkResult = await pool.query(
+      "SELECT id FROM profiles WHERE user_email = $1",
+      [userEmail]
+    );
+
+    if (checkResult.rows.length > 0) {
+      // Update existing profile
+      await pool.query(
+        `UPDATE profiles SET 
+          full_name = $1, designation = $2, department = $3, institution = $4,
+          office_address = $5, official_email = $6, alternate_email = $7, phone = $8,
+          website = $9, degrees = $10, employment = $11, research_keywords = $12,
+          research_description = $13, scholar_link = $14, courses = $15,
+          professional_activities = $16, awards = $17, skills = $18, outreach_service = $19,
+          time_zone = $20, modified_date = $21
+        WHERE user_email = $22`,
+        [
+          fullName, designation, department, institution,
+          officeAddress, officialEmail, alternateEmail, phone,
+          website, degreesJson, employmentJson, researchKeywords,
+          researchDescription, scholarLink, coursesJson,
+          professionalActivities, awardsJson, skills, outreachService,
+          timeZone.zone, modifiedDate, userEmail
+        ]
+      );
+      res.json({ message: "Profile updated successfully" });
+    } else {
+      // Create new profile
+      const createdDate = new Date().toISOString();
+      const result = await pool.query(
+        `INSERT INTO profiles (
+          user_email, full_name, designation, department, institution,
+          office_address, official_email, alternate_email, phone, website,
+          degrees, employment, research_keywords, research_description,
+          scholar_link, courses, professional_activities, awards,
+          skills, outreach_service, time_zone, created_date, modified_date, grants_migrated
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, 1) RETURNING id`,
+        [
+          userEmail, fullName, designation, department, institution,
+          officeAddress, officialEmail, alternateEmail, phone, website,
+          degreesJson, employmentJson, researchKeywords, researchDescription,
+          scholarLink, coursesJson, professionalActivities,
+          awardsJson, skills, outreachService, timeZone.zone, createdDate, modifiedDate
+        ]
+      );
+      res.json({ message: "Profile created successfully", id: result.rows[0].id });
+    }
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    res.status(500).json({ error: "Error saving profile." });
+  }
+});
+
+app.delete("/profile", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM profiles WHERE user_email = $1",
+      [req.user.email]
+    );
+    res.json({ deleted: result.rowCount, message: "Profile deleted successfully" });
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    res.status(500).json({ error: "Error deleting profile." });
+  }
+});
+
+// ===================== PUBLICATIONS API =====================
+const PUBLICATION_COLUMNS = ['title', 'authors', 'venue', 'year', 'doi', 'url', 'type', 'status', 'volume', 'issue', 'pages', 'publisher', 'bibtex_key'];
+
+// Authors are stored as a JSON array; the form sends them as one "; "-separated string
+function publicationFromBody(body) {
+  const authors = Array.isArray(body.authors)
+    ? body.authors
+    : String(body.authors || '').split(';');
+  const year = body.year === undefined || body.year === null || body.year === '' ? null : Number(body.year);
+
+  return {
+    title: String(body.title || '').trim(),
+    authors: authors.map(author => String(author).trim()).filter(Boolean),
+    venue: body.venue || '',
+    year,
+    doi: normalizeDoi(body.doi),
+    url: body.url || '',
+    type: body.type || 'article',
+    status: body.status || 'published',
+    volume: body.volume || '',
+    issue: body.issue || '',
+    pages: body.pages || '',
+    publisher: body.publisher || '',
+    bibtex_key: body.bibtex_key || ''
+  };
+}
+
+function validatePublication(pub) {
+  if (!pub.title) {
+    return "Title is required.";
+  }
+  if (!PUBLICATION_TYPES.includes(pub.type)) {
+    return `Type must be one of: ${PUBLICATION_TYPES.join(', ')}.`;
+  }
+  if (!PUBLICATION_STATUSES.includes(pub.status)) {
+    return `Status must be one of: ${PUBLICATION_STATUSES.join(', ')}.`;
+  }
+  if (pub.year !== null && (!Number.isInteger(pub.year) || pub.year < 1000 || pub.year > 9999)) {
+    return "Year must be a four-digit number.";
+  }
+  return null;
+}
+
+function publicationFromRow(row) {
+  return { ...row, authors: row.authors ? JSON.parse(row.authors) : [] };
+}
+
+function publicationValues(pub) {
+  return PUBLICATION_COLUMNS.map(column => (column === 'authors' ? JSON.stringify(pub.authors) : pub[column]));
+}
+
+async function getPublications(email) {
+  const result = await pool.query(
+    "SELECT * FROM publications WHERE user_email = $1 ORDER BY year IS NULL, year DESC, id DESC",
+    [email]
+  );
+  return result.rows.map(publicationFromRow);
+}
+
+async function insertPublication(db, email, pub) {
+  const now = new Date().toISOString();
+  const placeholders = PUBLICATION_COLUMNS.map((column, i) => `$${i + 2}`).join(', ');
+  const result = await db.query(
+    `INSERT INTO publications (user_email, ${PUBLICATION_COLUMNS.join(', ')}, created_date, modified_date)
+     VALUES ($1, ${placeholders}, $${PUBLICATION_COLUMNS.length + 2}, $${PUBLICATION_COLUMNS.length + 2}) RETURNING *`,
+    [email, ...publicationValues(pub), now]
+  );
+  return publicationFromRow(result.rows[0]);
+}
+
+app.get("/publications", requireAuth, async (req, res) => {
+  try {
+    const { status, type, year } = req.query;
+    const publications = (await getPublications(req.user.email)).filter(pub =>
+      (!status || pub.status === status) &&
+      (!type || pub.type === type) &&
+      (!year || String(pub.year) === String(year))
+    );
+    res.json(publications);
+  } catch (error) {
+    console.error('Error fetching publications:', error);
+    res.status(500).json({ error: "Error fetching publications." });
+  }
+});
+
+app.post("/publications", requireAuth, async (req, res) => {
+  const pub = publicationFromBody(req.body);
+  const invalid = validatePublication(pub);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const duplicate = findDuplicate(pub, await getPublications(req.user.email));
+    if (duplicate) {
+      return res.status(409).json({ error: "You already have a publication with this DOI or title.", duplicate_id: duplicate.id });
+    }
+
+    res.json(await insertPublication(pool, req.user.email, pub));
+  } catch (error) {
+    console.error('Error creating publication:', error);
+    res.status(500).json({ error: "Error creating publication." });
+  }
+});
+
+// Body is the raw file or pasted text; ?format=bibtex|ris, guessed when left out.
+// Entries matching an existing publication (or an earlier one in the same file) are skipped.
+app.post("/publications/import", requireAuth, bodyParser.text({ type: '*/*', limit: '5mb' }), async (req, res) => {
+  const { format } = req.query;
+  if (format && !['bibtex', 'ris'].includes(format)) {
+    return res.status(400).json({ error: "Format must be bibtex or ris." });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: "Paste or upload a BibTeX or RIS file to import." });
+  }
+
+  const entries = parseBibliography(req.body, format);
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "No BibTeX or RIS entries were found." });
+  }
+
+  const client = await pool.connect();
+  try {
+    const known = await getPublications(req.user.email);
+    const imported = [];
+    const duplicates = [];
+    const skipped = [];
+
+    await client.query('BEGIN');
+    for (const entry of entries) {
+      const invalid = validatePublication(entry);
+      if (invalid) {
+        skipped.push({ title: entry.title, error: invalid });
+        continue;
+      }
+      const duplicate = findDuplicate(entry, known);
+      if (duplicate) {
+        duplicates.push({ title: entry.title, duplicate_id: duplicate.id });
+        continue;
+      }
+      const saved = await insertPublication(client, req.user.email, entry);
+      imported.push(saved);
+      known.push(saved);
+    }
+    await client.query('COMMIT');
+
+    res.json({ imported, duplicates, skipped });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error importing publications:', error);
+    res.status(500).json({ error: "Error importing publications." });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/publications/export", requireAuth, async (req, res) => {
+  try {
+    const publications = await getPublications(req.user.email);
+    sendDownload(res, toBibtex(publications), 'publications.bib', 'application/x-bibtex; charset=utf-8');
+  } catch (error) {
+    console.error('Error exporting publications:', error);
+    res.status(500).json({ error: "Error exporting publications." });
+  }
+});
+
+app.put("/publications/:id", requireAuth, async (req, res) => {
+  const pub = publicationFromBody(req.body);
+  const invalid = validatePublication(pub);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const others = (await getPublications(req.user.email)).filter(other => String(other.id) !== String(req.params.id));
+    const duplicate = findDuplicate(pub, others);
+    if (duplicate) {
+      return res.status(409).json({ error: "You already have a publication with this DOI or title.", duplicate_id: duplicate.id });
+    }
+
+    const assignments = PUBLICATION_COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ');
+    const n = PUBLICATION_COLUMNS.length;
+    const result = await pool.query(
+      `UPDATE publications SET ${assignments}, modified_date = $${n + 1}
+       WHERE id = $${n + 2} AND user_email = $${n + 3} RETURNING *`,
+      [...publicationValues(pub), new Date().toISOString(), req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Publication not found." });
+    }
+    res.json(publicationFromRow(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating publication:', error);
+    res.status(500).json({ error: "Error updating publication." });
+  }
+});
+
+app.delete("/publications/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM publications WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Publication not found." });
+    }
+    res.json({ deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting publication:', error);
+    res.status(500).json({ error: "Error deleting publication." });
+  }
+});
+
+// ===================== GRANTS API =====================
+const GRANT_COLUMNS = ['title', 'agency', 'role', 'grant_number', 'amount', 'currency', 'start_date', 'end_date', 'status', 'notes'];
+
+function amountFromBody(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+function grantFromBody(body) {
+  return {
+    title: String(body.title || '').trim(),
+    agency: body.agency || '',
+    role: body.role || '',
+    grant_number: body.grant_number || '',
+    amount: amountFromBody(body.amount),
+    currency: String(body.currency || 'USD').trim().toUpperCase(),
+    start_date: body.start_date || null,
+    end_date: body.end_date || null,
+    status: body.status || 'active',
+    notes: body.notes || ''
+  };
+}
+
+function validateGrant(grant) {
+  if (!grant.title) {
+    return "Grant title is required.";
+  }
+  if (!GRANT_STATUSES.includes(grant.status)) {
+    return `Status must be one of: ${GRANT_STATUSES.join(', ')}.`;
+  }
+  if (grant.amount !== null && !(Number.isFinite(grant.amount) && grant.amount >= 0)) {
+    return "Amount must be a positive number.";
+  }
+  if (!/^[A-Z]{3}$/.test(grant.currency)) {
+    return "Currency must be a three-letter code such as USD.";
+  }
+  if ((grant.start_date && !DATE_PATTERN.test(grant.start_date)) || (grant.end_date && !DATE_PATTERN.test(grant.end_date))) {
+    return "Dates must be YYYY-MM-DD.";
+  }
+  if (grant.start_date && grant.end_date && grant.end_date < grant.start_date) {
+    return "A grant cannot end before it starts.";
+  }
+  return null;
+}
+
+function validateMoneyEntry(entry, label) {
+  if (!Number.isFinite(entry.amount) || entry.amount < 0) {
+    return `${label} amount must be a positive number.`;
+  }
+  return null;
+}
+
+// NUMERIC columns come back from pg as strings
+function withAmount(row) {
+  return { ...row, amount: row.amount === null ? null : Number(row.amount) };
+}
+
+// Loads the caller's grant into req.grant, or answers 404
+async function requireGrant(req, res, next) {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM grants WHERE id = $1 AND user_email = $2",
+      [req.params.id, req.user.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Grant not found." });
+    }
+    req.grant = withAmount(result.rows[0]);
+    next();
+  } catch (error) {
+    console.error('Error loading grant:', error);
+    res.status(500).json({ error: "Error loading grant." });
+  }
+}
+
+// Budget lines, spend, balance, reports and linked projects for each grant
+async function grantDetails(grants) {
+  const ids = grants.map(grant => grant.id);
+  const [lines, expenses, reports, projects] = await Promise.all([
+    pool.query("SELECT * FROM grant_budget_lines WHERE grant_id = ANY($1::int[]) ORDER BY id ASC", [ids]),
+    pool.query("SELECT * FROM grant_expenses WHERE grant_id = ANY($1::int[]) ORDER BY spent_date DESC, id DESC", [ids]),
+    pool.query("SELECT * FROM grant_reports WHERE grant_id = ANY($1::int[]) ORDER BY due_date ASC, id ASC", [ids]),
+    pool.query(
+      `SELECT gp.grant_id, p.id, p.name FROM grant_projects gp
+       JOIN projects p ON p.id = gp.project_id
+       WHERE gp.grant_id = ANY($1::int[]) ORDER BY p.name ASC`,
+      [ids]
+    )
+  ]);
+
+  const today = new Date().toISOString().slice(0, 10);
+  return grants.map(grant => {
+    const grantReports = reports.rows.filter(r => r.grant_id === grant.id);
+    const nextReport = grantReports.find(r => !r.submitted);
+    return {
+      ...grant,
+      ...grantBalance(
+        grant,
+        lines.rows.filter(l => l.grant_id === grant.id).map(withAmount),
+        expenses.rows.filter(e => e.grant_id === grant.id).map(withAmount)
+      ),
+      expenses: expenses.rows.filter(e => e.grant_id === grant.id).map(withAmount),
+      reports: grantReports.map(r => ({ ...r, overdue: !r.submitted && r.due_date < today })),
+      next_report_due: nextReport ? nextReport.due_date : null,
+      projects: projects.rows.filter(p => p.grant_id === grant.id).map(p => ({ id: p.id, name: p.name }))
+    };
+  });
+}
+
+async function grantDetail(grant) {
+  const [detail] = await grantDetails([grant]);
+  return detail;
+}
+
+// Unsubmitted reports of live grants appear in the owner's deadlines
+async function syncGrantReportDeadline(reportId) {
+  const result = await pool.query(
+    `SELECT r.*, g.user_email, g.title AS grant_title, g.agency, g.status AS grant_status
+     FROM grant_reports r JOIN grants g ON g.id = r.grant_id
+     WHERE r.id = $1`,
+    [reportId]
+  );
+  const report = result.rows[0];
+
+  if (!report || report.submitted || report.grant_status === 'declined') {
+    return removeLinkedDeadline('grant_report', reportId);
+  }
+
+  await upsertLinkedDeadline('grant_report', reportId, {
+    user_email: report.user_email,
+    title: `${report.title}: ${report.grant_title}`,
+    description: `Report due${report.agency ? ` to ${report.agency}` : ''} for the grant "${report.grant_title}"`,
+    due_date: report.due_date,
+    priority: 'high'
+  });
+}
+
+async function syncGrantReportDeadlines(grantId) {
+  const result = await pool.query("SELECT id FROM grant_reports WHERE grant_id = $1", [grantId]);
+  for (const row of result.rows) {
+    await syncGrantReportDeadline(row.id);
+  }
+}
+
+async function insertGrant(db, email, grant) {
+  const now = new Date().toISOString();
+  const result = await db.query(
+    `INSERT INTO grants (user_email, ${GRANT_COLUMNS.join(', ')}, created_date, modified_date)
+     VALUES ($1, ${GRANT_COLUMNS.map((_, i) => `$${i + 2}`).join(', ')}, $${GRANT_COLUMNS.length + 2}, $${GRANT_COLUMNS.length + 2})
+     RETURNING *`,
+    [email, ...GRANT_COLUMNS.map(column => grant[column]), now]
+  );
+  return withAmount(result.rows[0]);
+}
+
+async function getGrants(email) {
+  const result = await pool.query(
+    "SELECT * FROM grants WHERE user_email = $1 ORDER BY start_date DESC, id DESC",
+    [email]
+  );
+  return result.rows.map(withAmount);
+}
+
+// One-time move of profiles.grants into the grants table (see initializeDatabase)
+async function migrateProfileGrants(client) {
+  const profiles = await client.query(
+    "SELECT id, user_email, grants FROM profiles WHERE grants_migrated = 0 OR grants_migrated IS NULL"
+  );
+
+  for (const profile of profiles.rows) {
+    for (const entry of parseJsonList(profile.grants)) {
+      await insertGrant(client, profile.user_email, grantFromProfileEntry(entry));
+    }
+    await client.query("UPDATE profiles SET grants_migrated = 1 WHERE id = $1", [profile.id]);
+  }
+}
+
+app.get("/grants", requireAuth, async (req, res) => {
+  try {
+    let grants = await getGrants(req.user.email);
+    if (req.query.status) {
+      grants = grants.filter(grant => grant.status === req.query.status);
+    }
+    res.json(await grantDetails(grants));
+  } catch (error) {
+    console.error('Error fetching grants:', error);
+    res.status(500).json({ error: "Error fetching grants." });
+  }
+});
+
+app.post("/grants", requireAuth, async (req, res) => {
+  const grant = grantFromBody(req.body);
+  const invalid = validateGrant(grant);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    res.json(await grantDetail(await insertGrant(pool, req.user.email, grant)));
   } catch (error) {
-    console.error('Error fetching future work:', error);
-    res.status(500).json({ error: "Error fetching future work." });
+    console.error('Error creating grant:', error);
+    res.status(500).json({ error: "Error creating grant." });
   }
 });
 
-app.post("/future_work", async (req, res) => {
-  const { user_email, title, description, priority, timeline, created_date } = req.body;
-  const date = created_date || new Date().toISOString();
-  
+app.get("/grants/:id", requireAuth, requireGrant, async (req, res) => {
   try {
-    const result = await pool.query(
-      "INSERT INTO future_work (user_email, title, description, priority, timeline, created_date) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-      [user_email, title, description, priority || 'medium', timeline, date]
-    );
-    res.json(result.rows[0]);
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error creating future work:', error);
-    res.status(500).json({ error: "Error creating future work." });
+    console.error('Error fetching grant:', error);
+    res.status(500).json({ error: "Error fetching grant." });
   }
 });
 
-app.put("/future_work/:id", async (req, res) => {
-  const { title, description, priority, timeline } = req.body;
+app.put("/grants/:id", requireAuth, requireGrant, async (req, res) => {
+  const grant = grantFromBody({ ...req.grant, ...req.body });
+  const invalid = validateGrant(grant);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
   try {
+    const assignments = GRANT_COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ');
+    const n = GRANT_COLUMNS.length;
     const result = await pool.query(
-      "UPDATE future_work SET title = $1, description = $2, priority = $3, timeline = $4 WHERE id = $5",
-      [title, description, priority, timeline, req.params.id]
+      `UPDATE grants SET ${assignments}, modified_date = $${n + 1} WHERE id = $${n + 2} RETURNING *`,
+      [...GRANT_COLUMNS.map(column => grant[column]), new Date().toISOString(), req.grant.id]
     );
-    res.json({ updated: result.rowCount });
+    // Report deadlines carry the grant's title and drop off once it's declined
+    await syncGrantReportDeadlines(req.grant.id);
+    res.json(await grantDetail(withAmount(result.rows[0])));
   } catch (error) {
-    console.error('Error updating future work:', error);
-    res.status(500).json({ error: "Error updating future work." });
+    console.error('Error updating grant:', error);
+    res.status(500).json({ error: "Error updating grant." });
   }
 });
 
-app.delete("/future_work/:id", async (req, res) => {
+app.delete("/grants/:id", requireAuth, requireGrant, async (req, res) => {
   try {
-    const result = await pool.query("DELETE FROM future_work WHERE id = $1", [req.params.id]);
+    const reports = await pool.query("SELECT id FROM grant_reports WHERE grant_id = $1", [req.grant.id]);
+    for (const report of reports.rows) {
+      await removeLinkedDeadline('grant_report', report.id);
+    }
+    const result = await pool.query("DELETE FROM grants WHERE id = $1", [req.grant.id]);
     res.json({ deleted: result.rowCount });
   } catch (error) {
-    console.error('Error deleting future work:', error);
-    res.status(500).json({ error: "Error deleting future work." });
+    console.error('Error deleting grant:', error);
+    res.status(500).json({ error: "Error deleting grant." });
   }
 });
 
-// ===================== DEADLINES API =====================
-app.get("/deadlines/:email", async (req, res) => {
+// ----- Budget lines -----
+app.post("/grants/:id/budget-lines", requireAuth, requireGrant, async (req, res) => {
+  const category = String(req.body.category || '').trim();
+  const amount = amountFromBody(req.body.amount);
+  if (!category) {
+    return res.status(400).json({ error: "Budget category is required." });
+  }
+  const invalid = validateMoneyEntry({ amount }, 'Budget');
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
   try {
-    const result = await pool.query(
-      "SELECT * FROM deadlines WHERE user_email = $1 ORDER BY due_date ASC", 
-      [req.params.email]
+    await pool.query(
+      "INSERT INTO grant_budget_lines (grant_id, category, description, amount) VALUES ($1, $2, $3, $4)",
+      [req.grant.id, category, req.body.description || '', amount]
     );
-    res.json(result.rows);
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error fetching deadlines:', error);
-    res.status(500).json({ error: "Error fetching deadlines." });
+    console.error('Error adding budget line:', error);
+    res.status(500).json({ error: "Error adding budget line." });
   }
 });
 
-app.post("/deadlines", async (req, res) => {
-  const { user_email, title, description, due_date, priority, status, created_date } = req.body;
-  const date = created_date || new Date().toISOString();
-  
+app.put("/grants/:id/budget-lines/:lineId", requireAuth, requireGrant, async (req, res) => {
+  const category = String(req.body.category || '').trim();
+  const amount = amountFromBody(req.body.amount);
+  if (!category) {
+    return res.status(400).json({ error: "Budget category is required." });
+  }
+  const invalid = validateMoneyEntry({ amount }, 'Budget');
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
   try {
     const result = await pool.query(
-      "INSERT INTO deadlines (user_email, title, description, due_date, priority, status, created_date) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
-      [user_email, title, description, due_date, priority || 'medium', status || 'pending', date]
+      "UPDATE grant_budget_lines SET category = $1, description = $2, amount = $3 WHERE id = $4 AND grant_id = $5",
+      [category, req.body.description || '', amount, req.params.lineId, req.grant.id]
     );
-    res.json(result.rows[0]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Budget line not found." });
+    }
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error creating deadline:', error);
-    res.status(500).json({ error: "Error creating deadline." });
+    console.error('Error updating budget line:', error);
+    res.status(500).json({ error: "Error updating budget line." });
   }
 });
 
-app.put("/deadlines/:id", async (req, res) => {
-  const { title, description, due_date, priority, status } = req.body;
+// Expenses booked against the line stay on the grant, unassigned
+app.delete("/grants/:id/budget-lines/:lineId", requireAuth, requireGrant, async (req, res) => {
   try {
     const result = await pool.query(
-      "UPDATE deadlines SET title = $1, description = $2, due_date = $3, priority = $4, status = $5 WHERE id = $6",
-      [title, description, due_date, priority, status, req.params.id]
+      "DELETE FROM grant_budget_lines WHERE id = $1 AND grant_id = $2",
+      [req.params.lineId, req.grant.id]
     );
-    res.json({ updated: result.rowCount });
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Budget line not found." });
+    }
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error updating deadline:', error);
-    res.status(500).json({ error: "Error updating deadline." });
+    console.error('Error deleting budget line:', error);
+    res.status(500).json({ error: "Error deleting budget line." });
   }
 });
 
-app.delete("/deadlines/:id", async (req, res) => {
-  try {
-    const result = await pool.query("DELETE FROM deadlines WHERE id = $1", [req.params.id]);
-    res.json({ deleted: result.rowCount });
-  } catch (error) {
-    console.error('Error deleting deadline:', error);
-    res.status(500).json({ error: "Error deleting deadline." });
+// ----- Spend entries -----
+async function validateExpense(grantId, expense) {
+  const invalid = validateMoneyEntry(expense, 'Expense');
+  if (invalid) return invalid;
+  if (!expense.description) return "Expense description is required.";
+  if (!DATE_PATTERN.test(expense.spent_date || '')) return "Expense date is required (YYYY-MM-DD).";
+  if (expense.budget_line_id !== null) {
+    const line = await pool.query(
+      "SELECT id FROM grant_budget_lines WHERE id = $1 AND grant_id = $2",
+      [expense.budget_line_id, grantId]
+    );
+    if (line.rows.length === 0) return "Budget line must belong to this grant.";
   }
-});
+  return null;
+}
+
+function expenseFromBody(body) {
+  return {
+    description: String(body.description || '').trim(),
+    amount: amountFromBody(body.amount),
+    spent_date: body.spent_date || '',
+    budget_line_id: body.budget_line_id ? Number(body.budget_line_id) : null
+  };
+}
+
+app.post("/grants/:id/expenses", requireAuth, requireGrant, async (req, res) => {
+  const expense = expenseFromBody(req.body);
 
-// ===================== ENHANCED CALENDAR EVENTS API =====================
-app.get("/events/:email", async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT 
-        id, title, description, event_date as date, start_time as start, end_time as end, 
-        location, category, attendees, reminder, is_all_day as isAllDay, recurrence,
-        recurrence_end as recurrenceEnd, show_as as showAs, priority, is_online as isOnline,
-        meeting_link as meetingLink, attachments, repeat_weekly as repeatWeekly,
-        created_date as createdDate, modified_date as modifiedDate
-      FROM calendar_events WHERE user_email = $1 ORDER BY event_date ASC, start_time ASC`,
-      [req.params.email]
+    const invalid = await validateExpense(req.grant.id, expense);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    await pool.query(
+      `INSERT INTO grant_expenses (grant_id, budget_line_id, description, amount, spent_date, created_date)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [req.grant.id, expense.budget_line_id, expense.description, expense.amount, expense.spent_date, new Date().toISOString()]
     );
-    
-    const events = result.rows.map(row => ({
-      ...row,
-      isAllDay: Boolean(row.isallday),
-      isOnline: Boolean(row.isonline),
-      repeatWeekly: Boolean(row.repeatweekly)
-    }));
-    res.json(events);
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error fetching events:', error);
-    res.status(500).json({ error: "Error fetching events." });
+    console.error('Error adding expense:', error);
+    res.status(500).json({ error: "Error adding expense." });
   }
 });
 
-app.post("/events", async (req, res) => {
-  const { 
-    userEmail, title, description, date, start, end, location, category, 
-    attendees, reminder, isAllDay, recurrence, recurrenceEnd, showAs, 
-    priority, isOnline, meetingLink, attachments, repeatWeekly 
-  } = req.body;
-  
-  const created_date = new Date().toISOString();
-  const modified_date = created_date;
-  
+app.put("/grants/:id/expenses/:expenseId", requireAuth, requireGrant, async (req, res) => {
+  const expense = expenseFromBody(req.body);
+
   try {
+    const invalid = await validateExpense(req.grant.id, expense);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
     const result = await pool.query(
-      `INSERT INTO calendar_events (
-        user_email, title, description, event_date, start_time, end_time, location, category, 
-        attendees, reminder, is_all_day, recurrence, recurrence_end, show_as, priority, 
-        is_online, meeting_link, attachments, repeat_weekly, created_date, modified_date
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21) RETURNING *`,
-      [
-        userEmail, title, description, date, start, end, location, category || 'Work', 
-        attendees, reminder || 15, isAllDay ? 1 : 0, recurrence || 'none', recurrenceEnd, 
-        showAs || 'busy', priority || 'normal', isOnline ? 1 : 0, meetingLink, 
-        attachments, repeatWeekly ? 1 : 0, created_date, modified_date
-      ]
+      `UPDATE grant_expenses SET budget_line_id = $1, description = $2, amount = $3, spent_date = $4
+       WHERE id = $5 AND grant_id = $6`,
+      [expense.budget_line_id, expense.description, expense.amount, expense.spent_date, req.params.expenseId, req.grant.id]
     );
-    res.json(result.rows[0]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Expense not found." });
+    }
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error creating event:', error);
-    res.status(500).json({ error: "Error creating event." });
+    console.error('Error updating expense:', error);
+    res.status(500).json({ error: "Error updating expense." });
   }
 });
 
-app.put("/events/:id", async (req, res) => {
-  const { 
-    title, description, date, start, end, location, category, attendees, 
-    reminder, isAllDay, recurrence, recurrenceEnd, showAs, priority, 
-    isOnline, meetingLink, attachments, repeatWeekly 
-  } = req.body;
-  
-  const modified_date = new Date().toISOString();
-  
+app.delete("/grants/:id/expenses/:expenseId", requireAuth, requireGrant, async (req, res) => {
   try {
     const result = await pool.query(
-      `UPDATE calendar_events SET 
-        title = $1, description = $2, event_date = $3, start_time = $4, end_time = $5, 
-        location = $6, category = $7, attendees = $8, reminder = $9, is_all_day = $10, 
-        recurrence = $11, recurrence_end = $12, show_as = $13, priority = $14, 
-        is_online = $15, meeting_link = $16, attachments = $17, repeat_weekly = $18, 
-        modified_date = $19
-      WHERE id = $20`,
-      [
-        title, description, date, start, end, location, category, attendees, 
-        reminder, isAllDay ? 1 : 0, recurrence, recurrenceEnd, showAs, priority, 
-        isOnline ? 1 : 0, meetingLink, attachments, repeatWeekly ? 1 : 0, 
-        modified_date, req.params.id
-      ]
+      "DELETE FROM grant_expenses WHERE id = $1 AND grant_id = $2",
+      [req.params.expenseId, req.grant.id]
     );
-    res.json({ updated: result.rowCount });
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Expense not found." });
+    }
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error updating event:', error);
-    res.status(500).json({ error: "Error updating event." });
+    console.error('Error deleting expense:', error);
+    res.status(500).json({ error: "Error deleting expense." });
   }
 });
 
-app.delete("/events/:id", async (req, res) => {
-  try {
-    const result = await pool.query("DELETE FROM calendar_events WHERE id = $1", [req.params.id]);
-    res.json({ deleted: result.rowCount });
-  } catch (error) {
-    console.error('Error deleting event:', error);
-    res.status(500).json({ error: "Error deleting event." });
+// ----- Reporting deadlines -----
+function validateReport({ title, due_date }) {
+  if (!String(title || '').trim()) return "Report title is required.";
+  if (!DATE_PATTERN.test(due_date || '')) return "Report due date is required (YYYY-MM-DD).";
+  return null;
+}
+
+app.post("/grants/:id/reports", requireAuth, requireGrant, async (req, res) => {
+  const invalid = validateReport(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
   }
-});
 
-// ===================== LEGACY CALENDAR EVENTS API (backward compatibility) =====================
-app.get("/calendar_events/:email", async (req, res) => {
   try {
     const result = await pool.query(
-      "SELECT * FROM calendar_events WHERE user_email = $1 ORDER BY event_date ASC", 
-      [req.params.email]
+      `INSERT INTO grant_reports (grant_id, title, due_date, submitted, created_date)
+       VALUES ($1, $2, $3, 0, $4) RETURNING id`,
+      [req.grant.id, String(req.body.title).trim(), req.body.due_date, new Date().toISOString()]
     );
-    res.json(result.rows);
+    await syncGrantReportDeadline(result.rows[0].id);
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error fetching events:', error);
-    res.status(500).json({ error: "Error fetching events." });
+    console.error('Error adding grant report:', error);
+    res.status(500).json({ error: "Error adding grant report." });
   }
 });
 
-app.post("/calendar_events", async (req, res) => {
-  const { user_email, title, description, event_date, start_time, end_time, repeat_weekly, created_date } = req.body;
-  const date = created_date || new Date().toISOString();
-  
+app.put("/grants/:id/reports/:reportId", requireAuth, requireGrant, async (req, res) => {
   try {
-    const result = await pool.query(
-      "INSERT INTO calendar_events (user_email, title, description, event_date, start_time, end_time, repeat_weekly, created_date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *",
-      [user_email, title, description, event_date, start_time, end_time, repeat_weekly, date]
+    const existing = await pool.query(
+      "SELECT * FROM grant_reports WHERE id = $1 AND grant_id = $2",
+      [req.params.reportId, req.grant.id]
     );
-    res.json(result.rows[0]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Report not found." });
+    }
+
+    const report = { ...existing.rows[0], ...req.body };
+    const invalid = validateReport(report);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const submitted = report.submitted ? 1 : 0;
+    await pool.query(
+      "UPDATE grant_reports SET title = $1, due_date = $2, submitted = $3, submitted_date = $4 WHERE id = $5",
+      [
+        String(report.title).trim(), report.due_date, submitted,
+        submitted ? (existing.rows[0].submitted_date || new Date().toISOString().slice(0, 10)) : null,
+        existing.rows[0].id
+      ]
+    );
+    await syncGrantReportDeadline(existing.rows[0].id);
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error creating event:', error);
-    res.status(500).json({ error: "Error creating event." });
+    console.error('Error updating grant report:', error);
+    res.status(500).json({ error: "Error updating grant report." });
   }
 });
 
-app.put("/calendar_events/:id", async (req, res) => {
-  const { title, description, event_date, start_time, end_time, repeat_weekly } = req.body;
+app.delete("/grants/:id/reports/:reportId", requireAuth, requireGrant, async (req, res) => {
   try {
     const result = await pool.query(
-      "UPDATE calendar_events SET title = $1, description = $2, event_date = $3, start_time = $4, end_time = $5, repeat_weekly = $6 WHERE id = $7",
-      [title, description, event_date, start_time, end_time, repeat_weekly, req.params.id]
+      "DELETE FROM grant_reports WHERE id = $1 AND grant_id = $2",
+      [req.params.reportId, req.grant.id]
     );
-    res.json({ updated: result.rowCount });
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Report not found." });
+    }
+    await removeLinkedDeadline('grant_report', Number(req.params.reportId));
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error updating event:', error);
-    res.status(500).json({ error: "Error updating event." });
+    console.error('Error deleting grant report:', error);
+    res.status(500).json({ error: "Error deleting grant report." });
   }
 });
 
-app.delete("/calendar_events/:id", async (req, res) => {
+// ----- Linked projects -----
+// Replaces the set of projects a grant funds. Linking needs editor access to
+// each project, since the grant then shows up for the whole project team.
+app.put("/grants/:id/projects", requireAuth, requireGrant, async (req, res) => {
+  const { project_ids } = req.body;
+  if (!Array.isArray(project_ids)) {
+    return res.status(400).json({ error: "project_ids must be a list of project ids." });
+  }
+
+  let client;
   try {
-    const result = await pool.query("DELETE FROM calendar_events WHERE id = $1", [req.params.id]);
-    res.json({ deleted: result.rowCount });
+    const projectIds = [...new Set(project_ids.map(Number))];
+    const current = await pool.query("SELECT project_id FROM grant_projects WHERE grant_id = $1", [req.grant.id]);
+    const linked = current.rows.map(row => row.project_id);
+
+    for (const projectId of projectIds.filter(id => !linked.includes(id))) {
+      const role = await getProjectRole(projectId, req.user.email);
+      if (!role) {
+        return res.status(404).json({ error: `Project ${projectId} not found.` });
+      }
+      if (PROJECT_ROLES.indexOf(role) < PROJECT_ROLES.indexOf('editor')) {
+        return res.status(403).json({ error: "Linking a grant needs editor access to the project." });
+      }
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await client.query("DELETE FROM grant_projects WHERE grant_id = $1", [req.grant.id]);
+    for (const projectId of projectIds) {
+      await client.query("INSERT INTO grant_projects (grant_id, project_id) VALUES ($1, $2)", [req.grant.id, projectId]);
+    }
+    await client.query('COMMIT');
+
+    res.json(await grantDetail(req.grant));
   } catch (error) {
-    console.error('Error deleting event:', error);
-    res.status(500).json({ error: "Error deleting event." });
+    if (client) await client.query('ROLLBACK');
+    console.error('Error linking grant projects:', error);
+    res.status(500).json({ error: "Error linking grant projects." });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// ===================== PROFILE API ENDPOINTS =====================
-app.get("/profile/:email", async (req, res) => {
+// Grants funding a project, as the project team sees them (no budget detail)
+app.get("/projects/:id/grants", requireAuth, requireProjectRole('viewer'), async (req, res) => {
   try {
     const result = await pool.query(
-      "SELECT * FROM profiles WHERE user_email = $1",
-      [req.params.email]
+      `SELECT g.id, g.title, g.agency, g.grant_number, g.user_email, g.start_date, g.end_date, g.status
+       FROM grant_projects gp JOIN grants g ON g.id = gp.grant_id
+       WHERE gp.project_id = $1 ORDER BY g.start_date DESC, g.id DESC`,
+      [req.params.id]
     );
-    
-    if (result.rows.length === 0) {
-      return res.json(null);
-    }
-    
-    const row = result.rows[0];
-    
-    // Convert snake_case to camelCase for frontend
-    const profile = {
-      userEmail: row.user_email,
-      fullName: row.full_name,
-      designation: row.designation,
-      department: row.department,
-      institution: row.institution,
-      officeAddress: row.office_address,
-      officialEmail: row.official_email,
-      alternateEmail: row.alternate_email,
-      phone: row.phone,
-      website: row.website,
-      degrees: row.degrees ? JSON.parse(row.degrees) : [],
-      employment: row.employment ? JSON.parse(row.employment) : [],
-      researchKeywords: row.research_keywords,
-      researchDescription: row.research_description,
-      scholarLink: row.scholar_link,
-      courses: row.courses ? JSON.parse(row.courses) : [],
-      grants: row.grants ? JSON.parse(row.grants) : [],
-      professionalActivities: row.professional_activities,
-      awards: row.awards ? JSON.parse(row.awards) : [],
-      skills: row.skills,
-      outreachService: row.outreach_service
-    };
-    
-    res.json(profile);
+    res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching profile:', error);
-    res.status(500).json({ error: "Error fetching profile." });
+    console.error('Error fetching project grants:', error);
+    res.status(500).json({ error: "Error fetching project grants." });
   }
 });
 
-app.post("/profile", async (req, res) => {
-  const {
-    userEmail, fullName, designation, department, institution,
-    officeAddress, officialEmail, alternateEmail, phone, website,
-    degrees, employment, researchKeywords, researchDescription,
-    scholarLink, courses, grants, professionalActivities,
-    awards, skills, outreachService
-  } = req.body;
+// ===================== SEARCH API =====================
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
 
-  if (!userEmail) {
-    return res.status(400).json({ error: "User email is required." });
-  }
+// One SELECT per source type, each limited to what the user can see: their own
+// rows, or rows of projects they own or are a member of. $1 is the user's email
+// and the tsquery is available as query.q.
+function searchSourceSql(type) {
+  const source = SEARCH_SOURCES[type];
+  const access = source.project
+    ? `${source.project} IN (SELECT id FROM projects WHERE owner_email = $1 UNION SELECT project_id FROM colleagues WHERE email = $1)`
+    : 'user_email = $1';
 
-  const modifiedDate = new Date().toISOString();
-  const degreesJson = JSON.stringify(degrees || []);
-  const employmentJson = JSON.stringify(employment || []);
-  const coursesJson = JSON.stringify(courses || []);
-  const grantsJson = JSON.stringify(grants || []);
-  const awardsJson = JSON.stringify(awards || []);
+  return `
+    SELECT '${type}' AS type, id, ${source.title} AS title, ${searchBodySql(source)} AS body,
+           ${source.date || 'NULL::text'} AS date, ${source.project ? source.project : 'NULL::integer'} AS project_id,
+           ts_rank_cd(search_vector, query.q) AS rank
+    FROM ${source.table}, query
+    WHERE ${access} AND search_vector @@ query.q`;
+}
 
-  try {
-    // Check if profile exists
-    const checkResult = await pool.query(
-      "SELECT id FROM profiles WHERE user_email = $1",
-      [userEmail]
-    );
+function searchMatchesSql(types) {
+  return `WITH query AS (SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $2) AS q)
+    SELECT * FROM (${types.map(searchSourceSql).join('\n    UNION ALL')}) matches`;
+}
 
-    if (checkResult.rows.length > 0) {
-      // Update existing profile
-      await pool.query(
-        `UPDATE profiles SET 
-          full_name = $1, designation = $2, department = $3, institution = $4,
-          office_address = $5, official_email = $6, alternate_email = $7, phone = $8,
-          website = $9, degrees = $10, employment = $11, research_keywords = $12,
-          research_description = $13, scholar_link = $14, courses = $15, grants = $16,
-          professional_activities = $17, awards = $18, skills = $19, outreach_service = $20,
-          modified_date = $21
-        WHERE user_email = $22`,
-        [
-          fullName, designation, department, institution,
-          officeAddress, officialEmail, alternateEmail, phone,
-          website, degreesJson, employmentJson, researchKeywords,
-          researchDescription, scholarLink, coursesJson, grantsJson,
-          professionalActivities, awardsJson, skills, outreachService,
-          modifiedDate, userEmail
-        ]
-      );
-      res.json({ message: "Profile updated successfully" });
-    } else {
-      // Create new profile
-      const createdDate = new Date().toISOString();
-      const result = await pool.query(
-        `INSERT INTO profiles (
-          user_email, full_name, designation, department, institution,
-          office_address, official_email, alternate_email, phone, website,
-          degrees, employment, research_keywords, research_description,
-          scholar_link, courses, grants, professional_activities, awards,
-          skills, outreach_service, created_date, modified_date
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23) RETURNING id`,
-        [
-          userEmail, fullName, designation, department, institution,
-          officeAddress, officialEmail, alternateEmail, phone, website,
-          degreesJson, employmentJson, researchKeywords, researchDescription,
-          scholarLink, coursesJson, grantsJson, professionalActivities,
-          awardsJson, skills, outreachService, createdDate, modifiedDate
-        ]
-      );
-      res.json({ message: "Profile created successfully", id: result.rows[0].id });
-    }
-  } catch (error) {
-    console.error('Error saving profile:', error);
-    res.status(500).json({ error: "Error saving profile." });
+// GET /search?q=&type=note,idea&limit=&offset=
+// q takes web-search syntax: "quoted phrases", OR, -excluded. Results are best
+// match first with the matching words wrapped in <mark> (the rest is escaped).
+// counts has the number of matches of every type, whatever type filter is set.
+app.get("/search", requireAuth, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ error: "Search query is required." });
   }
-});
 
-app.delete("/profile/:email", async (req, res) => {
+  const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()) : Object.keys(SEARCH_SOURCES);
+  const unknown = types.find(type => !SEARCH_SOURCES[type]);
+  if (unknown !== undefined) {
+    return res.status(400).json({ error: `Unknown type "${unknown}". Use one of: ${Object.keys(SEARCH_SOURCES).join(', ')}.` });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
   try {
+    const countResult = await pool.query(
+      `SELECT type, COUNT(*)::int AS count FROM (${searchMatchesSql(Object.keys(SEARCH_SOURCES))}) counted GROUP BY type`,
+      [req.user.email, q]
+    );
+    const counts = Object.fromEntries(Object.keys(SEARCH_SOURCES).map(type => [type, 0]));
+    countResult.rows.forEach(row => { counts[row.type] = row.count; });
+
+    // Headlines are expensive, so they're only made for the page being returned
     const result = await pool.query(
-      "DELETE FROM profiles WHERE user_email = $1",
-      [req.params.email]
+      `SELECT page.type, page.id, page.title, page.date, page.project_id, page.rank,
+              ts_headline('${SEARCH_CONFIG}', page.title, query.q, $5) AS title_html,
+              ts_headline('${SEARCH_CONFIG}', page.body, query.q, $6) AS snippet
+       FROM (
+         ${searchMatchesSql(types)}
+         ORDER BY rank DESC, date DESC NULLS LAST, id DESC
+         LIMIT $3 OFFSET $4
+       ) page, (SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $2) AS q) query
+       ORDER BY page.rank DESC, page.date DESC NULLS LAST, page.id DESC`,
+      [req.user.email, q, limit, offset, TITLE_OPTIONS, HEADLINE_OPTIONS]
     );
-    res.json({ deleted: result.rowCount, message: "Profile deleted successfully" });
+
+    res.json({
+      query: q,
+      total: types.reduce((sum, type) => sum + counts[type], 0),
+      counts,
+      limit,
+      offset,
+      results: result.rows.map(row => {
+        const source = SEARCH_SOURCES[row.type];
+        return {
+          type: row.type,
+          id: row.id,
+          title: row.title,
+          title_html: highlightSnippet(row.title_html),
+          snippet: highlightSnippet(row.snippet, source.markdown),
+          date: row.date,
+          project_id: row.project_id,
+          rank: Number(row.rank),
+          url: source.url(row)
+        };
+      })
+    });
   } catch (error) {
-    console.error('Error deleting profile:', error);
-    res.status(500).json({ error: "Error deleting profile." });
+    console.error('Search error:', error);
+    res.status(500).json({ error: "Error searching." });
   }
 });
 
 // ===================== RESUME GENERATION API =====================
-app.get("/generate-resume/:email", async (req, res) => {
+// Sends a generated file as a download; filename* carries names that aren't plain ASCII
+function sendDownload(res, body, filename, contentType) {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+  });
+  res.send(body);
+}
+
+function sendResumeError(res, status, heading, message) {
+  res.status(status).send(String(html`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${heading}</title>
+      <style>
+        body { font-family: Arial, sans-serif; padding: 50px; text-align: center; }
+        h1 { color: #ef4444; }
+      </style>
+    </head>
+    <body>
+      <h1>${heading}</h1>
+      <p>${message}</p>
+      <button onclick="window.close()">Close</button>
+    </body>
+    </html>
+  `));
+}
+
+app.get("/resume-templates", requireAuth, (req, res) => {
+  res.json({
+    templates: Object.entries(RESUME_TEMPLATES).map(([id, template]) => ({
+      id,
+      name: template.name,
+      description: template.description,
+      sections: template.order,
+      defaults: template.defaults
+    })),
+    formats: RESUME_FORMATS,
+    sections: Object.entries(RESUME_SECTIONS).map(([id, title]) => ({ id, title }))
+  });
+});
+
+// ?template=cv|biosketch &format=html|pdf|tex|json &sections=research,education,...
+// Always the signed-in user's own resume
+app.get("/generate-resume", requireAuth, async (req, res) => {
+  const options = resumeOptions(req.query);
+  if (options.error) {
+    return sendResumeError(res, 400, "Invalid Resume Options", options.error);
+  }
+
   try {
     const result = await pool.query(
       "SELECT * FROM profiles WHERE user_email = $1",
-      [req.params.email]
+      [req.user.email]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Resume Not Available</title>
-          <style>
-            body { font-family: Arial, sans-serif; padding: 50px; text-align: center; }
-            h1 { color: #ef4444; }
-          </style>
-        </head>
-        <body>
-          <h1>Profile Not Found</h1>
-          <p>Please complete your profile first before generating a resume.</p>
-          <button onclick="window.close()">Close</button>
-        </body>
-        </html>
-      `);
-    }
-
-    const profile = result.rows[0];
-
-    // Parse JSON fields
-    const degrees = profile.degrees ? JSON.parse(profile.degrees) : [];
-    const employment = profile.employment ? JSON.parse(profile.employment) : [];
-    const courses = profile.courses ? JSON.parse(profile.courses) : [];
-    const grants = profile.grants ? JSON.parse(profile.grants) : [];
-    const awards = profile.awards ? JSON.parse(profile.awards) : [];
-
-    // Generate HTML resume
-    const resumeHTML = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Resume - ${profile.full_name || 'Academic Professional'}</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      font-family: 'Georgia', serif;
-      line-height: 1.6;
-      color: #333;
-      background: #f5f5f5;
-      padding: 20px;
-    }
-    .container {
-      max-width: 900px;
-      margin: 0 auto;
-      background: white;
-      padding: 50px;
-      box-shadow: 0 0 20px rgba(0,0,0,0.1);
-    }
-    .header {
-      text-align: center;
-      border-bottom: 3px solid #4f46e5;
-      padding-bottom: 20px;
-      margin-bottom: 30px;
-    }
-    .header h1 {
-      font-size: 2.5rem;
-      color: #1a1a1a;
-      margin-bottom: 10px;
-    }
-    .header .designation {
-      font-size: 1.3rem;
-      color: #4f46e5;
-      font-weight: 600;
-      margin-bottom: 15px;
-    }
-    .contact-info {
-      display: flex;
-      justify-content: center;
-      flex-wrap: wrap;
-      gap: 20px;
-      font-size: 0.95rem;
-      color: #666;
-    }
-    .contact-info span {
-      display: flex;
-      align-items: center;
-      gap: 5px;
-    }
-    .section {
-      margin-bottom: 30px;
-    }
-    .section-title {
-      font-size: 1.5rem;
-      color: #4f46e5;
-      border-bottom: 2px solid #e5e7eb;
-      padding-bottom: 8px;
-      margin-bottom: 15px;
-      text-transform: uppercase;
-      letter-spacing: 1px;
-    }
-    .item {
-      margin-bottom: 20px;
-    }
-    .item-header {
-      display: flex;
-      justify-content: space-between;
-      align-items: baseline;
-      margin-bottom: 5px;
-    }
-    .item-title {
-      font-weight: 700;
-      font-size: 1.1rem;
-      color: #1a1a1a;
-    }
-    .item-subtitle {
-      font-style: italic;
-      color: #666;
-      margin-bottom: 5px;
-    }
-    .item-date {
-      color: #888;
-      font-size: 0.9rem;
-    }
-    .item-description {
-      color: #555;
-      margin-top: 8px;
-      line-height: 1.7;
-    }
-    .keywords {
-      display: flex;
-      flex-wrap: wrap;
-      gap: 10px;
-      margin-top: 10px;
-    }
-    .keyword {
-      background: #e0e7ff;
-      color: #4f46e5;
-      padding: 5px 12px;
-      border-radius: 15px;
-      font-size: 0.9rem;
-    }
-    .print-btn {
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: #4f46e5;
-      color: white;
-      border: none;
-      padding: 12px 24px;
-      border-radius: 8px;
-      cursor: pointer;
-      font-size: 1rem;
-      font-weight: 600;
-      box-shadow: 0 4px 10px rgba(79,70,229,0.3);
-      transition: all 0.3s;
-    }
-    .print-btn:hover {
-      background: #4338ca;
-      transform: translateY(-2px);
-    }
-    @media print {
-      body { background: white; padding: 0; }
-      .container { box-shadow: none; padding: 0; }
-      .print-btn { display: none; }
-    }
-    ul { margin-left: 20px; margin-top: 8px; }
-    li { margin-bottom: 5px; color: #555; }
-  </style>
-</head>
-<body>
-  <button class="print-btn" onclick="window.print()">🖨️ Print Resume</button>
-  
-  <div class="container">
-    <div class="header">
-      <h1>${profile.full_name || 'Name Not Provided'}</h1>
-      <div class="designation">${profile.designation || ''} ${profile.department ? '| ' + profile.department : ''}</div>
-      ${profile.institution ? `<div style="font-size: 1.1rem; color: #666; margin-bottom: 15px;">${profile.institution}</div>` : ''}
-      <div class="contact-info">
-        ${profile.official_email ? `<span>✉️ ${profile.official_email}</span>` : ''}
-        ${profile.phone ? `<span>📱 ${profile.phone}</span>` : ''}
-        ${profile.website ? `<span>🌐 <a href="${profile.website}" target="_blank">${profile.website}</a></span>` : ''}
-        ${profile.scholar_link ? `<span>📚 <a href="${profile.scholar_link}" target="_blank">Google Scholar</a></span>` : ''}
-      </div>
-    </div>
-
-    ${profile.research_description ? `
-    <div class="section">
-      <h2 class="section-title">Research Interests</h2>
-      <p class="item-description">${profile.research_description}</p>
-      ${profile.research_keywords ? `
-        <div class="keywords">
-          ${profile.research_keywords.split(',').map(kw => `<span class="keyword">${kw.trim()}</span>`).join('')}
-        </div>
-      ` : ''}
-    </div>
-    ` : ''}
-
-    ${degrees.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Education</h2>
-      ${degrees.map(deg => `
-        <div class="item">
-          <div class="item-header">
-            <div class="item-title">${deg.degree || ''} ${deg.specialization ? 'in ' + deg.specialization : ''}</div>
-            <div class="item-date">${deg.year || ''}</div>
-          </div>
-          <div class="item-subtitle">${deg.institution || ''}</div>
-          ${deg.thesis ? `<div class="item-description"><strong>Thesis:</strong> ${deg.thesis}</div>` : ''}
-          ${deg.advisor ? `<div class="item-description"><strong>Advisor:</strong> ${deg.advisor}</div>` : ''}
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${employment.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Professional Experience</h2>
-      ${employment.map(emp => `
-        <div class="item">
-          <div class="item-header">
-            <div class="item-title">${emp.position || ''}</div>
-            <div class="item-date">${emp.duration || ''}</div>
-          </div>
-          <div class="item-subtitle">${emp.organization || ''}</div>
-          ${emp.responsibilities ? `<div class="item-description">${emp.responsibilities}</div>` : ''}
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${grants.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Research Grants & Funding</h2>
-      ${grants.map(grant => `
-        <div class="item">
-          <div class="item-header">
-            <div class="item-title">${grant.projectTitle || ''}</div>
-            <div class="item-date">${grant.duration || ''}</div>
-          </div>
-          <div class="item-subtitle">${grant.role || ''} | ${grant.agency || ''} ${grant.amount ? '| ' + grant.amount : ''}</div>
-          <div class="item-description"><strong>Status:</strong> ${grant.status || 'N/A'}</div>
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${courses.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Teaching</h2>
-      ${courses.map(course => `
-        <div class="item">
-          <div class="item-header">
-            <div class="item-title">${course.courseName || ''} ${course.courseCode ? '(' + course.courseCode + ')' : ''}</div>
-            <div class="item-date">${course.semester || ''}</div>
-          </div>
-          ${course.labDetails ? `<div class="item-description">${course.labDetails}</div>` : ''}
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${awards.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Awards & Achievements</h2>
-      ${awards.map(award => `
-        <div class="item">
-          <div class="item-header">
-            <div class="item-title">${award.title || ''}</div>
-            <div class="item-date">${award.year || ''}</div>
-          </div>
-          <div class="item-subtitle">${award.organization || ''}</div>
-          ${award.description ? `<div class="item-description">${award.description}</div>` : ''}
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${profile.professional_activities ? `
-    <div class="section">
-      <h2 class="section-title">Professional Activities</h2>
-      <div class="item-description">${profile.professional_activities}</div>
-    </div>
-    ` : ''}
-
-    ${profile.skills ? `
-    <div class="section">
-      <h2 class="section-title">Skills & Tools</h2>
-      <div class="keywords">
-        ${profile.skills.split(',').map(skill => `<span class="keyword">${skill.trim()}</span>`).join('')}
-      </div>
-    </div>
-    ` : ''}
-
-    ${profile.outreach_service ? `
-    <div class="section">
-      <h2 class="section-title">Outreach & Service</h2>
-      <div class="item-description">${profile.outreach_service}</div>
-    </div>
-    ` : ''}
-  </div>
-</body>
-</html>
-    `;
-
-    res.send(resumeHTML);
+      return sendResumeError(res, 404, "Profile Not Found", "Please complete your profile first before generating a resume.");
+    }
+
+    const owner = result.rows[0].user_email;
+    const data = resumeData(result.rows[0], {
+      publications: await getPublications(owner),
+      grants: await getGrants(owner)
+    });
+    const name = data.profile.full_name || req.user.email.split('@')[0];
+
+    if (options.format === 'json') {
+      const json = JSON.stringify(renderJsonResume(data, options), null, 2);
+      return sendDownload(res, json, downloadFilename([name, 'resume'], 'json'), 'application/json');
+    }
+
+    const resume = buildResume(data, options);
+
+    if (options.format === 'pdf') {
+      const pdf = await renderResumePdf(resume);
+      return sendDownload(res, pdf, downloadFilename([name, options.templateId], 'pdf'), 'application/pdf');
+    }
+    if (options.format === 'tex') {
+      return sendDownload(res, renderResumeLatex(resume), downloadFilename([name, options.templateId], 'tex'), 'application/x-tex');
+    }
+
+    const pdfQuery = new URLSearchParams({ template: options.templateId, format: 'pdf', sections: options.sections.join(',') });
+    res.send(renderResumeHtml(resume, { pdfHref: `?${pdfQuery}` }));
   } catch (error) {
     console.error('Resume generation error:', error);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Error</title>
-        <style>
-          body { font-family: Arial, sans-serif; padding: 50px; text-align: center; }
-          h1 { color: #ef4444; }
-        </style>
-      </head>
-      <body>
-        <h1>Error Generating Resume</h1>
-        <p>An error occurred while generating your resume. Please try again.</p>
-        <button onclick="window.close()">Close</button>
-      </body>
-      </html>
-    `);
+    sendResumeError(res, 500, "Error Generating Resume", "An error occurred while generating your resume. Please try again.");
   }
 });
 
@@ -1577,16 +6279,23 @@ app.get("*", (req, res) => {
 
 // ===================== ERROR HANDLING =====================
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Upload is too large.' });
+  }
   console.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`Server running at http://localhost:${port}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Database: PostgreSQL`);
-});
+// Start server; the tests require this file and listen on a port of their own
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running at http://localhost:${port}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Database: PostgreSQL`);
+  });
+}
+
+module.exports = { app, ready };
 
 // ===================== PROCESS ERROR HANDLERS =====================
 process.on('unhandledRejection', (reason, promise) => {
@@ -0,0 +1,58 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== AUTH INPUT =====================
+// Every auth route answers 400 to fields that are not strings, before they
+// reach SQL or bcrypt. Sign-up and account mail share rate limits of 10 an
+// hour, so each route tries only a couple of values.
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const NOT_STRINGS = [12, { $gt: '' }];
+
+async function assertRejectsNonStrings(request, path, body, fields) {
+  for (const field of fields) {
+    for (const value of NOT_STRINGS) {
+      const response = await request('POST', path, { ...body, [field]: value });
+      assert.equal(response.status, 400, `${path} ${field}=${JSON.stringify(value)}`);
+    }
+  }
+}
+
+test('login', async () => {
+  const request = server.client();
+  assert.equal((await request('POST', '/login', { email: ['a@example.com'], password: 'x' })).status, 400);
+  await assertRejectsNonStrings(request, '/login', { email: 'a@example.com', password: 'secret-password' }, ['email', 'password']);
+});
+
+test('register', async () => {
+  await assertRejectsNonStrings(server.client(), '/register', { email: 'b@example.com', password: 'secret-password' }, ['email', 'password']);
+  await assertRejectsNonStrings(server.client(), '/signup', { email: 'b@example.com', password: 'secret-password' }, ['email', 'password']);
+});
+
+test('resend verification', async () => {
+  await assertRejectsNonStrings(server.client(), '/resend-verification', {}, ['email']);
+});
+
+test('forgot password', async () => {
+  await assertRejectsNonStrings(server.client(), '/password/forgot', {}, ['email']);
+});
+
+test('reset password', async () => {
+  await assertRejectsNonStrings(server.client(), '/password/reset', { token: 'abc', password: 'secret-password' }, ['token', 'password']);
+});
+
+test('change password', async () => {
+  const request = await server.signUp('change@example.com');
+  await assertRejectsNonStrings(request, '/password/change', {
+    currentPassword: 'secret-password', newPassword: 'another-password'
+  }, ['currentPassword', 'newPassword']);
+  assert.equal((await server.client()('POST', '/login', { email: 'change@example.com', password: 'secret-password' })).status, 200);
+});
@@ -0,0 +1,140 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseBibtex, parseRis, parseBibliography, toBibtex, findDuplicate } = require("../lib/bibliography");
+const { startServer } = require("./helpers/app");
+
+// ===================== BIBLIOGRAPHY =====================
+
+function publication(fields) {
+  return {
+    title: '', authors: [], venue: '', year: null, doi: '', url: '', type: 'article', status: 'published',
+    volume: '', issue: '', pages: '', publisher: '', bibtex_key: '', ...fields
+  };
+}
+
+const PUBLICATIONS = [
+  publication({
+    title: 'Soil & water: 50% more #data_sets', authors: ['Marie Curie', 'José Núñez'], venue: 'Journal of Ecology',
+    year: 2021, doi: '10.1000/xyz_1', url: 'https://example.com/~curie/paper_1', volume: '12', issue: '3',
+    pages: '45–67', publisher: 'Wiley', bibtex_key: 'curie2021soil'
+  }),
+  publication({ title: 'A workshop paper', authors: ['Ada Lovelace'], venue: 'Proc. of Things', year: 2024, type: 'conference', status: 'accepted' }),
+  publication({ title: 'My thesis', authors: ['Ada Lovelace'], venue: 'University of Somewhere', year: 2019, type: 'thesis' }),
+  publication({ title: 'Under review', authors: ['Ada Lovelace'], venue: 'Nature', type: 'article', status: 'submitted' }),
+  publication({ title: 'A dataset', venue: 'Zenodo', year: 2022, type: 'other' }),
+  publication({ title: 'Annual report', venue: 'Institute', year: 2020, type: 'report' }),
+  publication({ title: 'Handbook chapter', venue: 'The Handbook', year: 2018, type: 'chapter', pages: '1–20' })
+];
+
+test('publications written as BibTeX read back the same', () => {
+  const bibtex = toBibtex(PUBLICATIONS);
+  assert.match(bibtex, /^@article\{curie2021soil,\n {2}title = \{\{Soil \\& water: 50\\% more \\#data\\_sets\}\},/);
+  assert.match(bibtex, /pages = \{45--67\}/);
+  assert.match(bibtex, /@inproceedings\{lovelace2024workshop,/);
+  assert.match(bibtex, /pubstate = \{inpress\}/);
+
+  const parsed = parseBibtex(bibtex);
+  assert.deepEqual(parsed.map(pub => ({ ...pub, bibtex_key: '' })), PUBLICATIONS.map(pub => ({ ...pub, bibtex_key: '' })));
+  assert.deepEqual(parsed.map(pub => pub.bibtex_key), [
+    'curie2021soil', 'lovelace2024workshop', 'lovelace2019thesis', 'lovelaceunder', 'anon2022dataset',
+    'anon2020annual', 'anon2018handbook'
+  ]);
+});
+
+test('citation keys stay unique', () => {
+  const twins = [publication({ title: 'Same title', authors: ['A Smith'], year: 2020 }), publication({ title: 'Same title', authors: ['B Smith'], year: 2020 })];
+  const keys = parseBibtex(toBibtex([...twins, publication({ title: 'Given', bibtex_key: 'smith2020same' })])).map(pub => pub.bibtex_key);
+  // A saved key that an earlier entry already took gets a new one too
+  assert.deepEqual(keys, ['smith2020same', 'smith2020samea', 'anongiven']);
+});
+
+test('BibTeX from other tools: macros, LaTeX accents and "Last, First" names', () => {
+  const [entry] = parseBibtex(`
+    @comment{ignored}
+    @string{eco = "Journal of " # "Ecology"}
+    @Article{ key1 ,
+      author = {G{\\"o}del, Kurt and Erd\\H{o}s, Paul and {\\'E}mile Borel},
+      title = "The {DNA} of --- things",
+      journal = eco,
+      date = {2020-05-01},
+      doi = {https://doi.org/10.5555/ABC},
+      number = 7,
+      pubstate = {forthcoming}
+    }`);
+  assert.deepEqual(entry, publication({
+    title: 'The DNA of — things', authors: ['Kurt Gödel', 'Paul Erdős', 'Émile Borel'], venue: 'Journal of Ecology',
+    year: 2020, doi: '10.5555/ABC', issue: '7', status: 'accepted', bibtex_key: 'key1'
+  }));
+});
+
+test('RIS records are read and written back out as BibTeX', () => {
+  const ris = [
+    'TY  - JOUR', 'AU  - Curie, Marie', 'A1  - Pierre Curie', 'TI  - Radioactive substances', 'JO  - Annales',
+    'PY  - 1904/01/01', 'VL  - 5', 'IS  - 2', 'SP  - 10', 'EP  - 20', 'DO  - doi:10.1000/RAD', 'UR  - https://example.com/rad',
+    'PB  - Gauthier', 'ER  - ',
+    '', 'TY  - CHAP', 'TI  - A chapter', 'T2  - A book', 'PY  - 2001'
+  ].join('\r\n');
+  const parsed = parseRis(ris);
+  assert.deepEqual(parsed, [
+    publication({
+      title: 'Radioactive substances', authors: ['Marie Curie', 'Pierre Curie'], venue: 'Annales', year: 1904,
+      doi: '10.1000/RAD', url: 'https://example.com/rad', volume: '5', issue: '2', pages: '10–20', publisher: 'Gauthier'
+    }),
+    publication({ title: 'A chapter', venue: 'A book', year: 2001, type: 'chapter' })
+  ]);
+  assert.deepEqual(parseBibliography(ris), parsed);
+
+  const again = parseBibtex(toBibtex(parsed));
+  assert.deepEqual(again.map(pub => ({ ...pub, bibtex_key: '' })), parsed);
+});
+
+test('duplicates match on DOI or on the title ignoring case, accents and punctuation', () => {
+  const existing = [{ id: 1, doi: '10.1000/ABC', title: 'One' }, { id: 2, doi: '', title: 'Café Society!' }];
+  assert.equal(findDuplicate({ doi: 'https://doi.org/10.1000/abc', title: 'Other' }, existing).id, 1);
+  assert.equal(findDuplicate({ doi: '', title: 'cafe society' }, existing).id, 2);
+  assert.equal(findDuplicate({ doi: '', title: 'Cafe' }, existing), null);
+});
+
+// ===================== PUBLICATIONS API =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('bibliography@example.com');
+});
+
+after(() => server.close());
+
+function importText(text, format = '') {
+  return user('POST', `/publications/import${format && `?format=${format}`}`, Buffer.from(text), { 'Content-Type': 'text/plain' });
+}
+
+test('exported publications import again as duplicates, not copies', async () => {
+  const imported = await importText(toBibtex(PUBLICATIONS));
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.imported.length, PUBLICATIONS.length);
+
+  const exported = await user('GET', '/publications/export');
+  assert.equal(exported.status, 200);
+  const stored = (await user('GET', '/publications')).body;
+  assert.equal(stored.length, PUBLICATIONS.length);
+  const fields = pub => Object.fromEntries(Object.keys(publication({})).map(name => [name, pub[name]]));
+  assert.deepEqual(parseBibtex(exported.body).map(fields), stored.map(fields));
+
+  const again = await importText(exported.body);
+  assert.equal(again.body.imported.length, 0);
+  assert.equal(again.body.duplicates.length, PUBLICATIONS.length);
+});
+
+test('RIS imports and unreadable input', async () => {
+  const imported = await importText('TY  - BOOK\nTI  - A new book\nPY  - 2023\nER  -\n', 'ris');
+  assert.equal(imported.body.imported[0].type, 'book');
+
+  const skipped = await importText('@article{x, author = {Nobody}}');
+  assert.deepEqual(skipped.body.skipped, [{ title: '', error: "Title is required." }]);
+
+  assert.equal((await importText('nothing here')).status, 400);
+  assert.equal((await importText('@article{x, title={T}}', 'endnote')).status, 400);
+});
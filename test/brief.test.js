@@ -0,0 +1,119 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== BRIEF APPROVAL =====================
+// Once the client approves a brief it can't be edited or restored over until
+// the owner reopens it, and the approved revision itself never changes.
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('brief-owner@example.com');
+});
+
+after(() => server.close());
+
+async function approvedProject() {
+  const project = (await owner('POST', '/projects', { name: 'Approved brief' })).body;
+  const saved = await owner('PUT', `/projects/${project.id}/description`, { projectTitle: 'First draft' });
+  assert.equal(saved.status, 200);
+
+  const submitted = await owner('POST', `/projects/${project.id}/description/submit`, { client_name: 'Client' });
+  assert.equal(submitted.status, 200);
+  const token = new URL(submitted.body.link).searchParams.get('token');
+
+  const approved = await server.client()('POST', `/brief-review/${token}`, {
+    decision: 'approve', name: 'Client', signature: 'Client'
+  });
+  assert.equal(approved.status, 200);
+  return { id: project.id, revision: submitted.body.revision_number };
+}
+
+test('an approved brief is refused edits and restores until it is reopened', async () => {
+  const project = await approvedProject();
+
+  const edit = await owner('PUT', `/projects/${project.id}/description`, { projectTitle: 'Changed after approval' });
+  assert.equal(edit.status, 409);
+  const restore = await owner('POST', `/projects/${project.id}/description/revisions/${project.revision}/restore`);
+  assert.equal(restore.status, 409);
+  assert.equal((await owner('GET', `/projects/${project.id}/description/approval`)).body.status, 'approved');
+  assert.equal((await owner('GET', `/projects/${project.id}/description`)).body.projectTitle, 'First draft');
+
+  assert.equal((await owner('POST', `/projects/${project.id}/description/reopen`)).status, 200);
+  assert.equal((await owner('POST', `/projects/${project.id}/description/reopen`)).status, 409);
+
+  const reopened = await owner('PUT', `/projects/${project.id}/description`, { projectTitle: 'Second draft' });
+  assert.equal(reopened.status, 200);
+  assert.equal((await owner('GET', `/projects/${project.id}/description/approval`)).body.status, 'draft');
+
+  const approvedRevision = (await owner('GET', `/projects/${project.id}/description/revisions/${project.revision}`)).body;
+  assert.equal(approvedRevision.locked, 1);
+  assert.equal(approvedRevision.data.projectTitle, 'First draft');
+});
+
+test('a locked revision cannot be changed in the database', async () => {
+  const project = await approvedProject();
+
+  await assert.rejects(
+    server.db.query(
+      "UPDATE brief_revisions SET data = '{}' WHERE project_id = $1 AND revision_number = $2",
+      [project.id, project.revision]
+    ),
+    /locked/
+  );
+  const revision = (await owner('GET', `/projects/${project.id}/description/revisions/${project.revision}`)).body;
+  assert.equal(revision.data.projectTitle, 'First draft');
+
+  // Deleting the project still takes its revisions with it
+  assert.equal((await owner('DELETE', `/projects/${project.id}`)).status, 200);
+});
+
+test('the client\'s response is recorded as a revision of its own', async () => {
+  const project = await approvedProject();
+
+  const revisions = (await owner('GET', `/projects/${project.id}/description/revisions`)).body;
+  assert.deepEqual(revisions.map(r => r.revision_number), [project.revision + 1, project.revision]);
+  assert.equal(revisions[0].author_email, 'Client');
+  assert.deepEqual(revisions[0].changed_fields, ['clientName', 'approvalDate', 'approvalSignature']);
+
+  const recorded = (await owner('GET', `/projects/${project.id}/description/revisions/${project.revision + 1}`)).body;
+  assert.equal(recorded.data.projectTitle, 'First draft');
+  assert.equal(recorded.data.approvalSignature, 'Client');
+  assert.equal((await owner('GET', `/projects/${project.id}/description`)).body.approvalSignature, 'Client');
+
+  const approval = (await owner('GET', `/projects/${project.id}/description/approval`)).body;
+  assert.equal(approval.status, 'approved');
+  assert.equal(approval.approved_revision, project.revision);
+});
+
+test('an approved brief is not sent out again until it is reopened', async () => {
+  const project = await approvedProject();
+
+  assert.equal((await owner('POST', `/projects/${project.id}/description/submit`, { client_name: 'Client' })).status, 409);
+
+  await owner('POST', `/projects/${project.id}/description/reopen`);
+  const submitted = await owner('POST', `/projects/${project.id}/description/submit`, { client_name: 'Client' });
+  assert.equal(submitted.status, 200);
+  assert.equal(submitted.body.revision_number, project.revision + 1);
+});
+
+test('changes requested are recorded as a revision too', async () => {
+  const project = (await owner('POST', '/projects', { name: 'Needs work' })).body;
+  await owner('PUT', `/projects/${project.id}/description`, { projectTitle: 'Draft' });
+  const submitted = (await owner('POST', `/projects/${project.id}/description/submit`, { client_email: 'client@example.com' })).body;
+  const token = new URL(submitted.link).searchParams.get('token');
+
+  const response = await server.client()('POST', `/brief-review/${token}`, {
+    decision: 'request-changes', name: 'Client', comments: 'More detail'
+  });
+  assert.equal(response.status, 200);
+
+  const revisions = (await owner('GET', `/projects/${project.id}/description/revisions`)).body;
+  assert.equal(revisions[0].author_email, 'client@example.com');
+  assert.deepEqual(revisions[0].changed_fields, ['clientName', 'clientComments']);
+  assert.equal((await owner('GET', `/projects/${project.id}/description/approval`)).body.status, 'changes-requested');
+  assert.equal((await owner('PUT', `/projects/${project.id}/description`, { projectTitle: 'Better draft' })).status, 200);
+});
@@ -0,0 +1,159 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseAmount, parseCurrency, grantFromProfileEntry, grantBalance } = require("../lib/grants");
+const { startServer } = require("./helpers/app");
+
+// ===================== GRANTS =====================
+
+test('amounts and currencies are read from free text', () => {
+  const amounts = {
+    '$1.2M': 1200000,
+    '250k': 250000,
+    'INR 5 lakh': 500000,
+    'Rs. 1,20,000': 120000,
+    '2 crore': 20000000,
+    '€ 45,000.50': 45000.5,
+    'about 10 thousand': 10000,
+    'unfunded': null,
+    '': null
+  };
+  for (const [text, amount] of Object.entries(amounts)) {
+    assert.equal(parseAmount(text), amount, text);
+  }
+
+  assert.equal(parseCurrency('$1.2M'), 'USD');
+  assert.equal(parseCurrency('€ 45,000'), 'EUR');
+  assert.equal(parseCurrency('Rs. 1,20,000'), 'INR');
+  assert.equal(parseCurrency('inr 5 lakh'), 'INR');
+  assert.equal(parseCurrency('cad 30k'), 'CAD');
+  assert.equal(parseCurrency('30k'), null);
+});
+
+test('profile grant entries become grants spanning their years', () => {
+  assert.deepEqual(grantFromProfileEntry({
+    projectTitle: ' Soil microbes ', role: 'PI', agency: 'DST', amount: 'INR 25 lakh', duration: '2019-2022', status: 'completed'
+  }), {
+    title: 'Soil microbes',
+    role: 'PI',
+    grant_number: '',
+    agency: 'DST',
+    amount: 2500000,
+    currency: 'INR',
+    start_date: '2019-01-01',
+    end_date: '2022-12-31',
+    status: 'completed',
+    notes: 'Imported from profile. Duration: 2019-2022; Amount: INR 25 lakh'
+  });
+
+  const sparse = grantFromProfileEntry({ duration: 'since 2023', status: 'ongoing' });
+  assert.equal(sparse.title, 'Untitled grant');
+  assert.equal(sparse.amount, null);
+  assert.equal(sparse.currency, 'USD');
+  assert.equal(sparse.start_date, '2023-01-01');
+  assert.equal(sparse.end_date, null);
+  assert.equal(sparse.status, 'active');
+  assert.equal(grantFromProfileEntry({}).notes, '');
+});
+
+test('balances are summed in cents, per budget line and overall', () => {
+  const lines = [{ id: 1, category: 'Travel', amount: 0.3 }, { id: 2, category: 'Equipment', amount: 500 }];
+  const expenses = [
+    { budget_line_id: 1, amount: 0.1 },
+    { budget_line_id: 1, amount: 0.2 },
+    { budget_line_id: 2, amount: 650 },
+    { budget_line_id: null, amount: 20.05 }
+  ];
+  const balance = grantBalance({ amount: 1000 }, lines, expenses);
+
+  assert.deepEqual(balance.budget_lines.map(line => [line.category, line.spent, line.remaining]),
+    [['Travel', 0.3, 0], ['Equipment', 650, -150]]);
+  assert.equal(balance.budgeted, 500.3);
+  assert.equal(balance.spent, 670.35);
+  assert.equal(balance.remaining, 329.65);
+  assert.equal(balance.unallocated, 499.7);
+
+  const empty = grantBalance({ amount: null }, [], []);
+  assert.deepEqual([empty.budgeted, empty.spent, empty.remaining, empty.unallocated], [0, 0, 0, 0]);
+});
+
+// ===================== GRANTS API =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer({
+    async setup(db) {
+      // Grants used to be a JSON list in the profile
+      await db.exec(`
+        CREATE TABLE users (id SERIAL PRIMARY KEY, email TEXT UNIQUE, password TEXT);
+        CREATE TABLE profiles (id SERIAL PRIMARY KEY, user_email TEXT UNIQUE REFERENCES users(email), grants TEXT);
+        INSERT INTO users (email, password) VALUES ('old@example.com', 'x'), ('garbled@example.com', 'x');
+        INSERT INTO profiles (user_email, grants) VALUES
+          ('old@example.com', '[{"projectTitle":"Coral reefs","agency":"NSF","amount":"$250k","duration":"2018 - 2021","status":"completed"},{"projectTitle":"Kelp","amount":"","status":"ongoing"}]'),
+          ('garbled@example.com', 'not json');
+      `);
+    }
+  });
+  user = await server.signUp('grants@example.com');
+});
+
+after(() => server.close());
+
+test('grants kept in old profiles are imported once', async () => {
+  const imported = (await server.db.query(
+    "SELECT user_email, title, agency, amount, currency, start_date, end_date, status FROM grants ORDER BY id"
+  )).rows.map(row => ({ ...row, amount: row.amount === null ? null : Number(row.amount) }));
+  assert.deepEqual(imported, [
+    {
+      user_email: 'old@example.com', title: 'Coral reefs', agency: 'NSF', amount: 250000, currency: 'USD',
+      start_date: '2018-01-01', end_date: '2021-12-31', status: 'completed'
+    },
+    {
+      user_email: 'old@example.com', title: 'Kelp', agency: '', amount: null, currency: 'USD',
+      start_date: null, end_date: null, status: 'active'
+    }
+  ]);
+
+  const flags = (await server.db.query("SELECT user_email, grants_migrated FROM profiles ORDER BY id")).rows;
+  assert.deepEqual(flags.map(row => row.grants_migrated), [1, 1]);
+});
+
+test('a grant\'s balance follows its budget lines and spend', async () => {
+  const grant = (await user('POST', '/grants', { title: 'Field work', amount: 1000, currency: 'eur' })).body;
+  assert.equal(grant.currency, 'EUR');
+
+  let detail = (await user('POST', `/grants/${grant.id}/budget-lines`, { category: 'Travel', amount: '400.10' })).body;
+  const travel = detail.budget_lines[0];
+  await user('POST', `/grants/${grant.id}/expenses`, { description: 'Train', amount: 0.1, spent_date: '2025-03-01', budget_line_id: travel.id });
+  await user('POST', `/grants/${grant.id}/expenses`, { description: 'Bus', amount: 0.2, spent_date: '2025-03-02', budget_line_id: travel.id });
+  detail = (await user('POST', `/grants/${grant.id}/expenses`, { description: 'Printing', amount: 12.5, spent_date: '2025-03-03' })).body;
+
+  assert.equal(detail.budget_lines[0].spent, 0.3);
+  assert.equal(detail.budget_lines[0].remaining, 399.8);
+  assert.equal(detail.budgeted, 400.1);
+  assert.equal(detail.spent, 12.8);
+  assert.equal(detail.remaining, 987.2);
+  assert.equal(detail.unallocated, 599.9);
+
+  const listed = (await user('GET', '/grants')).body.find(item => item.id === grant.id);
+  assert.equal(listed.remaining, 987.2);
+});
+
+test('spend can only go on the grant\'s own budget lines', async () => {
+  const first = (await user('POST', '/grants', { title: 'First', amount: 100 })).body;
+  const second = (await user('POST', '/grants', { title: 'Second', amount: 100 })).body;
+  const line = (await user('POST', `/grants/${first.id}/budget-lines`, { category: 'Supplies', amount: 50 })).body.budget_lines[0];
+
+  const misfiled = await user('POST', `/grants/${second.id}/expenses`, {
+    description: 'Gloves', amount: 10, spent_date: '2025-04-01', budget_line_id: line.id
+  });
+  assert.equal(misfiled.status, 400);
+  assert.equal(misfiled.body.error, "Budget line must belong to this grant.");
+
+  assert.equal((await user('POST', '/grants', { title: 'Negative', amount: -5 })).status, 400);
+  assert.equal((await user('POST', '/grants', { title: 'Backwards', start_date: '2025-02-01', end_date: '2025-01-01' })).status, 400);
+
+  const outsider = await server.signUp('grants-outsider@example.com');
+  assert.equal((await outsider('GET', `/grants/${first.id}`)).status, 404);
+});
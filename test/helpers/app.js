@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+const { PGlite } = require("@electric-sql/pglite");
+
+// ===================== TEST SERVER =====================
+// Runs server.js against PGlite (PostgreSQL compiled to WebAssembly), so the
+// tests need no database server. The 'pg' module is swapped for a Pool with
+// the same shape before server.js is loaded. PGlite is a single connection:
+// the tests send one request at a time, so transactions don't interleave.
+
+function pglitePool(db) {
+  async function query(text, params) {
+    const sql = typeof text === 'string' ? text : text.text;
+    const values = typeof text === 'string' ? params : text.values;
+    const result = await db.query(sql, values || []);
+    return {
+      rows: result.rows,
+      rowCount: result.affectedRows === undefined ? result.rows.length : result.affectedRows,
+      fields: result.fields
+    };
+  }
+
+  const client = { query, release() {} };
+
+  return class Pool {
+    query(text, params) {
+      return query(text, params);
+    }
+
+    connect(callback) {
+      if (callback) {
+        callback(null, client, () => {});
+        return undefined;
+      }
+      return Promise.resolve(client);
+    }
+
+    on() {}
+
+    end() {
+      return Promise.resolve();
+    }
+  };
+}
+
+function replaceModule(name, exports) {
+  const file = require.resolve(name);
+  const stub = new Module(file);
+  stub.filename = file;
+  stub.loaded = true;
+  stub.exports = exports;
+  require.cache[file] = stub;
+}
+
+// Mail goes to the console transport; the log is kept to read links from
+const logs = [];
+
+// `setup(db)` runs before server.js is loaded, e.g. to seed tables as an
+// older version of the app left them
+async function startServer({ setup } = {}) {
+  process.env.MAIL_TRANSPORT = 'console';
+  process.env.REMINDER_INTERVAL_SECONDS = '0';
+  process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-test-'));
+  console.log = (...args) => logs.push(args.join(' '));
+
+  const db = new PGlite();
+  if (setup) await setup(db);
+  replaceModule('pg', { Pool: pglitePool(db) });
+
+  const { app, ready } = require('../../server');
+  await ready;
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // A client that keeps the session cookie it's given. Buffers are sent as
+  // they are (with a Content-Type header), anything else as JSON.
+  function client() {
+    let cookie = '';
+    return async function request(method, url, body, headers = {}) {
+      const response = await fetch(baseUrl + url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(cookie ? { cookie } : {}), ...headers },
+        body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+        redirect: 'manual'
+      });
+      const setCookie = response.headers.get('set-cookie');
+      if (setCookie) cookie = setCookie.split(';')[0];
+
+      const text = await response.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        // Not JSON (files, redirects)
+      }
+      return { status: response.status, headers: response.headers, body: data };
+    };
+  }
+
+  // Registers, verifies and logs in `email`
+  async function signUp(email, password = 'secret-password') {
+    const request = client();
+    await request('POST', '/register', { email, password });
+
+    const mail = logs.filter(line => line.startsWith(`Mail to ${email}:`)).pop();
+    const token = /verify-email\?token=(\w+)/.exec(mail || '');
+    if (!token) throw new Error(`No verification mail for ${email}`);
+    await request('GET', `/verify-email?token=${token[1]}`);
+
+    const login = await request('POST', '/login', { email, password });
+    if (login.status !== 200) throw new Error(`Login failed for ${email}: ${JSON.stringify(login.body)}`);
+    return request;
+  }
+
+  return {
+    db,
+    client,
+    signUp,
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startServer };
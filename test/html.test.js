@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { html, trusted, safeUrl } = require("../lib/html");
+
+// ===================== SAFE HTML =====================
+
+test('element text is escaped', () => {
+  const name = '<script>alert(1)</script>';
+  assert.equal(String(html`<h1>${name}</h1>`), '<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1>');
+});
+
+test('quotes cannot break out of an attribute', () => {
+  const title = '" onmouseover="alert(1)';
+  assert.equal(
+    String(html`<div title="${title}"></div>`),
+    '<div title="&quot; onmouseover=&quot;alert(1)"></div>'
+  );
+  const single = "' autofocus onfocus='alert(1)";
+  assert.equal(
+    String(html`<div title='${single}'></div>`),
+    "<div title='&#39; autofocus onfocus=&#39;alert(1)'></div>"
+  );
+});
+
+test('unsafe URL schemes never reach an href', () => {
+  for (const url of ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<script>', 'vbscript:x']) {
+    assert.equal(String(html`<a href="${url}">x</a>`), '<a href="#">x</a>', url);
+  }
+  assert.equal(String(html`<a href="${'https://example.com/?a=1&b="2"'}">x</a>`), '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">x</a>');
+});
+
+test('safeUrl keeps relative and allowed URLs only', () => {
+  assert.equal(safeUrl('https://example.com'), 'https://example.com');
+  assert.equal(safeUrl('mailto:someone@example.com'), 'mailto:someone@example.com');
+  assert.equal(safeUrl('/profile.html?id=1'), '/profile.html?id=1');
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl('JAVASCRIPT:alert(1)'), null);
+  assert.equal(safeUrl('\u0001javascript:alert(1)'), null);
+  assert.equal(safeUrl(''), null);
+  assert.equal(safeUrl(null), null);
+});
+
+test('values are refused where escaping cannot make them safe', () => {
+  assert.throws(() => html`<div onclick="${'alert(1)'}"></div>`, /onclick/);
+  assert.throws(() => html`<div style="${'color: red'}"></div>`, /style/);
+  assert.throws(() => html`<script>${'alert(1)'}</script>`, /script/);
+  assert.throws(() => html`<div ${'onclick=alert(1)'}></div>`, /attribute name/);
+  assert.throws(() => html`<div title=${'x onclick=alert(1)'}></div>`, /unquoted/);
+});
+
+test('nested html and trusted markup are not escaped twice', () => {
+  const items = ['a & b', '<i>'].map(item => html`<li>${item}</li>`);
+  assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>a &amp; b</li><li>&lt;i&gt;</li></ul>');
+  assert.equal(String(html`<style>${trusted('a > b { color: red }')}</style>`), '<style>a > b { color: red }</style>');
+});
@@ -0,0 +1,175 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { toICalendar, parseICalendar } = require("../lib/ical");
+const { startServer } = require("./helpers/app");
+
+// ===================== ICALENDAR =====================
+
+const SERIES = {
+  id: 1,
+  uid: null,
+  title: 'Lab meeting; weekly, as usual',
+  description: 'Bring the\nnotebooks',
+  location: 'Room 5',
+  category: 'Work',
+  event_date: '2025-01-06',
+  start_time: '09:00',
+  end_time: '10:30',
+  is_all_day: 0,
+  time_zone: 'Europe/Berlin',
+  rrule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250331',
+  attendees: 'ana@example.com, Bob',
+  reminder: 15,
+  show_as: 'tentative',
+  priority: 'high',
+  meeting_link: 'https://meet.example.com/lab',
+  created_date: '2025-01-01T08:00:00.000Z',
+  modified_date: '2025-01-02T08:00:00.000Z'
+};
+const EXCEPTIONS = [
+  { event_id: 1, occurrence_date: '2025-01-13', cancelled: 1 },
+  {
+    event_id: 1, occurrence_date: '2025-01-20', cancelled: 0, title: 'Lab meeting (moved)', description: null,
+    event_date: '2025-01-21', start_time: null, end_time: null, location: null, category: null
+  }
+];
+const NOW = new Date('2025-01-05T12:00:00Z');
+
+function calendar(...vevents) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...vevents.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+test('a repeating event and its exceptions come back as they were written', () => {
+  const ics = toICalendar([SERIES], EXCEPTIONS, { now: NOW });
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU/);
+  assert.match(ics, /DTSTART;TZID=Europe\/Berlin:20250106T090000/);
+  assert.match(ics, /RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250331T215959Z/);
+  assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+  const [series, moved] = parseICalendar(ics);
+  assert.deepEqual(series, {
+    uid: 'event-1@research-portal',
+    recurrenceId: null,
+    cancelled: false,
+    title: SERIES.title,
+    description: SERIES.description,
+    date: '2025-01-06',
+    start: '09:00',
+    end: '10:30',
+    isAllDay: false,
+    timeZone: 'Europe/Berlin',
+    location: 'Room 5',
+    category: 'Work',
+    attendees: 'ana@example.com',
+    reminder: 15,
+    showAs: 'tentative',
+    priority: 'high',
+    isOnline: true,
+    meetingLink: 'https://meet.example.com/lab',
+    rrule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250331T215959Z',
+    exdates: ['2025-01-13']
+  });
+  assert.equal(moved.uid, series.uid);
+  assert.equal(moved.recurrenceId, '2025-01-20');
+  assert.deepEqual([moved.date, moved.start, moved.end, moved.title], ['2025-01-21', '09:00', '10:30', 'Lab meeting (moved)']);
+});
+
+test('all-day, UTC and floating events keep their kind of time', () => {
+  const rows = [
+    { id: 2, title: 'Conference', event_date: '2025-05-01', is_all_day: 1, rrule: null },
+    { id: 3, title: 'Call', event_date: '2025-05-02', start_time: '14:00', end_time: '14:30', time_zone: 'UTC' },
+    { id: 4, title: 'Lunch', event_date: '2025-05-03', start_time: '12:00', end_time: '13:00', time_zone: null },
+    { id: 5, title: 'Long title that goes on — and on, past the seventy-five octets a line may hold', event_date: '2025-05-04' }
+  ];
+  const ics = toICalendar(rows, [], { now: NOW });
+  assert.match(ics, /DTSTART;VALUE=DATE:20250501\r\nDTEND;VALUE=DATE:20250502/);
+  assert.match(ics, /DTSTART:20250502T140000Z/);
+  assert.match(ics, /DTSTART:20250503T120000\r\n/);
+  assert.doesNotMatch(ics, /BEGIN:VTIMEZONE/);
+
+  const parsed = parseICalendar(ics);
+  assert.deepEqual(parsed.map(e => [e.title, e.date, e.start, e.end, e.isAllDay, e.timeZone]), [
+    ['Conference', '2025-05-01', '', '', true, null],
+    ['Call', '2025-05-02', '14:00', '14:30', false, 'UTC'],
+    ['Lunch', '2025-05-03', '12:00', '13:00', false, null],
+    [rows[3].title, '2025-05-04', '', '', true, null]
+  ]);
+});
+
+test('events from other calendar apps are read onto their start\'s clock', () => {
+  const [shifted, lasting, cancelled, broken] = parseICalendar(calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Across zones', 'DTSTART;TZID=America/New_York:20250310T090000',
+      'DTEND:20250310T140000Z', 'CATEGORIES:Teaching,Other', 'ATTENDEE;CN=Cleo:mailto:cleo@example.com',
+      'BEGIN:VALARM', 'TRIGGER:-PT1H', 'END:VALARM', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:b', 'SUMMARY:Folded', ' title', 'DTSTART;TZID="/citadel/ics/Europe/Paris":20250310T2300',
+      'DURATION:PT2H', 'TRANSP:TRANSPARENT', 'PRIORITY:9', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:c', 'SUMMARY:Off', 'DTSTART:20250311', 'STATUS:CANCELLED', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:d', 'SUMMARY:No start', 'END:VEVENT']
+  ));
+
+  assert.deepEqual([shifted.start, shifted.end, shifted.timeZone], ['09:00', '10:00', 'America/New_York']);
+  assert.equal(shifted.category, 'Teaching');
+  assert.equal(shifted.attendees, 'cleo@example.com');
+  assert.equal(shifted.reminder, 60);
+
+  assert.equal(lasting.title, 'Foldedtitle');
+  assert.deepEqual([lasting.start, lasting.end, lasting.timeZone], ['23:00', '23:59', 'Europe/Paris']);
+  assert.deepEqual([lasting.showAs, lasting.priority], ['free', 'low']);
+
+  assert.equal(cancelled.cancelled, true);
+  assert.deepEqual(broken, { error: "Event has no start date.", title: 'No start' });
+});
+
+// ===================== CALENDAR IMPORT / EXPORT =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('ical@example.com');
+});
+
+after(() => server.close());
+
+function importCalendar(request, ics) {
+  return request('POST', '/calendar/import', Buffer.from(ics), { 'Content-Type': 'text/calendar' });
+}
+
+// All-day events have no start; imported ones keep it as ''
+async function occurrences(request) {
+  const listed = await request('GET', '/events?from=2025-01-01&to=2025-02-28&tz=Europe/Berlin');
+  return listed.body.map(e => [e.date, e.start || '', e.title]);
+}
+
+test('an exported calendar imports into another account as the same events', async () => {
+  const series = (await user('POST', '/events', {
+    title: 'Seminar', date: '2025-01-07', start: '16:00', end: '17:00', timeZone: 'Europe/Berlin',
+    rrule: 'FREQ=WEEKLY;COUNT=5', exdates: ['2025-01-14']
+  })).body;
+  await user('PUT', `/events/${series.id}?scope=this&occurrence=2025-01-21`, { title: 'Seminar (guest)', start: '17:00', end: '18:00' });
+  await user('POST', '/events', { title: 'Holiday', date: '2025-02-03', isAllDay: true, timeZone: 'Europe/Berlin' });
+
+  const exported = await user('GET', '/calendar/export.ics');
+  assert.equal(exported.status, 200);
+  assert.match(exported.body, /BEGIN:VCALENDAR/);
+
+  const other = await server.signUp('ical-other@example.com');
+  const imported = await importCalendar(other, exported.body);
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.imported.length, 2);
+  assert.deepEqual(imported.body.skipped, []);
+  assert.deepEqual(await occurrences(other), await occurrences(user));
+
+  // The UIDs match, so importing again updates the events
+  const again = await importCalendar(other, exported.body);
+  assert.equal(again.body.imported.length, 0);
+  assert.equal(again.body.updated.length, 2);
+  assert.deepEqual(await occurrences(other), await occurrences(user));
+});
+
+test('files that aren\'t calendars are refused', async () => {
+  assert.equal((await importCalendar(user, 'hello')).status, 400);
+  assert.equal((await importCalendar(user, calendar([]))).status, 400);
+});
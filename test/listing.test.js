@@ -0,0 +1,120 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { listQuery } = require("../lib/listing");
+const { startServer } = require("./helpers/app");
+
+// ===================== LIST QUERIES =====================
+
+const SPEC = {
+  filters: { category: 'category', status: 'status' },
+  date: 'created_date',
+  text: ['title', 'content'],
+  sorts: {
+    created: { by: 'created_date', order: 'desc' },
+    title: { by: 'LOWER(title)' }
+  },
+  sort: 'created'
+};
+
+test('only the spec\'s own sort keys are accepted', () => {
+  for (const sort of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'nope']) {
+    assert.deepEqual(listQuery({ sort }, SPEC, []), { error: 'sort must be one of: created, title.' }, sort);
+  }
+});
+
+test('filters, dates and text become conditions on numbered params', () => {
+  const params = ['me@example.com'];
+  const list = listQuery({ category: 'work, home,', status: 'all', from: '2025-01-01', to: '2025-01-31', q: ' 50%_off ' }, SPEC, params);
+  assert.deepEqual(list.conditions, [
+    'category = ANY($2::text[])',
+    'created_date >= $3',
+    'SUBSTRING(created_date, 1, 10) <= $4',
+    '(title ILIKE $5 OR content ILIKE $5)'
+  ]);
+  assert.deepEqual(params, ['me@example.com', ['work', 'home'], '2025-01-01', '2025-01-31', '%50\\%\\_off%']);
+  assert.equal(list.orderBy, 'created_date DESC NULLS LAST, id DESC');
+  assert.equal(list.paging, '');
+  assert.equal(list.paged, false);
+});
+
+test('sorts take an order and come after the spec\'s first ordering', () => {
+  assert.equal(listQuery({ sort: 'title', order: 'desc' }, SPEC, []).orderBy, 'LOWER(title) DESC NULLS LAST, id DESC');
+  assert.equal(listQuery({ sort: 'title' }, SPEC, []).orderBy, 'LOWER(title) ASC NULLS LAST, id DESC');
+  const pinned = { ...SPEC, first: 'pinned DESC', sorts: { both: { by: ['status', 'title'] } }, sort: 'both' };
+  assert.equal(listQuery({}, pinned, []).orderBy, 'pinned DESC, status ASC NULLS LAST, title ASC NULLS LAST, id DESC');
+});
+
+test('pages are whole numbers and at most 200 rows', () => {
+  assert.deepEqual(listQuery({ limit: '20', offset: '40' }, SPEC, []).paging, ' LIMIT 20 OFFSET 40');
+  assert.equal(listQuery({ offset: '5' }, SPEC, []).paged, true);
+  assert.equal(listQuery({ limit: '200', offset: '0' }, SPEC, []).paging, ' LIMIT 200');
+
+  const errors = [
+    [{ limit: '0' }, 'limit must be between 1 and 200.'],
+    [{ limit: '201' }, 'limit must be between 1 and 200.'],
+    [{ limit: '-1' }, 'limit must be a whole number.'],
+    [{ limit: '10; DROP TABLE ideas' }, 'limit must be a whole number.'],
+    [{ offset: '1.5' }, 'offset must be a whole number.'],
+    [{ order: 'up' }, 'order must be asc or desc.'],
+    [{ from: '1 Jan 2025' }, 'from must be a date (YYYY-MM-DD).'],
+    [{ from: '2025-02-01', to: '2025-01-01' }, 'from must not be after to.']
+  ];
+  for (const [query, error] of errors) {
+    assert.deepEqual(listQuery(query, SPEC, []), { error }, JSON.stringify(query));
+  }
+  assert.deepEqual(listQuery({ from: '2025-01-01' }, { ...SPEC, date: undefined }, []), { error: "This list can't be filtered by date." });
+});
+
+// ===================== LIST ENDPOINTS =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('listing@example.com');
+  const ideas = [
+    ['Alpha', 'work', '2025-01-05T10:00:00.000Z', 'first'],
+    ['bravo', 'home', '2025-01-20T10:00:00.000Z', 'save 50% now'],
+    ['Charlie', 'work', '2025-02-01T10:00:00.000Z', 'snake_case'],
+    ['Delta', 'travel', '2025-02-15T10:00:00.000Z', 'plain']
+  ];
+  for (const [title, category, created_date, content] of ideas) {
+    await user('POST', '/ideas', { title, category, created_date, content });
+  }
+});
+
+after(() => server.close());
+
+async function titles(query) {
+  const listed = await user('GET', `/ideas?${query}`);
+  assert.equal(listed.status, 200, query);
+  return listed.body.map(idea => idea.title);
+}
+
+test('lists are filtered, searched and sorted from the query string', async () => {
+  assert.deepEqual(await titles(''), ['Delta', 'Charlie', 'bravo', 'Alpha']);
+  assert.deepEqual(await titles('sort=title'), ['Alpha', 'bravo', 'Charlie', 'Delta']);
+  assert.deepEqual(await titles('sort=title&order=desc'), ['Delta', 'Charlie', 'bravo', 'Alpha']);
+  assert.deepEqual(await titles('category=work,travel&sort=title'), ['Alpha', 'Charlie', 'Delta']);
+  assert.deepEqual(await titles('from=2025-01-20&to=2025-02-01'), ['Charlie', 'bravo']);
+  assert.deepEqual(await titles('q=50%25'), ['bravo']);
+  assert.deepEqual(await titles('q=e_c'), ['Charlie']);
+  assert.deepEqual(await titles('q=%25'), ['bravo']);
+});
+
+test('pages carry the total count in X-Total-Count', async () => {
+  const page = await user('GET', '/ideas?sort=title&limit=2&offset=1');
+  assert.deepEqual(page.body.map(idea => idea.title), ['bravo', 'Charlie']);
+  assert.equal(page.headers.get('x-total-count'), '4');
+
+  const filtered = await user('GET', '/ideas?category=work&limit=1');
+  assert.equal(filtered.body.length, 1);
+  assert.equal(filtered.headers.get('x-total-count'), '2');
+
+  for (const query of ['limit=500', 'offset=-2', 'sort=constructor', 'order=sideways', 'from=soon']) {
+    const refused = await user('GET', `/ideas?${query}`);
+    assert.equal(refused.status, 400, query);
+    assert.equal(typeof refused.body.error, 'string', query);
+  }
+});
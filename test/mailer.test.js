@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// ===================== MAIL TRANSPORT =====================
+// The transport is chosen when lib/mailer is loaded, so each case loads it in
+// a fresh process with its own environment.
+
+const MAILER = path.join(__dirname, '..', 'lib', 'mailer');
+
+function sendWith(env) {
+  const script = `require(${JSON.stringify(MAILER)})
+    .sendMail({ to: 'a@example.com', subject: 'Reset', text: 'reset-password.html?token=SECRET' })`;
+  const { NODE_ENV, MAIL_TRANSPORT, ...rest } = process.env;
+  return spawnSync(process.execPath, ['-e', script], { env: { ...rest, ...env }, encoding: 'utf8' });
+}
+
+test('without MAIL_TRANSPORT nothing with a link reaches the log', () => {
+  const run = sendWith({});
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Mail to a@example\.com: Reset \(not sent/);
+  assert.ok(!`${run.stdout}${run.stderr}`.includes('SECRET'));
+});
+
+test('production refuses to start without a real transport', () => {
+  for (const env of [{ NODE_ENV: 'production' }, { NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }]) {
+    const run = sendWith(env);
+    assert.notEqual(run.status, 0, JSON.stringify(env));
+    assert.match(run.stderr, /Set MAIL_TRANSPORT/);
+    assert.ok(!run.stdout.includes('SECRET'));
+  }
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== MEETINGS =====================
+
+let server;
+let owner;
+let outsider;
+let project;
+let meeting;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('meeting-owner@example.com');
+  outsider = await server.signUp('outsider@example.com');
+  project = (await owner('POST', '/projects', { name: 'Meetings' })).body;
+  await owner('POST', `/projects/${project.id}/members`, { email: 'member@example.com', role: 'viewer' });
+  meeting = (await owner('POST', `/projects/${project.id}/meetings`, {
+    title: 'Kick-off', start_time: '2030-01-01T09:00'
+  })).body;
+});
+
+after(() => server.close());
+
+test('action items can only be assigned to project members', async () => {
+  const base = `/projects/${project.id}/meetings/${meeting.id}/action_items`;
+  const item = { description: 'Spam', assignee_email: 'outsider@example.com', due_date: '2030-02-01' };
+
+  assert.equal((await owner('POST', base, item)).status, 400);
+  assert.equal((await owner('POST', `/projects/${project.id}/meetings`, {
+    start_time: '2030-01-02T09:00', action_items: [item]
+  })).status, 400);
+
+  const assigned = await owner('POST', base, { ...item, description: 'Follow up', assignee_email: 'Member@Example.com' });
+  assert.equal(assigned.status, 200);
+  assert.equal((await owner('PUT', `${base}/${assigned.body.id}`, { assignee_email: 'outsider@example.com' })).status, 400);
+
+  const deadlines = (await outsider('GET', '/deadlines')).body;
+  assert.deepEqual(deadlines, []);
+});
+
+test('meeting times must be dates', async () => {
+  const path = `/projects/${project.id}/meetings`;
+  for (const body of [{ start_time: 12 }, { start_time: ['2030-01-01'] }, { start_time: 'soon' }, { start_time: '2030-01-01T09:00', end_time: 5 }]) {
+    assert.equal((await owner('POST', path, body)).status, 400, JSON.stringify(body));
+    assert.equal((await owner('PUT', `${path}/${meeting.id}`, body)).status, 400, JSON.stringify(body));
+  }
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== MIGRATIONS =====================
+// Starting on a database an older version of the app left behind
+
+let server;
+const warnings = [];
+
+before(async () => {
+  console.warn = (...args) => warnings.push(args.join(' '));
+  server = await startServer({
+    async setup(db) {
+      // Meetings used to be kept per colleague, with no project and no creator.
+      // (Only the projects columns startup reads.)
+      await db.exec(`
+        CREATE TABLE projects (
+          id SERIAL PRIMARY KEY, name TEXT, owner_email TEXT, colleagues TEXT DEFAULT '[]', progress INTEGER DEFAULT 0,
+          project_title TEXT, notes TEXT, objectives TEXT, idea TEXT, other_info TEXT, primary_audience TEXT,
+          secondary_audience TEXT, call_action TEXT, competition TEXT, client_name TEXT, client_comments TEXT
+        );
+        CREATE TABLE colleagues (id SERIAL PRIMARY KEY, project_id INTEGER REFERENCES projects(id), name TEXT, email TEXT);
+        CREATE TABLE meetings (id SERIAL PRIMARY KEY, colleague_email TEXT, date TEXT, description TEXT);
+        INSERT INTO projects (name, owner_email) VALUES
+          ('Legacy project', 'owner@example.com'),
+          ('Another project', 'owner@example.com'),
+          ('Someone else''s project', 'other@example.com');
+        INSERT INTO colleagues (project_id, name, email) VALUES
+          (1, 'Member', 'Member@Example.com'),
+          (2, 'Shared', 'shared@example.com'),
+          (3, 'Shared', 'shared@example.com');
+        INSERT INTO meetings (colleague_email, date, description) VALUES
+          ('member@example.com', '2020-01-01', 'With a member'),
+          ('nobody@example.com', '2020-01-02', 'With someone on no project'),
+          ('shared@example.com', '2020-01-03', 'With someone on two owners'' projects');
+      `);
+    }
+  });
+});
+
+after(() => server.close());
+
+test('legacy meetings join their colleague\'s only project, and the rest are reported', async () => {
+  const meetings = (await server.db.query("SELECT description, project_id FROM meetings ORDER BY id")).rows;
+  assert.deepEqual(meetings, [
+    { description: 'With a member', project_id: 1 },
+    { description: 'With someone on no project', project_id: null },
+    { description: 'With someone on two owners\' projects', project_id: null }
+  ]);
+  assert.ok(warnings.some(line => line.startsWith('2 meeting(s) were left without a project')), warnings.join('\n'));
+});
+
+test('meetings made since then are not migrated again', async () => {
+  const owner = await server.signUp('owner@example.com');
+  const project = (await owner('POST', '/projects', { name: 'New project' })).body;
+  const meeting = (await owner('POST', `/projects/${project.id}/meetings`, { start_time: '2030-01-01T09:00' })).body;
+
+  const row = (await server.db.query("SELECT project_migrated FROM meetings WHERE id = $1", [meeting.id])).rows[0];
+  assert.equal(row.project_migrated, 1);
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildTimeline, hasCycle } = require("../lib/timeline");
+const { startServer } = require("./helpers/app");
+
+// ===================== PROJECT TIMELINE =====================
+
+const MILESTONES = [
+  { id: 1, title: 'Survey', start_date: '2025-01-01', end_date: '2025-01-05', completed: 0 },
+  { id: 2, title: 'Report', start_date: '2025-01-03', end_date: '2025-01-04', completed: 0 },
+  { id: 3, title: 'Fieldwork', start_date: '2025-01-02', end_date: '2025-01-10', completed: 0 }
+];
+const DEPENDENCIES = [{ milestone_id: 2, depends_on_id: 1 }];
+
+function byTitle(timeline) {
+  return Object.fromEntries(timeline.milestones.map(m => [m.title, m]));
+}
+
+test('dependency cycles are found', () => {
+  assert.equal(hasCycle([1, 2, 3], DEPENDENCIES), false);
+  assert.equal(hasCycle([1, 2, 3], [
+    { milestone_id: 1, depends_on_id: 2 }, { milestone_id: 2, depends_on_id: 3 }, { milestone_id: 3, depends_on_id: 1 }
+  ]), true);
+  assert.equal(hasCycle([1], [{ milestone_id: 1, depends_on_id: 1 }]), true);
+  // Dependencies on milestones outside the list are left out
+  assert.equal(hasCycle([1, 2], [{ milestone_id: 1, depends_on_id: 9 }, { milestone_id: 9, depends_on_id: 1 }]), false);
+  assert.throws(() => buildTimeline(MILESTONES, [...DEPENDENCIES, { milestone_id: 1, depends_on_id: 2 }], '2024-12-01'), /cycle/);
+});
+
+test('milestones wait for their dependencies and the critical path has no slack', () => {
+  const timeline = buildTimeline(MILESTONES, DEPENDENCIES, '2024-12-01');
+  const { Survey, Report, Fieldwork } = byTitle(timeline);
+
+  assert.deepEqual([Report.projected_start, Report.projected_end, Report.duration_days], ['2025-01-06', '2025-01-07', 2]);
+  assert.deepEqual(Report.depends_on, [1]);
+  assert.equal(Report.at_risk, true);
+  assert.deepEqual([Survey.slack_days, Report.slack_days, Fieldwork.slack_days], [3, 3, 0]);
+  assert.deepEqual(timeline.critical_path, [3]);
+  assert.deepEqual([timeline.start, timeline.end], ['2025-01-01', '2025-01-10']);
+  assert.deepEqual(timeline.slipped, []);
+});
+
+test('overdue work pushes what depends on it and finished work ends when it did', () => {
+  const late = buildTimeline(MILESTONES, DEPENDENCIES, '2025-01-08');
+  const { Survey, Report } = byTitle(late);
+  assert.equal(Survey.projected_end, '2025-01-08');
+  assert.equal(Survey.slip_days, 3);
+  assert.deepEqual([Report.projected_start, Report.projected_end], ['2025-01-09', '2025-01-10']);
+  assert.equal(Report.slip_days, 4);
+  assert.deepEqual(late.slipped, [1, 2]);
+  assert.deepEqual(late.critical_path, [1, 3, 2]);
+
+  const done = MILESTONES.map(m => (m.id === 1 ? { ...m, completed: 1, completed_date: '2025-01-03' } : m));
+  const early = byTitle(buildTimeline(done, DEPENDENCIES, '2025-01-08'));
+  assert.equal(early.Survey.projected_end, '2025-01-03');
+  assert.equal(early.Survey.slipped, false);
+  assert.deepEqual([early.Report.projected_start, early.Report.projected_end], ['2025-01-04', '2025-01-08']);
+
+  assert.deepEqual(buildTimeline([], [], '2025-01-08'),
+    { today: '2025-01-08', start: null, end: null, critical_path: [], slipped: [], milestones: [] });
+});
+
+// ===================== PROJECT MILESTONES API =====================
+
+let server;
+let owner;
+let project;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('milestones@example.com');
+  project = (await owner('POST', '/projects', { name: 'Timeline' })).body;
+});
+
+after(() => server.close());
+
+function addMilestone(title, start_date, end_date, depends_on) {
+  return owner('POST', `/projects/${project.id}/milestones`, { title, start_date, end_date, depends_on });
+}
+
+test('dependencies that would form a cycle are refused', async () => {
+  const survey = (await addMilestone('Survey', '2030-01-01', '2030-01-05')).body;
+  const report = (await addMilestone('Report', '2030-01-06', '2030-01-07', [survey.id])).body;
+  const review = (await addMilestone('Review', '2030-01-08', '2030-01-09', [report.id])).body;
+  assert.deepEqual(review.depends_on, [report.id]);
+
+  const url = `/projects/${project.id}/milestones/${survey.id}`;
+  const dates = { title: 'Survey', start_date: '2030-01-01', end_date: '2030-01-05' };
+  const cycle = await owner('PUT', url, { ...dates, depends_on: [review.id] });
+  assert.equal(cycle.status, 400);
+  assert.equal(cycle.body.error, "These dependencies would create a cycle.");
+
+  const self = await owner('PUT', url, { ...dates, depends_on: [survey.id] });
+  assert.equal(self.body.error, "A milestone cannot depend on itself.");
+
+  // Leaving depends_on out keeps the dependencies as they are
+  const renamed = await owner('PUT', `/projects/${project.id}/milestones/${review.id}`, {
+    title: 'Final review', start_date: '2030-01-08', end_date: '2030-01-09'
+  });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual(renamed.body.depends_on, [report.id]);
+
+  const timeline = (await owner('GET', `/projects/${project.id}/timeline`)).body;
+  assert.deepEqual(timeline.critical_path, [survey.id, report.id, review.id]);
+  assert.equal(timeline.end, '2030-01-09');
+});
+
+test('dependencies must be milestones of the same project', async () => {
+  const other = (await owner('POST', '/projects', { name: 'Elsewhere' })).body;
+  const outside = (await owner('POST', `/projects/${other.id}/milestones`, {
+    title: 'Outside', start_date: '2030-02-01', end_date: '2030-02-02'
+  })).body;
+
+  for (const depends_on of [[outside.id], ['abc'], [999999]]) {
+    const refused = await addMilestone('Linked', '2030-02-03', '2030-02-04', depends_on);
+    assert.equal(refused.status, 400, JSON.stringify(depends_on));
+    assert.equal(refused.body.error, "Dependencies must be milestones of the same project.");
+  }
+  assert.equal((await addMilestone('Listless', '2030-02-03', '2030-02-04', outside.id)).body.error,
+    "depends_on must be a list of milestone ids.");
+  assert.equal((await addMilestone('Backwards', '2030-02-04', '2030-02-03')).body.error,
+    "A milestone cannot end before it starts.");
+});
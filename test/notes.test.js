@@ -0,0 +1,129 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderMarkdown, markdownToText } = require("../lib/markdown");
+const { startServer } = require("./helpers/app");
+
+// ===================== MARKDOWN =====================
+
+const LINK = 'rel="nofollow noopener noreferrer" target="_blank"';
+
+test('Markdown blocks and inline styles', () => {
+  assert.equal(renderMarkdown('# Title\n\nSome **bold**, *it* and ~~gone~~\nnext line'),
+    '<h1>Title</h1>\n<p>Some <strong>bold</strong>, <em>it</em> and <del>gone</del><br>next line</p>');
+  assert.equal(renderMarkdown('- one\n  - nested\n- [x] done\n- [ ] todo\n\n3. three\n4. four'),
+    '<ul><li>one<ul><li>nested</li></ul></li><li><input type="checkbox" disabled checked> done</li>' +
+    '<li><input type="checkbox" disabled> todo</li></ul>\n<ol start="3"><li>three</li><li>four</li></ol>');
+  assert.equal(renderMarkdown('> quoted\n\n---\n\n```js\nconst a = 1 * 2 * 3;\n```'),
+    '<blockquote><p>quoted</p></blockquote>\n<hr>\n<pre><code class="language-js">const a = 1 * 2 * 3;</code></pre>');
+  assert.equal(renderMarkdown('See [the *docs*](https://a.example/x_(y)) or https://b.example/p.'),
+    `<p>See <a href="https://a.example/x_(y)" ${LINK}>the <em>docs</em></a> or <a href="https://b.example/p" ${LINK}>https://b.example/p</a>.</p>`);
+  assert.equal(renderMarkdown(''), '');
+});
+
+test('HTML in a note is shown as text and script links are dropped', () => {
+  assert.equal(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  assert.equal(renderMarkdown('`<b>` and\n```\n</code><script>\n```'),
+    '<p><code>&lt;b&gt;</code> and</p>\n<pre><code>&lt;/code&gt;&lt;script&gt;</code></pre>');
+  assert.equal(renderMarkdown('[click](javascript:alert(1)) [x]( JaVaScRiPt:alert(1))'),
+    `<p><a href="#" ${LINK}>click</a> <a href="#" ${LINK}>x</a></p>`);
+  assert.equal(renderMarkdown('[a](https://x.example/"onmouseover="alert(1))'),
+    `<p><a href="https://x.example/&quot;onmouseover=&quot;alert(1)" ${LINK}>a</a></p>`);
+});
+
+test('previews are the words without the markup', () => {
+  assert.equal(markdownToText('# Title\n\n- [x] **Done** with [a link](http://x) and `code`\n\n```\nhidden\n```\n__under__'),
+    'Title Done with a link and code under');
+});
+
+// ===================== NOTES API =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('notes@example.com');
+});
+
+after(() => server.close());
+
+async function addNote(fields) {
+  const created = await user('POST', '/notes', { content: '', ...fields });
+  assert.equal(created.status, 200);
+  return created.body;
+}
+
+async function titles(query = '') {
+  const listed = await user('GET', `/notes${query}`);
+  assert.equal(listed.status, 200, query);
+  return listed.body.map(note => note.title);
+}
+
+test('notes keep their Markdown source and come back rendered', async () => {
+  const note = await addNote({ title: 'Rendered', content: '**Soil** <b>samples</b>', tags: '#Soil, field , soil', folder: ' Research / Papers/ ' });
+  assert.equal(note.content, '**Soil** <b>samples</b>');
+  assert.equal(note.content_html, '<p><strong>Soil</strong> &lt;b&gt;samples&lt;/b&gt;</p>');
+  assert.equal(note.preview, 'Soil <b>samples</b>');
+  assert.deepEqual(note.tags, ['soil', 'field']);
+  assert.equal(note.folder, 'Research/Papers');
+  assert.equal((await user('GET', `/notes/${note.id}`)).body.content_html, note.content_html);
+
+  const preview = await user('POST', '/notes/render', { content: '# Draft' });
+  assert.deepEqual(preview.body, { html: '<h1>Draft</h1>' });
+});
+
+test('only edits move the modified date, not pinning or archiving', async () => {
+  const note = await addNote({ title: 'Dated', created_date: '2024-01-01T00:00:00.000Z' });
+  assert.equal(note.modified_date, '2024-01-01T00:00:00.000Z');
+
+  const pinned = await user('PUT', `/notes/${note.id}`, { pinned: true });
+  assert.equal(pinned.body.note.pinned, 1);
+  assert.equal(pinned.body.note.modified_date, '2024-01-01T00:00:00.000Z');
+  // Sending a field unchanged isn't an edit either
+  const same = await user('PUT', `/notes/${note.id}`, { title: 'Dated', archived: false });
+  assert.equal(same.body.note.modified_date, '2024-01-01T00:00:00.000Z');
+
+  const edited = await user('PUT', `/notes/${note.id}`, { content: 'Now with text' });
+  assert.notEqual(edited.body.note.modified_date, '2024-01-01T00:00:00.000Z');
+  assert.equal(edited.body.note.title, 'Dated');
+  assert.equal(edited.body.note.pinned, 1);
+
+  assert.equal((await user('PUT', '/notes/999999', { title: 'Missing' })).status, 404);
+  assert.equal((await user('GET', '/notes/abc')).status, 404);
+  assert.equal((await user('PUT', '/notes/abc', { title: 'Missing' })).status, 404);
+  assert.equal((await user('DELETE', '/notes/abc')).status, 404);
+});
+
+test('notes are filtered by tag, folder, pin and archive, pinned first', async () => {
+  const other = await server.signUp('notes-filter@example.com');
+  const add = async fields => (await other('POST', '/notes', { content: '', ...fields })).body;
+  const list = async (query = '') => (await other('GET', `/notes${query}`)).body.map(note => note.title);
+
+  await add({ title: 'Beta', tags: ['soil'], folder: 'Research', created_date: '2024-01-02T00:00:00.000Z' });
+  await add({ title: 'alpha', tags: ['soils'], folder: 'Research/Papers', created_date: '2024-01-03T00:00:00.000Z' });
+  await add({ title: 'Gamma', folder: 'Researchers', pinned: true, created_date: '2024-01-01T00:00:00.000Z' });
+  const old = await add({ title: 'Old', tags: ['soil'], created_date: '2024-01-04T00:00:00.000Z' });
+  await other('PUT', `/notes/${old.id}`, { archived: true });
+
+  assert.deepEqual(await list(), ['Gamma', 'alpha', 'Beta']);
+  assert.deepEqual(await list('?sort=title&order=asc'), ['Gamma', 'alpha', 'Beta']);
+  assert.deepEqual(await list('?sort=created&order=asc'), ['Gamma', 'Beta', 'alpha']);
+  assert.deepEqual(await list('?tag=%23Soil'), ['Beta']);
+  assert.deepEqual(await list('?tag=soil&archived=all'), ['Old', 'Beta']);
+  assert.deepEqual(await list('?folder=Research'), ['alpha', 'Beta']);
+  assert.deepEqual(await list('?folder=research/papers/'), []);
+  assert.deepEqual(await list('?folder=Research/Papers/'), ['alpha']);
+  assert.deepEqual(await list('?pinned=1'), ['Gamma']);
+  assert.deepEqual(await list('?archived=1'), ['Old']);
+
+  const facets = (await other('GET', '/notes/facets')).body;
+  assert.deepEqual(facets, {
+    tags: [{ name: 'soil', count: 1 }, { name: 'soils', count: 1 }],
+    folders: [{ path: 'Research', count: 1 }, { path: 'Research/Papers', count: 1 }, { path: 'Researchers', count: 1 }],
+    archived: 1
+  });
+
+  // The first user's notes are no part of any of this
+  assert.ok(!(await titles()).some(title => ['Beta', 'alpha', 'Gamma'].includes(title)));
+});
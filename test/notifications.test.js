@@ -0,0 +1,76 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== NOTIFICATIONS =====================
+
+let server;
+let owner;
+let member;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('notify-owner@example.com');
+  member = await server.signUp('notify-member@example.com');
+  for (const name of ['First', 'Second', 'Third']) {
+    const project = (await owner('POST', '/projects', { name })).body;
+    await owner('POST', `/projects/${project.id}/members`, { email: 'notify-member@example.com', role: 'viewer' });
+  }
+});
+
+after(() => server.close());
+
+async function inbox(request, query = '') {
+  const listed = await request('GET', `/notifications${query}`);
+  assert.equal(listed.status, 200, query);
+  return listed.body;
+}
+
+test('notifications are read one at a time or all at once', async () => {
+  const unread = await inbox(member, '?status=unread');
+  assert.deepEqual(unread.map(n => [n.type, n.title, n.read]), [
+    ['project-member', 'Added to "Third"', false],
+    ['project-member', 'Added to "Second"', false],
+    ['project-member', 'Added to "First"', false]
+  ]);
+
+  const read = await member('POST', `/notifications/${unread[1].id}/read`);
+  assert.equal(read.status, 200);
+  assert.equal(read.body.read, true);
+  assert.ok(read.body.readDate);
+  // Reading it again keeps the time it was first read
+  assert.equal((await member('POST', `/notifications/${unread[1].id}/read`)).body.readDate, read.body.readDate);
+
+  assert.deepEqual((await inbox(member, '?status=read')).map(n => n.id), [unread[1].id]);
+  assert.deepEqual((await inbox(member, '?status=unread')).map(n => n.id), [unread[0].id, unread[2].id]);
+  assert.equal((await inbox(member)).length, 3);
+
+  assert.deepEqual((await member('POST', '/notifications/read-all')).body, { updated: 2 });
+  assert.deepEqual((await member('POST', '/notifications/read-all')).body, { updated: 0 });
+  assert.deepEqual(await inbox(member, '?status=unread'), []);
+});
+
+test('each user sees and reads only their own notifications', async () => {
+  const [notification] = await inbox(member);
+  assert.deepEqual(await inbox(owner), []);
+  assert.equal((await owner('POST', `/notifications/${notification.id}/read`)).status, 404);
+  assert.equal((await owner('POST', '/notifications/read-all')).body.updated, 0);
+  assert.equal((await member('POST', '/notifications/999999/read')).status, 404);
+  assert.equal((await member('POST', '/notifications/abc/read')).status, 404);
+});
+
+test('the inbox takes the usual list parameters', async () => {
+  const page = await member('GET', '/notifications?limit=2&type=project-member');
+  assert.equal(page.body.length, 2);
+  assert.equal(page.headers.get('x-total-count'), '3');
+  assert.deepEqual(await inbox(member, '?type=brief-approved'), []);
+  assert.equal((await member('GET', '/notifications?status=new')).status, 400);
+});
+
+test('people without an account yet get no notification', async () => {
+  const project = (await owner('POST', '/projects', { name: 'Invites' })).body;
+  const invited = await owner('POST', `/projects/${project.id}/members`, { email: 'not-signed-up@example.com' });
+  assert.equal(invited.status, 200);
+  const rows = await server.db.query("SELECT id FROM notifications WHERE user_email = 'not-signed-up@example.com'");
+  assert.equal(rows.rows.length, 0);
+});
@@ -0,0 +1,204 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== OWNERSHIP =====================
+// Every resource belongs to the user who made it (or to a project's team).
+// For each one, another user must not see it, change it or delete it, and the
+// owner's copy must come through untouched.
+
+let server;
+let owner;
+let stranger;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('owner@example.com');
+  stranger = await server.signUp('stranger@example.com');
+});
+
+after(() => server.close());
+
+// Another user's rows are answered as if they didn't exist (404), or refused (403)
+function assertRefused(response, what) {
+  assert.ok([403, 404].includes(response.status), `${what}: expected 403/404, got ${response.status}`);
+}
+
+async function assertNotListed(path, id) {
+  const list = await stranger('GET', path);
+  assert.equal(list.status, 200);
+  assert.ok(!list.body.some(row => row.id === id), `${path} lists another user's row`);
+}
+
+async function created(response) {
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+}
+
+test('ideas', async () => {
+  const idea = await created(await owner('POST', '/ideas', { title: 'Private idea' }));
+
+  await assertNotListed('/ideas', idea.id);
+  assertRefused(await stranger('PUT', `/ideas/${idea.id}`, { title: 'Taken' }), 'update');
+  assertRefused(await stranger('DELETE', `/ideas/${idea.id}`), 'delete');
+
+  const ideas = (await owner('GET', '/ideas')).body;
+  assert.equal(ideas.find(row => row.id === idea.id).title, 'Private idea');
+});
+
+test('notes', async () => {
+  const note = await created(await owner('POST', '/notes', { title: 'Private note', content: 'secret' }));
+
+  assertRefused(await stranger('GET', `/notes/${note.id}`), 'read');
+  await assertNotListed('/notes', note.id);
+  assertRefused(await stranger('PUT', `/notes/${note.id}`, { title: 'Taken', content: '' }), 'update');
+  assertRefused(await stranger('DELETE', `/notes/${note.id}`), 'delete');
+
+  assert.equal((await owner('GET', `/notes/${note.id}`)).body.title, 'Private note');
+});
+
+test('voice recordings', async () => {
+  const audio = Buffer.from('not really audio');
+  const recording = await created(
+    await owner('POST', '/recordings?title=Private%20memo', audio, { 'Content-Type': 'audio/webm' })
+  );
+
+  assertRefused(await stranger('GET', `/recordings/${recording.id}/audio`), 'read');
+  await assertNotListed('/recordings', recording.id);
+  assertRefused(await stranger('PUT', `/recordings/${recording.id}`, { title: 'Taken' }), 'update');
+  assertRefused(await stranger('DELETE', `/recordings/${recording.id}`), 'delete');
+
+  const played = await owner('GET', `/recordings/${recording.id}/audio`);
+  assert.equal(played.status, 200);
+  assert.equal(played.body, 'not really audio');
+});
+
+test('deadlines', async () => {
+  const deadline = await created(await owner('POST', '/deadlines', { title: 'Private deadline', due_date: '2030-01-01' }));
+
+  await assertNotListed('/deadlines', deadline.id);
+  assertRefused(await stranger('PUT', `/deadlines/${deadline.id}`, { title: 'Taken', due_date: '2030-01-01' }), 'update');
+  assertRefused(await stranger('DELETE', `/deadlines/${deadline.id}`), 'delete');
+
+  const deadlines = (await owner('GET', '/deadlines')).body;
+  assert.equal(deadlines.find(row => row.id === deadline.id).title, 'Private deadline');
+});
+
+test('future work', async () => {
+  const item = await created(await owner('POST', '/future_work', { title: 'Private plan' }));
+
+  await assertNotListed('/future_work', item.id);
+  assertRefused(await stranger('PUT', `/future_work/${item.id}`, { title: 'Taken' }), 'update');
+  assertRefused(await stranger('DELETE', `/future_work/${item.id}`), 'delete');
+
+  const items = (await owner('GET', '/future_work')).body;
+  assert.equal(items.find(row => row.id === item.id).title, 'Private plan');
+});
+
+test('career goals and their history', async () => {
+  const goal = await created(await owner('POST', '/career_goals', { title: 'Private goal', progress: 10 }));
+  const entry = await created(await owner('POST', `/career_goals/${goal.id}/history`, { progress: 20, note: 'step' }));
+
+  await assertNotListed('/career_goals', goal.id);
+  assertRefused(await stranger('GET', `/career_goals/${goal.id}/history`), 'read history');
+  assertRefused(await stranger('PUT', `/career_goals/${goal.id}`, { title: 'Taken', progress: 0 }), 'update');
+  assertRefused(await stranger('POST', `/career_goals/${goal.id}/history`, { progress: 0 }), 'add history');
+  assertRefused(await stranger('DELETE', `/career_goals/${goal.id}/history/${entry.id}`), 'delete history');
+  assertRefused(await stranger('DELETE', `/career_goals/${goal.id}`), 'delete');
+
+  const history = (await owner('GET', `/career_goals/${goal.id}/history`)).body;
+  assert.ok(history.some(row => row.id === entry.id));
+});
+
+test('calendar events', async () => {
+  const event = await created(await owner('POST', '/events', {
+    title: 'Private meeting', date: '2030-01-01', start: '09:00', end: '10:00'
+  }));
+  const body = { title: 'Taken', date: '2030-01-01', start: '09:00', end: '10:00' };
+
+  assertRefused(await stranger('GET', `/events/${event.id}`), 'read');
+  assertRefused(await stranger('PUT', `/events/${event.id}`, body), 'update');
+  assertRefused(await stranger('DELETE', `/events/${event.id}`), 'delete');
+  await assertNotListed('/calendar_events', event.id);
+  assertRefused(await stranger('PUT', `/calendar_events/${event.id}`, { title: 'Taken', event_date: '2030-01-01' }), 'legacy update');
+  assertRefused(await stranger('DELETE', `/calendar_events/${event.id}`), 'legacy delete');
+
+  assert.equal((await owner('GET', `/events/${event.id}`)).body.title, 'Private meeting');
+});
+
+test('projects and what belongs to them', async () => {
+  const project = await created(await owner('POST', '/projects', { name: 'Private project' }));
+  const task = await created(await owner('POST', `/projects/${project.id}/tasks`, { title: 'Private task' }));
+  const meeting = await created(await owner('POST', `/projects/${project.id}/meetings`, {
+    title: 'Private meeting', start_time: '2030-01-01T09:00'
+  }));
+
+  const projects = (await stranger('GET', '/projects')).body;
+  assert.ok(!projects.some(row => row.id === project.id));
+  assertRefused(await stranger('GET', `/projects/${project.id}/description`), 'read brief');
+  assertRefused(await stranger('GET', `/projects/${project.id}/tasks`), 'read tasks');
+  assertRefused(await stranger('GET', `/projects/${project.id}/meetings`), 'read meetings');
+  assertRefused(await stranger('PUT', `/projects/${project.id}`, { name: 'Taken' }), 'update');
+  assertRefused(await stranger('PUT', `/projects/${project.id}/description`, { notes: 'Taken' }), 'update brief');
+  assertRefused(await stranger('PUT', `/projects/${project.id}/tasks/${task.id}`, { title: 'Taken' }), 'update task');
+  assertRefused(await stranger('DELETE', `/projects/${project.id}/tasks/${task.id}`), 'delete task');
+  assertRefused(await stranger('DELETE', `/projects/${project.id}/meetings/${meeting.id}`), 'delete meeting');
+  assertRefused(await stranger('DELETE', `/projects/${project.id}`), 'delete');
+
+  const tasks = (await owner('GET', `/projects/${project.id}/tasks`)).body;
+  assert.equal(tasks.find(row => row.id === task.id).title, 'Private task');
+});
+
+test('publications', async () => {
+  const publication = await created(await owner('POST', '/publications', {
+    title: 'Private paper', authors: 'Owner', type: 'article', status: 'published'
+  }));
+
+  await assertNotListed('/publications', publication.id);
+  assertRefused(await stranger('PUT', `/publications/${publication.id}`, {
+    title: 'Taken', authors: 'Stranger', type: 'article', status: 'published'
+  }), 'update');
+  assertRefused(await stranger('DELETE', `/publications/${publication.id}`), 'delete');
+
+  const publications = (await owner('GET', '/publications')).body;
+  assert.equal(publications.find(row => row.id === publication.id).title, 'Private paper');
+});
+
+test('grants and their budgets', async () => {
+  const grant = await created(await owner('POST', '/grants', { title: 'Private grant', status: 'active', amount: 1000 }));
+
+  assertRefused(await stranger('GET', `/grants/${grant.id}`), 'read');
+  await assertNotListed('/grants', grant.id);
+  assertRefused(await stranger('PUT', `/grants/${grant.id}`, { title: 'Taken', status: 'active', amount: 1 }), 'update');
+  assertRefused(await stranger('POST', `/grants/${grant.id}/budget-lines`, { category: 'Travel', amount: 1 }), 'add budget line');
+  assertRefused(await stranger('DELETE', `/grants/${grant.id}`), 'delete');
+
+  assert.equal((await owner('GET', `/grants/${grant.id}`)).body.title, 'Private grant');
+});
+
+test('reminders and notifications', async () => {
+  const now = new Date().toISOString();
+  const reminder = await server.db.query(
+    `INSERT INTO reminders (user_email, source_type, source_id, occurrence, title, due_at, fire_at, created_date)
+     VALUES ('owner@example.com', 'deadline', 1, 'test', 'Private reminder', $1, $1, $2) RETURNING id`,
+    [now, now]
+  );
+  const notification = await server.db.query(
+    `INSERT INTO notifications (user_email, type, title, created_date)
+     VALUES ('owner@example.com', 'reminder', 'Private notification', $1) RETURNING id`,
+    [now]
+  );
+  const reminderId = reminder.rows[0].id;
+  const notificationId = notification.rows[0].id;
+
+  await assertNotListed('/reminders', reminderId);
+  assertRefused(await stranger('POST', `/reminders/${reminderId}/snooze`, { minutes: 5 }), 'snooze');
+  assertRefused(await stranger('POST', `/reminders/${reminderId}/dismiss`), 'dismiss');
+  await assertNotListed('/notifications', notificationId);
+  assertRefused(await stranger('POST', `/notifications/${notificationId}/read`), 'mark read');
+
+  const reminders = (await owner('GET', '/reminders')).body;
+  assert.equal(reminders.find(row => row.id === reminderId).status, 'scheduled');
+  const notifications = (await owner('GET', '/notifications')).body;
+  assert.equal(notifications.find(row => row.id === notificationId).read, false);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { downloadFilename, renderBriefPdf } = require("../lib/pdf");
+const { startServer } = require("./helpers/app");
+
+// ===================== PDF EXPORT =====================
+
+function pageCount(pdf) {
+  return Number(pdf.toString('latin1').match(/\/Count (\d+)/)[1]);
+}
+
+test('download filenames are plain slugs', () => {
+  assert.equal(downloadFilename(['Jane Doe', 'cv'], 'pdf'), 'jane-doe-cv.pdf');
+  assert.equal(downloadFilename(['  José Núñez! ', '', null, 'biosketch'], 'tex'), 'jose-nunez-biosketch.tex');
+  assert.equal(downloadFilename(['../../etc/passwd'], 'pdf'), 'etc-passwd.pdf');
+  assert.equal(downloadFilename(['日本語'], 'pdf'), 'document.pdf');
+  assert.equal(downloadFilename(['x'.repeat(200)], 'pdf'), `${'x'.repeat(80)}.pdf`);
+});
+
+test('a brief that runs long breaks onto more pages', async () => {
+  const short = await renderBriefPdf({ projectName: 'Outreach', owner: 'a@example.com', brief: { notes: 'Short.' }, revision: 2, status: 'draft' });
+  assert.ok(Buffer.isBuffer(short));
+  assert.equal(short.subarray(0, 5).toString('latin1'), '%PDF-');
+  assert.equal(pageCount(short), 1);
+
+  const long = await renderBriefPdf({ projectName: 'Outreach', brief: { notes: 'A long paragraph. '.repeat(800), objectives: 'More.' } });
+  assert.ok(pageCount(long) > 1);
+});
+
+// ===================== PDF DOWNLOADS =====================
+
+let server;
+let owner;
+let outsider;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('pdf-owner@example.com');
+  outsider = await server.signUp('pdf-outsider@example.com');
+});
+
+after(() => server.close());
+
+function assertPdfDownload(response, filename) {
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.match(response.headers.get('content-disposition'), new RegExp(`^attachment; filename="${filename}"`));
+  assert.ok(response.body.startsWith('%PDF-'));
+}
+
+test('project briefs download as PDFs for members only', async () => {
+  const project = (await owner('POST', '/projects', { name: 'Field Study 2025' })).body;
+  await owner('PUT', `/projects/${project.id}/description`, { projectTitle: 'Field study', notes: 'Overview', clientName: 'Dr. Reviewer' });
+  const url = `/projects/${project.id}/description/pdf`;
+
+  assertPdfDownload(await owner('GET', url), 'field-study-2025-brief.pdf');
+  assert.equal((await outsider('GET', url)).status, 404);
+
+  await owner('POST', `/projects/${project.id}/members`, { email: 'pdf-outsider@example.com', role: 'viewer' });
+  assertPdfDownload(await outsider('GET', url), 'field-study-2025-brief.pdf');
+});
+
+test('resumes download as PDFs named after the person and template', async () => {
+  await owner('POST', '/profile', {
+    fullName: 'Jane Doe',
+    institution: 'University of Somewhere',
+    researchDescription: 'Soil ecology.',
+    degrees: [{ degree: 'PhD', institution: 'Somewhere', year: '2015' }]
+  });
+
+  assertPdfDownload(await owner('GET', '/generate-resume?format=pdf'), 'jane-doe-cv.pdf');
+  assertPdfDownload(await owner('GET', '/generate-resume?template=biosketch&format=pdf'), 'jane-doe-biosketch.pdf');
+  assert.equal((await outsider('GET', '/generate-resume?format=pdf')).status, 404);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== PROJECTS =====================
+
+let server;
+let owner;
+let member;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('project-owner@example.com');
+  member = await server.signUp('project-member@example.com');
+});
+
+after(() => server.close());
+
+test('deleting a project is all or nothing', async () => {
+  const project = (await owner('POST', '/projects', { name: 'Doomed' })).body;
+  await owner('POST', `/projects/${project.id}/members`, { email: 'project-member@example.com', role: 'editor' });
+  const meeting = (await owner('POST', `/projects/${project.id}/meetings`, {
+    start_time: '2030-01-01T09:00',
+    action_items: [{ description: 'Write it up', assignee_email: 'project-member@example.com', due_date: '2030-01-10' }]
+  })).body;
+  assert.equal((await member('GET', '/deadlines')).body.length, 1);
+
+  // The last step fails: the deadline and the membership deleted before it come back
+  await server.db.exec(`
+    CREATE FUNCTION refuse_delete() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'refused'; END; $$ LANGUAGE plpgsql;
+    CREATE TRIGGER refuse_project_delete BEFORE DELETE ON projects FOR EACH ROW EXECUTE FUNCTION refuse_delete();
+  `);
+  try {
+    assert.equal((await owner('DELETE', `/projects/${project.id}`)).status, 500);
+  } finally {
+    await server.db.exec('DROP TRIGGER refuse_project_delete ON projects; DROP FUNCTION refuse_delete();');
+  }
+  assert.equal((await member('GET', '/deadlines')).body.length, 1);
+  assert.equal((await member('GET', `/projects/${project.id}/meetings`)).body[0].id, meeting.id);
+
+  assert.equal((await owner('DELETE', `/projects/${project.id}`)).status, 200);
+  assert.deepEqual((await member('GET', '/deadlines')).body, []);
+  assert.equal((await member('GET', `/projects/${project.id}/meetings`)).status, 404);
+});
+
+test('each route needs the role it names, and outsiders can\'t see the project', async () => {
+  const project = (await owner('POST', '/projects', { name: 'Roles' })).body;
+  const editor = await server.signUp('project-editor@example.com');
+  const viewer = await server.signUp('project-viewer@example.com');
+  const outsider = await server.signUp('project-outsider@example.com');
+  await owner('POST', `/projects/${project.id}/members`, { email: 'Project-Editor@example.com', role: 'editor' });
+  const viewing = (await owner('POST', `/projects/${project.id}/members`, { email: 'project-viewer@example.com', role: 'viewer' })).body;
+
+  const base = `/projects/${project.id}`;
+  // Expected status for the owner, an editor, a viewer and someone not on the team
+  const matrix = [
+    ['GET', `${base}/members`, undefined, [200, 200, 200, 404]],
+    ['GET', `${base}/tasks`, undefined, [200, 200, 200, 404]],
+    ['GET', `${base}/description`, undefined, [200, 200, 200, 404]],
+    ['PUT', base, { name: 'Renamed' }, [200, 200, 403, 404]],
+    ['POST', `${base}/tasks`, { title: 'Draft' }, [200, 200, 403, 404]],
+    ['POST', `${base}/milestones`, { title: 'Start', start_date: '2030-01-01', end_date: '2030-01-02' }, [200, 200, 403, 404]],
+    ['PUT', `${base}/members/${viewing.id}`, { role: 'viewer' }, [200, 403, 403, 404]],
+    ['POST', `${base}/description/submit`, { client_email: 'client@example.com' }, [null, 403, 403, 404]],
+    ['DELETE', base, undefined, [null, 403, 403, 404]]
+  ];
+  const callers = [owner, editor, viewer, outsider];
+  for (const [method, url, body, statuses] of matrix) {
+    for (const [i, caller] of callers.entries()) {
+      if (statuses[i] === null) continue;
+      const response = await caller(method, url, body);
+      assert.equal(response.status, statuses[i], `${method} ${url} as ${['owner', 'editor', 'viewer', 'outsider'][i]}`);
+      if (statuses[i] === 403) assert.match(response.body.error, /needs (editor|owner) access/);
+    }
+  }
+
+  assert.equal((await owner('GET', '/projects/not-a-number/members')).status, 404);
+  assert.equal((await owner('GET', '/projects/999999/members')).status, 404);
+  assert.deepEqual((await viewer('GET', '/projects')).body.map(p => [p.id, p.role]), [[project.id, 'viewer']]);
+
+  // A new role applies straight away
+  const editing = (await owner('GET', `${base}/members`)).body.members.find(m => m.email === 'project-editor@example.com');
+  await owner('PUT', `${base}/members/${editing.id}`, { role: 'viewer' });
+  assert.equal((await editor('PUT', base, { name: 'Again' })).status, 403);
+
+  // Members can leave, but only owners remove others
+  assert.equal((await viewer('DELETE', `${base}/members/${editing.id}`)).status, 404);
+  assert.equal((await viewer('DELETE', `${base}/members/${viewing.id}`)).status, 200);
+  assert.equal((await viewer('GET', `${base}/members`)).status, 404);
+  assert.equal((await owner('DELETE', `${base}/members/${editing.id}`)).status, 200);
+  assert.equal((await editor('GET', `${base}/tasks`)).status, 404);
+});
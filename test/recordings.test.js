@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== VOICE RECORDINGS =====================
+
+let server;
+let user;
+let note;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('recordings@example.com');
+  note = (await user('POST', '/notes', { title: 'With audio', content: '' })).body;
+});
+
+after(() => server.close());
+
+function upload(query = '') {
+  return user('POST', `/recordings?title=Memo${query}`, Buffer.from('audio'), { 'Content-Type': 'audio/webm' });
+}
+
+test('renaming a recording keeps its note', async () => {
+  const recording = (await upload(`&note_id=${note.id}`)).body;
+  assert.equal(recording.note_id, note.id);
+
+  const renamed = await user('PUT', `/recordings/${recording.id}`, { title: 'Renamed' });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.title, 'Renamed');
+  assert.equal(renamed.body.note_id, note.id);
+
+  const detached = await user('PUT', `/recordings/${recording.id}`, { note_id: null });
+  assert.equal(detached.body.title, 'Renamed');
+  assert.equal(detached.body.note_id, null);
+});
+
+test('a note_id that is not a note id is refused', async () => {
+  const recording = (await upload()).body;
+  for (const noteId of ['abc', '1.5', '-1', '0', '99999999999']) {
+    assert.equal((await user('GET', `/recordings?note_id=${noteId}`)).status, 400, noteId);
+    assert.equal((await upload(`&note_id=${noteId}`)).status, 400, noteId);
+  }
+  for (const noteId of ['abc', 1.5, -1, [1], { id: 1 }, true]) {
+    assert.equal((await user('PUT', `/recordings/${recording.id}`, { note_id: noteId })).status, 400, JSON.stringify(noteId));
+  }
+
+  const listed = await user('GET', `/recordings?note_id=${note.id}`);
+  assert.equal(listed.status, 200);
+});
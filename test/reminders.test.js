@@ -0,0 +1,87 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createChannels, checkWebhookUrl } = require("../lib/reminders");
+const { startServer } = require("./helpers/app");
+
+// ===================== REMINDER WEBHOOKS =====================
+// A webhook URL must not reach the server's own network: loopback, private,
+// link-local (cloud metadata) and reserved addresses are refused when the URL
+// is saved and again when a reminder is delivered.
+
+const INTERNAL_URLS = [
+  'http://localhost:8080/hook',
+  'http://127.0.0.1/hook',
+  'http://169.254.169.254/latest/meta-data',
+  'http://10.0.0.1/',
+  'http://192.168.1.10/',
+  'http://[::1]/',
+  'http://[::ffff:127.0.0.1]/',
+  'http://0.0.0.0/'
+];
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('webhooks@example.com');
+});
+
+after(() => server.close());
+
+const reminder = {
+  id: 1, source_type: 'deadline', source_id: 1, title: 'Due', body: '',
+  due_at: '2030-01-01T00:00:00.000Z', fire_at: '2030-01-01T00:00:00.000Z'
+};
+
+function webhookChannel() {
+  return createChannels({ notify: async () => {}, sendMail: async () => {}, baseUrl: 'http://portal.example.com' }).webhook;
+}
+
+test('internal addresses cannot be saved as a webhook', async () => {
+  for (const webhookUrl of INTERNAL_URLS) {
+    const response = await user('PUT', '/reminders/settings', { channels: ['inbox', 'webhook'], webhookUrl });
+    assert.equal(response.status, 400, webhookUrl);
+    assert.match(response.body.error, /public address/, webhookUrl);
+  }
+
+  const ftp = await user('PUT', '/reminders/settings', { channels: ['webhook'], webhookUrl: 'ftp://example.com/' });
+  assert.equal(ftp.status, 400);
+
+  const settings = await user('GET', '/reminders/settings');
+  assert.ok(!settings.body.webhookUrl);
+});
+
+test('internal addresses are refused at delivery too', async () => {
+  for (const webhookUrl of INTERNAL_URLS) {
+    await assert.rejects(webhookChannel().deliver(reminder, { webhook_url: webhookUrl, webhook_secret: 's' }), /public address/);
+  }
+});
+
+test('hosts on WEBHOOK_ALLOWED_HOSTS may be internal', async () => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ signature: req.headers['x-portal-signature'], body: JSON.parse(body) });
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const webhookUrl = `http://localhost:${receiver.address().port}/hook`;
+
+  process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.example.com, localhost';
+  try {
+    assert.equal(await checkWebhookUrl(webhookUrl), null);
+    await webhookChannel().deliver(reminder, { webhook_url: webhookUrl, webhook_secret: 's' });
+  } finally {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    await new Promise(resolve => receiver.close(resolve));
+  }
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].body.title, 'Due');
+  assert.match(received[0].signature, /^sha256=/);
+});
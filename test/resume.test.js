@@ -0,0 +1,234 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  RESUME_TEMPLATES, resumeData, resumeOptions, buildResume, renderResumeHtml, renderResumeLatex, renderJsonResume
+} = require("../lib/resume");
+const { startServer } = require("./helpers/app");
+
+// ===================== RESUME HTML =====================
+// A profile filled with payloads must come out as text: no markup of its own,
+// no script URLs, no attribute break-outs.
+
+const SCRIPT = '<script>alert(1)</script>';
+const IMAGE = '<img src=x onerror=alert(1)>';
+const BREAKOUT = '" onmouseover="alert(1)';
+
+function render(profile, { publications = [], grants = [], query = { template: 'cv' } } = {}) {
+  const options = resumeOptions(query);
+  return renderResumeHtml(buildResume(resumeData(profile, { publications, grants }), options), { pdfHref: '?format=pdf' });
+}
+
+function maliciousProfile(overrides = {}) {
+  return {
+    full_name: SCRIPT,
+    designation: IMAGE,
+    department: BREAKOUT,
+    institution: '</div><script>alert(1)</script>',
+    official_email: 'a@example.com"><script>alert(1)</script>',
+    phone: IMAGE,
+    website: 'javascript:alert(document.cookie)',
+    scholar_link: 'javascript:alert(1)',
+    research_description: SCRIPT,
+    research_keywords: `${IMAGE}, ${BREAKOUT}`,
+    degrees: JSON.stringify([{ degree: SCRIPT, specialization: IMAGE, institution: BREAKOUT, year: SCRIPT, thesis: IMAGE }]),
+    employment: JSON.stringify([{ position: SCRIPT, organization: IMAGE, duration: BREAKOUT, responsibilities: SCRIPT }]),
+    awards: JSON.stringify([{ title: SCRIPT, description: IMAGE, organization: BREAKOUT, year: '2020' }]),
+    courses: JSON.stringify([{ courseName: SCRIPT, courseCode: IMAGE, semester: BREAKOUT }]),
+    professional_activities: SCRIPT,
+    skills: IMAGE,
+    outreach_service: BREAKOUT,
+    ...overrides
+  };
+}
+
+// The page's own markup has no scripts, and its only handler is the print button
+function assertNoInjectedMarkup(page) {
+  assert.ok(!/<script/i.test(page), 'page contains a <script> element');
+  assert.ok(!/<img/i.test(page), 'page contains an <img> element');
+  assert.ok(!/(href|src|action)\s*=\s*["']?\s*javascript:/i.test(page), 'page links to a javascript: URL');
+  // Attributes of the real tags, with their (escaped) quoted values left out
+  const attributes = (page.match(/<[a-z][^>]*>/gi) || []).map(tag => tag.replace(/"[^"]*"/g, '""')).join(' ');
+  assert.deepEqual(attributes.match(/\son\w+=/gi), [' onclick='], 'page has event handlers besides the print button');
+}
+
+test('profile fields are escaped in the resume', () => {
+  const page = render(maliciousProfile());
+
+  assertNoInjectedMarkup(page);
+  assert.ok(page.includes('<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1>'));
+  assert.ok(page.includes('<title>Resume - &lt;script&gt;alert(1)&lt;/script&gt;</title>'));
+  assert.ok(page.includes('&quot; onmouseover=&quot;alert(1)'));
+});
+
+test('a javascript: website is shown as text, never linked', () => {
+  const page = render(maliciousProfile());
+
+  assertNoInjectedMarkup(page);
+  assert.ok(page.includes('<span>🌐 javascript:alert(document.cookie)</span>'));
+  assert.ok(!page.includes('Google Scholar'));
+});
+
+test('website links are kept when they are http(s)', () => {
+  const page = render(maliciousProfile({ website: 'example.com/"><script>', scholar_link: 'https://scholar.example.com/?a=1&b=2' }));
+
+  assertNoInjectedMarkup(page);
+  assert.ok(page.includes('href="https://scholar.example.com/?a=1&amp;b=2"'));
+  assert.ok(!page.includes('href="https://example.com/"'));
+});
+
+test('publications and grants are escaped', () => {
+  const page = render(maliciousProfile(), {
+    query: { template: 'cv', sections: 'publications,grants' },
+    publications: [{ title: SCRIPT, authors: [IMAGE], venue: BREAKOUT, year: 2020, status: 'published', doi: `10.1/${SCRIPT}` }],
+    grants: [{ title: SCRIPT, role: IMAGE, agency: BREAKOUT, amount: 1000, currency: 'USD', status: 'active', grant_number: SCRIPT }]
+  });
+
+  assertNoInjectedMarkup(page);
+  assert.ok(page.includes('doi:10.1/&lt;script&gt;'));
+  assert.ok(page.includes('Award number: &lt;script&gt;'));
+});
+
+test('every template escapes the payloads', () => {
+  for (const template of Object.keys(RESUME_TEMPLATES)) {
+    assertNoInjectedMarkup(render(maliciousProfile(), { query: { template } }));
+  }
+});
+
+// ===================== RESUME TEMPLATES =====================
+
+const PROFILE = {
+  full_name: 'Jane Doe',
+  designation: 'Associate Professor',
+  department: 'Ecology',
+  institution: 'University of Somewhere',
+  official_email: 'jane@example.edu',
+  website: 'janedoe.example.com',
+  research_description: 'Soil carbon & microbes.',
+  research_keywords: 'soil, carbon',
+  degrees: JSON.stringify([{ degree: 'PhD', specialization: 'Ecology', institution: 'Big University', year: '2010', thesis: 'Roots' }]),
+  employment: JSON.stringify([{ position: 'Lecturer', organization: 'Small College', duration: '2011 - 2016', responsibilities: 'Teaching' }]),
+  courses: JSON.stringify([{ courseName: 'Soils', courseCode: 'ECO 101', semester: 'Fall 2020' }]),
+  awards: JSON.stringify([{ title: 'Young Investigator', organization: 'Society', year: '2018' }]),
+  professional_activities: ['- Reviewer', '- Editor', '- Panelist', '- Mentor', '- Organizer', '- Chair'].join('\n'),
+  skills: 'R, Python'
+};
+
+function publications(count, status = 'published') {
+  return Array.from({ length: count }, (_, i) => ({ title: `Paper ${i + 1}`, authors: ['Jane Doe'], venue: 'Journal', year: 2020, status, doi: '' }));
+}
+
+function build(query, extra) {
+  const options = resumeOptions(query);
+  return buildResume(resumeData(PROFILE, extra), options);
+}
+
+test('templates pick their sections, and ?sections= picks from those in template order', () => {
+  assert.deepEqual(resumeOptions({}).sections, RESUME_TEMPLATES.cv.defaults);
+  assert.equal(resumeOptions({}).format, 'html');
+  assert.deepEqual(resumeOptions({ template: 'biosketch' }).sections, ['education', 'experience', 'publications', 'activities']);
+  assert.deepEqual(resumeOptions({ sections: 'skills, research' }).sections, ['research', 'skills']);
+  assert.deepEqual(resumeOptions({ sections: ['awards', 'education'] }).sections, ['education', 'awards']);
+  assert.deepEqual(resumeOptions({ sections: '' }).sections, []);
+
+  assert.deepEqual(resumeOptions({ template: 'nih' }), { error: "Template must be one of: cv, biosketch." });
+  assert.deepEqual(resumeOptions({ format: 'docx' }), { error: "Format must be one of: html, pdf, tex, json." });
+  assert.deepEqual(resumeOptions({ sections: 'research,hobbies' }), { error: "Unknown resume sections: hobbies." });
+});
+
+test('sections with nothing in them are left out', () => {
+  const resume = build({ template: 'cv' });
+  assert.deepEqual(resume.sections.map(section => section.key), ['research', 'education', 'experience', 'teaching', 'awards', 'activities', 'skills']);
+  assert.equal(resume.websiteUrl, 'https://janedoe.example.com');
+});
+
+test('the biosketch keeps to NSF headings and limits', () => {
+  const resume = build({ template: 'biosketch' }, { publications: [...publications(1, 'submitted'), ...publications(12)] });
+  assert.equal(resume.compact, true);
+  assert.deepEqual(resume.sections.map(section => section.title),
+    ['Professional Preparation', 'Appointments and Positions', 'Products', 'Synergistic Activities']);
+
+  const [education, experience, products, activities] = resume.sections;
+  assert.deepEqual(education.entries, [{ title: 'Big University', subtitle: 'Ecology', date: 'PhD, 2010' }]);
+  assert.deepEqual(experience.entries, [{ title: 'Lecturer, Small College', date: '2011 - 2016' }]);
+  // Submitted work isn't a product, and there are ten at most
+  assert.equal(products.entries.length, 10);
+  assert.equal(products.entries[0].title, 'Paper 1');
+  assert.deepEqual(activities.items, ['Reviewer', 'Editor', 'Panelist', 'Mentor', 'Organizer']);
+});
+
+test('LaTeX output escapes the profile text', () => {
+  const tex = renderResumeLatex(build({ template: 'cv', sections: 'research,skills' }));
+  assert.match(tex, /^% Generated by Research Portal\n\\documentclass\[11pt\]\{article\}/);
+  assert.match(tex, /\\usepackage\[margin=1in\]\{geometry\}/);
+  assert.match(tex, /\{\\LARGE\\bfseries Jane Doe\}/);
+  assert.match(tex, /\\href\{https:\/\/janedoe\.example\.com\}\{janedoe\.example\.com\}/);
+  assert.match(tex, /\\section\*\{Research Interests\}\nSoil carbon \\& microbes\./);
+  assert.doesNotMatch(tex, /\\section\*\{Education\}/);
+  assert.match(tex, /\\end\{document\}\n$/);
+
+  const hostile = renderResumeLatex(buildResume(resumeData({ full_name: '50% \\input{x} $_#~^' }), resumeOptions({ sections: '' })));
+  assert.match(hostile, /\{\\LARGE\\bfseries 50\\% \\textbackslash\{\}input\\\{x\\\} \\\$\\_\\#\\textasciitilde\{\}\\textasciicircum\{\}\}/);
+});
+
+test('JSON Resume output holds only the chosen sections', () => {
+  const data = resumeData(PROFILE, { publications: publications(1), grants: [{ title: 'Soil grant', agency: 'NSF', role: 'PI', amount: 50000, currency: 'USD', status: 'active', start_date: '2021-01-01', end_date: null }] });
+  const full = renderJsonResume(data, resumeOptions({}));
+  assert.deepEqual(full.basics, {
+    name: 'Jane Doe', label: 'Associate Professor, Ecology', email: 'jane@example.edu', phone: '',
+    url: 'https://janedoe.example.com', summary: 'Soil carbon & microbes.', profiles: []
+  });
+  assert.deepEqual(full.education, [{ institution: 'Big University', area: 'Ecology', studyType: 'PhD', endDate: '2010' }]);
+  assert.deepEqual(full.work, [{ name: 'Small College', position: 'Lecturer', summary: 'Teaching', startDate: '2011', endDate: '2016' }]);
+  assert.deepEqual(full.projects.map(project => [project.type, project.name, project.description]),
+    [['grant', 'Soil grant', '$50,000, active'], ['course', 'Soils (ECO 101)', '']]);
+  assert.deepEqual(full.skills, [{ name: 'Skills & Tools', keywords: ['R', 'Python'] }]);
+
+  const chosen = renderJsonResume(data, resumeOptions({ sections: 'education' }));
+  assert.deepEqual(Object.keys(chosen), ['$schema', 'basics', 'education', 'meta']);
+  assert.equal(chosen.basics.summary, '');
+});
+
+// ===================== RESUME DOWNLOADS =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('resume@example.com');
+});
+
+after(() => server.close());
+
+test('resumes come in every format, from the signed-in user\'s profile', async () => {
+  assert.equal((await user('GET', '/generate-resume')).status, 404);
+  await user('POST', '/profile', {
+    fullName: 'Jane Doe',
+    researchDescription: 'Soil carbon.',
+    degrees: [{ degree: 'PhD', institution: 'Big University', year: '2010' }]
+  });
+
+  const templates = (await user('GET', '/resume-templates')).body;
+  assert.deepEqual(templates.templates.map(template => template.id), ['cv', 'biosketch']);
+  assert.deepEqual(templates.formats, ['html', 'pdf', 'tex', 'json']);
+
+  const page = await user('GET', '/generate-resume?template=biosketch&sections=education');
+  assert.equal(page.status, 200);
+  assert.match(page.body, /Professional Preparation/);
+  assert.doesNotMatch(page.body, /Research Interests/);
+  assert.match(page.body, /href="\?template=biosketch&amp;format=pdf&amp;sections=education"/);
+
+  const tex = await user('GET', '/generate-resume?format=tex');
+  assert.equal(tex.headers.get('content-type'), 'application/x-tex; charset=utf-8');
+  assert.match(tex.headers.get('content-disposition'), /filename="jane-doe-cv\.tex"/);
+  assert.match(tex.body, /\\section\*\{Education\}/);
+
+  const json = await user('GET', '/generate-resume?format=json&sections=research');
+  assert.match(json.headers.get('content-disposition'), /filename="jane-doe-resume\.json"/);
+  assert.equal(json.body.basics.summary, 'Soil carbon.');
+  assert.equal(json.body.education, undefined);
+
+  const refused = await user('GET', '/generate-resume?format=docx');
+  assert.equal(refused.status, 400);
+  assert.match(refused.body, /Format must be one of: html, pdf, tex, json\./);
+});
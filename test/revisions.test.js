@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== BRIEF REVISIONS =====================
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('revisions@example.com');
+});
+
+after(() => server.close());
+
+async function newProject(name) {
+  return (await owner('POST', '/projects', { name })).body;
+}
+
+test('each save is a revision, and the brief held before the first one is kept', async () => {
+  const project = await newProject('Versioned');
+  await server.db.query("UPDATE projects SET objectives = 'Written before revisions' WHERE id = $1", [project.id]);
+  const base = `/projects/${project.id}/description`;
+
+  const first = await owner('PUT', base, { projectTitle: 'Draft', objectives: 'Reach students' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.revision.revision_number, 2);
+  await owner('PUT', base, { projectTitle: 'Final', objectives: 'Reach students', timeline: 'Spring' });
+
+  const revisions = (await owner('GET', `${base}/revisions`)).body;
+  assert.deepEqual(revisions.map(r => [r.revision_number, r.author_email, r.changed_fields]), [
+    [3, 'revisions@example.com', ['projectTitle', 'timeline']],
+    [2, 'revisions@example.com', ['projectTitle', 'objectives']],
+    [1, null, ['objectives']]
+  ]);
+
+  const original = (await owner('GET', `${base}/revisions/1`)).body;
+  assert.equal(original.data.objectives, 'Written before revisions');
+  assert.equal((await owner('GET', `${base}/revisions/4`)).status, 404);
+  assert.equal((await owner('GET', `${base}/revisions/abc`)).status, 404);
+});
+
+test('revisions are compared field by field, with each other or the current brief', async () => {
+  const project = await newProject('Compared');
+  const base = `/projects/${project.id}/description`;
+  await owner('PUT', base, { projectTitle: 'One', notes: 'Keep' });
+  await owner('PUT', base, { projectTitle: 'Two', notes: 'Keep', callAction: 'Sign up' });
+  await owner('PUT', base, { projectTitle: 'Three', notes: '' });
+
+  const between = (await owner('GET', `${base}/diff?from=1&to=2`)).body;
+  assert.deepEqual(between, {
+    from: 1,
+    to: 2,
+    changes: [
+      { field: 'projectTitle', from: 'One', to: 'Two' },
+      { field: 'callAction', from: '', to: 'Sign up' }
+    ]
+  });
+
+  const current = (await owner('GET', `${base}/diff?from=1`)).body;
+  assert.equal(current.to, 'current');
+  assert.deepEqual(current.changes, [
+    { field: 'projectTitle', from: 'One', to: 'Three' },
+    { field: 'notes', from: 'Keep', to: '' }
+  ]);
+  assert.deepEqual((await owner('GET', `${base}/diff?from=3`)).body.changes, []);
+
+  assert.equal((await owner('GET', `${base}/diff`)).status, 400);
+  assert.equal((await owner('GET', `${base}/diff?from=9`)).status, 404);
+  assert.equal((await owner('GET', `${base}/diff?from=1&to=9`)).status, 404);
+});
+
+test('restoring saves the old brief as a new revision', async () => {
+  const project = await newProject('Restored');
+  const base = `/projects/${project.id}/description`;
+  await owner('PUT', base, { projectTitle: 'Good', objectives: 'Clear' });
+  await owner('PUT', base, { projectTitle: 'Worse' });
+
+  const restored = await owner('POST', `${base}/revisions/1/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restored, 1);
+  assert.equal(restored.body.revision.revision_number, 3);
+  assert.equal(restored.body.revision.restored_from, 1);
+  assert.equal(restored.body.data.objectives, 'Clear');
+
+  const brief = (await owner('GET', base)).body;
+  assert.equal(brief.projectTitle, 'Good');
+  assert.equal(brief.objectives, 'Clear');
+  assert.deepEqual((await owner('GET', `${base}/diff?from=1`)).body.changes, []);
+  assert.deepEqual((await owner('GET', `${base}/revisions`)).body.map(r => [r.revision_number, r.restored_from]),
+    [[3, 1], [2, null], [1, null]]);
+
+  assert.equal((await owner('POST', `${base}/revisions/7/restore`)).status, 404);
+  const other = await newProject('Elsewhere');
+  assert.equal((await owner('POST', `/projects/${other.id}/description/revisions/1/restore`)).status, 404);
+});
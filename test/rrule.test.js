@@ -0,0 +1,173 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRrule, formatRrule, occurrences, isOccurrence, countBefore } = require("../lib/rrule");
+const { startServer } = require("./helpers/app");
+
+// ===================== RECURRENCE RULES =====================
+
+function rule(text) {
+  const parsed = parseRrule(text);
+  assert.equal(parsed.error, undefined, text);
+  return parsed.rule;
+}
+
+function expand(startDate, text, range) {
+  return occurrences(startDate, rule(text), range);
+}
+
+test('rules are parsed and written back in one order', () => {
+  assert.equal(formatRrule(rule('RRULE:freq=monthly;count=10;byday=2TU,-1FR;interval=2;wkst=SU')),
+    'FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,-1FR;WKST=SU;COUNT=10');
+  assert.equal(formatRrule(rule('FREQ=YEARLY;UNTIL=20300101;BYMONTH=2,8;BYMONTHDAY=1')),
+    'FREQ=YEARLY;BYMONTHDAY=1;BYMONTH=2,8;UNTIL=20300101');
+  assert.equal(rule('FREQ=DAILY;UNTIL=20250630').until, '2025-06-30');
+});
+
+test('rules that can\'t be expanded are refused', () => {
+  const errors = {
+    '': "Recurrence rule is empty.",
+    'INTERVAL=2': "Recurrence rule needs a FREQ.",
+    'FREQ=HOURLY': "FREQ must be one of: DAILY, WEEKLY, MONTHLY, YEARLY.",
+    'FREQ=DAILY;COUNT=3;UNTIL=20250630': "A recurrence rule can't have both COUNT and UNTIL.",
+    'FREQ=WEEKLY;BYDAY=2TU': "Numbered weekdays like 2TU only apply to monthly and yearly rules.",
+    'FREQ=DAILY;UNTIL=2025': "UNTIL must be a date like 20250630.",
+    'FREQ=DAILY;BYSETPOS=1': "BYSETPOS isn't supported in recurrence rules."
+  };
+  for (const [text, error] of Object.entries(errors)) {
+    assert.deepEqual(parseRrule(text), { error }, text);
+  }
+});
+
+test('weekly rules repeat on their weekdays every INTERVAL weeks', () => {
+  assert.deepEqual(expand('2025-01-06', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5'),
+    ['2025-01-06', '2025-01-08', '2025-01-20', '2025-01-22', '2025-02-03']);
+  // The start date is the first occurrence even off the rule's weekdays
+  assert.deepEqual(expand('2025-01-08', 'FREQ=WEEKLY;BYDAY=MO;COUNT=3'),
+    ['2025-01-08', '2025-01-13', '2025-01-20']);
+});
+
+test('monthly rules take numbered weekdays and skip months without the day', () => {
+  assert.deepEqual(expand('2025-01-14', 'FREQ=MONTHLY;BYDAY=2TU;COUNT=3'),
+    ['2025-01-14', '2025-02-11', '2025-03-11']);
+  assert.deepEqual(expand('2025-01-31', 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'),
+    ['2025-01-31', '2025-02-28', '2025-03-28']);
+  assert.deepEqual(expand('2025-01-31', 'FREQ=MONTHLY;BYMONTHDAY=31', { to: '2025-06-30' }),
+    ['2025-01-31', '2025-03-31', '2025-05-31']);
+  assert.deepEqual(expand('2025-01-31', 'FREQ=MONTHLY', { to: '2025-06-30' }),
+    ['2025-01-31', '2025-03-31', '2025-05-31']);
+});
+
+test('yearly rules follow BYMONTH and leap days', () => {
+  assert.deepEqual(expand('2025-02-01', 'FREQ=YEARLY;BYMONTH=2,8;BYMONTHDAY=1;COUNT=4'),
+    ['2025-02-01', '2025-08-01', '2026-02-01', '2026-08-01']);
+  assert.deepEqual(expand('2024-02-29', 'FREQ=YEARLY;COUNT=2'), ['2024-02-29', '2028-02-29']);
+});
+
+test('COUNT and UNTIL end a series and a range only trims it', () => {
+  assert.deepEqual(expand('2025-01-01', 'FREQ=DAILY;UNTIL=20250105'),
+    ['2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04', '2025-01-05']);
+  assert.deepEqual(expand('2025-01-01', 'FREQ=DAILY;UNTIL=20250105', { from: '2025-01-04' }),
+    ['2025-01-04', '2025-01-05']);
+  // Occurrences before `from` still count toward COUNT
+  assert.deepEqual(expand('2025-01-01', 'FREQ=DAILY;COUNT=3', { from: '2025-01-02', to: '2025-12-31' }),
+    ['2025-01-02', '2025-01-03']);
+  assert.deepEqual(expand('2025-01-01', 'FREQ=DAILY', { from: '2025-03-01', to: '2025-03-31', max: 2 }),
+    ['2025-03-01', '2025-03-02']);
+  assert.deepEqual(expand('2025-01-01', 'FREQ=DAILY', { to: '2024-12-31' }), []);
+  assert.throws(() => expand('2025-01-01', 'FREQ=DAILY'), /endless recurrence rule/);
+});
+
+test('occurrences can be looked up and counted without an end', () => {
+  const weekly = rule('FREQ=WEEKLY;BYDAY=MO,TH');
+  assert.equal(isOccurrence('2025-01-06', weekly, '2025-03-13'), true);
+  assert.equal(isOccurrence('2025-01-06', weekly, '2025-03-12'), false);
+  assert.equal(isOccurrence('2025-01-06', weekly, '2025-01-02'), false);
+  assert.equal(isOccurrence('2025-01-06', weekly, 'soon'), false);
+
+  assert.equal(countBefore('2025-01-06', weekly, '2025-01-06'), 0);
+  assert.equal(countBefore('2025-01-06', weekly, '2025-01-20'), 4);
+  assert.equal(countBefore('2025-01-06', rule('FREQ=DAILY;COUNT=3'), '2025-02-01'), 3);
+});
+
+// ===================== OCCURRENCE EXCEPTIONS =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('rrule@example.com');
+});
+
+after(() => server.close());
+
+async function january(path = '/events') {
+  const listed = await user('GET', `${path}?from=2025-01-01&to=2025-01-31&tz=UTC`);
+  assert.equal(listed.status, 200);
+  return listed.body.map(occurrence => [occurrence.date, occurrence.title]);
+}
+
+test('left out, moved and cancelled occurrences are kept apart from the series', async () => {
+  const created = await user('POST', '/events', {
+    title: 'Standup', date: '2025-01-06', start: '09:00', end: '09:15', timeZone: 'UTC',
+    rrule: 'FREQ=WEEKLY;COUNT=4', exdates: ['2025-01-13']
+  });
+  assert.equal(created.status, 200);
+  const { id } = created.body;
+  assert.deepEqual(await january(),
+    [['2025-01-06', 'Standup'], ['2025-01-20', 'Standup'], ['2025-01-27', 'Standup']]);
+
+  const moved = await user('PUT', `/events/${id}?scope=this&occurrence=2025-01-20`, { title: 'Moved', date: '2025-01-21' });
+  assert.equal(moved.status, 200);
+  assert.deepEqual(await january(),
+    [['2025-01-06', 'Standup'], ['2025-01-21', 'Moved'], ['2025-01-27', 'Standup']]);
+  const shown = await user('GET', '/events?from=2025-01-21&to=2025-01-21&tz=UTC');
+  assert.equal(shown.body[0].occurrenceDate, '2025-01-20');
+  assert.equal(shown.body[0].isException, true);
+
+  // Changing the whole series keeps what the moved occurrence changed
+  assert.equal((await user('PUT', `/events/${id}`, { date: '2025-01-06', start: '09:00', end: '09:15', title: 'Daily sync', rrule: 'FREQ=WEEKLY;COUNT=4' })).status, 200);
+  assert.deepEqual(await january(),
+    [['2025-01-06', 'Daily sync'], ['2025-01-21', 'Moved'], ['2025-01-27', 'Daily sync']]);
+
+  assert.equal((await user('DELETE', `/events/${id}?scope=this&occurrence=2025-01-27`)).status, 200);
+  assert.deepEqual(await january(), [['2025-01-06', 'Daily sync'], ['2025-01-21', 'Moved']]);
+
+  const exceptions = (await user('GET', `/events/${id}?tz=UTC`)).body.exceptions;
+  assert.deepEqual(exceptions.map(exception => [exception.occurrenceDate, exception.cancelled]),
+    [['2025-01-13', true], ['2025-01-20', false], ['2025-01-27', true]]);
+});
+
+test('changing this and following occurrences splits the series', async () => {
+  const created = (await user('POST', '/events', {
+    title: 'Review', date: '2025-01-02', start: '14:00', end: '15:00', timeZone: 'UTC', rrule: 'FREQ=WEEKLY;COUNT=4'
+  })).body;
+  assert.equal((await user('PUT', `/events/${created.id}?scope=this&occurrence=2025-01-23`, { title: 'Kept?' })).status, 200);
+
+  const split = await user('PUT', `/events/${created.id}?scope=following&occurrence=2025-01-16`, {
+    title: 'Later review', date: '2025-01-16', start: '14:00', end: '15:00', rrule: 'FREQ=WEEKLY;COUNT=4'
+  });
+  assert.equal(split.status, 200);
+  assert.equal(split.body.event.rrule, 'FREQ=WEEKLY;COUNT=2');
+
+  const series = (await user('GET', `/events/${created.id}?tz=UTC`)).body;
+  assert.equal(series.rrule, 'FREQ=WEEKLY;COUNT=2');
+  assert.deepEqual(series.exceptions, []);
+
+  const titles = (await january()).filter(([, title]) => /review/i.test(title));
+  assert.deepEqual(titles,
+    [['2025-01-02', 'Review'], ['2025-01-09', 'Review'], ['2025-01-16', 'Later review'], ['2025-01-23', 'Later review']]);
+});
+
+test('an occurrence the rule doesn\'t give can\'t be changed', async () => {
+  const created = (await user('POST', '/events', {
+    title: 'Gym', date: '2025-01-07', timeZone: 'UTC', rrule: 'FREQ=WEEKLY;COUNT=2'
+  })).body;
+  for (const occurrence of ['2025-01-08', '2025-01-21', 'next-week']) {
+    const changed = await user('PUT', `/events/${created.id}?scope=this&occurrence=${occurrence}`, { title: 'Swim' });
+    assert.equal(changed.status, 400, occurrence);
+  }
+  assert.equal((await user('DELETE', `/events/${created.id}?scope=sometimes&occurrence=2025-01-14`)).status, 400);
+  assert.equal((await user('POST', '/events', { title: 'Bad', date: '2025-01-07', rrule: 'FREQ=DAILY', exdates: '2025-01-08' })).status, 400);
+  assert.equal((await user('GET', '/events?from=2025-01-31&to=2025-01-01')).status, 400);
+});
@@ -0,0 +1,48 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== SEARCH COLUMNS =====================
+// Searchable tables carry a generated search_vector column; it is for the
+// search index only and never appears in what the API sends back.
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('search@example.com');
+});
+
+after(() => server.close());
+
+async function assertNoSearchVector(method, path, body) {
+  const response = await user(method, path, body);
+  assert.equal(response.status, 200, `${method} ${path}: ${JSON.stringify(response.body)}`);
+  assert.ok(!JSON.stringify(response.body).includes('search_vector'), `${method} ${path} sends search_vector`);
+  return response.body;
+}
+
+test('created rows leave out search_vector', async () => {
+  await assertNoSearchVector('POST', '/ideas', { title: 'An idea' });
+  await assertNoSearchVector('POST', '/notes', { title: 'A note', content: 'text' });
+  await assertNoSearchVector('POST', '/future_work', { title: 'A plan' });
+  await assertNoSearchVector('POST', '/deadlines', { title: 'A deadline', due_date: '2030-01-01' });
+  await assertNoSearchVector('POST', '/career_goals', { title: 'A goal' });
+  await assertNoSearchVector('POST', '/events', { title: 'An event', date: '2030-01-01', start: '09:00', end: '10:00' });
+  await assertNoSearchVector('POST', '/calendar_events', { title: 'A legacy event', event_date: '2030-01-01' });
+  const project = await assertNoSearchVector('POST', '/projects', { name: 'A project' });
+  await assertNoSearchVector('POST', `/projects/${project.id}/meetings`, { title: 'A meeting', start_time: '2030-01-01T09:00' });
+});
+
+test('listed rows leave out search_vector', async () => {
+  const project = (await user('GET', '/projects')).body[0];
+
+  for (const path of [
+    '/ideas', '/notes', '/future_work', '/future', '/deadlines', '/career', '/career_goals',
+    '/calendar_events', '/projects', `/projects/${project.id}/meetings`
+  ]) {
+    const rows = await assertNoSearchVector('GET', path);
+    assert.ok(rows.length > 0, `${path} lists nothing`);
+  }
+});
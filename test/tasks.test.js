@@ -0,0 +1,99 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/app");
+
+// ===================== PROJECT TASKS =====================
+
+let server;
+let owner;
+let project;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.signUp('tasks-owner@example.com');
+  await server.signUp('tasks-member@example.com');
+  project = (await owner('POST', '/projects', { name: 'Board' })).body;
+  await owner('POST', `/projects/${project.id}/members`, { email: 'tasks-member@example.com', role: 'viewer' });
+});
+
+after(() => server.close());
+
+function addTask(fields) {
+  return owner('POST', `/projects/${project.id}/tasks`, fields);
+}
+
+async function column(status) {
+  return (await owner('GET', `/projects/${project.id}/tasks?status=${status}`)).body.map(task => task.title);
+}
+
+async function progress() {
+  return (await owner('GET', '/projects')).body.find(p => p.id === project.id).progress;
+}
+
+test('progress is the share of tasks that are done', async () => {
+  const first = (await addTask({ title: 'Plan' })).body;
+  assert.equal(first.status, 'todo');
+  assert.equal(first.project_progress, 0);
+  await addTask({ title: 'Write', status: 'in-progress' });
+  await addTask({ title: 'Check', status: 'review' });
+
+  const done = await owner('PUT', `/projects/${project.id}/tasks/${first.id}`, { status: 'done' });
+  assert.equal(done.body.project_progress, 33);
+  assert.ok(done.body.completed_date);
+  assert.equal(await progress(), 33);
+
+  // Progress can't be typed in any more
+  await owner('PUT', `/projects/${project.id}`, { name: 'Board', progress: 90 });
+  assert.equal(await progress(), 33);
+
+  const reopened = await owner('PUT', `/projects/${project.id}/tasks/${first.id}`, { status: 'todo' });
+  assert.equal(reopened.body.completed_date, null);
+  assert.equal(reopened.body.project_progress, 0);
+
+  const deleted = await owner('DELETE', `/projects/${project.id}/tasks/${first.id}`);
+  assert.equal(deleted.body.project_progress, 0);
+});
+
+test('tasks are ordered within their column and moved by drag and drop', async () => {
+  const ids = [];
+  for (const title of ['A', 'B', 'C']) {
+    ids.push((await addTask({ title, status: 'todo' })).body.id);
+  }
+  assert.deepEqual(await column('todo'), ['A', 'B', 'C']);
+
+  const url = `/projects/${project.id}/tasks/order`;
+  assert.equal((await owner('PUT', url, { status: 'todo', task_ids: [ids[2], ids[0], ids[1]] })).status, 200);
+  assert.deepEqual(await column('todo'), ['C', 'A', 'B']);
+
+  const moved = await owner('PUT', url, { status: 'done', task_ids: [ids[0]] });
+  assert.equal(moved.body.updated, 1);
+  assert.deepEqual(await column('done'), ['A']);
+
+  // A task from another project stops the whole drop
+  const other = (await owner('POST', '/projects', { name: 'Other board' })).body;
+  const stranger = (await owner('POST', `/projects/${other.id}/tasks`, { title: 'Elsewhere' })).body;
+  const refused = await owner('PUT', url, { status: 'done', task_ids: [ids[1], stranger.id] });
+  assert.equal(refused.status, 404);
+  assert.deepEqual(await column('done'), ['A']);
+  assert.equal((await owner('PUT', url, { status: 'later', task_ids: [] })).status, 400);
+});
+
+test('task fields are checked and assignees must be on the project', async () => {
+  const assigned = await addTask({ title: 'Review draft', assignee_email: 'Tasks-Member@example.com', priority: 'high' });
+  assert.equal(assigned.status, 200);
+  assert.equal(assigned.body.assignee_email, 'tasks-member@example.com');
+  const mine = (await owner('GET', `/projects/${project.id}/tasks?assignee=tasks-member@example.com`)).body;
+  assert.deepEqual(mine.map(task => task.title), ['Review draft']);
+
+  const errors = [
+    [{ title: '' }, "Task title is required."],
+    [{ title: 'X', status: 'blocked' }, "Status must be one of: todo, in-progress, review, done."],
+    [{ title: 'X', priority: 'asap' }, "Priority must be one of: low, medium, high."],
+    [{ title: 'X', assignee_email: 'stranger@example.com' }, "Tasks can only be assigned to members of the project."]
+  ];
+  for (const [fields, error] of errors) {
+    assert.deepEqual((await addTask(fields)).body, { error }, JSON.stringify(fields));
+  }
+  const update = await owner('PUT', `/projects/${project.id}/tasks/${assigned.body.id}`, { assignee_email: 'stranger@example.com' });
+  assert.equal(update.status, 400);
+});
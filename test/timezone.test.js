@@ -0,0 +1,122 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { timeZoneName, isTimeZone, parseTime, offsetAt, zonedToUtc, utcToZoned } = require("../lib/timezone");
+const { startServer } = require("./helpers/app");
+
+// ===================== TIME ZONES =====================
+
+function iso(ms) {
+  return new Date(ms).toISOString().slice(0, 16);
+}
+
+test('zone names are checked and spelled the way Intl does', () => {
+  assert.equal(timeZoneName('europe/berlin'), 'Europe/Berlin');
+  assert.equal(timeZoneName(' UTC '), 'UTC');
+  assert.equal(timeZoneName('Asia/Kolkata'), 'Asia/Kolkata');
+  for (const value of ['Mars/Olympus_Mons', '', '   ', null, 12, {}]) {
+    assert.equal(timeZoneName(value), null, String(value));
+    assert.equal(isTimeZone(value), false, String(value));
+  }
+});
+
+test('times of day are read as hours and minutes', () => {
+  assert.deepEqual(parseTime('09:30'), [9, 30]);
+  assert.deepEqual(parseTime('9:05'), [9, 5]);
+  assert.deepEqual(parseTime('23:59:59'), [23, 59]);
+  for (const time of ['24:00', '12:60', 'noon', '', null, undefined]) {
+    assert.equal(parseTime(time), null, String(time));
+  }
+});
+
+test('wall-clock times become instants with the offset of their date', () => {
+  assert.equal(iso(zonedToUtc('2025-01-15', '09:00', 'America/New_York')), '2025-01-15T14:00');
+  assert.equal(iso(zonedToUtc('2025-07-15', '09:00', 'America/New_York')), '2025-07-15T13:00');
+  assert.equal(iso(zonedToUtc('2025-07-15', '09:00', 'Asia/Kolkata')), '2025-07-15T03:30');
+  assert.equal(iso(zonedToUtc('2025-07-15', '09:00', 'UTC')), '2025-07-15T09:00');
+  assert.equal(iso(zonedToUtc('2025-07-15', null, 'Europe/Berlin')), '2025-07-14T22:00');
+
+  assert.equal(offsetAt(Date.parse('2025-01-15T12:00Z'), 'Europe/Berlin'), 60);
+  assert.equal(offsetAt(Date.parse('2025-07-15T12:00Z'), 'Europe/Berlin'), 120);
+  assert.equal(offsetAt(Date.parse('2025-07-15T12:00Z'), 'Asia/Kathmandu'), 345);
+});
+
+test('skipped and repeated times around daylight saving changes', () => {
+  // Clocks in Berlin go from 02:00 to 03:00 on 30 March 2025
+  assert.equal(iso(zonedToUtc('2025-03-30', '02:30', 'Europe/Berlin')), '2025-03-30T01:30');
+  assert.deepEqual(utcToZoned(zonedToUtc('2025-03-30', '02:30', 'Europe/Berlin'), 'Europe/Berlin'),
+    { date: '2025-03-30', time: '03:30' });
+  // and from 03:00 back to 02:00 on 26 October; 02:30 is the first of the two
+  assert.equal(iso(zonedToUtc('2025-10-26', '02:30', 'Europe/Berlin')), '2025-10-26T00:30');
+  assert.equal(iso(zonedToUtc('2025-10-26', '03:30', 'Europe/Berlin')), '2025-10-26T02:30');
+});
+
+test('instants are shown on the wall clock of a zone', () => {
+  const instant = Date.parse('2025-01-01T02:00Z');
+  assert.deepEqual(utcToZoned(instant, 'America/Los_Angeles'), { date: '2024-12-31', time: '18:00' });
+  assert.deepEqual(utcToZoned(instant, 'Asia/Tokyo'), { date: '2025-01-01', time: '11:00' });
+  assert.deepEqual(utcToZoned(instant, 'UTC'), { date: '2025-01-01', time: '02:00' });
+
+  for (const zone of ['America/New_York', 'Europe/Berlin', 'Australia/Lord_Howe']) {
+    for (const date of ['2025-01-15', '2025-04-06', '2025-07-15', '2025-11-02']) {
+      assert.deepEqual(utcToZoned(zonedToUtc(date, '12:15', zone), zone), { date, time: '12:15' }, `${zone} ${date}`);
+    }
+  }
+});
+
+// ===================== EVENTS IN THE VIEWER'S ZONE =====================
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.signUp('timezones@example.com');
+});
+
+after(() => server.close());
+
+test('events keep their own clock across daylight saving and show on the viewer\'s', async () => {
+  const created = await user('POST', '/events', {
+    title: 'Call New York', date: '2025-03-08', start: '09:00', end: '10:00',
+    timeZone: 'America/New_York', rrule: 'FREQ=DAILY;COUNT=3'
+  });
+  assert.equal(created.status, 200);
+
+  const listed = await user('GET', '/events?from=2025-03-08&to=2025-03-10&tz=Europe/Berlin');
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.map(event => [event.date, event.start, event.end, event.zoned.start]), [
+    ['2025-03-08', '15:00', '16:00', '09:00'],
+    ['2025-03-09', '14:00', '15:00', '09:00'],
+    ['2025-03-10', '14:00', '15:00', '09:00']
+  ]);
+  assert.equal(listed.body[1].startsAt, '2025-03-09T13:00:00.000Z');
+});
+
+test('an event late in its own zone can fall on the next day in the viewer\'s', async () => {
+  const created = (await user('POST', '/events', {
+    title: 'Late', date: '2025-06-01', start: '20:00', end: '23:00', timeZone: 'America/Los_Angeles'
+  })).body;
+
+  const shown = await user('GET', `/events/${created.id}?tz=Europe/Berlin`);
+  assert.equal(shown.status, 200);
+  assert.equal(shown.body.date, '2025-06-02');
+  assert.equal(shown.body.start, '05:00');
+  assert.equal(shown.body.end, '08:00');
+  assert.deepEqual(shown.body.zoned, { date: '2025-06-01', start: '20:00', end: '23:00' });
+
+  // Saved with times in another zone, the event keeps that zone's clock; an
+  // end past midnight where it's shown is cut off at 23:59
+  const moved = await user('PUT', `/events/${created.id}`, {
+    title: 'Late', date: '2025-06-02', start: '06:00', end: '09:00', timeZone: 'Europe/Berlin'
+  });
+  assert.equal(moved.status, 200);
+  const saved = (await user('GET', `/events/${created.id}?tz=America/Los_Angeles`)).body;
+  assert.equal(saved.timeZone, 'Europe/Berlin');
+  assert.deepEqual(saved.zoned, { date: '2025-06-02', start: '06:00', end: '09:00' });
+  assert.deepEqual([saved.date, saved.start, saved.end], ['2025-06-01', '21:00', '23:59']);
+});
+
+test('unknown zones are refused', async () => {
+  assert.equal((await user('GET', '/events?tz=Mars/Olympus_Mons')).status, 400);
+  assert.equal((await user('POST', '/events', { title: 'X', date: '2025-06-01', timeZone: 'Nowhere' })).status, 400);
+});